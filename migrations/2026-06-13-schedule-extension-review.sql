@@ -0,0 +1,59 @@
+-- 2026-06-13 - review workflow for schedule extensions
+-- Extensions are requested as 'pending' and only take effect once another
+-- party approves them. Counter-proposals swap the proposed finish and hand
+-- the decision back to the requesting side.
+
+BEGIN;
+
+ALTER TABLE schedule_extensions
+  ADD COLUMN IF NOT EXISTS proposed_by_user_id INTEGER NULL,
+  ADD COLUMN IF NOT EXISTS proposed_by_role TEXT NULL,
+  ADD COLUMN IF NOT EXISTS review_comment TEXT NULL,
+  ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITHOUT TIME ZONE NULL;
+
+UPDATE schedule_extensions
+SET proposed_by_user_id = requested_by_user_id,
+    proposed_by_role = requested_by_role
+WHERE proposed_by_role IS NULL;
+
+CREATE TABLE IF NOT EXISTS schedule_extension_reviews (
+  id SERIAL PRIMARY KEY,
+  extension_id INTEGER NOT NULL REFERENCES schedule_extensions(id) ON DELETE CASCADE,
+  project_id TEXT NOT NULL,
+  reviewer_user_id INTEGER NOT NULL,
+  reviewer_role TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('approved', 'rejected', 'countered')),
+  comment TEXT NULL,
+  proposed_extension_days INTEGER NULL,
+  proposed_planned_finish DATE NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_extension_reviews_extension_id ON schedule_extension_reviews(extension_id);
+
+-- Finish date actually in force: contractual finish or latest approved extension
+ALTER TABLE project_schedules
+  ADD COLUMN IF NOT EXISTS effective_finish DATE NULL;
+
+-- save-extension used to overwrite planned_finish with the requested (never
+-- approved) finish. Restore the contractual finish from the first extension's
+-- start date, whatever its status: it was always derived as the original
+-- finish + 1 day. effective_finish below then only counts approved rows.
+UPDATE project_schedules ps
+SET planned_finish = (first_ext.new_planned_start - INTERVAL '1 day')::date
+FROM (
+  SELECT DISTINCT ON (schedule_id) schedule_id, new_planned_start
+  FROM schedule_extensions
+  WHERE new_planned_start IS NOT NULL
+  ORDER BY schedule_id, created_at ASC
+) first_ext
+WHERE first_ext.schedule_id = ps.id;
+
+UPDATE project_schedules ps
+SET effective_finish = GREATEST(
+  ps.planned_finish,
+  COALESCE((SELECT MAX(se.new_planned_finish) FROM schedule_extensions se
+            WHERE se.schedule_id = ps.id AND se.status = 'approved'), ps.planned_finish)
+);
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- 2026-06-14 - server-side critical path (CPM)
+-- float_days now holds total float from the CPM pass; early/late dates and
+-- free float are written back on every schedule save.
+
+BEGIN;
+
+ALTER TABLE milestones
+  ADD COLUMN IF NOT EXISTS early_start DATE NULL,
+  ADD COLUMN IF NOT EXISTS early_finish DATE NULL,
+  ADD COLUMN IF NOT EXISTS late_start DATE NULL,
+  ADD COLUMN IF NOT EXISTS late_finish DATE NULL,
+  ADD COLUMN IF NOT EXISTS free_float_days INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE additional_milestones
+  ADD COLUMN IF NOT EXISTS early_start DATE NULL,
+  ADD COLUMN IF NOT EXISTS early_finish DATE NULL,
+  ADD COLUMN IF NOT EXISTS late_start DATE NULL,
+  ADD COLUMN IF NOT EXISTS late_finish DATE NULL,
+  ADD COLUMN IF NOT EXISTS free_float_days INTEGER NOT NULL DEFAULT 0;
+
+COMMIT;
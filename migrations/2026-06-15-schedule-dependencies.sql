@@ -0,0 +1,40 @@
+-- 2026-06-15 - typed schedule dependencies
+-- Many predecessors per activity, FS/SS/FF/SF link types and lag (negative
+-- lag = lead). Nodes are either baseline milestones or additional milestones;
+-- milestones.depends_on / additional_milestones.depends_on_baseline are kept
+-- in sync with the first milestone predecessor for older clients.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS schedule_dependencies (
+  id SERIAL PRIMARY KEY,
+  schedule_id INTEGER NOT NULL REFERENCES project_schedules(id) ON DELETE CASCADE,
+  predecessor_kind TEXT NOT NULL CHECK (predecessor_kind IN ('milestone', 'additional')),
+  predecessor_id INTEGER NOT NULL,
+  successor_kind TEXT NOT NULL CHECK (successor_kind IN ('milestone', 'additional')),
+  successor_id INTEGER NOT NULL,
+  dep_type TEXT NOT NULL DEFAULT 'FS' CHECK (dep_type IN ('FS', 'SS', 'FF', 'SF')),
+  lag_days INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  CONSTRAINT schedule_dependencies_unique UNIQUE (schedule_id, predecessor_kind, predecessor_id, successor_kind, successor_id),
+  CONSTRAINT schedule_dependencies_no_self CHECK (NOT (predecessor_kind = successor_kind AND predecessor_id = successor_id))
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_dependencies_schedule_id ON schedule_dependencies(schedule_id);
+
+-- Carry over the existing single finish-to-start links
+INSERT INTO schedule_dependencies (schedule_id, predecessor_kind, predecessor_id, successor_kind, successor_id, dep_type, lag_days)
+SELECT m.schedule_id, 'milestone', m.depends_on, 'milestone', m.id, 'FS', 0
+FROM milestones m
+JOIN milestones p ON p.id = m.depends_on AND p.schedule_id = m.schedule_id
+WHERE m.depends_on IS NOT NULL AND m.depends_on <> m.id
+ON CONFLICT DO NOTHING;
+
+INSERT INTO schedule_dependencies (schedule_id, predecessor_kind, predecessor_id, successor_kind, successor_id, dep_type, lag_days)
+SELECT am.schedule_id, 'milestone', am.depends_on_baseline, 'additional', am.id, 'FS', 0
+FROM additional_milestones am
+JOIN milestones m ON m.id = am.depends_on_baseline AND m.schedule_id = am.schedule_id
+WHERE am.depends_on_baseline IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+COMMIT;
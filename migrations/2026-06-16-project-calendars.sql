@@ -0,0 +1,42 @@
+-- 2026-06-16 - per-project working calendars
+-- work_week holds JS weekday numbers (0 = Sunday … 6 = Saturday). Projects
+-- without a row keep the 7-day calendar. Exceptions override holidays and
+-- the work week: is_working = false for shutdowns, true for extra shifts.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS project_calendars (
+  id SERIAL PRIMARY KEY,
+  project_id TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL DEFAULT 'Project calendar',
+  work_week INTEGER[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+  created_by_user_id INTEGER NULL,
+  created_by_role TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS calendar_holidays (
+  id SERIAL PRIMARY KEY,
+  calendar_id INTEGER NOT NULL REFERENCES project_calendars(id) ON DELETE CASCADE,
+  holiday_date DATE NOT NULL,
+  name TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  CONSTRAINT calendar_holidays_unique UNIQUE (calendar_id, holiday_date)
+);
+
+CREATE TABLE IF NOT EXISTS calendar_exceptions (
+  id SERIAL PRIMARY KEY,
+  calendar_id INTEGER NOT NULL REFERENCES project_calendars(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  is_working BOOLEAN NOT NULL DEFAULT FALSE,
+  reason TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  CONSTRAINT calendar_exceptions_range CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_holidays_calendar_id ON calendar_holidays(calendar_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_exceptions_calendar_id ON calendar_exceptions(calendar_id);
+
+COMMIT;
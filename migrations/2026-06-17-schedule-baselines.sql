@@ -0,0 +1,60 @@
+-- 2026-06-17 - named schedule baselines
+-- Snapshot of project_schedules and all milestones/additional milestones.
+-- reason: 'initial' (first save), 'extension_approved', 'manual'.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS schedule_baselines (
+  id SERIAL PRIMARY KEY,
+  schedule_id INTEGER NOT NULL REFERENCES project_schedules(id) ON DELETE CASCADE,
+  project_id TEXT NOT NULL,
+  baseline_no INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  reason TEXT NOT NULL DEFAULT 'manual' CHECK (reason IN ('initial', 'extension_approved', 'manual')),
+  source_extension_id INTEGER NULL REFERENCES schedule_extensions(id) ON DELETE SET NULL,
+  planned_start DATE NULL,
+  planned_finish DATE NULL,
+  effective_finish DATE NULL,
+  created_by_user_id INTEGER NULL,
+  created_by_role TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  CONSTRAINT schedule_baselines_no_unique UNIQUE (schedule_id, baseline_no)
+);
+
+CREATE TABLE IF NOT EXISTS schedule_baseline_items (
+  id SERIAL PRIMARY KEY,
+  baseline_id INTEGER NOT NULL REFERENCES schedule_baselines(id) ON DELETE CASCADE,
+  item_kind TEXT NOT NULL CHECK (item_kind IN ('milestone', 'additional')),
+  item_id INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  planned_start DATE NULL,
+  planned_end DATE NULL,
+  duration_days INTEGER NOT NULL DEFAULT 0,
+  weight_pct NUMERIC NOT NULL DEFAULT 0,
+  quantity NUMERIC NOT NULL DEFAULT 0,
+  unit TEXT NULL,
+  float_days INTEGER NOT NULL DEFAULT 0,
+  is_critical BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_baselines_project_id ON schedule_baselines(project_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_baseline_items_baseline_id ON schedule_baseline_items(baseline_id);
+
+-- Existing schedules get their current state as the original baseline
+INSERT INTO schedule_baselines (schedule_id, project_id, baseline_no, name, reason, planned_start, planned_finish, effective_finish, created_by_user_id, created_by_role, created_at)
+SELECT ps.id, ps.project_id, 0, 'Original baseline', 'initial', ps.planned_start, ps.planned_finish,
+       COALESCE(ps.effective_finish, ps.planned_finish), ps.created_by_user_id, ps.created_by_role, ps.created_at
+FROM project_schedules ps
+WHERE NOT EXISTS (SELECT 1 FROM schedule_baselines b WHERE b.schedule_id = ps.id);
+
+INSERT INTO schedule_baseline_items (baseline_id, item_kind, item_id, title, sort_order, planned_start, planned_end, duration_days, weight_pct, quantity, unit, float_days, is_critical)
+SELECT b.id, 'milestone', m.id, m.title, m.sort_order, m.planned_start, m.planned_end, m.duration_days, m.weight_pct, m.quantity, m.unit, m.float_days, m.is_critical
+FROM schedule_baselines b JOIN milestones m ON m.schedule_id = b.schedule_id
+WHERE b.baseline_no = 0 AND NOT EXISTS (SELECT 1 FROM schedule_baseline_items i WHERE i.baseline_id = b.id)
+UNION ALL
+SELECT b.id, 'additional', am.id, am.title, am.sort_order, am.planned_start, am.planned_end, am.duration_days, am.weight_pct, am.quantity, am.unit, am.float_days, am.is_critical
+FROM schedule_baselines b JOIN additional_milestones am ON am.schedule_id = b.schedule_id
+WHERE b.baseline_no = 0 AND NOT EXISTS (SELECT 1 FROM schedule_baseline_items i WHERE i.baseline_id = b.id);
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- 2026-06-18 - earned value inputs
+-- Budget per milestone is budgeted_cost, or quantity * unit_rate when only a
+-- rate is known. actual_cost is booked per progress entry.
+
+BEGIN;
+
+ALTER TABLE milestones
+  ADD COLUMN IF NOT EXISTS budgeted_cost NUMERIC(16,2) NULL,
+  ADD COLUMN IF NOT EXISTS unit_rate NUMERIC(16,4) NULL;
+
+ALTER TABLE additional_milestones
+  ADD COLUMN IF NOT EXISTS budgeted_cost NUMERIC(16,2) NULL,
+  ADD COLUMN IF NOT EXISTS unit_rate NUMERIC(16,4) NULL;
+
+ALTER TABLE milestone_progress_entries
+  ADD COLUMN IF NOT EXISTS actual_cost NUMERIC(16,2) NULL;
+
+ALTER TABLE additional_milestone_progress_entries
+  ADD COLUMN IF NOT EXISTS actual_cost NUMERIC(16,2) NULL;
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- 2026-06-19 - three-point duration estimates for schedule risk simulation
+-- Working days; NULL falls back to the planned duration (likely) and fixed
+-- ratios for optimistic/pessimistic in the forecast service.
+
+BEGIN;
+
+ALTER TABLE milestones
+  ADD COLUMN IF NOT EXISTS optimistic_days NUMERIC(8,1) NULL,
+  ADD COLUMN IF NOT EXISTS most_likely_days NUMERIC(8,1) NULL,
+  ADD COLUMN IF NOT EXISTS pessimistic_days NUMERIC(8,1) NULL;
+
+ALTER TABLE additional_milestones
+  ADD COLUMN IF NOT EXISTS optimistic_days NUMERIC(8,1) NULL,
+  ADD COLUMN IF NOT EXISTS most_likely_days NUMERIC(8,1) NULL,
+  ADD COLUMN IF NOT EXISTS pessimistic_days NUMERIC(8,1) NULL;
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- 2026-06-20 - audit trail for amended / reversed progress entries
+-- Reversed entries are deleted; before_data keeps the full snapshot.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS progress_entry_audit (
+  id SERIAL PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  entry_kind TEXT NOT NULL CHECK (entry_kind IN ('milestone', 'additional')),
+  entry_id INTEGER NOT NULL,
+  milestone_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('amended', 'reversed')),
+  reason TEXT NOT NULL,
+  before_data JSONB NULL,
+  after_data JSONB NULL,
+  changed_by_user_id INTEGER NOT NULL,
+  changed_by_role TEXT NOT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_progress_entry_audit_project_id ON progress_entry_audit(project_id);
+CREATE INDEX IF NOT EXISTS idx_progress_entry_audit_milestone ON progress_entry_audit(entry_kind, milestone_id);
+
+COMMIT;
@@ -0,0 +1,49 @@
+-- 2026-06-21 - numbered schedule revisions
+-- One row per save-schedule / import: full milestone snapshot plus the diff
+-- against the previous revision. source: 'save', 'import', 'migration'.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS schedule_revisions (
+  id SERIAL PRIMARY KEY,
+  schedule_id INTEGER NOT NULL REFERENCES project_schedules(id) ON DELETE CASCADE,
+  project_id TEXT NOT NULL,
+  revision_no INTEGER NOT NULL,
+  source TEXT NOT NULL DEFAULT 'save' CHECK (source IN ('save', 'import', 'migration')),
+  snapshot JSONB NOT NULL,
+  diff JSONB NOT NULL,
+  summary TEXT NOT NULL,
+  created_by_user_id INTEGER NULL,
+  created_by_role TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  CONSTRAINT schedule_revisions_no_unique UNIQUE (schedule_id, revision_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_revisions_project_id ON schedule_revisions(project_id);
+
+-- Current state of existing schedules becomes revision 1, so the next save
+-- diffs against it instead of reporting every milestone as added
+INSERT INTO schedule_revisions (schedule_id, project_id, revision_no, source, snapshot, diff, summary, created_by_user_id, created_by_role)
+SELECT ps.id, ps.project_id, 1, 'migration',
+       jsonb_build_object(
+         'planned_start', ps.planned_start,
+         'planned_finish', ps.planned_finish,
+         'effective_finish', COALESCE(ps.effective_finish, ps.planned_finish),
+         'items', COALESCE((
+           SELECT jsonb_agg(i ORDER BY i.kind DESC, i.id)
+           FROM (
+             SELECT 'milestone' AS kind, m.id, m.title, m.planned_start, m.planned_end, m.quantity::float8 AS quantity, m.unit
+             FROM milestones m WHERE m.schedule_id = ps.id
+             UNION ALL
+             SELECT 'additional', am.id, am.title, am.planned_start, am.planned_end, am.quantity::float8, am.unit
+             FROM additional_milestones am WHERE am.schedule_id = ps.id
+           ) i
+         ), '[]'::jsonb)
+       ),
+       '{"added":[],"removed":[],"redated":[],"changed":[],"timeline":[]}'::jsonb,
+       'Revision recorded from existing schedule',
+       ps.created_by_user_id, ps.created_by_role
+FROM project_schedules ps
+WHERE NOT EXISTS (SELECT 1 FROM schedule_revisions r WHERE r.schedule_id = ps.id);
+
+COMMIT;
@@ -0,0 +1,54 @@
+-- 2026-06-22 - link planning & execution activities to schedule milestones
+-- Tracking quantities in the milestone's unit roll up into progress entries
+-- with source = 'planning_execution'; project_schedules.rollup_side_rule says
+-- whose reports count ('Contractor', 'Consultant', 'Client', 'max', 'off').
+
+BEGIN;
+
+ALTER TABLE planning_execution
+  ADD COLUMN IF NOT EXISTS linked_milestone_id INTEGER NULL REFERENCES milestones(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS linked_additional_milestone_id INTEGER NULL REFERENCES additional_milestones(id) ON DELETE SET NULL;
+
+ALTER TABLE planning_execution DROP CONSTRAINT IF EXISTS planning_execution_single_link;
+ALTER TABLE planning_execution
+  ADD CONSTRAINT planning_execution_single_link
+  CHECK (linked_milestone_id IS NULL OR linked_additional_milestone_id IS NULL);
+
+CREATE INDEX IF NOT EXISTS idx_pe_linked_milestone ON planning_execution(linked_milestone_id);
+CREATE INDEX IF NOT EXISTS idx_pe_linked_additional_milestone ON planning_execution(linked_additional_milestone_id);
+
+ALTER TABLE project_schedules
+  ADD COLUMN IF NOT EXISTS rollup_side_rule TEXT NOT NULL DEFAULT 'Contractor'
+  CHECK (rollup_side_rule IN ('Contractor', 'Consultant', 'Client', 'max', 'off'));
+
+ALTER TABLE milestone_progress_entries
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'planning_execution')),
+  ADD COLUMN IF NOT EXISTS source_tracking_ids INTEGER[] NULL;
+ALTER TABLE additional_milestone_progress_entries
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'planning_execution')),
+  ADD COLUMN IF NOT EXISTS source_tracking_ids INTEGER[] NULL;
+
+-- One manual and one rolled-up entry may share a report date. These are the
+-- default names of the UNIQUE(…, report_date) constraints from 2026-06-06; the
+-- second is truncated by Postgres to fit the 63-character limit.
+ALTER TABLE milestone_progress_entries
+  DROP CONSTRAINT IF EXISTS milestone_progress_entries_milestone_id_report_date_key;
+ALTER TABLE additional_milestone_progress_entries
+  DROP CONSTRAINT IF EXISTS additional_milestone_progress_additional_milestone_id_repor_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_milestone_entries_date_source
+  ON milestone_progress_entries(milestone_id, report_date, source);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_additional_entries_date_source
+  ON additional_milestone_progress_entries(additional_milestone_id, report_date, source);
+
+-- Link existing activities whose free-text milestone_name matches exactly one milestone title
+UPDATE planning_execution pe
+SET linked_milestone_id = m.id
+FROM milestones m
+WHERE pe.linked_milestone_id IS NULL AND pe.linked_additional_milestone_id IS NULL
+  AND m.project_id = pe.project_id::text
+  AND lower(trim(m.title)) = lower(trim(pe.milestone_name))
+  AND (SELECT COUNT(*) FROM milestones m2
+       WHERE m2.project_id = pe.project_id::text AND lower(trim(m2.title)) = lower(trim(pe.milestone_name))) = 1;
+
+COMMIT;
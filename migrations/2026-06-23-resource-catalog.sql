@@ -0,0 +1,42 @@
+-- 2026-06-23 - per-project resource catalog and structured quantity lines
+-- resource_lines.source_type names the owning table (planning_execution,
+-- planning_execution_tracking, workspace_work_center_progress). Plan lines are
+-- per working day unless basis = 'total'. The old free-text fields stay.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS project_resources (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  category TEXT NOT NULL CHECK (category IN ('manpower', 'equipment', 'material')),
+  name TEXT NOT NULL,
+  unit TEXT NOT NULL,
+  code TEXT NULL,
+  description TEXT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by_user_id INTEGER NULL,
+  created_by_role TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_project_resources_name
+  ON project_resources(project_id, category, lower(name));
+
+CREATE TABLE IF NOT EXISTS resource_lines (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  source_type TEXT NOT NULL CHECK (source_type IN ('planning_execution', 'planning_execution_tracking', 'workspace_work_center_progress')),
+  source_id INTEGER NOT NULL,
+  resource_id INTEGER NOT NULL REFERENCES project_resources(id) ON DELETE RESTRICT,
+  quantity NUMERIC NOT NULL CHECK (quantity >= 0),
+  basis TEXT NOT NULL DEFAULT 'per_day' CHECK (basis IN ('per_day', 'total')),
+  note TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_lines_source ON resource_lines(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_resource_lines_resource ON resource_lines(resource_id);
+CREATE INDEX IF NOT EXISTS idx_resource_lines_project ON resource_lines(project_id);
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- 2026-06-24 - derive planning tracking entries from approved work center progress
+-- Work center reports may carry a quantity in the activity's unit. Approved
+-- reports for tasks linked to an activity are summed into one tracking entry
+-- per report date with source = 'work_center'; source_progress_ids keeps the
+-- contributing workspace_work_center_progress ids.
+
+BEGIN;
+
+ALTER TABLE workspace_work_center_progress
+  ADD COLUMN IF NOT EXISTS quantity NUMERIC NULL CHECK (quantity IS NULL OR quantity >= 0);
+
+ALTER TABLE planning_execution_tracking
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'work_center')),
+  ADD COLUMN IF NOT EXISTS source_progress_ids INTEGER[] NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_pet_work_center_date
+  ON planning_execution_tracking(activity_id, report_date)
+  WHERE source = 'work_center';
+
+COMMIT;
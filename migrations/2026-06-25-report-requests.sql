@@ -0,0 +1,46 @@
+-- 2026-06-25 - report requests from leaders to team members
+-- Requests are scoped to the requesting leader's side and move
+-- pending -> submitted -> completed (or cancelled by the requester).
+-- Reminder bookkeeping keeps the hourly job from notifying twice.
+-- Fulfilment creates a workspace_documents row linked through request_id,
+-- so documents also get a side and the Cloudinary URL of the upload.
+
+BEGIN;
+
+ALTER TABLE report_requests
+  ADD COLUMN IF NOT EXISTS side TEXT NULL,
+  ADD COLUMN IF NOT EXISTS fulfilled_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  ADD COLUMN IF NOT EXISTS overdue_notified_at TIMESTAMP WITHOUT TIME ZONE NULL;
+
+UPDATE report_requests
+SET side = CASE
+  WHEN requested_role IN ('Contractor', 'ContractorPM') THEN 'Contractor'
+  WHEN requested_role IN ('Consultant', 'ConsultantPM') THEN 'Consultant'
+  WHEN requested_role IN ('Client', 'ClientPM') THEN 'Client'
+END
+WHERE side IS NULL;
+
+UPDATE report_requests SET status = 'pending'
+WHERE status IS NULL OR status NOT IN ('pending', 'submitted', 'completed', 'cancelled');
+
+ALTER TABLE report_requests DROP CONSTRAINT IF EXISTS report_requests_status_check;
+ALTER TABLE report_requests
+  ADD CONSTRAINT report_requests_status_check
+  CHECK (status IN ('pending', 'submitted', 'completed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_report_requests_assigned ON report_requests(assigned_to, assigned_role);
+CREATE INDEX IF NOT EXISTS idx_report_requests_due ON report_requests(due_date) WHERE status = 'pending';
+
+ALTER TABLE workspace_documents
+  ADD COLUMN IF NOT EXISTS file_url TEXT NULL,
+  ADD COLUMN IF NOT EXISTS side TEXT NULL;
+
+UPDATE workspace_documents wd
+SET side = rr.side
+FROM report_requests rr
+WHERE wd.request_id = rr.id AND wd.side IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_workspace_documents_request_id ON workspace_documents(request_id);
+
+COMMIT;
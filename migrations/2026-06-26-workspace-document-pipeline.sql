@@ -0,0 +1,37 @@
+-- 2026-06-26 - workspace document review pipeline
+-- draft -> submitted -> reader_checked -> validated -> promoted, with
+-- 'returned' sending a document back to its author. Category fields live in
+-- workspace_documents.fields and are checked against required_schema on
+-- submit. stage_entered_at drives the per-stage delay recorded on reviews.
+
+BEGIN;
+
+ALTER TABLE workspace_documents
+  ADD COLUMN IF NOT EXISTS fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS stage_entered_at TIMESTAMP WITHOUT TIME ZONE NULL;
+
+UPDATE workspace_documents SET stage_entered_at = COALESCE(submitted_at, created_at)
+WHERE stage_entered_at IS NULL AND status <> 'draft';
+
+UPDATE workspace_documents SET status = 'draft'
+WHERE status IS NULL OR status NOT IN ('draft', 'submitted', 'reader_checked', 'validated', 'promoted', 'returned');
+
+ALTER TABLE workspace_documents DROP CONSTRAINT IF EXISTS workspace_documents_status_check;
+ALTER TABLE workspace_documents
+  ADD CONSTRAINT workspace_documents_status_check
+  CHECK (status IN ('draft', 'submitted', 'reader_checked', 'validated', 'promoted', 'returned'));
+
+ALTER TABLE workspace_document_reviews DROP CONSTRAINT IF EXISTS workspace_document_reviews_stage_check;
+ALTER TABLE workspace_document_reviews
+  ADD CONSTRAINT workspace_document_reviews_stage_check
+  CHECK (review_stage IN ('team_reader', 'leader_validation', 'promotion'));
+
+ALTER TABLE workspace_document_reviews DROP CONSTRAINT IF EXISTS workspace_document_reviews_decision_check;
+ALTER TABLE workspace_document_reviews
+  ADD CONSTRAINT workspace_document_reviews_decision_check
+  CHECK (decision IN ('pending', 'approved', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_workspace_documents_project_side_status ON workspace_documents(project_id, side, status);
+CREATE INDEX IF NOT EXISTS idx_workspace_documents_team_reader_id ON workspace_documents(team_reader_id);
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- 2026-06-27 - Control & Report index for validated workspace documents
+-- One index row per document (part = the document's side). Promotion flips
+-- visibility from 'internal' to 'project'. Comments record who wrote them so
+-- leaders and team members with the same id can be told apart.
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_control_and_report_index_document_id;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_control_and_report_index_document_id ON control_and_report_index(document_id);
+CREATE INDEX IF NOT EXISTS idx_control_and_report_index_filters ON control_and_report_index(project_id, part, category, promoted);
+
+ALTER TABLE control_and_report_index DROP CONSTRAINT IF EXISTS control_and_report_index_visibility_check;
+ALTER TABLE control_and_report_index
+  ADD CONSTRAINT control_and_report_index_visibility_check
+  CHECK (visibility IN ('internal', 'project'));
+
+ALTER TABLE control_and_report_comments
+  ADD COLUMN IF NOT EXISTS commentator_role TEXT NULL;
+
+INSERT INTO control_and_report_index (document_id, project_id, part, title, category, validated_by, validated_at,
+                                      visibility, promoted, promoted_at)
+SELECT wd.id, wd.project_id, wd.side, wd.title, wd.category, wd.validated_by, wd.validated_at,
+       CASE WHEN wd.status = 'promoted' THEN 'project' ELSE 'internal' END,
+       wd.status = 'promoted',
+       CASE WHEN wd.status = 'promoted' THEN wd.stage_entered_at END
+FROM workspace_documents wd
+WHERE wd.status IN ('validated', 'promoted')
+  AND wd.side IS NOT NULL AND wd.validated_by IS NOT NULL AND wd.validated_at IS NOT NULL
+ON CONFLICT (document_id) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,52 @@
+-- 2026-06-28 - transmittals between parties
+-- A transmittal carries shared documents and indexed reports from one party
+-- to one or more others. Numbers are sequential per project and sending party
+-- (TR-CTR-0001). Items snapshot title/file at send time; each recipient party
+-- acknowledges receipt once.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS transmittals (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL,
+  transmittal_no TEXT NOT NULL,
+  sender_side TEXT NOT NULL CHECK (sender_side IN ('Contractor', 'Consultant', 'Client')),
+  sent_by INTEGER NOT NULL,
+  sent_role TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  purpose TEXT NOT NULL DEFAULT 'for_information'
+    CHECK (purpose IN ('for_information', 'for_review', 'for_approval', 'for_record')),
+  remarks TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  UNIQUE (project_id, sender_side, sequence)
+);
+
+CREATE TABLE IF NOT EXISTS transmittal_items (
+  id SERIAL PRIMARY KEY,
+  transmittal_id INTEGER NOT NULL REFERENCES transmittals(id) ON DELETE CASCADE,
+  item_type TEXT NOT NULL CHECK (item_type IN ('document', 'report')),
+  document_id BIGINT NULL REFERENCES documents(id) ON DELETE SET NULL,
+  report_id INTEGER NULL REFERENCES control_and_report_index(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  category TEXT NULL,
+  file_name TEXT NULL,
+  file_url TEXT NULL
+);
+
+CREATE TABLE IF NOT EXISTS transmittal_recipients (
+  id SERIAL PRIMARY KEY,
+  transmittal_id INTEGER NOT NULL REFERENCES transmittals(id) ON DELETE CASCADE,
+  party TEXT NOT NULL CHECK (party IN ('Contractor', 'Consultant', 'Client')),
+  acknowledged_by INTEGER NULL,
+  acknowledged_role TEXT NULL,
+  acknowledged_at TIMESTAMP WITHOUT TIME ZONE NULL,
+  remark TEXT NULL,
+  UNIQUE (transmittal_id, party)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transmittals_project_sender ON transmittals(project_id, sender_side);
+CREATE INDEX IF NOT EXISTS idx_transmittal_items_transmittal_id ON transmittal_items(transmittal_id);
+CREATE INDEX IF NOT EXISTS idx_transmittal_recipients_party ON transmittal_recipients(party, transmittal_id);
+
+COMMIT;
@@ -0,0 +1,24 @@
+-- 2026-06-29 - configurable approval workflows for record registers
+-- One row per project, record table and uploader side ('any' applies to every
+-- side without its own row). steps is an ordered JSON array of
+-- { order, party, roles, label, action, action_label, optional }; steps with
+-- the same order run in parallel. Projects without rows keep the built-in
+-- two-step flow.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS record_workflows (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL CHECK (record_type IN (
+    'contractual_records', 'administrative_records', 'safety_records', 'operational_records', 'financial_records'
+  )),
+  uploader_side TEXT NOT NULL DEFAULT 'any' CHECK (uploader_side IN ('any', 'contractor', 'consultant', 'client')),
+  steps JSONB NOT NULL,
+  updated_by INTEGER NULL,
+  updated_role TEXT NULL,
+  updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  UNIQUE (project_id, record_type, uploader_side)
+);
+
+COMMIT;
@@ -0,0 +1,63 @@
+-- 2026-06-30 - revision history for record registers
+-- Rev 0 is the original upload; A, B, ... follow for stamped copies and
+-- resubmissions. Each revision keeps its own file, uploader and SHA-256.
+-- Workflow decisions made on an earlier revision are marked superseded
+-- rather than deleted.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS record_revisions (
+  id SERIAL PRIMARY KEY,
+  record_type TEXT NOT NULL,
+  record_id INTEGER NOT NULL,
+  revision_no INTEGER NOT NULL,
+  revision_label TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('original', 'stamped', 'resubmission')),
+  file_url TEXT NOT NULL,
+  attachment_id TEXT NULL,
+  file_name TEXT NULL,
+  sha256 TEXT NULL,
+  uploaded_by INTEGER NULL,
+  uploaded_role TEXT NULL,
+  note TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  UNIQUE (record_type, record_id, revision_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_record_revisions_record ON record_revisions(record_type, record_id);
+
+ALTER TABLE document_reviews
+  ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITHOUT TIME ZONE NULL;
+
+-- Existing records only still have their latest file; keep it as Rev 0
+INSERT INTO record_revisions (record_type, record_id, revision_no, revision_label, kind, file_url, attachment_id, uploaded_by, uploaded_role, note, created_at)
+SELECT 'contractual_records', r.id, 0, '0', 'original', r.file_path, r.attachment_id, r.uploaded_by, r.role, 'Carried over from before revision tracking', COALESCE(r.issued_date, NOW())
+FROM contractual_records r
+WHERE r.file_path IS NOT NULL
+ON CONFLICT (record_type, record_id, revision_no) DO NOTHING;
+
+INSERT INTO record_revisions (record_type, record_id, revision_no, revision_label, kind, file_url, attachment_id, uploaded_by, uploaded_role, note, created_at)
+SELECT 'administrative_records', r.id, 0, '0', 'original', r.file_path, r.attachment_id, r.uploaded_by, r.role, 'Carried over from before revision tracking', COALESCE(r.issued_date, NOW())
+FROM administrative_records r
+WHERE r.file_path IS NOT NULL
+ON CONFLICT (record_type, record_id, revision_no) DO NOTHING;
+
+INSERT INTO record_revisions (record_type, record_id, revision_no, revision_label, kind, file_url, attachment_id, uploaded_by, uploaded_role, note, created_at)
+SELECT 'safety_records', r.id, 0, '0', 'original', r.file_path, r.attachment_id, r.uploaded_by, r.role, 'Carried over from before revision tracking', COALESCE(r.issued_date, NOW())
+FROM safety_records r
+WHERE r.file_path IS NOT NULL
+ON CONFLICT (record_type, record_id, revision_no) DO NOTHING;
+
+INSERT INTO record_revisions (record_type, record_id, revision_no, revision_label, kind, file_url, attachment_id, uploaded_by, uploaded_role, note, created_at)
+SELECT 'operational_records', r.id, 0, '0', 'original', r.file_path, r.attachment_id, r.uploaded_by, r.role, 'Carried over from before revision tracking', COALESCE(r.issued_date, NOW())
+FROM operational_records r
+WHERE r.file_path IS NOT NULL
+ON CONFLICT (record_type, record_id, revision_no) DO NOTHING;
+
+INSERT INTO record_revisions (record_type, record_id, revision_no, revision_label, kind, file_url, attachment_id, uploaded_by, uploaded_role, note, created_at)
+SELECT 'financial_records', r.id, 0, '0', 'original', r.file_path, r.attachment_id, r.uploaded_by, r.role, 'Carried over from before revision tracking', COALESCE(r.issued_date, NOW())
+FROM financial_records r
+WHERE r.file_path IS NOT NULL
+ON CONFLICT (record_type, record_id, revision_no) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,87 @@
+-- 2026-07-01 - contract reference numbers for record registers
+-- Schemes are per project, record table and issuing party ('any' is the
+-- fallback). Counters are keyed by the rendered prefix (e.g. TAR-CTR-ADM-)
+-- and incremented with an upsert inside the add-record transaction.
+-- Existing records are numbered in upload order with the default scheme.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS record_numbering_schemes (
+  id SERIAL PRIMARY KEY,
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL,
+  issuing_party TEXT NOT NULL DEFAULT 'any' CHECK (issuing_party IN ('any', 'contractor', 'consultant', 'client')),
+  template TEXT NOT NULL DEFAULT '{PROJECT}-{PARTY}-{TYPE}-{SEQ}',
+  project_code TEXT NULL,
+  type_code TEXT NULL,
+  seq_padding INTEGER NOT NULL DEFAULT 4 CHECK (seq_padding BETWEEN 1 AND 8),
+  updated_by INTEGER NULL,
+  updated_role TEXT NULL,
+  updated_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW(),
+  UNIQUE (project_id, record_type, issuing_party)
+);
+
+CREATE TABLE IF NOT EXISTS record_number_counters (
+  project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL,
+  counter_key TEXT NOT NULL,
+  last_value INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (project_id, record_type, counter_key)
+);
+
+CREATE OR REPLACE FUNCTION pg_temp.default_project_code(project_name TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN array_length(w, 1) > 1 THEN left(array_to_string(ARRAY(SELECT left(x, 1) FROM unnest(w) x), ''), 6)
+    ELSE left(COALESCE(w[1], 'PRJ'), 6)
+  END
+  FROM (SELECT array_remove(regexp_split_to_array(upper(COALESCE(project_name, 'PRJ')), '[^A-Z0-9]+'), '') AS w) s;
+$$ LANGUAGE sql IMMUTABLE;
+
+DO $$
+DECLARE
+  t RECORD;
+BEGIN
+  FOR t IN
+    SELECT * FROM (VALUES
+      ('contractual_records', 'CON'),
+      ('administrative_records', 'ADM'),
+      ('safety_records', 'SAF'),
+      ('operational_records', 'OPS'),
+      ('financial_records', 'FIN')
+    ) AS v(tbl, type_code)
+  LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS reference_no TEXT NULL', t.tbl);
+    EXECUTE format('CREATE UNIQUE INDEX IF NOT EXISTS %I ON %I(project_id, reference_no)', 'uq_' || t.tbl || '_reference_no', t.tbl);
+
+    EXECUTE format($sql$
+      WITH numbered AS (
+        SELECT r.id,
+               pg_temp.default_project_code(p.name) || '-' ||
+               CASE lower(regexp_replace(r.role, '(PM|\s+Project Manager)$', ''))
+                 WHEN 'contractor' THEN 'CTR' WHEN 'consultant' THEN 'CSL' WHEN 'client' THEN 'CLT' ELSE 'GEN' END
+               || '-' || %2$L || '-' AS prefix,
+               r.project_id
+        FROM %1$I r JOIN projects p ON p.id = r.project_id
+        WHERE r.reference_no IS NULL
+      ), sequenced AS (
+        SELECT id, project_id, prefix,
+               ROW_NUMBER() OVER (PARTITION BY project_id, prefix ORDER BY id)
+                 + COALESCE((SELECT c.last_value FROM record_number_counters c
+                             WHERE c.project_id = numbered.project_id AND c.record_type = %1$L AND c.counter_key = numbered.prefix || '{SEQ}'), 0) AS seq
+        FROM numbered
+      )
+      UPDATE %1$I r SET reference_no = s.prefix || lpad(s.seq::text, 4, '0')
+      FROM sequenced s WHERE s.id = r.id
+    $sql$, t.tbl, t.type_code);
+
+    EXECUTE format($sql$
+      INSERT INTO record_number_counters (project_id, record_type, counter_key, last_value)
+      SELECT project_id, %1$L, regexp_replace(reference_no, '[0-9]+$', '') || '{SEQ}', MAX(substring(reference_no FROM '([0-9]+)$')::int)
+      FROM %1$I WHERE reference_no IS NOT NULL
+      GROUP BY project_id, regexp_replace(reference_no, '[0-9]+$', '')
+      ON CONFLICT (project_id, record_type, counter_key) DO UPDATE SET last_value = GREATEST(record_number_counters.last_value, EXCLUDED.last_value)
+    $sql$, t.tbl);
+  END LOOP;
+END $$;
+
+COMMIT;
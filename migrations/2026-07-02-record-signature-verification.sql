@@ -0,0 +1,10 @@
+-- 2026-07-02 - server-side stamping and signature verification
+-- Stamps are now burned in by the server and the SHA-256 of the stamped file
+-- is written to signature_hash. Public verification looks copies up by hash
+-- across all revisions.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_record_revisions_sha256 ON record_revisions(sha256) WHERE sha256 IS NOT NULL;
+
+COMMIT;
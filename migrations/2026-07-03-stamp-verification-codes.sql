@@ -0,0 +1,23 @@
+-- 2026-07-03 - QR / short-code verification for stamps
+-- Every server-side stamp now carries a QR code and an 8-character code
+-- (shown as XXXX-XXXX) that resolve to a public read-only verification page.
+-- One row per stamp; revision_id points at the stamped revision it produced.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS stamp_verifications (
+  id SERIAL PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE CHECK (code ~ '^[0-9A-HJKMNP-TV-Z]{8}$'),
+  record_type TEXT NOT NULL,
+  record_id INTEGER NOT NULL,
+  revision_id INTEGER NULL REFERENCES record_revisions(id) ON DELETE SET NULL,
+  signer_id INTEGER NOT NULL,
+  signer_role TEXT NOT NULL,
+  stamp_type TEXT NOT NULL,
+  action TEXT NULL,
+  created_at TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stamp_verifications_record ON stamp_verifications(record_type, record_id);
+
+COMMIT;
@@ -4,6 +4,7 @@ import multer from 'multer';
 import { Pool } from 'pg';
 import nodemailer from 'nodemailer';
 import cors from 'cors';
+import rateLimit from 'express-rate-limit';
 import nodemailerSendgrid from 'nodemailer-sendgrid';
 import pkg from 'uuid';
 import bcrypt from 'bcryptjs';
@@ -11,10 +12,13 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { v2 as cloudinary } from 'cloudinary';
 import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
+import QRCode from 'qrcode';
 import { Readable } from 'stream';
 
 const { v4: uuidv4 } = pkg;
 const app = express();
+// One proxy hop (Render) in front of the app; rate limits key on the client IP
+app.set('trust proxy', 1);
 app.use(express.json());
 app.use(cors());
 
@@ -2110,6 +2114,310 @@ for (const prefix of ['/notifications', '/api/notifications']) {
   });
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  RECORD REVISIONS
+//  Every file a record has carried is kept as a revision: Rev 0 is the
+//  original upload, then A, B, … for each stamped copy or resubmission. The
+//  record's own file_path always points at the latest revision.
+// ─────────────────────────────────────────────────────────────────────────────
+function revisionLabel(revisionNo) {
+  if (revisionNo === 0) return '0';
+  let n = revisionNo, label = '';
+  while (n > 0) { n -= 1; label = String.fromCharCode(65 + (n % 26)) + label; n = Math.floor(n / 26); }
+  return label;
+}
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// The UNIQUE (record_type, record_id, revision_no) constraint rejects a
+// concurrent writer that picked the same number
+async function addRecordRevision(db, { table, recordId, kind, fileUrl, attachmentId, fileName, buffer, userId, role, note = null }) {
+  const { rows: nextRows } = await db.query(
+    'SELECT COALESCE(MAX(revision_no) + 1, 0) AS next FROM record_revisions WHERE record_type=$1 AND record_id=$2',
+    [table, recordId]
+  );
+  const revisionNo = nextRows[0].next;
+  const { rows } = await db.query(
+    `INSERT INTO record_revisions (record_type, record_id, revision_no, revision_label, kind, file_url, attachment_id, file_name, sha256, uploaded_by, uploaded_role, note)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+    [table, recordId, revisionNo, revisionLabel(revisionNo), kind, fileUrl, attachmentId, fileName, buffer ? sha256Hex(buffer) : null, userId, role, note]
+  );
+  return rows[0];
+}
+
+// revision may be a label ('0', 'A') or a number; omitted → latest
+async function findRecordRevision(db, table, recordId, revision) {
+  const params = [table, recordId];
+  let where = '';
+  if (revision !== undefined && revision !== null && revision !== '') {
+    params.push(String(revision).toUpperCase());
+    where = ` AND (revision_label = $3 OR revision_no::text = $3)`;
+  }
+  const { rows } = await db.query(
+    `SELECT * FROM record_revisions WHERE record_type=$1 AND record_id=$2${where} ORDER BY revision_no DESC LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+app.get('/api/record-revisions', authenticateToken, async (req, res) => {
+  const { projectId, recordId, recordType } = req.query;
+  const table = resolveTable(recordType);
+  if (!table) return res.status(400).json({ error: 'Invalid or missing recordType.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const { rows: rec } = await pool.query(`SELECT id FROM ${table} WHERE id=$1 AND project_id=$2`, [recordId, projectId]);
+    if (!rec.length) return res.status(404).json({ error: 'Record not found.' });
+    const { rows } = await pool.query(
+      `SELECT id, revision_no, revision_label, kind, file_name, sha256, uploaded_by, uploaded_role, note, created_at
+       FROM record_revisions WHERE record_type=$1 AND record_id=$2 ORDER BY revision_no DESC`,
+      [table, recordId]
+    );
+    const withNames = await Promise.all(rows.map(async r => ({
+      ...r,
+      uploaded_by_name: await resolveDisplayNameFor(r.uploaded_role, r.uploaded_by, projectId),
+      is_current: r.revision_no === rows[0].revision_no,
+    })));
+    res.json({ revisions: withNames });
+  } catch (err) { console.error('List record revisions error:', err); res.status(500).json({ error: 'Failed to load revisions.' }); }
+});
+
+// Uploader replaces the file of a record that is not yet approved. Earlier
+// workflow decisions are superseded so the review starts again on the new revision.
+app.post('/api/resubmit-record', authenticateToken, upload.single('attachment'), async (req, res) => {
+  const { projectId, recordId, recordType, note } = req.body;
+  const table = resolveTable(recordType);
+  if (!table) return res.status(400).json({ error: 'Invalid or missing recordType.' });
+  if (!req.file) return res.status(400).json({ error: 'A replacement file is required.' });
+  const dbClient = await pool.connect();
+  try {
+    const { rows } = await dbClient.query(`SELECT id, uploaded_by, role, status, title, reference_no FROM ${table} WHERE id=$1 AND project_id=$2`, [recordId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Record not found.' });
+    const rec = rows[0];
+    if (String(rec.uploaded_by) !== String(req.user.user_id) || getSide(rec.role) !== getSide(req.user.role))
+      return res.status(403).json({ error: 'Only the uploader can resubmit this record.' });
+    if (rec.status === 'approved_record') return res.status(409).json({ error: 'Approved records cannot be resubmitted.' });
+
+    const r = await uploadRecordBuffer(req.file.buffer, req.file.originalname);
+
+    await dbClient.query('BEGIN');
+    const revision = await addRecordRevision(dbClient, {
+      table, recordId, kind: 'resubmission', fileUrl: r.secure_url, attachmentId: r.public_id,
+      fileName: req.file.originalname, buffer: req.file.buffer, userId: req.user.user_id, role: req.user.role, note: note?.trim() || null,
+    });
+    await dbClient.query(
+      `UPDATE document_reviews SET superseded_at=NOW()
+       WHERE record_type=$1 AND record_id=$2 AND action IN ('approved','accepted','rejected') AND superseded_at IS NULL`,
+      [table, recordId]
+    );
+    const workflows = await loadRecordWorkflows(dbClient, projectId, table);
+    const newStatus = evaluateRecordWorkflow(workflowStepsFor(workflows, getSide(rec.role)).steps, []).status;
+    await dbClient.query(
+      `UPDATE ${table} SET file_path=$1, attachment_id=$2, stamped_doc_url=NULL, signed_by_id=NULL, signed_by_role=NULL, signed_at=NULL,
+              stamp_type=NULL, stamp_status='none', signature_hash=NULL, status=$3
+       WHERE id=$4 AND project_id=$5`,
+      [r.secure_url, r.public_id, newStatus, recordId, projectId]
+    );
+    const notifRes = await dbClient.query(
+      `INSERT INTO notifications (project_id,entity_id,entity_type,message,added_by_id,added_by_role) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+      [projectId, recordId, table, `${req.user.role} resubmitted ${rec.reference_no ? `${rec.reference_no} ` : ''}"${rec.title}" as Rev ${revision.revision_label}`, req.user.user_id, req.user.role]
+    );
+    await insertNotificationRecipients(dbClient, notifRes.rows[0].id, await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role));
+    await dbClient.query('COMMIT');
+    res.json({ success: true, revision, status: newStatus });
+  } catch (err) {
+    await dbClient.query('ROLLBACK').catch(() => {});
+    console.error('Resubmit record error:', err);
+    res.status(500).json({ error: 'Failed to resubmit record.' });
+  } finally { dbClient.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  RECORD REFERENCE NUMBERS
+//  Contract references such as PRJ-CTR-ADM-0042, allocated when a record is
+//  added. Schemes are per project and record type, optionally per issuing
+//  party ('any' covers parties without their own scheme). Tokens:
+//  {PROJECT} {PARTY} {TYPE} {YEAR} {SEQ}. Sequences count per rendered
+//  prefix, so a template without {PARTY} numbers all parties in one series.
+// ─────────────────────────────────────────────────────────────────────────────
+const RECORD_TYPE_CODES = {
+  contractual_records: 'CON',
+  administrative_records: 'ADM',
+  safety_records: 'SAF',
+  operational_records: 'OPS',
+  financial_records: 'FIN',
+};
+const RECORD_PARTY_CODES = { contractor: 'CTR', consultant: 'CSL', client: 'CLT' };
+const DEFAULT_REFERENCE_TEMPLATE = '{PROJECT}-{PARTY}-{TYPE}-{SEQ}';
+
+// Initials of a multi-word project name ("Tower A Residential" → TAR), else its first letters
+function defaultProjectCode(project) {
+  const source = project?.name || 'PRJ';
+  const words = String(source).toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+  const code = words.length > 1 ? words.map(w => w[0]).join('') : (words[0] || 'PRJ');
+  return code.slice(0, 6) || 'PRJ';
+}
+
+function validateReferenceTemplate(template) {
+  if ((template.match(/\{SEQ\}/g) || []).length !== 1) return 'template must contain {SEQ} exactly once';
+  const unknown = (template.match(/\{[^}]*\}/g) || []).filter(t => !['{PROJECT}', '{PARTY}', '{TYPE}', '{YEAR}', '{SEQ}'].includes(t));
+  if (unknown.length) return `Unknown token(s): ${unknown.join(', ')}`;
+  return null;
+}
+
+async function resolveNumberingScheme(db, projectId, table, party) {
+  const { rows } = await db.query(
+    `SELECT * FROM record_numbering_schemes
+     WHERE project_id=$1 AND record_type=$2 AND issuing_party IN ($3, 'any')
+     ORDER BY (issuing_party = 'any') ASC LIMIT 1`,
+    [projectId, table, party]
+  );
+  return rows[0] || null;
+}
+
+// Allocates the next reference inside the caller's transaction. The counter
+// row stays locked until commit, so concurrent uploads cannot share a number.
+async function allocateRecordReference(dbClient, { projectId, table, role, date = new Date() }) {
+  const party = getSide(role);
+  const scheme = await resolveNumberingScheme(dbClient, projectId, table, party);
+  const { rows: projRows } = await dbClient.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+  const tokens = {
+    PROJECT: scheme?.project_code || defaultProjectCode(projRows[0]),
+    PARTY: RECORD_PARTY_CODES[party] || 'GEN',
+    TYPE: scheme?.type_code || RECORD_TYPE_CODES[table],
+    YEAR: String(date.getFullYear()),
+  };
+  const template = scheme?.template || DEFAULT_REFERENCE_TEMPLATE;
+  const prefix = template.replace(/\{(PROJECT|PARTY|TYPE|YEAR)\}/g, (_, k) => tokens[k]);
+  // A scheme edited back to a prefix that was used before must carry on from
+  // the highest number already issued, or the insert hits the unique index
+  const [before, after] = prefix.split('{SEQ}');
+  const { rows: usedRows } = await dbClient.query(
+    `SELECT COALESCE(MAX(substr(reference_no, length($2) + 1, length(reference_no) - length($2) - length($3))::int), 0) AS used
+     FROM ${table}
+     WHERE project_id=$1 AND length(reference_no) > length($2) + length($3)
+       AND left(reference_no, length($2)) = $2 AND right(reference_no, length($3)) = $3
+       AND substr(reference_no, length($2) + 1, length(reference_no) - length($2) - length($3)) ~ '^[0-9]{1,9}$'`,
+    [projectId, before, after]
+  );
+  const { rows } = await dbClient.query(
+    `INSERT INTO record_number_counters (project_id, record_type, counter_key, last_value)
+     VALUES ($1,$2,$3,$4 + 1)
+     ON CONFLICT (project_id, record_type, counter_key) DO UPDATE SET last_value = GREATEST(record_number_counters.last_value, $4) + 1
+     RETURNING last_value`,
+    [projectId, table, prefix, usedRows[0].used]
+  );
+  const padding = scheme?.seq_padding ?? 4;
+  return prefix.replace('{SEQ}', String(rows[0].last_value).padStart(padding, '0'));
+}
+
+// GET /api/record-numbering?projectId= — configured schemes and a preview per type/party
+app.get('/api/record-numbering', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'projectId is required.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const { rows } = await pool.query('SELECT * FROM record_numbering_schemes WHERE project_id=$1 ORDER BY record_type, issuing_party', [projectId]);
+    const { rows: projRows } = await pool.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+    res.json({
+      schemes: rows,
+      defaults: { template: DEFAULT_REFERENCE_TEMPLATE, project_code: defaultProjectCode(projRows[0]), seq_padding: 4, type_codes: RECORD_TYPE_CODES, party_codes: RECORD_PARTY_CODES },
+    });
+  } catch (err) { console.error('GET /api/record-numbering:', err); res.status(500).json({ error: 'Failed to load numbering schemes.' }); }
+});
+
+// PUT /api/record-numbering — body: { projectId, recordType, issuingParty: 'any'|side, template, projectCode, typeCode, seqPadding }
+app.put('/api/record-numbering', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const table = resolveTable(req.body.recordType);
+  const party = String(req.body.issuingParty || 'any').toLowerCase();
+  if (!projectId || !table) return res.status(400).json({ error: 'projectId and a valid recordType are required.' });
+  if (party !== 'any' && !RECORD_PARTY_CODES[party]) return res.status(400).json({ error: "issuingParty must be 'any', 'contractor', 'consultant' or 'client'." });
+  if (getSide(req.user.role) !== 'client') return res.status(403).json({ error: 'Only the client side can configure reference numbering.' });
+  const template = String(req.body.template || DEFAULT_REFERENCE_TEMPLATE).trim().toUpperCase();
+  const templateError = validateReferenceTemplate(template);
+  if (templateError) return res.status(400).json({ error: templateError });
+  const seqPadding = req.body.seqPadding === undefined ? 4 : Number(req.body.seqPadding);
+  if (!Number.isInteger(seqPadding) || seqPadding < 1 || seqPadding > 8) return res.status(400).json({ error: 'seqPadding must be between 1 and 8.' });
+  const code = (v) => (v ? String(v).trim().toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10) || null : null);
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const { rows } = await pool.query(
+      `INSERT INTO record_numbering_schemes (project_id, record_type, issuing_party, template, project_code, type_code, seq_padding, updated_by, updated_role, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())
+       ON CONFLICT (project_id, record_type, issuing_party)
+       DO UPDATE SET template=EXCLUDED.template, project_code=EXCLUDED.project_code, type_code=EXCLUDED.type_code,
+                     seq_padding=EXCLUDED.seq_padding, updated_by=EXCLUDED.updated_by, updated_role=EXCLUDED.updated_role, updated_at=NOW()
+       RETURNING *`,
+      [projectId, table, party, template, code(req.body.projectCode), code(req.body.typeCode), seqPadding, req.user.user_id, req.user.role]
+    );
+    res.json({ success: true, scheme: rows[0] });
+  } catch (err) { console.error('PUT /api/record-numbering:', err); res.status(500).json({ error: 'Failed to save numbering scheme.' }); }
+});
+
+// GET /api/records/search?projectId=&q= — reference or title across every register
+app.get('/api/records/search', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  const q = String(req.query.q || '').trim();
+  if (!projectId || q.length < 2) return res.status(400).json({ error: 'projectId and a search term of at least 2 characters are required.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const union = [...VALID_RECORD_TABLES].map(t =>
+      `SELECT '${t}' AS record_type, id, reference_no, title, status, role AS uploader_role, issued_date FROM ${t}
+       WHERE project_id=$1 AND (reference_no ILIKE $2 OR title ILIKE $2)`
+    ).join(' UNION ALL ');
+    const { rows } = await pool.query(
+      `${union} ORDER BY (reference_no ILIKE $3) DESC, issued_date DESC LIMIT 50`,
+      [projectId, `%${q.replace(/[%_\\]/g, '\\$&')}%`, q]
+    );
+    res.json({ results: rows });
+  } catch (err) { console.error('Record search error:', err); res.status(500).json({ error: 'Failed to search records.' }); }
+});
+
+// GET /api/records/export?projectId=&recordType=&format=csv|pdf — register listing with references
+app.get('/api/records/export', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  const table = resolveTable(req.query.recordType);
+  const format = req.query.format === 'pdf' ? 'pdf' : 'csv';
+  if (!projectId || !table) return res.status(400).json({ error: 'projectId and a valid recordType are required.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const { rows } = await pool.query(
+      `SELECT r.id, r.reference_no, r.title, r.role AS uploader_role, r.uploaded_by, r.issued_date, r.status, r.record_kind,
+              (SELECT rr.revision_label FROM record_revisions rr WHERE rr.record_type = $2 AND rr.record_id = r.id
+               ORDER BY rr.revision_no DESC LIMIT 1) AS current_revision
+       FROM ${table} r WHERE r.project_id=$1 ORDER BY r.issued_date ASC, r.id ASC`,
+      [projectId, table]
+    );
+    const header = ['Reference', 'Title', 'Kind', 'Issued by', 'Issued', 'Revision', 'Status'];
+    const cells = rows.map(r => [r.reference_no || `#${r.id}`, r.title, r.record_kind || '', r.uploader_role, toIsoDate(r.issued_date) || '', r.current_revision || '', r.status || '']);
+    const fileBase = `${table}-${projectId}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.csv"`);
+      return res.send([header, ...cells].map(line => line.map(csvCell).join(',')).join('\n'));
+    }
+    const { rows: projRows } = await pool.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+    const w = await createPdfWriter({ title: `${projRows[0]?.name || 'Project'} - ${table.replace(/_/g, ' ')}` });
+    w.text(`${projRows[0]?.name || 'Project'} - ${table.replace(/_/g, ' ')} register`, { size: 14, useBold: true });
+    w.text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC · ${rows.length} record(s)`, { size: 8, color: rgb(0.4, 0.4, 0.4) });
+    w.space(8);
+    const cols = [150, 270, 70, 80, 70, 50, 79];
+    w.row(header, cols, { useBold: true, fill: rgb(0.9, 0.92, 0.96) });
+    for (const line of cells) w.row(line, cols);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileBase}.pdf"`);
+    return res.send(await w.save());
+  } catch (err) { console.error('Record export error:', err); res.status(500).json({ error: 'Failed to export records.' }); }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  ADD RECORD
 // ─────────────────────────────────────────────────────────────────────────────
@@ -2117,12 +2425,12 @@ async function handleAddRecord(req, res) {
   try {
     const { user_id: userId, role } = req.user;
     const { title, description, projectId, noticeTiedId, recordKind } = req.body;
-    // The attachment always arrives pre-converted-to-PDF (and pre-stamped, if the
-    // user chose to stamp) from the client — there is no server-side conversion
-    // or stamping step here anymore. clientStamped is a claim we must verify.
-    const clientStamped = req.body.clientStamped === 'true';
+    // The attachment arrives pre-converted-to-PDF from the client. If the user
+    // chose to stamp (stampDocument, or clientStamped from older clients) the
+    // stamp is burned in here from their user_stamps profile.
+    const stampRequested = req.body.stampDocument === 'true' || req.body.clientStamped === 'true';
     const stampType = (req.body.stampType || 'STAMPED').toUpperCase();
-    console.log('[add-record] 📝 Request:', { userId, role, clientStamped, stampType });
+    console.log('[add-record] 📝 Request:', { userId, role, stampRequested, stampType });
     
     const table = resolveTable(req.body.recordType);
     if (!table) return res.status(400).json({ success: false, message: 'Invalid or missing recordType.' });
@@ -2140,57 +2448,76 @@ async function handleAddRecord(req, res) {
     let signedByUserId = null, signedByRole = null;
     let finalStampType = null;
     let stampApplied = false;
+    let stamped = null, original = null, verification = null, profile = null;
 
-    // If the client claims the attachment is already stamped, verify that claim
-    // BEFORE trusting it — otherwise any authenticated user could mark a record
-    // as officially signed without being a decision maker or owning a stamp profile.
-    if (clientStamped) {
+    if (stampRequested) {
       if (!isDecisionMaker(role)) {
         return res.status(403).json({ success: false, message: 'Only decision makers can stamp documents.' });
       }
-      const { rows: stampRows } = await pool.query(
-        `SELECT 1 FROM user_stamps WHERE user_id=$1 AND user_role=$2 AND project_id=$3 LIMIT 1`,
-        [userId, role, projectId]
-      );
-      if (!stampRows.length) {
-        return res.status(400).json({ success: false, message: 'No stamp profile found. Set up your stamp first.' });
-      }
       if (!req.file || !/\.pdf$/i.test(req.file.originalname || '')) {
         return res.status(400).json({ success: false, message: 'Stamped documents must be submitted as PDF.' });
       }
+      profile = await loadStampProfile(projectId, userId, role);
+      if (!profile) {
+        return res.status(400).json({ success: false, message: 'No stamp profile found. Set up your stamp first.' });
+      }
+    }
+
+    const resolvedKind = recordKind || (noticeTiedId ? 'notice' : 'new');
+    const noticeTied   = noticeTiedId ? Number(noticeTiedId) : null;
+    if (noticeTied) {
+      const parentCheck = await pool.query(`SELECT id FROM ${table} WHERE id = $1 AND project_id = $2`, [noticeTied, projectId]);
+      if (!parentCheck.rows.length) return res.status(400).json({ success: false, message: 'The parent record this notice is tied to no longer exists.' });
+    }
+
+    // The reference is allocated in a short transaction of its own so the
+    // counter row isn't locked while the PDF is stamped and uploaded; a failed
+    // upload leaves a gap in the sequence rather than blocking the register.
+    let referenceNo;
+    const refClient = await pool.connect();
+    try {
+      await refClient.query('BEGIN');
+      referenceNo = await allocateRecordReference(refClient, { projectId, table, role });
+      await refClient.query('COMMIT');
+    } catch (refErr) {
+      await refClient.query('ROLLBACK');
+      throw refErr;
+    } finally { refClient.release(); }
+
+    if (profile) {
+      verification = await newStampVerification(pool);
+      try {
+        stamped = await burnStampIntoPdf(req.file.buffer, { profile, stampType, reference: referenceNo, verification });
+      } catch (stampErr) {
+        console.error('[add-record] ❌ Stamping failed:', stampErr.message);
+        return res.status(400).json({ success: false, message: 'The document could not be stamped. Make sure it is an unencrypted PDF.' });
+      }
     }
 
     if (req.file) {
       try {
-        const r = await new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            { folder: 'oneproject/records', resource_type: 'auto', public_id: `${Date.now()}-${req.file.originalname.replace(/\s+/g, '-')}` },
-            (err, result) => err ? reject(err) : resolve(result)
-          );
-          Readable.from(req.file.buffer).pipe(stream);
-        });
-        filePath = r.secure_url;
-        attachmentId = r.public_id;
-        console.log('[add-record] ✅ File uploaded to Cloudinary (single copy)');
+        // The unstamped upload is kept as Rev 0; the stamped copy becomes the record's file
+        original = await uploadRecordBuffer(req.file.buffer, req.file.originalname);
+        const current = stamped ? await uploadRecordBuffer(stamped.buffer, req.file.originalname) : original;
+        filePath = current.secure_url;
+        attachmentId = current.public_id;
+        console.log('[add-record] ✅ File uploaded to Cloudinary', stamped ? '(original + stamped)' : '(single copy)');
       } catch (uploadErr) {
         console.error('[add-record] ❌ Cloudinary upload error:', uploadErr);
+        // The stamped upload failed after the original went up; don't leave it orphaned
+        if (original)
+          await cloudinary.uploader.destroy(original.public_id, { resource_type: original.resource_type })
+            .catch(destroyErr => console.error('[add-record] failed to remove orphaned original upload:', destroyErr.message));
         return res.status(500).json({ success: false, message: 'File upload failed.' });
       }
     }
 
-    if (clientStamped && filePath) {
+    if (stamped && filePath) {
       signedByUserId = userId;
       signedByRole = role;
       finalStampType = stampType;
       stampApplied = true;
-      console.log('[add-record] 🖋️ Verified client-side stamp recorded.');
-    }
-
-    const resolvedKind = recordKind || (noticeTiedId ? 'notice' : 'new');
-    const noticeTied   = noticeTiedId ? Number(noticeTiedId) : null;
-    if (noticeTied) {
-      const parentCheck = await pool.query(`SELECT id FROM ${table} WHERE id = $1 AND project_id = $2`, [noticeTied, projectId]);
-      if (!parentCheck.rows.length) return res.status(400).json({ success: false, message: 'The parent record this notice is tied to no longer exists.' });
+      console.log('[add-record] 🖋️ Server-side stamp applied.');
     }
 
     const dbClient = await pool.connect();
@@ -2203,18 +2530,35 @@ async function handleAddRecord(req, res) {
         `INSERT INTO ${table} (
           project_id, title, description, file_path, attachment_id, 
           uploaded_by, role, record_kind, notice_tied_id,
-          signed_by_id, signed_by_role, signed_at, stamp_type, stamp_status
+          signed_by_id, signed_by_role, signed_at, stamp_type, stamp_status, reference_no,
+          stamped_doc_url, signature_hash
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${signedByUserId ? 'NOW()' : 'NULL'}, $12, $13)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${signedByUserId ? 'NOW()' : 'NULL'}, $12, $13, $14, $15, $16)
         RETURNING id`,
         [
           projectId, title, description || null, filePath, attachmentId,
           userId, role, resolvedKind, noticeTied,
-          signedByUserId, signedByRole, finalStampType || null, stampApplied ? 'recorder' : 'none'
+          signedByUserId, signedByRole, finalStampType || null, stampApplied ? 'recorder' : 'none', referenceNo,
+          stampApplied ? filePath : null, stampApplied ? stamped.hash : null
         ]
       );
       const recordId = recRes.rows[0].id;
-      console.log('[add-record] ✅ Record inserted into DB:', recordId);
+      console.log('[add-record] ✅ Record inserted into DB:', recordId, referenceNo);
+      let revision = original
+        ? await addRecordRevision(dbClient, {
+            table, recordId, kind: 'original', fileUrl: original.secure_url, attachmentId: original.public_id,
+            fileName: req.file.originalname, buffer: req.file.buffer, userId, role,
+          })
+        : null;
+      if (stampApplied) {
+        revision = await addRecordRevision(dbClient, {
+          table, recordId, kind: 'stamped', fileUrl: filePath, attachmentId, fileName: req.file.originalname,
+          buffer: stamped.buffer, userId, role, note: `Stamped ${stampType} on upload`,
+        });
+        await recordStampVerification(dbClient, {
+          code: verification.code, table, recordId, revisionId: revision.id, userId, role, stampType,
+        });
+      }
 
       // 2. Commit the record
       await dbClient.query('COMMIT');
@@ -2222,9 +2566,14 @@ async function handleAddRecord(req, res) {
       // 3. Create notification in a separate operation (non-fatal)
       let notificationId = null;
       try {
+        let tiedReference = null;
+        if (noticeTied) {
+          const { rows: tiedRows } = await pool.query(`SELECT reference_no FROM ${table} WHERE id=$1`, [noticeTied]);
+          tiedReference = tiedRows[0]?.reference_no || null;
+        }
         const notifMsg = noticeTied
-          ? `New ${resolvedKind === 'rejection_notice' ? 'rejection notice' : 'notice of determination'} issued by ${role} (tied to record #${noticeTied})`
-          : `New record added by ${role}: "${title}"`;
+          ? `New ${resolvedKind === 'rejection_notice' ? 'rejection notice' : 'notice of determination'} ${referenceNo} issued by ${role} (tied to record ${tiedReference || `#${noticeTied}`})`
+          : `New record ${referenceNo} added by ${role}: "${title}"`;
 
         const notifClient = await pool.connect();
         try {
@@ -2251,10 +2600,13 @@ async function handleAddRecord(req, res) {
         success: true, 
         message: stampApplied ? 'Record saved with stamp.' : 'Record saved.',
         recordId, 
+        referenceNo,
         notificationId, 
         attachmentId, 
         recordKind: resolvedKind,
-        stamped: stampApplied
+        stamped: stampApplied,
+        verificationCode: stampApplied ? formatVerificationCode(verification.code) : null,
+        revision: revision ? revision.revision_label : null
       });
     } catch (err) {
       await dbClient.query('ROLLBACK');
@@ -2592,31 +2944,204 @@ app.delete('/api/arrets/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  RECORD WORKFLOWS
+//  Approval steps for record registers, per project, record type and uploader
+//  side ('any' matches every side). Steps sharing an `order` run in parallel;
+//  a later order only opens once every required step before it is done.
+//  Optional steps never block progress or completion. Projects without a
+//  definition fall back to DEFAULT_RECORD_WORKFLOWS (the original two-step flow).
+// ─────────────────────────────────────────────────────────────────────────────
+const RECORD_WORKFLOW_PARTIES = ['contractor', 'consultant', 'client'];
+const RECORD_WORKFLOW_ACTIONS = ['approved', 'accepted'];
+
+const DEFAULT_RECORD_WORKFLOWS = {
+  contractor: [{ order: 1, party: 'consultant', label: 'Consultant Approval', action: 'approved' }, { order: 2, party: 'client', label: 'Client Acceptance', action: 'accepted' }],
+  consultant: [{ order: 1, party: 'client', label: 'Client Approval', action: 'approved' }, { order: 2, party: 'contractor', label: 'Contractor Acceptance', action: 'accepted' }],
+  client:     [{ order: 1, party: 'consultant', label: 'Consultant Approval', action: 'approved' }, { order: 2, party: 'contractor', label: 'Contractor Acceptance', action: 'accepted' }],
+};
+
+// Validates and normalises a steps array; throws INVALID_WORKFLOW with a message
+function parseWorkflowSteps(raw) {
+  const fail = (msg) => { const e = new Error(msg); e.code = 'INVALID_WORKFLOW'; throw e; };
+  if (!Array.isArray(raw) || !raw.length) fail('steps must be a non-empty array');
+  const steps = raw.map((s, i) => {
+    const party = String(s?.party || '').toLowerCase();
+    if (!RECORD_WORKFLOW_PARTIES.includes(party)) fail(`Step ${i + 1}: party must be one of ${RECORD_WORKFLOW_PARTIES.join(', ')}`);
+    const order = s.order === undefined ? i + 1 : Number(s.order);
+    if (!Number.isInteger(order) || order < 1) fail(`Step ${i + 1}: order must be a positive integer`);
+    const action = s.action || 'approved';
+    if (!RECORD_WORKFLOW_ACTIONS.includes(action)) fail(`Step ${i + 1}: action must be 'approved' or 'accepted'`);
+    if (!String(s.label || '').trim()) fail(`Step ${i + 1}: label is required`);
+    const allowed = sideRoles(sideLabel(party));
+    const roles = s.roles == null ? null : [].concat(s.roles).map(normalizeRole);
+    if (roles && (!roles.length || roles.some(r => !allowed.includes(r)))) fail(`Step ${i + 1}: roles must be within ${allowed.join(', ')}`);
+    return { order, party, roles, label: String(s.label).trim(), action, action_label: s.action_label ? String(s.action_label).trim() : null, optional: Boolean(s.optional) };
+  });
+  const seen = new Set();
+  for (const s of steps) {
+    if (seen.has(s.party)) fail(`Party ${s.party} appears in more than one step`);
+    seen.add(s.party);
+  }
+  if (steps.every(s => s.optional)) fail('At least one step must be required');
+  return steps.sort((a, b) => a.order - b.order);
+}
+
+// All definitions for one project/record type, keyed by uploader side
+async function loadRecordWorkflows(db, projectId, recordType) {
+  const { rows } = await db.query(
+    'SELECT uploader_side, steps FROM record_workflows WHERE project_id=$1 AND record_type=$2',
+    [projectId, recordType]
+  );
+  return Object.fromEntries(rows.map(r => [r.uploader_side, r.steps]));
+}
+
+function workflowStepsFor(workflows, uploaderSide) {
+  if (workflows?.[uploaderSide]) return { steps: workflows[uploaderSide], source: 'project' };
+  // The uploading side never approves its own records, so it drops out of an 'any' workflow
+  if (workflows?.any) return { steps: workflows.any.filter(st => st.party !== uploaderSide), source: 'project' };
+  return { steps: uploaderSide ? DEFAULT_RECORD_WORKFLOWS[uploaderSide] || null : null, source: 'default' };
+}
+
+function reviewMatchesStep(review, step) {
+  if (getSide(review.reviewer_role) !== step.party || !isDecisionMaker(review.reviewer_role)) return false;
+  return !step.roles || step.roles.includes(normalizeRole(review.reviewer_role));
+}
+
+// Evaluates a record against its steps: per-step status, whether it is
+// complete, the record status to store and which steps are open right now
+function evaluateRecordWorkflow(steps, reviews) {
+  if (!steps) return { steps: [], complete: false, rejected: false, status: 'pending_review', open: [] };
+  const evaluated = steps.map(s => {
+    const done = reviews.some(r => reviewMatchesStep(r, s) && RECORD_WORKFLOW_ACTIONS.includes(r.action));
+    const rejected = !done && reviews.some(r => reviewMatchesStep(r, s) && r.action === 'rejected');
+    return { ...s, done, rejected };
+  });
+  const required = evaluated.filter(s => !s.optional);
+  const rejected = evaluated.some(s => s.rejected && !s.optional);
+  const complete = !rejected && required.every(s => s.done);
+  // A step is open once every required step with a lower order is done
+  const open = evaluated.filter(s => !s.done && !s.rejected &&
+    required.every(r => r.order >= s.order || r.done));
+  let status;
+  if (rejected) status = 'rejected';
+  else if (complete) status = 'approved_record';
+  else {
+    const waiting = open.filter(s => !s.optional);
+    status = waiting.length === 1
+      ? `pending_${waiting[0].party}_${waiting[0].action === 'accepted' ? 'acceptance' : 'approval'}`
+      : 'pending_review';
+  }
+  return { steps: evaluated, complete, rejected, status, open };
+}
+
+function workflowApproveLabel(step) {
+  return step.action_label || (step.action === 'accepted' ? 'Accept' : 'Approve');
+}
+
+// GET /api/record-workflows?projectId=&recordType= — effective steps per uploader side
+app.get('/api/record-workflows', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  const table = resolveTable(req.query.recordType);
+  if (!projectId || !table) return res.status(400).json({ error: 'projectId and a valid recordType are required.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const workflows = await loadRecordWorkflows(pool, projectId, table);
+    const effective = Object.fromEntries(RECORD_WORKFLOW_PARTIES.map(side => [side, workflowStepsFor(workflows, side)]));
+    return res.json({ recordType: table, defined: workflows, effective });
+  } catch (err) {
+    console.error('GET /api/record-workflows:', err);
+    return res.status(500).json({ error: 'Failed to load workflows' });
+  }
+});
+
+// PUT /api/record-workflows — body: { projectId, recordType, uploaderSide: 'any'|side, steps: [...] }
+// Client-side decision makers own the contract set-up, so they define workflows.
+// Records already in review are re-evaluated against the new steps on their next action.
+app.put('/api/record-workflows', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const table = resolveTable(req.body.recordType);
+  const uploaderSide = String(req.body.uploaderSide || 'any').toLowerCase();
+  if (!projectId || !table) return res.status(400).json({ error: 'projectId and a valid recordType are required.' });
+  if (uploaderSide !== 'any' && !RECORD_WORKFLOW_PARTIES.includes(uploaderSide))
+    return res.status(400).json({ error: "uploaderSide must be 'any', 'contractor', 'consultant' or 'client'." });
+  if (getSide(req.user.role) !== 'client') return res.status(403).json({ error: 'Only the client side can configure record workflows.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const steps = parseWorkflowSteps(req.body.steps);
+    if (uploaderSide !== 'any' && steps.some(s => s.party === uploaderSide))
+      return res.status(400).json({ error: 'The uploading side cannot approve its own records.' });
+    const { rows } = await pool.query(
+      `INSERT INTO record_workflows (project_id, record_type, uploader_side, steps, updated_by, updated_role, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,NOW())
+       ON CONFLICT (project_id, record_type, uploader_side)
+       DO UPDATE SET steps=EXCLUDED.steps, updated_by=EXCLUDED.updated_by, updated_role=EXCLUDED.updated_role, updated_at=NOW()
+       RETURNING *`,
+      [projectId, table, uploaderSide, JSON.stringify(steps), req.user.user_id, req.user.role]
+    );
+    return res.json({ success: true, workflow: rows[0] });
+  } catch (err) {
+    if (err.code === 'INVALID_WORKFLOW') return res.status(400).json({ error: err.message });
+    console.error('PUT /api/record-workflows:', err);
+    return res.status(500).json({ error: 'Failed to save workflow' });
+  }
+});
+
+// DELETE /api/record-workflows — body: { projectId, recordType, uploaderSide } — back to the default
+app.delete('/api/record-workflows', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const table = resolveTable(req.body.recordType);
+  const uploaderSide = String(req.body.uploaderSide || 'any').toLowerCase();
+  if (!projectId || !table) return res.status(400).json({ error: 'projectId and a valid recordType are required.' });
+  if (getSide(req.user.role) !== 'client') return res.status(403).json({ error: 'Only the client side can configure record workflows.' });
+  try {
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId))
+      return res.status(403).json({ error: 'You are not assigned to this project.' });
+    const { rowCount } = await pool.query(
+      'DELETE FROM record_workflows WHERE project_id=$1 AND record_type=$2 AND uploader_side=$3',
+      [projectId, table, uploaderSide]
+    );
+    if (!rowCount) return res.status(404).json({ error: 'No workflow defined for that uploader side.' });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('DELETE /api/record-workflows:', err);
+    return res.status(500).json({ error: 'Failed to delete workflow' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  FETCH TAB RECORDS
 // ─────────────────────────────────────────────────────────────────────────────
 app.post('/api/fetch-tab-records', authenticateToken, async (req, res) => {
-  const { projectId, recordType } = req.body;
+  const { projectId, recordType, search } = req.body;
   const table = resolveTable(recordType);
   if (!table) return res.status(400).json({ error: 'Invalid or missing recordType.' });
+  const searchTerm = String(search || '').trim();
   const userId   = req.user.user_id;
   const userRole = req.user.role;
   const userSide = getSide(userRole);
   const userIsDM = isDecisionMaker(userRole);
   try {
     const { rows: records } = await pool.query(
-      `SELECT r.id, r.title, r.description, r.file_path,
+      `SELECT r.id, r.reference_no, r.title, r.description, r.file_path,
               r.issued_date, r.role AS uploader_role,
               r.uploaded_by, r.status, r.record_kind, r.notice_tied_id,
               r.signed_by_id, r.signed_by_role, r.signed_at,
-              r.stamp_type, r.stamped_doc_url, r.signature_hash, r.stamp_status
-       FROM ${table} r WHERE r.project_id = $1 ORDER BY r.issued_date DESC`,
-      [projectId]
+              r.stamp_type, r.stamped_doc_url, r.signature_hash, r.stamp_status,
+              (SELECT rr.revision_label FROM record_revisions rr WHERE rr.record_type = '${table}' AND rr.record_id = r.id
+               ORDER BY rr.revision_no DESC LIMIT 1) AS current_revision
+       FROM ${table} r WHERE r.project_id = $1
+         AND ($2::text IS NULL OR r.reference_no ILIKE $2 OR r.title ILIKE $2)
+       ORDER BY r.issued_date DESC`,
+      [projectId, searchTerm ? `%${searchTerm.replace(/[%_\\]/g, '\\$&')}%` : null]
     );
+    const workflows = await loadRecordWorkflows(pool, projectId, table);
     const enriched = await Promise.all(records.map(async rec => {
       const { rows: reviews } = await pool.query(
         `SELECT dr.reviewer_id, dr.reviewer_role, dr.action, dr.action_date,
-                dr.comment, dr.reviewer_email, dr.reviewer_position, dr.reviewer_assigned_part
+                dr.comment, dr.reviewer_email, dr.reviewer_position, dr.reviewer_assigned_part, dr.superseded_at
          FROM document_reviews dr WHERE dr.record_type = $1 AND dr.record_id = $2 ORDER BY dr.action_date ASC`,
         [table, rec.id]
       );
@@ -2631,50 +3156,39 @@ app.post('/api/fetch-tab-records', authenticateToken, async (req, res) => {
         isViewed = viewed.length > 0;
       }
       const myReviewRow = reviews.find(r => String(r.reviewer_id) === String(userId) && getSide(r.reviewer_role) === getSide(userRole));
+      // Decisions on an earlier revision stay in the history but no longer count
+      const currentReviews = annotatedReviews.filter(r => !r.superseded_at);
       const myReview    = myReviewRow ? { action: myReviewRow.action, comment: myReviewRow.comment || '' } : {};
-      const uploaderSide  = getSide(rec.uploader_role);
-      const step2SideMap  = { contractor: 'client', consultant: 'contractor', client: 'contractor' };
-      const step2Side     = step2SideMap[uploaderSide];
-      const isLocked      = rec.status === 'approved_record' || annotatedReviews.some(r => getSide(r.reviewer_role) === step2Side && r.action === 'accepted');
-      const stepMap = {
-        contractor: [{ side:'consultant',step:1,label:'Consultant Approval',action:'approved'},{side:'client',step:2,label:'Client Acceptance',action:'accepted'}],
-        consultant: [{ side:'client',step:1,label:'Client Approval',action:'approved'},{side:'contractor',step:2,label:'Contractor Acceptance',action:'accepted'}],
-        client:     [{ side:'consultant',step:1,label:'Consultant Approval',action:'approved'},{side:'contractor',step:2,label:'Contractor Acceptance',action:'accepted'}],
-      };
-      const steps = uploaderSide ? stepMap[uploaderSide] : null;
-      const workflowSteps = steps ? steps.map(s => {
-        const doneReview     = annotatedReviews.find(r => getSide(r.reviewer_role) === s.side && (r.action === 'approved' || r.action === 'accepted'));
-        const rejectedReview = annotatedReviews.find(r => getSide(r.reviewer_role) === s.side && r.action === 'rejected');
+      const uploaderSide = getSide(rec.uploader_role);
+      const { steps } = workflowStepsFor(workflows, uploaderSide);
+      const workflow = evaluateRecordWorkflow(steps, currentReviews);
+      const isLocked = rec.status === 'approved_record' || workflow.complete;
+      const workflowSteps = workflow.steps.map(s => {
         let status;
         if (isLocked) status = 'locked';
-        else if (doneReview) status = 'done';
-        else if (rejectedReview) status = 'rejected';
+        else if (s.done) status = 'done';
+        else if (s.rejected) status = 'rejected';
         else status = 'pending';
-        return { label: s.label, status };
-      }) : [];
+        return { label: s.label, status, order: s.order, party: s.party, optional: s.optional };
+      });
       let btnState = 'none', pendingRole = null, approveLabel = null;
       if (isUploader) { btnState = 'uploader'; }
       else if (isLocked) { btnState = 'locked'; }
       else if (!userIsDM) { btnState = 'team_member'; }
-      else if (userSide === uploaderSide) { btnState = 'none'; }
       else {
-        const workflowActions = ['approved', 'accepted', 'rejected'];
-        const alreadyActed = myReviewRow && workflowActions.includes(myReviewRow.action);
-        if (alreadyActed) { btnState = 'acted'; }
-        else if (steps) {
-          const myStep = steps.find(s => s.side === userSide);
-          if (!myStep) { btnState = 'none'; }
-          else if (myStep.step === 2) {
-            const step1 = steps.find(s => s.step === 1);
-            const step1Done = annotatedReviews.some(r => getSide(r.reviewer_role) === step1.side && (r.action === 'approved' || r.action === 'accepted'));
-            if (!step1Done) { btnState = 'awaiting'; pendingRole = step1.side; }
-            else { btnState = 'can_approve'; approveLabel = myStep.action === 'accepted' ? 'Accept' : 'Approve'; }
-          } else { btnState = 'can_approve'; approveLabel = myStep.action === 'accepted' ? 'Accept' : 'Approve'; }
+        const myStep = workflow.steps.find(s => s.party === userSide && (!s.roles || s.roles.includes(normalizeRole(userRole))));
+        const alreadyActed = myReviewRow && !myReviewRow.superseded_at && ['approved', 'accepted', 'rejected'].includes(myReviewRow.action);
+        if (!myStep) { btnState = 'none'; }
+        else if (alreadyActed) { btnState = 'acted'; }
+        else if (!workflow.open.includes(myStep)) {
+          btnState = 'awaiting';
+          pendingRole = [...new Set(workflow.steps.filter(s => !s.optional && !s.done && s.order < myStep.order).map(s => s.party))].join(', ') || null;
         }
+        else { btnState = 'can_approve'; approveLabel = workflowApproveLabel(myStep); }
       }
       // All notices tied to this record — full data, newest first, for card embedding
       const { rows: embeddedNotices } = await pool.query(
-        `SELECT id, title, description, file_path, issued_date,
+        `SELECT id, reference_no, title, description, file_path, issued_date,
                 role AS uploader_role, record_kind,
                 signed_by_id, signed_by_role, signed_at, stamp_type, stamped_doc_url
          FROM ${table}
@@ -2690,10 +3204,11 @@ app.post('/api/fetch-tab-records', authenticateToken, async (req, res) => {
       const myIssuedNotice = myNoticeRows.length > 0
         ? { id: myNoticeRows[0].id }
         : null;
-      let tiedRecordTitle = null;
+      let tiedRecordTitle = null, tiedRecordReference = null;
       if (rec.notice_tied_id) {
-        const { rows: tied } = await pool.query(`SELECT title FROM ${table} WHERE id = $1`, [rec.notice_tied_id]);
+        const { rows: tied } = await pool.query(`SELECT title, reference_no FROM ${table} WHERE id = $1`, [rec.notice_tied_id]);
         tiedRecordTitle = tied[0]?.title || null;
+        tiedRecordReference = tied[0]?.reference_no || null;
       }
       const signedByDisplayName = rec.signed_by_id ? await resolveDisplayNameFor(rec.signed_by_role, rec.signed_by_id, projectId) : null;
       return {
@@ -2712,6 +3227,7 @@ app.post('/api/fetch-tab-records', authenticateToken, async (req, res) => {
         my_issued_notice: myIssuedNotice,
         embedded_notices: embeddedNotices,
         tied_record_title: tiedRecordTitle,
+        tied_record_reference: tiedRecordReference,
       };
     }));
     res.json({ records: enriched });
@@ -2757,13 +3273,30 @@ app.post('/api/review-record', authenticateToken, upload.single('attachment'), a
   if (!isWorkflow && action !== 'no_action') return res.status(400).json({ error: 'Invalid action.' });
   if (isWorkflow && !isDecisionMaker(reviewerRole) && actorType !== 'team_member') return res.status(403).json({ error: 'Only decision makers can run workflow actions.' });
   try {
-    const { rows: recRows } = await pool.query(`SELECT id, role, uploaded_by, file_path, attachment_id, stamp_status, stamp_type FROM ${table} WHERE id=$1 AND project_id=$2`, [recordId, projectId]);
+    const { rows: recRows } = await pool.query(`SELECT id, role, uploaded_by, file_path, attachment_id, stamp_status, stamp_type, reference_no FROM ${table} WHERE id=$1 AND project_id=$2`, [recordId, projectId]);
     if (!recRows.length) return res.status(400).json({ error: 'Record not found. It may have been deleted.' });
     const rec = recRows[0];
     if (String(rec.uploaded_by) === String(reviewerId) && getSide(rec.role) === getSide(reviewerRole)) return res.status(403).json({ error: 'You cannot review your own record.' });
+    const stampRequested = stampDocument === 'true' && isWorkflow && (actorType === 'team_member' || isDecisionMakerActor);
+    if (stampRequested) {
+      if (req.file ? !/\.pdf$/i.test(req.file.originalname || '') : !rec.file_path) return res.status(400).json({ error: 'Stamped documents must be submitted as PDF.' });
+      const { rows: stampRows } = await pool.query(`SELECT 1 FROM user_stamps WHERE user_id=$1 AND user_role=$2 AND project_id=$3 LIMIT 1`, [reviewerId, reviewerRole, projectId]);
+      if (!stampRows.length) return res.status(400).json({ error: 'No stamp profile found. Set up your stamp first.' });
+    }
+    const stampType = (req.body.stampType || 'STAMPED').toUpperCase();
     const assignRow = await pool.query(`SELECT av.role_email AS email, av.title_position AS position FROM assignments_view av WHERE av.project_id=$1 AND av.role_id=$2 AND av.role=$3 LIMIT 1`, [projectId, reviewerId, reviewerRole]);
     const reviewerEmail = assignRow.rows[0]?.email || null, reviewerPosition = assignRow.rows[0]?.position || null;
-    const { rows: existing } = await pool.query(`SELECT id, action FROM document_reviews WHERE record_type=$1 AND record_id=$2 AND reviewer_id=$3 AND reviewer_role=$4 LIMIT 1`, [table, recordId, reviewerId, reviewerRole]);
+    const { rows: existing } = await pool.query(`SELECT id, action, superseded_at FROM document_reviews WHERE record_type=$1 AND record_id=$2 AND reviewer_id=$3 AND reviewer_role=$4 LIMIT 1`, [table, recordId, reviewerId, reviewerRole]);
+    const workflows = isDecisionMakerActor && isWorkflow ? await loadRecordWorkflows(pool, projectId, table) : null;
+    const { steps } = workflows ? workflowStepsFor(workflows, getSide(rec.role)) : { steps: null };
+    if (workflows) {
+      const { rows: priorReviews } = await pool.query(`SELECT reviewer_role, action FROM document_reviews WHERE record_type=$1 AND record_id=$2 AND superseded_at IS NULL`, [table, recordId]);
+      const before = evaluateRecordWorkflow(steps, priorReviews);
+      const myStep = before.steps.find(s => s.party === getSide(reviewerRole) && (!s.roles || s.roles.includes(normalizeRole(reviewerRole))));
+      if (!myStep) return res.status(403).json({ error: 'Your role has no step in this record\'s workflow.' });
+      if (before.complete) return res.status(409).json({ error: 'This record has already completed its workflow.' });
+      if (!before.open.includes(myStep) && !myStep.done && !myStep.rejected) return res.status(409).json({ error: 'Earlier workflow steps must be completed first.' });
+    }
     if (action === 'no_action' && comment?.trim()) {
       if (existing.length > 0) { await pool.query(`UPDATE document_reviews SET comment=$1, action_date=NOW() WHERE id=$2`, [comment.trim(), existing[0].id]); }
       else {
@@ -2773,65 +3306,76 @@ app.post('/api/review-record', authenticateToken, upload.single('attachment'), a
       }
       return res.json({ success: true, message: 'Comment saved.' });
     }
-    if (existing.length > 0) {
-      if (isDecisionMakerActor && workflowActions.includes(existing[0].action)) return res.status(409).json({ error: `You already ${existing[0].action} this record.` });
-      await pool.query(`UPDATE document_reviews SET action=$1, action_date=NOW(), comment=COALESCE($2,comment) WHERE id=$3`, [action, comment?.trim() || null, existing[0].id]);
-    } else {
-      let reviewerAssignedPart = null;
-      if (reviewerRole === 'TeamMember') {
-        const { rows: tmRows } = await pool.query(`SELECT assigned_part FROM team_member_assignments WHERE project_id=$1 AND team_member_id=$2 LIMIT 1`, [projectId, reviewerId]);
-        reviewerAssignedPart = tmRows[0]?.assigned_part || null;
+    if (existing.length > 0 && isDecisionMakerActor && !existing[0].superseded_at && workflowActions.includes(existing[0].action)) return res.status(409).json({ error: `You already ${existing[0].action} this record.` });
+
+    // Burn and upload the stamp before anything is written, so a document that
+    // can't be stamped leaves the review open for a retry
+    let stamped = null, uploaded = null, verification = null;
+    const fileName = req.file?.originalname || `${rec.reference_no || `record-${recordId}`}.pdf`;
+    if (stampRequested) {
+      try {
+        // A reviewer may upload a marked-up PDF to stamp; otherwise the current revision is stamped
+        const source = req.file ? req.file.buffer : await fetchRemoteBuffer(rec.file_path);
+        verification = await newStampVerification(pool);
+        stamped = await stampPdfForUser(source, {
+          projectId, table, recordId, userId: reviewerId, role: reviewerRole,
+          stampType, action, reference: rec.reference_no, verification,
+        });
+        uploaded = await uploadRecordBuffer(stamped.buffer, fileName);
+      } catch (stampErr) {
+        console.error('Review-record stamping failed:', stampErr);
+        return res.status(stampErr.status || 500).json({ error: stampErr.status ? stampErr.message : 'Failed to stamp and replace the document.' });
       }
-      await pool.query(`INSERT INTO document_reviews (record_type,record_id,record_kind,reviewer_id,reviewer_role,reviewer_email,reviewer_position,reviewer_assigned_part,action,comment) VALUES ($1,$2,'new',$3,$4,$5,$6,$7,$8,$9)`, [table, recordId, reviewerId, reviewerRole, reviewerEmail, reviewerPosition, reviewerAssignedPart, action, comment?.trim() || null]);
     }
 
-    let stampedDocUrl = null;
-    let stampedAttachmentId = null;
-    let stampApplied = false;
-    const isSignatureActor = actorType === 'team_member' || isDecisionMakerActor;
-    if (isSignatureActor && isWorkflow && stampDocument === 'true' && req.file) {
-      if (!/\.pdf$/i.test(req.file.originalname || '')) {
-        return res.status(400).json({ error: 'Stamped documents must be submitted as PDF.' });
+    const reviewClient = await pool.connect();
+    try {
+      await reviewClient.query('BEGIN');
+      if (existing.length > 0) {
+        await reviewClient.query(`UPDATE document_reviews SET action=$1, action_date=NOW(), comment=COALESCE($2,comment), superseded_at=NULL WHERE id=$3`, [action, comment?.trim() || null, existing[0].id]);
+      } else {
+        let reviewerAssignedPart = null;
+        if (reviewerRole === 'TeamMember') {
+          const { rows: tmRows } = await reviewClient.query(`SELECT assigned_part FROM team_member_assignments WHERE project_id=$1 AND team_member_id=$2 LIMIT 1`, [projectId, reviewerId]);
+          reviewerAssignedPart = tmRows[0]?.assigned_part || null;
+        }
+        await reviewClient.query(`INSERT INTO document_reviews (record_type,record_id,record_kind,reviewer_id,reviewer_role,reviewer_email,reviewer_position,reviewer_assigned_part,action,comment) VALUES ($1,$2,'new',$3,$4,$5,$6,$7,$8,$9)`, [table, recordId, reviewerId, reviewerRole, reviewerEmail, reviewerPosition, reviewerAssignedPart, action, comment?.trim() || null]);
       }
-      try {
-        const r = await new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            { folder: 'oneproject/records', resource_type: 'auto', public_id: `${Date.now()}-${req.file.originalname.replace(/\s+/g, '-')}` },
-            (err, result) => err ? reject(err) : resolve(result)
-          );
-          Readable.from(req.file.buffer).pipe(stream);
+      if (stamped) {
+        const revision = await addRecordRevision(reviewClient, {
+          table, recordId, kind: 'stamped', fileUrl: uploaded.secure_url, attachmentId: uploaded.public_id,
+          fileName, buffer: stamped.buffer, userId: reviewerId, role: reviewerRole, note: `Stamped on ${action}`,
+        });
+        await recordStampVerification(reviewClient, {
+          code: verification.code, table, recordId, revisionId: revision.id, userId: reviewerId, role: reviewerRole, stampType, action,
         });
-        stampedDocUrl = r.secure_url;
-        stampedAttachmentId = r.public_id;
-        stampApplied = true;
         // Only decision makers should change the overall stamp_status.
         if (isDecisionMakerActor) {
           const nextStampStatus = getStampStatusFromActor(rec.stamp_status, 'approver');
-          await pool.query(
-            `UPDATE ${table} SET file_path=$1, attachment_id=$2, stamped_doc_url=$3, signed_by_id=$4, signed_by_role=$5, signed_at=NOW(), stamp_type=$6, stamp_status=$7 WHERE id=$8 AND project_id=$9`,
-            [stampedDocUrl, stampedAttachmentId, stampedDocUrl, reviewerId, reviewerRole, 'STAMPED', nextStampStatus, recordId, projectId]
+          await reviewClient.query(
+            `UPDATE ${table} SET file_path=$1, attachment_id=$2, stamped_doc_url=$3, signed_by_id=$4, signed_by_role=$5, signed_at=NOW(), stamp_type=$6, stamp_status=$7, signature_hash=$8 WHERE id=$9 AND project_id=$10`,
+            [uploaded.secure_url, uploaded.public_id, uploaded.secure_url, reviewerId, reviewerRole, stampType, nextStampStatus, stamped.hash, recordId, projectId]
           );
         } else {
-          // Team members can attach a signed PDF, but must not change stamp_status.
-          await pool.query(
-            `UPDATE ${table} SET file_path=$1, attachment_id=$2, stamped_doc_url=$3, signed_by_id=$4, signed_by_role=$5, signed_at=NOW(), stamp_type=$6 WHERE id=$7 AND project_id=$8`,
-            [stampedDocUrl, stampedAttachmentId, stampedDocUrl, reviewerId, reviewerRole, 'STAMPED', recordId, projectId]
+          // Team members can sign the document, but must not change stamp_status.
+          await reviewClient.query(
+            `UPDATE ${table} SET file_path=$1, attachment_id=$2, stamped_doc_url=$3, signed_by_id=$4, signed_by_role=$5, signed_at=NOW(), stamp_type=$6, signature_hash=$7 WHERE id=$8 AND project_id=$9`,
+            [uploaded.secure_url, uploaded.public_id, uploaded.secure_url, reviewerId, reviewerRole, stampType, stamped.hash, recordId, projectId]
           );
         }
-      } catch (uploadErr) {
-        console.error('Review-record stamp upload failed:', uploadErr);
-        return res.status(500).json({ error: 'Failed to stamp and replace the document.' });
       }
-    }
+      await reviewClient.query('COMMIT');
+    } catch (writeErr) {
+      await reviewClient.query('ROLLBACK');
+      throw writeErr;
+    } finally { reviewClient.release(); }
+    const stampApplied = Boolean(stamped);
 
     if (isDecisionMakerActor && isWorkflow) {
-      const uploaderSide = getSide(rec.role);
-      let newStatus;
-      if (action === 'rejected') { newStatus = 'rejected'; }
-      else if (action === 'accepted') { newStatus = 'approved_record'; }
-      else { const m = { contractor: 'pending_client_acceptance', consultant: 'pending_contractor_acceptance', client: 'pending_contractor_acceptance' }; newStatus = m[uploaderSide] || 'pending_review'; }
+      const { rows: allReviews } = await pool.query(`SELECT reviewer_role, action FROM document_reviews WHERE record_type=$1 AND record_id=$2 AND superseded_at IS NULL`, [table, recordId]);
+      const newStatus = evaluateRecordWorkflow(steps, allReviews).status;
       await pool.query(`UPDATE ${table} SET status=$1 WHERE id=$2 AND project_id=$3`, [newStatus, recordId, projectId]);
-      const notifMsg = `${reviewerRole} ${action} record #${recordId} (uploaded by ${rec.role})`;
+      const notifMsg = `${reviewerRole} ${action} record ${rec.reference_no || `#${recordId}`} (uploaded by ${rec.role})`;
       const dbClient = await pool.connect();
       try {
         await dbClient.query('BEGIN');
@@ -2844,23 +3388,34 @@ app.post('/api/review-record', authenticateToken, upload.single('attachment'), a
         await dbClient.query('COMMIT');
       } catch (notifErr) { await dbClient.query('ROLLBACK'); console.error('Notification insert error (non-fatal):', notifErr); } finally { dbClient.release(); }
     }
-    res.json({ success: true, message: `Action '${action}' recorded successfully.` });
+    res.json({
+      success: true,
+      message: `Action '${action}' recorded successfully.`,
+      verificationCode: stampApplied ? formatVerificationCode(verification.code) : null,
+    });
   } catch (err) { console.error('Review record error:', err); res.status(500).json({ error: 'Failed to process review.' }); }
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
 //  DOWNLOAD / DELETE RECORD
 // ─────────────────────────────────────────────────────────────────────────────
+// ?revision=0|A|B… serves that revision; without it the latest revision
 app.get('/api/download-file', authenticateToken, async (req, res) => {
-  const { recordId, recordType, filename } = req.query;
+  const { recordId, recordType, filename, revision } = req.query;
   const table = resolveTable(recordType);
   if (!table) return res.status(400).json({ error: 'Invalid or missing recordType.' });
   try {
     const { rows } = await pool.query(`SELECT file_path, stamped_doc_url FROM ${table} WHERE id=$1`, [recordId]);
     if (!rows.length) return res.status(404).json({ error: 'File not found.' });
-    const filePath = rows[0].stamped_doc_url || rows[0].file_path;
+    const rev = await findRecordRevision(pool, table, recordId, revision);
+    if (revision && !rev) return res.status(404).json({ error: `Revision ${revision} not found.` });
+    // Records older than revision tracking have no revision rows
+    const filePath = rev?.file_url || rows[0].stamped_doc_url || rows[0].file_path;
     if (!filePath) return res.status(404).json({ error: 'File not found.' });
-    if (rows[0].stamped_doc_url) {
+    if (rev) {
+      console.log('Download proxy serving revision', rev.revision_label, 'for record', recordId);
+      res.setHeader('X-Record-Revision', rev.revision_label);
+    } else if (rows[0].stamped_doc_url) {
       console.log('Download proxy using stamped_doc_url for record', recordId);
     }
     if (filePath.startsWith('http')) {
@@ -3041,73 +3596,433 @@ async function resolveSignerNameForStamp(projectId, userId, role) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-app.get('/api/my-stamp', authenticateToken, async (req, res) => {
-  const { user_id, role } = req.user;
-  const projectId = parseInt(req.query.projectId, 10);
-  if (!projectId) return res.status(400).json({ error: 'projectId required' });
-  try {
-    const { rows } = await pool.query(
-      `SELECT id, signer_name, signature_image, stamp_image_url, updated_at
-       FROM user_stamps WHERE user_id=$1 AND user_role=$2 AND project_id=$3 LIMIT 1`,
-      [user_id, role, projectId]
+//  SERVER-SIDE STAMPING
+//  Stamps are burned into the PDF here from the signer's user_stamps profile,
+//  never taken on trust from the client. Each stamp goes into its own slot on
+//  the last page (right to left, then upwards) so later stamps don't cover
+//  earlier ones. The SHA-256 of the stamped file is stored as signature_hash.
+//  Each stamp also carries a QR code and short code for /verify/:code.
+// ─────────────────────────────────────────────────────────────────────────────
+const STAMP_BOX = { width: 240, height: 84, gap: 8, margin: 24, qr: 62 };
+// Crockford base32: no I, L, O or U, so codes survive being read aloud or retyped
+const VERIFICATION_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const VERIFY_BASE_URL = (process.env.VERIFY_BASE_URL || 'https://oneprojectapp-backend.onrender.com').replace(/\/+$/, '');
+const STAMP_COLORS = {
+  APPROVED: [0.1, 0.5, 0.2],
+  ACCEPTED: [0.1, 0.5, 0.2],
+  REJECTED: [0.75, 0.1, 0.1],
+  STAMPED: [0.1, 0.25, 0.6],
+};
+
+function uploadRecordBuffer(buffer, originalName) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: 'oneproject/records', resource_type: 'auto', public_id: `${Date.now()}-${String(originalName || 'document.pdf').replace(/\s+/g, '-')}` },
+      (err, result) => err ? reject(err) : resolve(result)
     );
-    const stamp = rows[0] || null;
-    if (stamp) {
-      const [signerName, companyName, positionSide] = await Promise.all([
-        resolveSignerNameForStamp(projectId, user_id, role),
-        resolveCompanyNameForStamp(projectId, user_id, role),
-        resolvePositionAndSideForStamp(projectId, user_id, role),
-      ]);
-      stamp.signer_name = stamp.signer_name || signerName;
-      stamp.company_name = companyName;
-      stamp.position = positionSide.position;
-      stamp.side = positionSide.side;
-    }
-    res.json({ stamp });
-  } catch (err) { console.error('GET my-stamp:', err); res.status(500).json({ error: 'Failed.' }); }
-});
+    Readable.from(buffer).pipe(stream);
+  });
+}
 
-// Open-redirect endpoint: used by frontend fallback to let the browser
-// navigate directly to the remote file URL (so the browser downloads from
-// Cloudinary and avoids server proxy issues).
-app.get('/api/open-remote-file', authenticateToken, async (req, res) => {
-  const { recordId, recordType } = req.query;
-  const table = resolveTable(recordType);
-  if (!table) return res.status(400).send('Invalid recordType');
+async function fetchRemoteBuffer(url) {
+  const resp = await fetch(url, { method: 'GET', redirect: 'follow' });
+  if (!resp.ok) throw new Error(`Fetching ${url} failed with status ${resp.status}`);
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+// signature_image is either a drawn data URL or an uploaded image URL
+async function loadSignatureImageBytes(source) {
+  if (!source) return null;
   try {
-    const { rows } = await pool.query(`SELECT file_path, stamped_doc_url FROM ${table} WHERE id=$1`, [recordId]);
-    if (!rows.length) return res.status(404).send('Not found');
-    const filePath = rows[0].stamped_doc_url || rows[0].file_path;
-    if (!filePath) return res.status(404).send('No file available');
-    if (!filePath.startsWith('http')) return res.status(400).send('File is not a remote URL');
-    console.log('Open-remote-file redirect for record', recordId, filePath);
-    return res.redirect(filePath);
+    const bytes = source.startsWith('data:')
+      ? Buffer.from(source.slice(source.indexOf(',') + 1), 'base64')
+      : await fetchRemoteBuffer(source);
+    if (bytes[0] === 0x89 && bytes[1] === 0x50) return { bytes, type: 'png' };
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return { bytes, type: 'jpg' };
+    console.warn('[stamp] unsupported signature image format, stamping without it');
+    return null;
   } catch (err) {
-    console.error('Open-remote-file error:', err.message);
-    return res.status(500).send('Server error');
+    console.warn('[stamp] could not load signature image:', err.message);
+    return null;
   }
-});
+}
 
-app.post('/api/my-stamp', authenticateToken, photoUpload.fields([{ name: 'stampImage', maxCount: 1 }, { name: 'signatureImageFile', maxCount: 1 }]), async (req, res) => {
-  const { user_id, role } = req.user;
-  const projectId = parseInt(req.query.projectId, 10);
-  if (!projectId) return res.status(400).json({ error: 'projectId required' });
-  if (!isDecisionMaker(role) && role !== 'TeamMember') return res.status(403).json({ error: 'Only decision makers and team members can create a signature profile.' });
-  try {
-    const { signatureBase64 } = req.body;
-    const signerName = typeof req.body.signerName === 'string'
-      ? req.body.signerName.trim()
-      : null;
-    
-    // Handle signature: either base64 from drawing or uploaded image
-    let signatureImage = null;
-    if (signatureBase64) {
-      signatureImage = signatureBase64;
-    } else if (req.files?.signatureImageFile?.[0]) {
-      // Upload signature image to Cloudinary
-      const uploadRes = await uploadToCloudinary(req.files.signatureImageFile[0].buffer, 'oneproject/stamps/signatures', 'image');
-      signatureImage = uploadRes.secure_url;
-    }
+async function loadStampProfile(projectId, userId, role) {
+  const { rows } = await pool.query(
+    'SELECT signer_name, signature_image FROM user_stamps WHERE user_id=$1 AND user_role=$2 AND project_id=$3 LIMIT 1',
+    [userId, role, projectId]
+  );
+  if (!rows.length) return null;
+  const [signerName, companyName, positionSide] = await Promise.all([
+    resolveSignerNameForStamp(projectId, userId, role),
+    resolveCompanyNameForStamp(projectId, userId, role),
+    resolvePositionAndSideForStamp(projectId, userId, role),
+  ]);
+  return {
+    signer_name: rows[0].signer_name || signerName || role,
+    signature_image: rows[0].signature_image,
+    company_name: companyName,
+    position: positionSide.position || role,
+  };
+}
+
+// 8 characters = 40 bits; 256 is a multiple of 32 so byte % 32 is unbiased
+function generateVerificationCode() {
+  return Array.from(crypto.randomBytes(8), b => VERIFICATION_ALPHABET[b % 32]).join('');
+}
+
+function formatVerificationCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Accepts the printed XXXX-XXXX form, lowercase and the usual misreadings
+function normalizeVerificationCode(input) {
+  const code = String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '')
+    .replace(/O/g, '0').replace(/[IL]/g, '1');
+  return code.length === 8 && [...code].every(c => VERIFICATION_ALPHABET.includes(c)) ? code : null;
+}
+
+// The code is printed before its row exists, so make sure it is free first;
+// 40 random bits make a second attempt all but theoretical
+async function newStampVerification(db) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateVerificationCode();
+    const { rows } = await db.query('SELECT 1 FROM stamp_verifications WHERE code=$1', [code]);
+    if (!rows.length) return { code, url: `${VERIFY_BASE_URL}/verify/${formatVerificationCode(code)}` };
+  }
+  throw new Error('Could not allocate a free stamp verification code');
+}
+
+async function recordStampVerification(db, { code, table, recordId, revisionId, userId, role, stampType, action = null }) {
+  await db.query(
+    `INSERT INTO stamp_verifications (code, record_type, record_id, revision_id, signer_id, signer_role, stamp_type, action)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+    [code, table, recordId, revisionId || null, userId, role, stampType, action]
+  );
+}
+
+// Vector QR: one rectangle per horizontal run of dark modules
+function drawQrCode(page, text, { x, y, size, color }) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const quiet = 2;
+  const cell = size / (modules.size + quiet * 2);
+  page.drawRectangle({ x, y, width: size, height: size, color: rgb(1, 1, 1) });
+  for (let r = 0; r < modules.size; r++) {
+    for (let c = 0; c < modules.size; c++) {
+      if (!modules.get(r, c)) continue;
+      let run = 1;
+      while (c + run < modules.size && modules.get(r, c + run)) run++;
+      page.drawRectangle({
+        x: x + (quiet + c) * cell,
+        y: y + size - (quiet + r + 1) * cell,
+        width: run * cell,
+        height: cell,
+        color,
+      });
+      c += run - 1;
+    }
+  }
+}
+
+// Draws one stamp block; returns the box so callers can add to it.
+// `verification` ({ code, url }) adds the QR code and short code on the right.
+async function burnStampIntoPdf(pdfBuffer, { profile, stampType, action, reference, signedAt = new Date(), slot = 0, verification = null }) {
+  const doc = await PDFDocument.load(pdfBuffer);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const page = doc.getPages()[doc.getPageCount() - 1];
+  const { width } = page.getSize();
+  const perRow = Math.max(1, Math.floor((width - 2 * STAMP_BOX.margin + STAMP_BOX.gap) / (STAMP_BOX.width + STAMP_BOX.gap)));
+  const col = slot % perRow, row = Math.floor(slot / perRow);
+  const box = {
+    x: width - STAMP_BOX.margin - (col + 1) * STAMP_BOX.width - col * STAMP_BOX.gap,
+    y: STAMP_BOX.margin + row * (STAMP_BOX.height + STAMP_BOX.gap),
+    width: STAMP_BOX.width,
+    height: STAMP_BOX.height,
+  };
+  const color = rgb(...(STAMP_COLORS[stampType] || STAMP_COLORS.STAMPED));
+  page.drawRectangle({ ...box, borderColor: color, borderWidth: 1.5, color: rgb(1, 1, 1), opacity: 0.85, borderOpacity: 1 });
+  // Text and signature share whatever the QR column leaves
+  const content = box.width - (verification ? STAMP_BOX.qr + 6 : 0);
+
+  const lines = [
+    [pdfSafeText(`${stampType}${action && action.toUpperCase() !== stampType ? ` - ${action.toUpperCase()}` : ''}`), bold, 9],
+    [pdfSafeText(profile.signer_name), bold, 8],
+    [pdfSafeText(profile.company_name || ''), font, 7],
+    [pdfSafeText(profile.position || ''), font, 7],
+    [pdfSafeText(`${signedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`), font, 7],
+    [pdfSafeText(reference || ''), font, 7],
+  ].filter(([text]) => text);
+  let ty = box.y + box.height - 12;
+  for (const [text, f, size] of lines) {
+    page.drawText(text, { x: box.x + 6, y: ty, size, font: f, color, maxWidth: content * 0.6 });
+    ty -= size + 3;
+  }
+
+  const signature = await loadSignatureImageBytes(profile.signature_image);
+  if (signature) {
+    const img = signature.type === 'png' ? await doc.embedPng(signature.bytes) : await doc.embedJpg(signature.bytes);
+    const scaled = img.scaleToFit(content * 0.36, box.height * 0.5);
+    page.drawImage(img, { x: box.x + content - scaled.width - 6, y: box.y + 6, width: scaled.width, height: scaled.height });
+  }
+
+  if (verification) {
+    const qrX = box.x + box.width - STAMP_BOX.qr - 6;
+    drawQrCode(page, verification.url, { x: qrX, y: box.y + box.height - STAMP_BOX.qr - 4, size: STAMP_BOX.qr, color: rgb(0, 0, 0) });
+    const label = formatVerificationCode(verification.code);
+    const labelWidth = bold.widthOfTextAtSize(label, 7);
+    page.drawText(label, { x: qrX + (STAMP_BOX.qr - labelWidth) / 2, y: box.y + 6, size: 7, font: bold, color });
+  }
+
+  const buffer = Buffer.from(await doc.save());
+  return { buffer, hash: sha256Hex(buffer), box };
+}
+
+// Stamps `pdfBuffer` for a user; throws { status } when they can't stamp
+async function stampPdfForUser(pdfBuffer, { projectId, table, recordId, userId, role, stampType, action, reference, verification }) {
+  const profile = await loadStampProfile(projectId, userId, role);
+  if (!profile) throw Object.assign(new Error('No stamp profile found. Set up your stamp first.'), { status: 400 });
+  const { rows } = await pool.query(
+    `SELECT COUNT(*)::int AS n FROM record_revisions WHERE record_type=$1 AND record_id=$2 AND kind='stamped'`,
+    [table, recordId]
+  );
+  try {
+    return await burnStampIntoPdf(pdfBuffer, { profile, stampType, action, reference, slot: rows[0].n, verification });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error('[stamp] PDF stamping failed:', err.message);
+    throw Object.assign(new Error('The document could not be stamped. Make sure it is an unencrypted PDF.'), { status: 400 });
+  }
+}
+
+// The verification endpoints are unauthenticated; throttle per client IP
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many verification requests. Please try again later.' },
+});
+
+// Public: confirms a copy is authentic and unaltered. Either
+//   GET  /api/verify-record?recordType=&recordId=&hash=
+//   POST /api/verify-record (multipart file, optional recordType/recordId)
+// Only server-stamped revisions are authentic; a match on an original or a
+// resubmission is reported with its kind but authentic:false.
+async function verifyRecordHash(hash, table = null, recordId = null) {
+  const params = [hash.toLowerCase()];
+  let scope = '';
+  if (table && recordId) { params.push(table, recordId); scope = ' AND record_type=$2 AND record_id=$3'; }
+  const { rows } = await pool.query(
+    `SELECT record_type, record_id, revision_no, revision_label, kind, created_at FROM record_revisions WHERE sha256=$1${scope}
+     ORDER BY (kind='stamped') DESC, created_at DESC LIMIT 1`,
+    params
+  );
+  if (!rows.length) return { authentic: false };
+  const rev = rows[0];
+  const { rows: recRows } = await pool.query(
+    `SELECT r.id, r.reference_no, r.title, r.status, r.signed_at, r.signed_by_role, r.project_id,
+            (SELECT MAX(revision_no) FROM record_revisions rr WHERE rr.record_type=$2 AND rr.record_id=r.id) AS latest_revision_no
+     FROM ${rev.record_type} r WHERE r.id=$1`,
+    [rev.record_id, rev.record_type]
+  );
+  if (!recRows.length) return { authentic: false };
+  const rec = recRows[0];
+  return {
+    authentic: rev.kind === 'stamped',
+    is_current_revision: rev.revision_no === rec.latest_revision_no,
+    record: { record_type: rev.record_type, id: rec.id, reference_no: rec.reference_no, title: rec.title, status: rec.status },
+    revision: { label: rev.revision_label, kind: rev.kind, created_at: rev.created_at },
+  };
+}
+
+app.get('/api/verify-record', verifyLimiter, async (req, res) => {
+  const { recordType, recordId, hash } = req.query;
+  const table = resolveTable(recordType);
+  if (!table || !/^\d+$/.test(String(recordId || '')) || !/^[0-9a-f]{64}$/i.test(String(hash || ''))) return res.status(400).json({ error: 'recordType, a numeric recordId and a SHA-256 hash are required.' });
+  try {
+    res.json(await verifyRecordHash(hash, table, recordId));
+  } catch (err) { console.error('Verify record error:', err); res.status(500).json({ error: 'Verification failed.' }); }
+});
+
+app.post('/api/verify-record', verifyLimiter, upload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'Upload the PDF copy to verify.' });
+  const table = req.body.recordType ? resolveTable(req.body.recordType) : null;
+  if (req.body.recordType && !table) return res.status(400).json({ error: 'Invalid recordType.' });
+  if (table && !/^\d+$/.test(String(req.body.recordId || ''))) return res.status(400).json({ error: 'recordId must be numeric.' });
+  try {
+    const hash = sha256Hex(req.file.buffer);
+    res.json({ hash, ...(await verifyRecordHash(hash, table, table ? req.body.recordId : null)) });
+  } catch (err) { console.error('Verify record upload error:', err); res.status(500).json({ error: 'Verification failed.' }); }
+});
+
+// What a scanned QR / typed short code resolves to. Read-only and public:
+// it only confirms who stamped what and whether that copy is still current.
+async function loadStampVerification(code) {
+  const { rows } = await pool.query(
+    `SELECT sv.*, rr.revision_no, rr.revision_label FROM stamp_verifications sv
+     LEFT JOIN record_revisions rr ON rr.id = sv.revision_id
+     WHERE sv.code=$1`,
+    [code]
+  );
+  if (!rows.length) return null;
+  const sv = rows[0];
+  if (!VALID_RECORD_TABLES.has(sv.record_type)) return null;
+  const { rows: recRows } = await pool.query(
+    `SELECT r.id, r.project_id, r.reference_no, r.title, r.role, r.status,
+            (SELECT MAX(revision_no) FROM record_revisions rr WHERE rr.record_type=$2 AND rr.record_id=r.id) AS latest_revision_no
+     FROM ${sv.record_type} r WHERE r.id=$1`,
+    [sv.record_id, sv.record_type]
+  );
+  if (!recRows.length) return null;
+  const rec = recRows[0];
+  const [signerName, companyName, workflows, reviews] = await Promise.all([
+    resolveSignerNameForStamp(rec.project_id, sv.signer_id, sv.signer_role),
+    resolveCompanyNameForStamp(rec.project_id, sv.signer_id, sv.signer_role),
+    loadRecordWorkflows(pool, rec.project_id, sv.record_type),
+    pool.query(`SELECT reviewer_role, action FROM document_reviews WHERE record_type=$1 AND record_id=$2 AND superseded_at IS NULL`, [sv.record_type, sv.record_id]),
+  ]);
+  const workflow = evaluateRecordWorkflow(workflowStepsFor(workflows, getSide(rec.role)).steps, reviews.rows);
+  return {
+    valid: true,
+    code: formatVerificationCode(sv.code),
+    record: { record_type: sv.record_type, reference_no: rec.reference_no, title: rec.title, status: rec.status },
+    stamp: {
+      signer_name: signerName || sv.signer_role,
+      signer_role: sv.signer_role,
+      company_name: companyName,
+      stamp_type: sv.stamp_type,
+      action: sv.action,
+      signed_at: sv.created_at,
+    },
+    workflow: {
+      status: workflow.status,
+      steps: workflow.steps.map(st => ({ party: st.party, action: st.action, optional: !!st.optional, done: st.done, rejected: st.rejected })),
+    },
+    revision: sv.revision_label == null ? null : { label: sv.revision_label },
+    is_current_revision: sv.revision_no != null && sv.revision_no === rec.latest_revision_no,
+  };
+}
+
+app.get('/api/verify/:code', verifyLimiter, async (req, res) => {
+  const code = normalizeVerificationCode(req.params.code);
+  if (!code) return res.status(400).json({ error: 'Invalid verification code.' });
+  try {
+    const result = await loadStampVerification(code);
+    if (!result) return res.status(404).json({ valid: false, error: 'No stamp found for this code.' });
+    res.json(result);
+  } catch (err) { console.error('Verify code error:', err); res.status(500).json({ error: 'Verification failed.' }); }
+});
+
+// Human-readable page the QR code points at
+app.get('/verify/:code', verifyLimiter, async (req, res) => {
+  const code = normalizeVerificationCode(req.params.code);
+  const page = (heading, body) => res.type('html').send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${xmlEscape(heading)}</title>
+<style>body{font-family:sans-serif;max-width:32rem;margin:2rem auto;padding:0 1rem;color:#222}th{text-align:left;padding-right:1rem;vertical-align:top}td,th{padding-bottom:.4rem}.ok{color:#1a7f37}.warn{color:#b35900}.bad{color:#b42318}</style>
+</head><body><h1>${xmlEscape(heading)}</h1>${body}</body></html>`);
+  try {
+    const result = code ? await loadStampVerification(code) : null;
+    if (!result) {
+      res.status(code ? 404 : 400);
+      return page('Stamp not verified', '<p class="bad">No stamp matches this code. The copy may not be genuine, or the record has been withdrawn.</p>');
+    }
+    const { record, stamp, workflow, revision } = result;
+    const rows = [
+      ['Verification code', result.code],
+      ['Record', `${record.reference_no ? `${record.reference_no} - ` : ''}${record.title || ''}`],
+      ['Signed by', `${stamp.signer_name} (${stamp.signer_role})`],
+      ['Company', stamp.company_name || '-'],
+      ['Stamp', `${stamp.stamp_type}${stamp.action ? ` - ${stamp.action}` : ''}`],
+      ['Date', `${new Date(stamp.signed_at).toISOString().slice(0, 16).replace('T', ' ')} UTC`],
+      ['Workflow status', workflow.status.replace(/_/g, ' ')],
+      ['Revision', revision ? revision.label : '-'],
+    ];
+    const current = result.is_current_revision
+      ? '<p class="ok">This stamped copy is the current revision of the record.</p>'
+      : '<p class="warn">This stamped copy has been superseded by a later revision.</p>';
+    page('Stamp verified', `${current}<table>${rows.map(([k, v]) => `<tr><th>${xmlEscape(k)}</th><td>${xmlEscape(v)}</td></tr>`).join('')}</table>`);
+  } catch (err) {
+    console.error('Verify page error:', err);
+    res.status(500);
+    page('Verification unavailable', '<p>Verification failed. Please try again later.</p>');
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+app.get('/api/my-stamp', authenticateToken, async (req, res) => {
+  const { user_id, role } = req.user;
+  const projectId = parseInt(req.query.projectId, 10);
+  if (!projectId) return res.status(400).json({ error: 'projectId required' });
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, signer_name, signature_image, stamp_image_url, updated_at
+       FROM user_stamps WHERE user_id=$1 AND user_role=$2 AND project_id=$3 LIMIT 1`,
+      [user_id, role, projectId]
+    );
+    const stamp = rows[0] || null;
+    if (stamp) {
+      const [signerName, companyName, positionSide] = await Promise.all([
+        resolveSignerNameForStamp(projectId, user_id, role),
+        resolveCompanyNameForStamp(projectId, user_id, role),
+        resolvePositionAndSideForStamp(projectId, user_id, role),
+      ]);
+      stamp.signer_name = stamp.signer_name || signerName;
+      stamp.company_name = companyName;
+      stamp.position = positionSide.position;
+      stamp.side = positionSide.side;
+    }
+    res.json({ stamp });
+  } catch (err) { console.error('GET my-stamp:', err); res.status(500).json({ error: 'Failed.' }); }
+});
+
+// Open-redirect endpoint: used by frontend fallback to let the browser
+// navigate directly to the remote file URL (so the browser downloads from
+// Cloudinary and avoids server proxy issues).
+// ?revision=0|A|B… redirects to that revision, as /api/download-file serves it.
+app.get('/api/open-remote-file', authenticateToken, async (req, res) => {
+  const { recordId, recordType, revision } = req.query;
+  const table = resolveTable(recordType);
+  if (!table) return res.status(400).send('Invalid recordType');
+  try {
+    const { rows } = await pool.query(`SELECT file_path, stamped_doc_url FROM ${table} WHERE id=$1`, [recordId]);
+    if (!rows.length) return res.status(404).send('Not found');
+    const rev = await findRecordRevision(pool, table, recordId, revision);
+    if (revision && !rev) return res.status(404).send(`Revision ${revision} not found`);
+    // Records older than revision tracking have no revision rows
+    const filePath = rev?.file_url || rows[0].stamped_doc_url || rows[0].file_path;
+    if (rev) res.setHeader('X-Record-Revision', rev.revision_label);
+    if (!filePath) return res.status(404).send('No file available');
+    if (!filePath.startsWith('http')) return res.status(400).send('File is not a remote URL');
+    console.log('Open-remote-file redirect for record', recordId, filePath);
+    return res.redirect(filePath);
+  } catch (err) {
+    console.error('Open-remote-file error:', err.message);
+    return res.status(500).send('Server error');
+  }
+});
+
+app.post('/api/my-stamp', authenticateToken, photoUpload.fields([{ name: 'stampImage', maxCount: 1 }, { name: 'signatureImageFile', maxCount: 1 }]), async (req, res) => {
+  const { user_id, role } = req.user;
+  const projectId = parseInt(req.query.projectId, 10);
+  if (!projectId) return res.status(400).json({ error: 'projectId required' });
+  if (!isDecisionMaker(role) && role !== 'TeamMember') return res.status(403).json({ error: 'Only decision makers and team members can create a signature profile.' });
+  try {
+    const { signatureBase64 } = req.body;
+    const signerName = typeof req.body.signerName === 'string'
+      ? req.body.signerName.trim()
+      : null;
+    
+    // Handle signature: either base64 from drawing or uploaded image
+    let signatureImage = null;
+    if (signatureBase64) {
+      signatureImage = signatureBase64;
+    } else if (req.files?.signatureImageFile?.[0]) {
+      // Upload signature image to Cloudinary
+      const uploadRes = await uploadToCloudinary(req.files.signatureImageFile[0].buffer, 'oneproject/stamps/signatures', 'image');
+      signatureImage = uploadRes.secure_url;
+    }
     
     // Ensure a signature is provided
     if (!signatureImage) {
@@ -3150,6 +4065,8 @@ app.delete('/api/delete-record', authenticateToken, async (req, res) => {
     await pool.query(`DELETE FROM notification_recipients WHERE notification_id IN (SELECT id FROM notifications WHERE entity_id=$1 AND entity_type=$2)`, [recordId, table]);
     await pool.query('DELETE FROM notifications WHERE entity_id=$1 AND entity_type=$2', [recordId, table]);
     await pool.query('DELETE FROM document_reviews WHERE record_type=$1 AND record_id=$2', [table, recordId]);
+    await pool.query('DELETE FROM stamp_verifications WHERE record_type=$1 AND record_id=$2', [table, recordId]);
+    await pool.query('DELETE FROM record_revisions WHERE record_type=$1 AND record_id=$2', [table, recordId]);
     await pool.query(`DELETE FROM ${table} WHERE id=$1 AND project_id=$2`, [recordId, projectId]);
     res.json({ success: true, message: 'Record deleted successfully.' });
   } catch (err) { console.error('Delete record error:', err); res.status(500).json({ error: 'Failed to delete record.' }); }
@@ -3253,6 +4170,344 @@ app.post('/api/meetings/:id/minute', authenticateToken, upload.array('attachment
 //  SCHEDULE MODULE  (unchanged — all routes preserved)
 // =============================================================================
 
+// Effective finish = contractual planned_finish pushed out by the latest
+// approved extension. Pending, countered and rejected extensions never count.
+async function recomputeEffectiveFinish(dbClient, scheduleId) {
+  const { rows } = await dbClient.query(
+    `UPDATE project_schedules ps
+     SET effective_finish = GREATEST(
+           ps.planned_finish,
+           COALESCE((SELECT MAX(se.new_planned_finish) FROM schedule_extensions se
+                     WHERE se.schedule_id = ps.id AND se.status = 'approved'), ps.planned_finish)
+         )
+     WHERE ps.id = $1
+     RETURNING effective_finish`,
+    [scheduleId]
+  );
+  return rows[0]?.effective_finish || null;
+}
+
+// ─── Critical Path (CPM) ─────────────────────────────────────────────────────
+// Activities are keyed 'm:<milestoneId>' and 'a:<additionalMilestoneId>' so
+// baseline and extension milestones can live in one network. Offsets are
+// working days (per the project calendar) from the project start; an activity occupies [es, ef) and its planned
+// start acts as a start-no-earlier-than constraint. Links are FS/SS/FF/SF
+// with a lag in days (negative lag = lead). An activity may carry an explicit
+// `duration` (working days) instead of deriving it from start/end.
+
+function toDayNumber(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Math.floor(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / 86400000);
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  return Math.floor(Date.UTC(+m[1], +m[2] - 1, +m[3]) / 86400000);
+}
+
+// Memoised: the CPM and the risk simulation convert the same few thousand days
+// over and over. Bounded so a long-running process doesn't grow it forever.
+const DAY_NUMBER_CACHE_LIMIT = 20000;
+const dayNumberDateCache = new Map();
+function dayNumberToDate(n) {
+  let s = dayNumberDateCache.get(n);
+  if (s === undefined) {
+    s = new Date(n * 86400000).toISOString().slice(0, 10);
+    if (dayNumberDateCache.size >= DAY_NUMBER_CACHE_LIMIT) dayNumberDateCache.clear();
+    dayNumberDateCache.set(n, s);
+  }
+  return s;
+}
+
+// ─── Working Calendars ───────────────────────────────────────────────────────
+// A project without a calendar row works every day, which is what the old
+// calendar-day arithmetic assumed. Exception ranges override holidays and the
+// work week (shutdowns, or working weekends). Weekdays are 0=Sun … 6=Sat.
+
+const DEFAULT_WORK_WEEK = [0, 1, 2, 3, 4, 5, 6];
+const CALENDAR_SEARCH_LIMIT = 3660; // ten years; stops runaway loops on an all-holiday calendar
+
+async function loadProjectCalendar(db, projectId) {
+  const calRes = await db.query('SELECT id,name,work_week,updated_at FROM project_calendars WHERE project_id=$1 LIMIT 1', [projectId]);
+  if (!calRes.rows.length) {
+    return { id: null, name: 'Standard (7-day)', work_week: DEFAULT_WORK_WEEK, holidays: [], exceptions: [], holidaySet: new Set(), exceptionRanges: [] };
+  }
+  const cal = calRes.rows[0];
+  const holRes = await db.query('SELECT id,holiday_date,name FROM calendar_holidays WHERE calendar_id=$1 ORDER BY holiday_date', [cal.id]);
+  const excRes = await db.query('SELECT id,start_date,end_date,is_working,reason FROM calendar_exceptions WHERE calendar_id=$1 ORDER BY start_date', [cal.id]);
+  return {
+    ...cal,
+    work_week: (cal.work_week || DEFAULT_WORK_WEEK).map(Number),
+    holidays: holRes.rows,
+    exceptions: excRes.rows,
+    holidaySet: new Set(holRes.rows.map(h => toDayNumber(h.holiday_date))),
+    exceptionRanges: excRes.rows.map(e => ({ from: toDayNumber(e.start_date), to: toDayNumber(e.end_date), working: e.is_working })),
+  };
+}
+
+function isWorkingDay(cal, dayNum) {
+  if (!cal) return true;
+  // Later ranges win when exceptions overlap
+  for (let i = cal.exceptionRanges.length - 1; i >= 0; i--) {
+    const ex = cal.exceptionRanges[i];
+    if (dayNum >= ex.from && dayNum <= ex.to) return ex.working;
+  }
+  if (cal.holidaySet.has(dayNum)) return false;
+  return cal.work_week.includes(new Date(dayNum * 86400000).getUTCDay());
+}
+
+// Calendar-aware daysBetween(): working days from start to end, both inclusive.
+function workingDaysBetween(cal, startStr, endStr) {
+  if (!cal) return daysBetween(startStr, endStr);
+  const s = toDayNumber(startStr), e = toDayNumber(endStr);
+  if (s == null || e == null || e < s) return 0;
+  let count = 0;
+  for (let d = s; d <= e; d++) if (isWorkingDay(cal, d)) count++;
+  return count;
+}
+
+// Date of the n-th working day counting from start (start itself is day 1
+// when it is a working day).
+function addWorkingDays(cal, startStr, n) {
+  let d = toDayNumber(startStr);
+  if (d == null) return null;
+  let remaining = Math.max(1, n), guard = 0;
+  for (;;) {
+    if (isWorkingDay(cal, d) && --remaining === 0) return dayNumberToDate(d);
+    d++;
+    if (++guard > CALENDAR_SEARCH_LIMIT + n) throw new Error('Calendar has no working days in range');
+  }
+}
+
+// Maps dates to working-day offsets from origin and back, for the CPM.
+function workingDayIndex(cal, origin) {
+  const fwd = [], bwd = [];
+  const extend = (list, step, until) => {
+    let d = list.length ? list[list.length - 1] + step : (step > 0 ? origin : origin - 1);
+    let guard = 0;
+    while (!until()) {
+      if (isWorkingDay(cal, d)) list.push(d);
+      d += step;
+      if (++guard > CALENDAR_SEARCH_LIMIT) throw new Error('Calendar has no working days in range');
+    }
+  };
+  return {
+    toIndex(dayNum) {
+      if (dayNum >= origin) {
+        extend(fwd, 1, () => fwd.length && fwd[fwd.length - 1] >= dayNum);
+        let lo = 0, hi = fwd.length - 1;
+        while (lo < hi) { const mid = (lo + hi) >> 1; if (fwd[mid] < dayNum) lo = mid + 1; else hi = mid; }
+        return lo;
+      }
+      extend(bwd, -1, () => bwd.length && bwd[bwd.length - 1] < dayNum);
+      return -bwd.filter(d => d >= dayNum).length;
+    },
+    toDay(index) {
+      if (index >= 0) { extend(fwd, 1, () => fwd.length > index); return dayNumberToDate(fwd[index]); }
+      extend(bwd, -1, () => bwd.length >= -index);
+      return dayNumberToDate(bwd[-index - 1]);
+    },
+  };
+}
+
+// Share of a planned window elapsed before asOf, in working days.
+function plannedPercent(cal, start, end, asOf) {
+  const s = toDayNumber(start), e = toDayNumber(end), t = toDayNumber(asOf);
+  if (s == null || e == null || t == null) return 0;
+  if (t > e) return 100;
+  if (t <= s) return 0;
+  const total = Math.max(1, workingDaysBetween(cal, start, end));
+  return Math.min(100, (workingDaysBetween(cal, start, dayNumberToDate(t - 1)) / total) * 100);
+}
+
+const DEPENDENCY_TYPES = ['FS', 'SS', 'FF', 'SF'];
+
+function cpmKey(kind, id) {
+  return `${kind === 'additional' ? 'a' : 'm'}:${id}`;
+}
+
+function computeCriticalPath({ projectStart, projectFinish, activities, calendar = null }) {
+  const origin = Math.min(
+    toDayNumber(projectStart) ?? Infinity,
+    ...activities.map(a => toDayNumber(a.start) ?? Infinity)
+  );
+  if (!Number.isFinite(origin)) return { origin: null, projectFinish: null, activities: [] };
+  const wd = workingDayIndex(calendar, origin);
+  const byKey = new Map(activities.map(a => [a.key, { ...a, preds: (a.preds || []).filter(p => p.key !== a.key), succs: [] }]));
+  for (const node of byKey.values()) {
+    node.preds = node.preds.filter(p => byKey.has(p.key)).map(p => ({ key: p.key, type: p.type || 'FS', lag: p.lag || 0 }));
+    node.preds.forEach(p => byKey.get(p.key).succs.push({ key: node.key, type: p.type, lag: p.lag }));
+  }
+
+  // Kahn's topological sort; anything left over sits on a cycle
+  const indegree = new Map([...byKey.keys()].map(k => [k, byKey.get(k).preds.length]));
+  const queue = [...byKey.keys()].filter(k => indegree.get(k) === 0);
+  const order = [];
+  for (let qi = 0; qi < queue.length; qi++) {
+    const key = queue[qi];
+    order.push(key);
+    for (const s of byKey.get(key).succs) {
+      indegree.set(s.key, indegree.get(s.key) - 1);
+      if (indegree.get(s.key) === 0) queue.push(s.key);
+    }
+  }
+  if (order.length !== byKey.size) {
+    const err = new Error('Schedule dependencies contain a cycle');
+    err.code = 'CPM_CYCLE';
+    const ordered = new Set(order);
+    err.cycleKeys = [...byKey.keys()].filter(k => !ordered.has(k));
+    throw err;
+  }
+
+  // Forward pass
+  for (const key of order) {
+    const n = byKey.get(key);
+    n.duration = n.duration > 0 ? n.duration : Math.max(1, workingDaysBetween(calendar, n.start, n.end));
+    const planned = toDayNumber(n.start);
+    let es = planned != null ? wd.toIndex(planned) : 0;
+    for (const p of n.preds) {
+      const pred = byKey.get(p.key);
+      if (p.type === 'SS') es = Math.max(es, pred.es + p.lag);
+      else if (p.type === 'FF') es = Math.max(es, pred.ef + p.lag - n.duration);
+      else if (p.type === 'SF') es = Math.max(es, pred.es + p.lag - n.duration);
+      else es = Math.max(es, pred.ef + p.lag);
+    }
+    n.es = es;
+    n.ef = es + n.duration;
+  }
+
+  const finishNum = toDayNumber(projectFinish);
+  const contractEnd = finishNum != null ? wd.toIndex(finishNum + 1) : 0;
+  const networkEnd = Math.max(0, ...order.map(k => byKey.get(k).ef));
+  const projectEnd = Math.max(contractEnd, networkEnd);
+
+  // Backward pass
+  for (const key of [...order].reverse()) {
+    const n = byKey.get(key);
+    let lf = projectEnd;
+    for (const s of n.succs) {
+      const succ = byKey.get(s.key);
+      if (s.type === 'SS') lf = Math.min(lf, succ.ls - s.lag + n.duration);
+      else if (s.type === 'FF') lf = Math.min(lf, succ.lf - s.lag);
+      else if (s.type === 'SF') lf = Math.min(lf, succ.lf - s.lag + n.duration);
+      else lf = Math.min(lf, succ.ls - s.lag);
+    }
+    n.lf = lf;
+    n.ls = lf - n.duration;
+  }
+
+  return {
+    origin: dayNumberToDate(origin),
+    projectFinish: projectEnd > 0 ? wd.toDay(projectEnd - 1) : null,
+    networkFinish: networkEnd > 0 ? wd.toDay(networkEnd - 1) : null,
+    activities: order.map(key => {
+      const n = byKey.get(key);
+      const totalFloat = n.ls - n.es;
+      const freeFloat = n.succs.length
+        ? Math.min(...n.succs.map(s => {
+            const succ = byKey.get(s.key);
+            if (s.type === 'SS') return succ.es - s.lag - n.es;
+            if (s.type === 'FF') return succ.ef - s.lag - n.ef;
+            if (s.type === 'SF') return succ.ef - s.lag - n.es;
+            return succ.es - s.lag - n.ef;
+          }))
+        : projectEnd - n.ef;
+      return {
+        key,
+        id: n.id,
+        kind: n.kind,
+        title: n.title,
+        duration_days: n.duration,
+        predecessors: n.preds.map(p => ({ key: p.key, type: p.type, lag: p.lag })),
+        early_start: wd.toDay(n.es),
+        early_finish: wd.toDay(n.ef - 1),
+        late_start: wd.toDay(n.ls),
+        late_finish: wd.toDay(n.lf - 1),
+        total_float: totalFloat,
+        free_float: Math.max(0, freeFloat),
+        is_critical: totalFloat <= 0,
+      };
+    }),
+  };
+}
+
+async function loadCpmNetwork(db, scheduleId) {
+  const schedRes = await db.query('SELECT id,project_id,planned_start,planned_finish,effective_finish FROM project_schedules WHERE id=$1', [scheduleId]);
+  if (!schedRes.rows.length) return null;
+  const sched = schedRes.rows[0];
+  const msRes = await db.query('SELECT id,title,planned_start,planned_end FROM milestones WHERE schedule_id=$1 ORDER BY sort_order', [scheduleId]);
+  const amRes = await db.query('SELECT id,title,planned_start,planned_end FROM additional_milestones WHERE schedule_id=$1 ORDER BY sort_order', [scheduleId]);
+  const depRes = await db.query('SELECT predecessor_kind,predecessor_id,successor_kind,successor_id,dep_type,lag_days FROM schedule_dependencies WHERE schedule_id=$1 ORDER BY id', [scheduleId]);
+  const predsOf = (kind, id) => depRes.rows
+    .filter(d => d.successor_kind === kind && d.successor_id === id)
+    .map(d => ({ key: cpmKey(d.predecessor_kind, d.predecessor_id), type: d.dep_type, lag: d.lag_days }));
+  const activities = [
+    ...msRes.rows.map(ms => ({ key: cpmKey('milestone', ms.id), id: ms.id, kind: 'milestone', title: ms.title, start: ms.planned_start, end: ms.planned_end, preds: predsOf('milestone', ms.id) })),
+    ...amRes.rows.map(am => ({ key: cpmKey('additional', am.id), id: am.id, kind: 'additional', title: am.title, start: am.planned_start, end: am.planned_end, preds: predsOf('additional', am.id) })),
+  ];
+  const calendar = await loadProjectCalendar(db, sched.project_id);
+  return { projectStart: sched.planned_start, projectFinish: sched.effective_finish || sched.planned_finish, activities, calendar };
+}
+
+// Runs the CPM for a schedule and writes working-day durations, dates, floats
+// and critical flags back.
+async function recalculateCriticalPath(dbClient, scheduleId) {
+  const network = await loadCpmNetwork(dbClient, scheduleId);
+  if (!network) return null;
+  const result = computeCriticalPath(network);
+  for (const a of result.activities) {
+    const table = a.kind === 'milestone' ? 'milestones' : 'additional_milestones';
+    await dbClient.query(
+      `UPDATE ${table} SET duration_days=$1,early_start=$2,early_finish=$3,late_start=$4,late_finish=$5,float_days=$6,free_float_days=$7,is_critical=$8 WHERE id=$9`,
+      [a.duration_days, a.early_start, a.early_finish, a.late_start, a.late_finish, Math.max(0, a.total_float), a.free_float, a.is_critical, a.id]
+    );
+  }
+  return result;
+}
+
+// ─── Schedule Dependencies ───────────────────────────────────────────────────
+
+async function loadScheduleDependencies(db, scheduleId) {
+  const { rows } = await db.query(
+    `SELECT id,predecessor_kind,predecessor_id,successor_kind,successor_id,dep_type AS type,lag_days
+     FROM schedule_dependencies WHERE schedule_id=$1 ORDER BY id`,
+    [scheduleId]
+  );
+  return rows;
+}
+
+// Links have no FK to the polymorphic nodes, so drop any whose end was deleted.
+async function pruneScheduleDependencies(dbClient, scheduleId) {
+  await dbClient.query(
+    `DELETE FROM schedule_dependencies d
+     WHERE d.schedule_id=$1 AND (
+       (d.predecessor_kind='milestone' AND NOT EXISTS (SELECT 1 FROM milestones m WHERE m.id=d.predecessor_id AND m.schedule_id=d.schedule_id)) OR
+       (d.predecessor_kind='additional' AND NOT EXISTS (SELECT 1 FROM additional_milestones am WHERE am.id=d.predecessor_id AND am.schedule_id=d.schedule_id)) OR
+       (d.successor_kind='milestone' AND NOT EXISTS (SELECT 1 FROM milestones m WHERE m.id=d.successor_id AND m.schedule_id=d.schedule_id)) OR
+       (d.successor_kind='additional' AND NOT EXISTS (SELECT 1 FROM additional_milestones am WHERE am.id=d.successor_id AND am.schedule_id=d.schedule_id))
+     )`,
+    [scheduleId]
+  );
+}
+
+async function insertScheduleDependency(dbClient, scheduleId, dep) {
+  await dbClient.query(
+    `INSERT INTO schedule_dependencies (schedule_id,predecessor_kind,predecessor_id,successor_kind,successor_id,dep_type,lag_days)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     ON CONFLICT (schedule_id,predecessor_kind,predecessor_id,successor_kind,successor_id)
+     DO UPDATE SET dep_type=EXCLUDED.dep_type, lag_days=EXCLUDED.lag_days`,
+    [scheduleId, dep.predecessor_kind, dep.predecessor_id, dep.successor_kind, dep.successor_id, dep.type || 'FS', dep.lag_days || 0]
+  );
+}
+
+// Keep the single-link columns pointing at the first milestone predecessor
+// (FS preferred) so clients that only read depends_on still see something.
+async function syncLegacyDependsOn(dbClient, scheduleId) {
+  const firstPred = kind => `(SELECT d.predecessor_id FROM schedule_dependencies d
+     WHERE d.schedule_id=$1 AND d.successor_kind='${kind}' AND d.successor_id=t.id AND d.predecessor_kind='milestone'
+     ORDER BY (d.dep_type='FS') DESC, d.id LIMIT 1)`;
+  await dbClient.query(`UPDATE milestones t SET depends_on=${firstPred('milestone')} WHERE t.schedule_id=$1`, [scheduleId]);
+  await dbClient.query(`UPDATE additional_milestones t SET depends_on_baseline=${firstPred('additional')} WHERE t.schedule_id=$1`, [scheduleId]);
+}
+
 app.get('/api/get-schedule', authenticateToken, async (req, res) => {
   const projectId = normalizeProjectId(req.query.projectId);
   if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
@@ -3260,303 +4515,2023 @@ app.get('/api/get-schedule', authenticateToken, async (req, res) => {
     const schedRow = await pool.query('SELECT * FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
     if (!schedRow.rows.length) return res.json({ schedule: null });
     const sched = schedRow.rows[0];
-    const msRows = await pool.query(`SELECT m.*,COALESCE(json_agg(json_build_object('date',e.report_date,'qty',e.qty_executed,'remarks',e.remarks,'cumulative',e.cumulative_after_entry) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url,'publicId',a.cloudinary_public_id)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM milestones m LEFT JOIN milestone_progress_entries e ON e.milestone_id=m.id LEFT JOIN milestone_attachments a ON a.milestone_id=m.id WHERE m.schedule_id=$1 GROUP BY m.id ORDER BY m.sort_order`, [sched.id]);
-    const amRows = await pool.query(`SELECT am.*,COALESCE(json_agg(json_build_object('date',e.report_date,'qty',e.qty_executed,'remarks',e.remarks,'cumulative',e.cumulative_after_entry) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM additional_milestones am LEFT JOIN additional_milestone_progress_entries e ON e.additional_milestone_id=am.id LEFT JOIN additional_milestone_attachments a ON a.additional_milestone_id=am.id WHERE am.schedule_id=$1 GROUP BY am.id ORDER BY am.sort_order`, [sched.id]);
+    const msRows = await pool.query(`SELECT m.*,COALESCE(json_agg(json_build_object('id',e.id,'date',e.report_date,'qty',e.qty_executed,'source',e.source,'remarks',e.remarks,'cumulative',e.cumulative_after_entry,'actual_cost',e.actual_cost) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url,'publicId',a.cloudinary_public_id)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM milestones m LEFT JOIN milestone_progress_entries e ON e.milestone_id=m.id LEFT JOIN milestone_attachments a ON a.milestone_id=m.id WHERE m.schedule_id=$1 GROUP BY m.id ORDER BY m.sort_order`, [sched.id]);
+    const amRows = await pool.query(`SELECT am.*,COALESCE(json_agg(json_build_object('id',e.id,'date',e.report_date,'qty',e.qty_executed,'source',e.source,'remarks',e.remarks,'cumulative',e.cumulative_after_entry,'actual_cost',e.actual_cost) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM additional_milestones am LEFT JOIN additional_milestone_progress_entries e ON e.additional_milestone_id=am.id LEFT JOIN additional_milestone_attachments a ON a.additional_milestone_id=am.id WHERE am.schedule_id=$1 GROUP BY am.id ORDER BY am.sort_order`, [sched.id]);
     
-    const extRows = await pool.query(`SELECT id,extension_days,COALESCE(new_planned_start,new_planned_finish - (extension_days || ' days')::interval) as new_planned_start,new_planned_finish,reason,extension_type,status,created_at FROM schedule_extensions WHERE schedule_id=$1 ORDER BY created_at ASC`, [sched.id]);
+    const extRows = await pool.query(`SELECT id,extension_days,COALESCE(new_planned_start,new_planned_finish - (extension_days || ' days')::interval) as new_planned_start,new_planned_finish,reason,extension_type,status,requested_by_user_id,requested_by_role,proposed_by_user_id,proposed_by_role,approved_by_user_id,approved_by_role,approved_at,review_comment,created_at FROM schedule_extensions WHERE schedule_id=$1 ORDER BY created_at ASC`, [sched.id]);
     
-    const mapMs = (ms, isExt) => ({ id:ms.id,title:ms.title,description:ms.description,start:ms.planned_start,end:ms.planned_end,quantity:ms.quantity,unit:ms.unit,dep:ms.depends_on||ms.depends_on_baseline||'None',weight_pct:ms.weight_pct,float_days:ms.float_days,is_critical:ms.is_critical,executed:ms.executed,progress_pct:ms.progress_pct,activity_status:ms.activity_status,completed_at:ms.completed_at,entries:ms.entries,fileName:ms.attachments?.[0]?.fileName||null,attachmentUrl:ms.attachments?.[0]?.url||null,isExtension:isExt });
-    res.json({ schedule: { id:sched.id,timeline:{start:sched.planned_start,finish:sched.planned_finish,duration:sched.total_duration},location:sched.location||null,milestones:msRows.rows.map(ms=>mapMs(ms,false)),extension_milestones:amRows.rows.map(ms=>mapMs(ms,true)),extensions:extRows.rows } });
+    const dependencies = await loadScheduleDependencies(pool, sched.id);
+    const mapMs = (ms, isExt) => ({ id:ms.id,title:ms.title,description:ms.description,start:ms.planned_start,end:ms.planned_end,quantity:ms.quantity,unit:ms.unit,budgeted_cost:ms.budgeted_cost,unit_rate:ms.unit_rate,optimistic_days:ms.optimistic_days,most_likely_days:ms.most_likely_days,pessimistic_days:ms.pessimistic_days,dep:ms.depends_on||ms.depends_on_baseline||'None',weight_pct:ms.weight_pct,float_days:ms.float_days,free_float_days:ms.free_float_days,early_start:ms.early_start,early_finish:ms.early_finish,late_start:ms.late_start,late_finish:ms.late_finish,is_critical:ms.is_critical,executed:ms.executed,progress_pct:ms.progress_pct,activity_status:ms.activity_status,completed_at:ms.completed_at,entries:ms.entries,fileName:ms.attachments?.[0]?.fileName||null,attachmentUrl:ms.attachments?.[0]?.url||null,isExtension:isExt });
+    res.json({ schedule: { id:sched.id,timeline:{start:sched.planned_start,finish:sched.planned_finish,duration:sched.total_duration,effective_finish:sched.effective_finish||sched.planned_finish},location:sched.location||null,milestones:msRows.rows.map(ms=>mapMs(ms,false)),extension_milestones:amRows.rows.map(ms=>mapMs(ms,true)),dependencies,extensions:extRows.rows } });
   } catch (err) { console.error('[GET /api/get-schedule]', err); res.status(500).json({ error: 'Failed to load schedule' }); }
 });
 
-app.post('/api/save-schedule', authenticateToken, upload.any(), async (req, res) => {
-  const projectId = normalizeProjectId(req.body.projectId);
+app.get('/api/schedule/critical-path', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
   if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
-  let tl, rawMilestones, newIds, editedIds, unchangedIds, deletedIds;
-  let addlRawMs, newAddlIds, editedAddlIds, unchangedAddlIds, deletedAddlIds;
-  const location = parseJsonSafe(req.body.location);
   try {
-    tl = JSON.parse(req.body.timeline);
-    rawMilestones = JSON.parse(req.body.milestones);
-    newIds = new Set(JSON.parse(req.body.newIds||'[]'));
-    editedIds = new Set(JSON.parse(req.body.editedIds||'[]'));
-    unchangedIds = new Set(JSON.parse(req.body.unchangedIds||'[]'));
-    deletedIds = JSON.parse(req.body.deletedIds||'[]');
-    addlRawMs = JSON.parse(req.body.additionalMilestones||'[]');
-    newAddlIds = new Set(JSON.parse(req.body.newAddlIds||'[]'));
-    editedAddlIds = new Set(JSON.parse(req.body.editedAddlIds||'[]'));
-    unchangedAddlIds = new Set(JSON.parse(req.body.unchangedAddlIds||'[]'));
-    deletedAddlIds = JSON.parse(req.body.deletedAddlIds||'[]');
-  } catch {
-    return res.status(400).json({ error: 'Invalid JSON in timeline, milestones, or additional milestone lists' });
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const schedRow = await pool.query('SELECT id FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+    if (!schedRow.rows.length) return res.json({ schedule: null });
+    const network = await loadCpmNetwork(pool, schedRow.rows[0].id);
+    const result = computeCriticalPath(network);
+    const criticalPath = result.activities
+      .filter(a => a.is_critical)
+      .sort((a, b) => a.early_start.localeCompare(b.early_start))
+      .map(a => a.key);
+    res.json({
+      scheduleId: schedRow.rows[0].id,
+      projectStart: result.origin,
+      contractFinish: network.projectFinish,
+      calculatedFinish: result.projectFinish,
+      criticalPath,
+      activities: result.activities,
+    });
+  } catch (err) {
+    if (err.code === 'CPM_CYCLE') return res.status(409).json({ error: err.message, cycle: err.cycleKeys });
+    console.error('[GET /api/schedule/critical-path]', err);
+    res.status(500).json({ error: 'Failed to compute critical path' });
   }
-  const fileMap = {};
-  (req.files||[]).forEach(f => { fileMap[f.fieldname.replace(/^file_/,'')] = f; });
+});
+
+// ─── Schedule Baselines ──────────────────────────────────────────────────────
+// A baseline freezes project_schedules plus every milestone/additional
+// milestone so later revisions can be measured against it. Taken at first
+// save, on every approved extension, and on demand.
+
+async function captureScheduleBaseline(dbClient, scheduleId, { name, reason, extensionId = null, user }) {
+  // Lock the schedule row so concurrent captures get distinct numbers
+  const schedRes = await dbClient.query('SELECT id,project_id,planned_start,planned_finish,effective_finish FROM project_schedules WHERE id=$1 FOR UPDATE', [scheduleId]);
+  if (!schedRes.rows.length) return null;
+  const sched = schedRes.rows[0];
+  const noRes = await dbClient.query('SELECT COALESCE(MAX(baseline_no), -1) + 1 AS next_no FROM schedule_baselines WHERE schedule_id=$1', [scheduleId]);
+  const baselineNo = noRes.rows[0].next_no;
+  const blRes = await dbClient.query(
+    `INSERT INTO schedule_baselines
+       (schedule_id,project_id,baseline_no,name,reason,source_extension_id,planned_start,planned_finish,effective_finish,created_by_user_id,created_by_role)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+     RETURNING id,baseline_no,name,reason,created_at`,
+    [scheduleId, sched.project_id, baselineNo, name || `Baseline ${baselineNo}`, reason, extensionId,
+     sched.planned_start, sched.planned_finish, sched.effective_finish || sched.planned_finish, user?.user_id || null, user?.role || null]
+  );
+  const baseline = blRes.rows[0];
+  await dbClient.query(
+    `INSERT INTO schedule_baseline_items (baseline_id,item_kind,item_id,title,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,float_days,is_critical)
+     SELECT $1,'milestone',id,title,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,float_days,is_critical
+     FROM milestones WHERE schedule_id=$2
+     UNION ALL
+     SELECT $1,'additional',id,title,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,float_days,is_critical
+     FROM additional_milestones WHERE schedule_id=$2`,
+    [baseline.id, scheduleId]
+  );
+  return baseline;
+}
+
+// Signed working-day distance from a to b (positive when b is later).
+function workingDayDiff(cal, a, b) {
+  const x = toDayNumber(a), y = toDayNumber(b);
+  if (x == null || y == null) return null;
+  if (x === y) return 0;
+  return y > x
+    ? workingDaysBetween(cal, dayNumberToDate(x + 1), dayNumberToDate(y))
+    : -workingDaysBetween(cal, dayNumberToDate(y + 1), dayNumberToDate(x));
+}
+
+app.get('/api/schedule/baselines', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const { rows } = await pool.query(
+      `SELECT b.id,b.baseline_no,b.name,b.reason,b.source_extension_id,b.planned_start,b.planned_finish,b.effective_finish,
+              b.created_by_user_id,b.created_by_role,b.created_at,COUNT(i.id)::int AS item_count
+       FROM schedule_baselines b LEFT JOIN schedule_baseline_items i ON i.baseline_id=b.id
+       WHERE b.project_id=$1 GROUP BY b.id ORDER BY b.baseline_no ASC`,
+      [projectId]
+    );
+    res.json({ baselines: rows });
+  } catch (err) {
+    console.error('[GET /api/schedule/baselines]', err);
+    res.status(500).json({ error: 'Failed to load baselines' });
+  }
+});
+
+app.post('/api/schedule/baselines', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const name = (req.body.name || '').trim();
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  if (!isDecisionMaker(req.user.role)) return res.status(403).json({ error: 'Only Client, Consultant or Contractor can create baselines' });
   const client = await pool.connect();
   try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
     await client.query('BEGIN');
-    const schedRes = await client.query(`INSERT INTO project_schedules (project_id,planned_start,planned_finish,total_duration,location,created_by_user_id,created_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (project_id) DO UPDATE SET planned_start=EXCLUDED.planned_start,planned_finish=EXCLUDED.planned_finish,total_duration=EXCLUDED.total_duration,location=COALESCE(EXCLUDED.location, project_schedules.location),updated_at=now() RETURNING *`, [projectId,tl.start,tl.finish,tl.duration,location,req.user.user_id,req.user.role]);
-    const schedId = schedRes.rows[0].id;
-    for (const dbId of deletedIds) {
-      const check = await client.query('SELECT executed FROM milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
-      if (!check.rows.length) continue;
-      if (parseFloat(check.rows[0].executed) > 0) { console.warn(`[save-schedule] Skipping delete of milestone ${dbId}: has recorded progress`); continue; }
-      await client.query('DELETE FROM milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
-    }
-    for (const dbId of deletedAddlIds) {
-      const check = await client.query('SELECT executed FROM additional_milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
-      if (!check.rows.length) continue;
-      if (parseFloat(check.rows[0].executed) > 0) { console.warn(`[save-schedule] Skipping delete of additional milestone ${dbId}: has recorded progress`); continue; }
-      await client.query('DELETE FROM additional_milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
-    }
-    const totalDur = rawMilestones.reduce((sum, ms) => sum + Math.max(1, daysBetween(ms.start, ms.end)), 0);
-    const tempToReal = {};
-    for (const ms of rawMilestones) { if (!newIds.has(ms.id)) tempToReal[ms.id] = ms.id; }
-    const needsAttachment = [];
-    for (let i = 0; i < rawMilestones.length; i++) {
-      const ms = rawMilestones[i];
-      const dur = Math.max(1, daysBetween(ms.start, ms.end));
-      const float = Math.max(0, daysBetween(ms.end, tl.finish));
-      const w = totalDur > 0 ? (dur / totalDur) * 100 : 0;
-      const depId = ms.dep && ms.dep !== 'None' && tempToReal[ms.dep] ? tempToReal[ms.dep] : null;
-      if (newIds.has(ms.id)) {
-        const ins = await client.query(`INSERT INTO milestones (schedule_id,project_id,title,description,sort_order,planned_start,planned_end,duration_days,float_days,is_critical,weight_pct,quantity,unit,depends_on,created_by_user_id,created_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16) RETURNING id`, [schedId,projectId,ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,float,float===0,w.toFixed(2),parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,req.user.user_id,req.user.role]);
-        const realId = ins.rows[0].id; tempToReal[ms.id] = realId;
-        if (fileMap[ms.id]) needsAttachment.push({ realId, tempId: ms.id });
-      } else if (editedIds.has(ms.id)) {
-        await client.query(`UPDATE milestones SET title=$1,description=$2,sort_order=$3,planned_start=$4,planned_end=$5,duration_days=$6,float_days=$7,is_critical=$8,weight_pct=$9,quantity=$10,unit=$11,depends_on=$12,updated_at=now() WHERE id=$13 AND schedule_id=$14`, [ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,float,float===0,w.toFixed(2),parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,ms.id,schedId]);
-        if (fileMap[ms.id]) needsAttachment.push({ realId: ms.id, tempId: ms.id });
-      } else if (unchangedIds.has(ms.id)) {
-        await client.query('UPDATE milestones SET sort_order=$1 WHERE id=$2 AND schedule_id=$3', [i, ms.id, schedId]);
-      }
-    }
+    const schedRes = await client.query('SELECT id FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+    if (!schedRes.rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'No schedule found for this project' }); }
+    const baseline = await captureScheduleBaseline(client, schedRes.rows[0].id, { name, reason: 'manual', user: req.user });
+    await client.query('COMMIT');
+    res.json({ success: true, baseline });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[POST /api/schedule/baselines]', err);
+    res.status(500).json({ error: 'Failed to create baseline' });
+  } finally {
+    client.release();
+  }
+});
 
-    // Additional milestones created in the extension period
-    const addlTempToReal = {};
-    for (const ms of addlRawMs) { if (!newAddlIds.has(ms.id)) addlTempToReal[ms.id] = ms.id; }
-    const addlNeedsAttachment = [];
-    for (let i = 0; i < addlRawMs.length; i++) {
-      const ms = addlRawMs[i];
-      const dur = Math.max(1, daysBetween(ms.start, ms.end));
-      const float = Math.max(0, daysBetween(ms.end, tl.finish));
-      const depId = ms.dep && ms.dep !== 'None' ? ms.dep : null;
-      const weight = parseFloat(ms.weight_pct || 0) || 0;
-      const isCritical = ms.is_critical ? true : false;
-      if (newAddlIds.has(ms.id)) {
-        const ins = await client.query(`INSERT INTO additional_milestones (schedule_id,project_id,title,description,sort_order,planned_start,planned_end,duration_days,float_days,is_critical,weight_pct,quantity,unit,depends_on_baseline,added_by_user_id,added_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16) RETURNING id`, [schedId,projectId,ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,float,isCritical,weight,parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,req.user.user_id,req.user.role]);
-        const realId = ins.rows[0].id; addlTempToReal[ms.id] = realId;
-        if (fileMap[ms.id]) addlNeedsAttachment.push({ realId, tempId: ms.id });
-      } else if (editedAddlIds.has(ms.id)) {
-        await client.query(`UPDATE additional_milestones SET title=$1,description=$2,sort_order=$3,planned_start=$4,planned_end=$5,duration_days=$6,float_days=$7,is_critical=$8,weight_pct=$9,quantity=$10,unit=$11,depends_on_baseline=$12,updated_at=now() WHERE id=$13 AND schedule_id=$14`, [ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,float,isCritical,weight,parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,ms.id,schedId]);
-        if (fileMap[ms.id]) addlNeedsAttachment.push({ realId: ms.id, tempId: ms.id });
-      } else if (unchangedAddlIds.has(ms.id)) {
-        await client.query('UPDATE additional_milestones SET sort_order=$1 WHERE id=$2 AND schedule_id=$3', [i, ms.id, schedId]);
-      }
+// Baseline vs current. Defaults to the latest baseline; slippage is in
+// working days on the project calendar (positive = later than baseline).
+app.get('/api/schedule/baselines/compare', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const { baselineId } = req.query;
+  if (baselineId && !/^\d+$/.test(baselineId)) return res.status(400).json({ error: 'baselineId must be a baseline id' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const schedRes = await pool.query('SELECT id,planned_start,planned_finish,effective_finish FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+    if (!schedRes.rows.length) return res.status(404).json({ error: 'No schedule found for this project' });
+    const sched = schedRes.rows[0];
+    const blRes = baselineId
+      ? await pool.query('SELECT * FROM schedule_baselines WHERE id=$1 AND schedule_id=$2', [baselineId, sched.id])
+      : await pool.query('SELECT * FROM schedule_baselines WHERE schedule_id=$1 ORDER BY baseline_no DESC LIMIT 1', [sched.id]);
+    if (!blRes.rows.length) return res.status(404).json({ error: 'Baseline not found' });
+    const baseline = blRes.rows[0];
+
+    const itemsRes = await pool.query('SELECT * FROM schedule_baseline_items WHERE baseline_id=$1 ORDER BY item_kind DESC, sort_order', [baseline.id]);
+    const msRes = await pool.query(`SELECT 'milestone' AS kind,id,title,sort_order,planned_start,planned_end,duration_days,progress_pct,activity_status,is_critical FROM milestones WHERE schedule_id=$1 ORDER BY sort_order`, [sched.id]);
+    const amRes = await pool.query(`SELECT 'additional' AS kind,id,title,sort_order,planned_start,planned_end,duration_days,progress_pct,activity_status,is_critical FROM additional_milestones WHERE schedule_id=$1 ORDER BY sort_order`, [sched.id]);
+    const calendar = await loadProjectCalendar(pool, projectId);
+
+    const baselineByKey = new Map(itemsRes.rows.map(i => [cpmKey(i.item_kind, i.item_id), i]));
+    const current = [...msRes.rows, ...amRes.rows];
+    const currentKeys = new Set(current.map(c => cpmKey(c.kind, c.id)));
+    const rows = [
+      ...current.map(c => ({ key: cpmKey(c.kind, c.id), kind: c.kind, id: c.id, cur: c, base: baselineByKey.get(cpmKey(c.kind, c.id)) || null })),
+      ...itemsRes.rows
+        .filter(i => !currentKeys.has(cpmKey(i.item_kind, i.item_id)))
+        .map(i => ({ key: cpmKey(i.item_kind, i.item_id), kind: i.item_kind, id: i.item_id, cur: null, base: i })),
+    ];
+
+    const variance = rows.map(({ key, kind, id, cur, base }) => {
+      const startSlip = cur && base ? workingDayDiff(calendar, base.planned_start, cur.planned_start) : null;
+      const finishSlip = cur && base ? workingDayDiff(calendar, base.planned_end, cur.planned_end) : null;
+      let status = 'on_baseline';
+      if (!base) status = 'added';
+      else if (!cur) status = 'removed';
+      else if (finishSlip > 0) status = 'slipped';
+      else if (finishSlip < 0) status = 'ahead';
+      return {
+        key, kind, id,
+        title: cur?.title || base?.title,
+        baseline_start: toIsoDate(base?.planned_start),
+        baseline_end: toIsoDate(base?.planned_end),
+        current_start: toIsoDate(cur?.planned_start),
+        current_end: toIsoDate(cur?.planned_end),
+        start_slippage_days: startSlip,
+        finish_slippage_days: finishSlip,
+        duration_variance_days: cur && base ? Number(cur.duration_days) - Number(base.duration_days) : null,
+        status,
+      };
+    });
+
+    const currentFinish = sched.effective_finish || sched.planned_finish;
+    res.json({
+      baseline: { id: baseline.id, baseline_no: baseline.baseline_no, name: baseline.name, reason: baseline.reason, created_at: baseline.created_at },
+      project: {
+        baseline_start: toIsoDate(baseline.planned_start),
+        baseline_finish: toIsoDate(baseline.effective_finish || baseline.planned_finish),
+        current_start: toIsoDate(sched.planned_start),
+        current_finish: toIsoDate(currentFinish),
+        finish_slippage_days: workingDayDiff(calendar, baseline.effective_finish || baseline.planned_finish, currentFinish),
+      },
+      summary: {
+        slipped: variance.filter(v => v.status === 'slipped').length,
+        ahead: variance.filter(v => v.status === 'ahead').length,
+        added: variance.filter(v => v.status === 'added').length,
+        removed: variance.filter(v => v.status === 'removed').length,
+      },
+      variance,
+      overlay: rows.map(({ key, kind, id, cur, base }) => ({
+        key, kind, id,
+        title: cur?.title || base?.title,
+        baseline: base ? { start: toIsoDate(base.planned_start), end: toIsoDate(base.planned_end) } : null,
+        current: cur ? { start: toIsoDate(cur.planned_start), end: toIsoDate(cur.planned_end) } : null,
+        progress_pct: cur ? Number(cur.progress_pct || 0) : null,
+        activity_status: cur?.activity_status || null,
+        is_critical: cur ? cur.is_critical : base.is_critical,
+      })),
+    });
+  } catch (err) {
+    console.error('[GET /api/schedule/baselines/compare]', err);
+    res.status(500).json({ error: 'Failed to compare baseline' });
+  }
+});
+
+// ─── Schedule Revisions ──────────────────────────────────────────────────────
+// Every save (or import) stores a numbered snapshot plus its diff against the
+// previous revision, so the change notification can say what actually moved.
+
+async function loadScheduleRevisionSnapshot(db, scheduleId) {
+  // Sequential: `db` is often a transaction client, which runs one query at a time
+  const schedRes = await db.query('SELECT planned_start,planned_finish,effective_finish FROM project_schedules WHERE id=$1', [scheduleId]);
+  const itemRes = await db.query(
+    `SELECT 'milestone' AS kind,id,title,planned_start,planned_end,quantity,unit FROM milestones WHERE schedule_id=$1
+     UNION ALL
+     SELECT 'additional',id,title,planned_start,planned_end,quantity,unit FROM additional_milestones WHERE schedule_id=$1
+     ORDER BY kind DESC, id ASC`,
+    [scheduleId]
+  );
+  const s = schedRes.rows[0] || {};
+  return {
+    planned_start: toIsoDate(s.planned_start),
+    planned_finish: toIsoDate(s.planned_finish),
+    effective_finish: toIsoDate(s.effective_finish || s.planned_finish),
+    items: itemRes.rows.map(r => ({
+      kind: r.kind, id: r.id, title: r.title,
+      planned_start: toIsoDate(r.planned_start), planned_end: toIsoDate(r.planned_end),
+      quantity: r.quantity === null ? null : parseFloat(r.quantity), unit: r.unit,
+    })),
+  };
+}
+
+function diffScheduleSnapshots(before, after) {
+  const prev = new Map((before?.items || []).map(i => [cpmKey(i.kind, i.id), i]));
+  const next = new Map((after?.items || []).map(i => [cpmKey(i.kind, i.id), i]));
+  const pick = i => ({ kind: i.kind, id: i.id, title: i.title, planned_start: i.planned_start, planned_end: i.planned_end });
+  const added = [], removed = [], redated = [], changed = [];
+  for (const [key, item] of next) {
+    const old = prev.get(key);
+    if (!old) { added.push(pick(item)); continue; }
+    if (old.planned_start !== item.planned_start || old.planned_end !== item.planned_end) {
+      redated.push({
+        kind: item.kind, id: item.id, title: item.title,
+        from: { planned_start: old.planned_start, planned_end: old.planned_end },
+        to: { planned_start: item.planned_start, planned_end: item.planned_end },
+        finish_shift_days: toDayNumber(item.planned_end) - toDayNumber(old.planned_end),
+      });
     }
+    const fields = ['title', 'quantity', 'unit'].filter(f => old[f] !== item[f]);
+    if (fields.length) changed.push({ kind: item.kind, id: item.id, title: item.title, fields, from: Object.fromEntries(fields.map(f => [f, old[f]])), to: Object.fromEntries(fields.map(f => [f, item[f]])) });
+  }
+  for (const [key, item] of prev) if (!next.has(key)) removed.push(pick(item));
+  const timeline = ['planned_start', 'planned_finish', 'effective_finish']
+    .filter(f => (before?.[f] ?? null) !== (after?.[f] ?? null))
+    .map(f => ({ field: f, from: before?.[f] ?? null, to: after?.[f] ?? null }));
+  return { added, removed, redated, changed, timeline };
+}
 
-    for (const { realId, tempId } of needsAttachment) {
-      const file = fileMap[tempId]; if (!file) continue;
-      try {
-        const cdResult = await scheduleCloudinaryUpload(file.buffer, file.originalname, `oneprojectapp/schedules/${projectId}/milestones`);
-        await client.query(`INSERT INTO milestone_attachments (milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (cloudinary_public_id) DO NOTHING`, [realId,file.originalname,file.size,file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);
-      } catch (cdErr) { console.error('[save-schedule] Cloudinary upload failed for milestone', realId, cdErr); }
+function summarizeScheduleDiff(diff) {
+  const parts = [];
+  const names = list => list.slice(0, 3).map(i => `"${i.title}"`).join(', ') + (list.length > 3 ? ` +${list.length - 3} more` : '');
+  if (diff.added.length) parts.push(`${diff.added.length} added (${names(diff.added)})`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} removed (${names(diff.removed)})`);
+  if (diff.redated.length) parts.push(`${diff.redated.length} re-dated (${names(diff.redated)})`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} edited`);
+  const finish = diff.timeline.find(t => t.field === 'planned_finish');
+  if (finish) parts.push(`finish ${finish.from || '-'} → ${finish.to || '-'}`);
+  return parts.length ? parts.join('; ') : 'no milestone changes';
+}
+
+async function captureScheduleRevision(dbClient, scheduleId, { source = 'save', user }) {
+  const schedRes = await dbClient.query('SELECT project_id FROM project_schedules WHERE id=$1 FOR UPDATE', [scheduleId]);
+  if (!schedRes.rows.length) return null;
+  const prevRes = await dbClient.query('SELECT revision_no,snapshot FROM schedule_revisions WHERE schedule_id=$1 ORDER BY revision_no DESC LIMIT 1', [scheduleId]);
+  const prev = prevRes.rows[0] || null;
+  const snapshot = await loadScheduleRevisionSnapshot(dbClient, scheduleId);
+  const diff = diffScheduleSnapshots(prev?.snapshot, snapshot);
+  const summary = summarizeScheduleDiff(diff);
+  const { rows } = await dbClient.query(
+    `INSERT INTO schedule_revisions (schedule_id,project_id,revision_no,source,snapshot,diff,summary,created_by_user_id,created_by_role)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING id,revision_no,summary,created_at`,
+    [scheduleId, schedRes.rows[0].project_id, prev ? prev.revision_no + 1 : 1, source, JSON.stringify(snapshot), JSON.stringify(diff), summary, user?.user_id || null, user?.role || null]
+  );
+  return rows[0];
+}
+
+app.get('/api/schedule/revisions', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const { rows } = await pool.query(
+      `SELECT id,revision_no,source,summary,created_by_user_id,created_by_role,created_at,
+              jsonb_array_length(diff->'added') AS added_count,jsonb_array_length(diff->'removed') AS removed_count,
+              jsonb_array_length(diff->'redated') AS redated_count
+       FROM schedule_revisions WHERE project_id=$1 ORDER BY revision_no DESC`,
+      [projectId]
+    );
+    res.json({ revisions: rows });
+  } catch (err) {
+    console.error('[GET /api/schedule/revisions]', err);
+    res.status(500).json({ error: 'Failed to load schedule revisions' });
+  }
+});
+
+// GET /api/schedule/revisions/diff?projectId=&from=<revision_no>&to=<revision_no>
+// `to` defaults to the latest revision and `from` to the one before it.
+app.get('/api/schedule/revisions/diff', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const latestRes = await pool.query('SELECT MAX(revision_no) AS latest FROM schedule_revisions WHERE project_id=$1', [projectId]);
+    const latest = latestRes.rows[0].latest;
+    if (latest === null) return res.status(404).json({ error: 'No schedule revisions recorded' });
+    const toNo = req.query.to !== undefined ? parseInt(req.query.to, 10) : latest;
+    const fromNo = req.query.from !== undefined ? parseInt(req.query.from, 10) : toNo - 1;
+    if (Number.isNaN(toNo) || Number.isNaN(fromNo)) return res.status(400).json({ error: 'from and to must be revision numbers' });
+    const { rows } = await pool.query(
+      `SELECT revision_no,source,snapshot,summary,created_by_role,created_at FROM schedule_revisions
+       WHERE project_id=$1 AND revision_no = ANY($2::int[])`,
+      [projectId, [fromNo, toNo]]
+    );
+    const byNo = Object.fromEntries(rows.map(r => [r.revision_no, r]));
+    if (!byNo[toNo] || (fromNo >= 1 && !byNo[fromNo])) return res.status(404).json({ error: 'Revision not found' });
+    // from=0 compares against an empty schedule
+    const diff = diffScheduleSnapshots(byNo[fromNo]?.snapshot || null, byNo[toNo].snapshot);
+    const meta = r => r ? { revision_no: r.revision_no, source: r.source, summary: r.summary, created_by_role: r.created_by_role, created_at: r.created_at } : null;
+    res.json({ from: meta(byNo[fromNo]), to: meta(byNo[toNo]), summary: summarizeScheduleDiff(diff), diff });
+  } catch (err) {
+    console.error('[GET /api/schedule/revisions/diff]', err);
+    res.status(500).json({ error: 'Failed to diff schedule revisions' });
+  }
+});
+
+// ─── Schedule Import / Export ────────────────────────────────────────────────
+// Interchange with MS Project (MSPDI XML), Primavera P6 (XER) and CSV. Every
+// parser produces the same shape:
+//   { project: { name, start, finish },
+//     activities: [{ ref, title, description, start, end, quantity, unit, weight_pct }],
+//     links: [{ pred, succ, type, lag }], warnings: [] }
+// Imports land in `milestones` + `schedule_dependencies`; exports include
+// additional milestones too.
+//
+// CSV format (header row required, column order free, names case-insensitive):
+//   id            unique row reference used by `predecessors` (e.g. 1, 2, A10)
+//   title         required
+//   description   optional
+//   start, end    required, YYYY-MM-DD, end >= start
+//   quantity      optional number;  unit  optional text (m3, t, m …)
+//   weight_pct    optional; when every row has one they are normalised to 100,
+//                 otherwise weights follow working-day durations
+//   predecessors  optional, ';'-separated: <id>[FS|SS|FF|SF][+/-lag days]
+//                 e.g. "3" (FS), "3SS+2", "4FF-1;5"
+//
+// MSPDI custom fields: Number1 = quantity, Text1 = unit, Number2 = weight_pct.
+// XER quantities come from material (RT_Mat) resource assignments.
+
+const SCHEDULE_CSV_COLUMNS = ['id', 'title', 'description', 'start', 'end', 'quantity', 'unit', 'weight_pct', 'predecessors'];
+const MSPDI_FIELDS = { quantity: '188743767', weight_pct: '188743768', unit: '188743731' };
+const MSPDI_LINK_TYPES = { 0: 'FF', 1: 'FS', 2: 'SF', 3: 'SS' };
+const XER_LINK_TYPES = { PR_FS: 'FS', PR_SS: 'SS', PR_FF: 'FF', PR_SF: 'SF' };
+
+function xmlEscape(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function xmlUnescape(value) {
+  return String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlBlocks(xml, tag) {
+  const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(re)].map(m => m[1]);
+}
+
+function xmlValue(xml, tag) {
+  const m = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return m ? xmlUnescape(m[1]).trim() : null;
+}
+
+function stripXmlBlocks(xml, tags) {
+  return tags.reduce((acc, tag) => acc.replace(new RegExp(`<${tag}(?:\\s[^>]*)?>[\\s\\S]*?</${tag}>`, 'g'), ''), xml);
+}
+
+function isoDatePart(value) {
+  const m = String(value || '').match(/^(\d{4}-\d{2}-\d{2})/);
+  return m ? m[1] : null;
+}
+
+function parseNumberOrNull(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseMspdiXml(xml) {
+  const warnings = [];
+  if (!/<Project[\s>]/.test(xml)) throw Object.assign(new Error('Not an MS Project XML (MSPDI) file'), { code: 'IMPORT_PARSE' });
+  const header = stripXmlBlocks(xml, ['Tasks', 'Resources', 'Assignments', 'Calendars', 'ExtendedAttributes']);
+  const project = {
+    name: xmlValue(header, 'Title') || xmlValue(header, 'Name'),
+    start: isoDatePart(xmlValue(header, 'StartDate')),
+    finish: isoDatePart(xmlValue(header, 'FinishDate')),
+  };
+  const activities = [], links = [], skipped = new Set();
+  for (const block of xmlBlocks(xml, 'Task')) {
+    const own = stripXmlBlocks(block, ['PredecessorLink', 'ExtendedAttribute', 'Baseline', 'TimephasedData']);
+    const uid = xmlValue(own, 'UID');
+    if (uid === null) continue;
+    if (xmlValue(own, 'Summary') === '1' || uid === '0' || xmlValue(own, 'IsNull') === '1') { skipped.add(uid); continue; }
+    const ext = {};
+    for (const ea of xmlBlocks(block, 'ExtendedAttribute')) ext[xmlValue(ea, 'FieldID')] = xmlValue(ea, 'Value');
+    activities.push({
+      ref: uid,
+      title: xmlValue(own, 'Name'),
+      description: xmlValue(own, 'Notes'),
+      start: isoDatePart(xmlValue(own, 'Start')),
+      end: isoDatePart(xmlValue(own, 'Finish')),
+      quantity: parseNumberOrNull(ext[MSPDI_FIELDS.quantity]),
+      unit: ext[MSPDI_FIELDS.unit] || null,
+      weight_pct: parseNumberOrNull(ext[MSPDI_FIELDS.weight_pct]),
+    });
+    for (const pl of xmlBlocks(block, 'PredecessorLink')) {
+      const pred = xmlValue(pl, 'PredecessorUID');
+      if (skipped.has(pred)) { warnings.push(`Link from summary task ${pred} to ${uid} ignored`); continue; }
+      // LinkLag is stored in tenths of a minute; 4800 = one 8-hour day
+      links.push({ pred, succ: uid, type: MSPDI_LINK_TYPES[xmlValue(pl, 'Type')] || 'FS', lag: Math.round((parseFloat(xmlValue(pl, 'LinkLag')) || 0) / 4800) });
     }
-    for (const { realId, tempId } of addlNeedsAttachment) {
-      const file = fileMap[tempId]; if (!file) continue;
-      try {
-        const cdResult = await scheduleCloudinaryUpload(file.buffer, file.originalname, `oneprojectapp/schedules/${projectId}/additional`);
-        await client.query(`INSERT INTO additional_milestone_attachments (additional_milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (cloudinary_public_id) DO NOTHING`, [realId,file.originalname,file.size,file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);
-      } catch (cdErr) { console.error('[save-schedule] Cloudinary upload failed for additional milestone', realId, cdErr); }
+  }
+  if (skipped.size) warnings.push(`${skipped.size} summary task(s) skipped`);
+  return { project, activities, links, warnings };
+}
+
+function parseXerTables(text) {
+  const tables = {};
+  let current = null, fields = null;
+  for (const line of text.split(/\r?\n/)) {
+    const parts = line.split('\t');
+    if (parts[0] === '%T') { current = parts[1]; tables[current] = []; fields = null; }
+    else if (parts[0] === '%F') fields = parts.slice(1);
+    else if (parts[0] === '%R' && current && fields) {
+      const row = {};
+      fields.forEach((f, i) => { row[f] = parts[i + 1] ?? ''; });
+      tables[current].push(row);
     }
-    await client.query('COMMIT');
+  }
+  return tables;
+}
 
-    // Notify project members that the schedule was edited
-    try {
-      const notifClient = await pool.connect();
-      try {
-        await notifClient.query('BEGIN');
-        const notifMsg = `Schedule updated by ${req.user.role}`;
-        const notifRes = await notifClient.query(
-          `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
-           VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
-          [projectId, schedId, 'project_schedules', notifMsg, req.user.user_id, req.user.role]
-        );
-        const notificationId = notifRes.rows[0].id;
-        const recipients = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role);
-        await insertNotificationRecipients(notifClient, notificationId, recipients);
-        await notifClient.query('COMMIT');
-        console.log('[notifications] created schedule update notification', { notificationId, projectId, schedId, recipients: recipients.length });
-      } catch (notifErr) {
-        await notifClient.query('ROLLBACK');
-        console.error('[notifications] failed to create schedule notification (non-fatal):', notifErr.message);
-      } finally { notifClient.release(); }
-    } catch (outerNotifErr) {
-      console.error('[notifications] outer error creating schedule notification (non-fatal):', outerNotifErr.message);
+function parseXer(text) {
+  const warnings = [];
+  if (!text.startsWith('ERMHDR')) throw Object.assign(new Error('Not a Primavera XER file'), { code: 'IMPORT_PARSE' });
+  const t = parseXerTables(text);
+  const proj = (t.PROJECT || [])[0];
+  if (!proj) throw Object.assign(new Error('XER file has no PROJECT table'), { code: 'IMPORT_PARSE' });
+  if ((t.PROJECT || []).length > 1) warnings.push(`XER contains ${t.PROJECT.length} projects; only ${proj.proj_short_name} was imported`);
+  const cal = (t.CALENDAR || []).find(c => c.clndr_id === proj.clndr_id);
+  const hoursPerDay = parseFloat(cal?.day_hr_cnt) || 8;
+
+  const units = new Map((t.UMEASURE || []).map(u => [u.unit_id, u.unit_abbrev]));
+  const materials = new Map((t.RSRC || []).filter(r => r.rsrc_type === 'RT_Mat').map(r => [r.rsrc_id, units.get(r.unit_id) || r.rsrc_short_name || null]));
+  const qtyByTask = new Map();
+  for (const tr of t.TASKRSRC || []) {
+    if (!materials.has(tr.rsrc_id)) continue;
+    const cur = qtyByTask.get(tr.task_id) || { quantity: 0, unit: materials.get(tr.rsrc_id) };
+    cur.quantity += parseFloat(tr.target_qty) || 0;
+    qtyByTask.set(tr.task_id, cur);
+  }
+
+  const tasks = (t.TASK || []).filter(tk => tk.proj_id === proj.proj_id);
+  const skippedTypes = tasks.filter(tk => ['TT_LOE', 'TT_WBS'].includes(tk.task_type));
+  if (skippedTypes.length) warnings.push(`${skippedTypes.length} level-of-effort/WBS summary activities skipped`);
+  const activities = tasks
+    .filter(tk => !['TT_LOE', 'TT_WBS'].includes(tk.task_type))
+    .map(tk => ({
+      ref: tk.task_id,
+      title: tk.task_name || tk.task_code,
+      description: tk.task_code ? `P6 activity ${tk.task_code}` : null,
+      start: isoDatePart(tk.target_start_date || tk.early_start_date),
+      end: isoDatePart(tk.target_end_date || tk.early_end_date),
+      quantity: qtyByTask.get(tk.task_id)?.quantity ?? null,
+      unit: qtyByTask.get(tk.task_id)?.unit ?? null,
+      weight_pct: null,
+    }));
+  const links = (t.TASKPRED || [])
+    .filter(p => p.proj_id === proj.proj_id || !p.proj_id)
+    .map(p => ({ pred: p.pred_task_id, succ: p.task_id, type: XER_LINK_TYPES[p.pred_type] || 'FS', lag: Math.round((parseFloat(p.lag_hr_cnt) || 0) / hoursPerDay) }));
+  return {
+    project: { name: proj.proj_short_name, start: isoDatePart(proj.plan_start_date), finish: isoDatePart(proj.scd_end_date || proj.plan_end_date) },
+    activities,
+    links,
+    warnings,
+  };
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = text.replace(/^﻿/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(c => c.trim() !== '')) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(c => c.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+function parseScheduleCsv(text) {
+  const rows = parseCsvRows(text);
+  if (!rows.length) throw Object.assign(new Error('CSV file is empty'), { code: 'IMPORT_PARSE' });
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  for (const col of ['id', 'title', 'start', 'end']) {
+    if (!header.includes(col)) throw Object.assign(new Error(`CSV is missing required column "${col}"`), { code: 'IMPORT_PARSE' });
+  }
+  const warnings = [];
+  const unknown = header.filter(h => h && !SCHEDULE_CSV_COLUMNS.includes(h));
+  if (unknown.length) warnings.push(`Ignored column(s): ${unknown.join(', ')}`);
+  const activities = [], links = [];
+  rows.slice(1).forEach(cells => {
+    const rec = {};
+    header.forEach((h, i) => { rec[h] = (cells[i] ?? '').trim(); });
+    activities.push({
+      ref: rec.id,
+      title: rec.title,
+      description: rec.description || null,
+      start: rec.start,
+      end: rec.end,
+      quantity: parseNumberOrNull(rec.quantity),
+      unit: rec.unit || null,
+      weight_pct: parseNumberOrNull(rec.weight_pct),
+    });
+    for (const token of (rec.predecessors || '').split(';').map(p => p.trim()).filter(Boolean)) {
+      const m = token.match(/^(.+?)(FS|SS|FF|SF)?\s*(?:([+-])\s*(\d+)\s*d?)?$/i);
+      if (!m) { warnings.push(`Row ${rec.id}: could not read predecessor "${token}"`); continue; }
+      links.push({ pred: m[1].trim(), succ: rec.id, type: (m[2] || 'FS').toUpperCase(), lag: m[3] ? parseInt(`${m[3]}${m[4]}`, 10) : 0 });
     }
+  });
+  return { project: { name: null, start: null, finish: null }, activities, links, warnings };
+}
 
-    const freshMs = await pool.query(`SELECT m.*,COALESCE(json_agg(json_build_object('date',e.report_date,'qty',e.qty_executed,'remarks',e.remarks,'cumulative',e.cumulative_after_entry) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url,'publicId',a.cloudinary_public_id)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM milestones m LEFT JOIN milestone_progress_entries e ON e.milestone_id=m.id LEFT JOIN milestone_attachments a ON a.milestone_id=m.id WHERE m.schedule_id=$1 GROUP BY m.id ORDER BY m.sort_order`, [schedId]);
-    const savedLocation = schedRes.rows[0]?.location || location || null;
-    const extRows2 = await pool.query(`SELECT id,extension_days,new_planned_start,new_planned_finish,reason,extension_type,status,created_at FROM schedule_extensions WHERE schedule_id=$1 ORDER BY created_at ASC`, [schedId]);
-    const amRows2 = await pool.query(`SELECT am.*,COALESCE(json_agg(json_build_object('date',e.report_date,'qty',e.qty_executed,'remarks',e.remarks,'cumulative',e.cumulative_after_entry) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM additional_milestones am LEFT JOIN additional_milestone_progress_entries e ON e.additional_milestone_id=am.id LEFT JOIN additional_milestone_attachments a ON a.additional_milestone_id=am.id WHERE am.schedule_id=$1 GROUP BY am.id ORDER BY am.sort_order`, [schedId]);
-    const mapExtMs = ms => ({ id:ms.id,title:ms.title,description:ms.description,start:ms.planned_start,end:ms.planned_end,quantity:ms.quantity,unit:ms.unit,dep:ms.depends_on_baseline||null,weight_pct:ms.weight_pct,float_days:ms.float_days,is_critical:ms.is_critical,executed:ms.executed,progress_pct:ms.progress_pct,activity_status:ms.activity_status,entries:ms.entries,fileName:ms.attachments?.[0]?.fileName||null,attachmentUrl:ms.attachments?.[0]?.url||null,added_via_extension:true });
-    res.json({ success:true,schedule:{ id:schedId,timeline:{start:tl.start,finish:tl.finish,duration:tl.duration},location:savedLocation,milestones:freshMs.rows.map(ms=>({id:ms.id,title:ms.title,description:ms.description,start:ms.planned_start,end:ms.planned_end,quantity:ms.quantity,unit:ms.unit,dep:ms.depends_on||'None',weight_pct:ms.weight_pct,float_days:ms.float_days,is_critical:ms.is_critical,executed:ms.executed,progress_pct:ms.progress_pct,activity_status:ms.activity_status,entries:ms.entries,fileName:ms.attachments?.[0]?.fileName||null,attachmentUrl:ms.attachments?.[0]?.url||null})),extension_milestones:amRows2.rows.map(mapExtMs),extensions:extRows2.rows } });
-  } catch (err) { await client.query('ROLLBACK'); console.error('[POST /api/save-schedule]', err); res.status(500).json({ error: 'Failed to save schedule' }); } finally { client.release(); }
+// Checks a parsed schedule, fills weights and timeline, and runs the CPM so
+// the preview shows what the save would produce. Returns { errors } on failure.
+function prepareScheduleImport(parsed, calendar) {
+  const errors = [], warnings = [...parsed.warnings];
+  const seen = new Set();
+  const activities = [];
+  parsed.activities.forEach((a, idx) => {
+    const label = `Activity ${a.ref || `#${idx + 1}`}`;
+    if (!a.ref) { errors.push(`Row ${idx + 1}: id is required`); return; }
+    if (seen.has(String(a.ref))) { errors.push(`${label}: duplicate id`); return; }
+    seen.add(String(a.ref));
+    if (!a.title) errors.push(`${label}: title is required`);
+    if (toDayNumber(a.start) == null || toDayNumber(a.end) == null) errors.push(`${label}: start and end must be YYYY-MM-DD dates`);
+    else if (toDayNumber(a.end) < toDayNumber(a.start)) errors.push(`${label}: end is before start`);
+    activities.push({ ...a, ref: String(a.ref) });
+  });
+  if (!activities.length) errors.push('No activities found');
+  const links = [];
+  for (const l of parsed.links) {
+    const link = { ...l, pred: String(l.pred), succ: String(l.succ) };
+    if (!seen.has(link.pred) || !seen.has(link.succ)) { warnings.push(`Link ${link.pred} -> ${link.succ} references an unknown activity and was dropped`); continue; }
+    if (link.pred === link.succ) { warnings.push(`Self-link on ${link.pred} dropped`); continue; }
+    if (!DEPENDENCY_TYPES.includes(link.type)) { errors.push(`Link ${link.pred} -> ${link.succ}: unknown type ${link.type}`); continue; }
+    links.push(link);
+  }
+  if (errors.length) return { errors, warnings };
+
+  activities.forEach(a => { a.duration_days = Math.max(1, workingDaysBetween(calendar, a.start, a.end)); });
+  const explicitWeights = activities.every(a => a.weight_pct !== null && a.weight_pct >= 0) && activities.some(a => a.weight_pct > 0);
+  const weightBase = explicitWeights ? activities.reduce((s, a) => s + a.weight_pct, 0) : activities.reduce((s, a) => s + a.duration_days, 0);
+  activities.forEach(a => { a.weight_pct = parseFloat((((explicitWeights ? a.weight_pct : a.duration_days) / weightBase) * 100).toFixed(2)); });
+  if (!explicitWeights && parsed.activities.some(a => a.weight_pct !== null)) warnings.push('Some activities had no weight; all weights were derived from durations');
+
+  const starts = activities.map(a => toDayNumber(a.start)), ends = activities.map(a => toDayNumber(a.end));
+  const timeline = {
+    start: dayNumberToDate(Math.min(...starts, toDayNumber(parsed.project.start) ?? Infinity)),
+    finish: dayNumberToDate(Math.max(...ends, toDayNumber(parsed.project.finish) ?? -Infinity)),
+  };
+  timeline.duration = daysBetween(timeline.start, timeline.finish);
+
+  let cpm;
+  try {
+    cpm = computeCriticalPath({
+      projectStart: timeline.start,
+      projectFinish: timeline.finish,
+      calendar,
+      activities: activities.map(a => ({ key: a.ref, id: a.ref, kind: 'milestone', title: a.title, start: a.start, end: a.end, preds: links.filter(l => l.succ === a.ref).map(l => ({ key: l.pred, type: l.type, lag: l.lag })) })),
+    });
+  } catch (err) {
+    if (err.code === 'CPM_CYCLE') return { errors: [`Circular dependency between: ${err.cycleKeys.join(', ')}`], warnings };
+    throw err;
+  }
+  const cpmByRef = new Map(cpm.activities.map(c => [c.key, c]));
+  return {
+    errors: [],
+    warnings,
+    name: parsed.project.name,
+    timeline,
+    activities: activities.map(a => ({ ...a, float_days: Math.max(0, cpmByRef.get(a.ref).total_float), is_critical: cpmByRef.get(a.ref).is_critical })),
+    links,
+  };
+}
+
+function detectScheduleFormat(format, file) {
+  const f = (format || '').toLowerCase();
+  if (['msproject', 'mspdi', 'xml'].includes(f)) return 'msproject';
+  if (['xer', 'primavera', 'p6'].includes(f)) return 'xer';
+  if (f === 'csv') return 'csv';
+  const name = (file?.originalname || '').toLowerCase();
+  if (name.endsWith('.xml')) return 'msproject';
+  if (name.endsWith('.xer')) return 'xer';
+  if (name.endsWith('.csv')) return 'csv';
+  return null;
+}
+
+const SCHEDULE_FORMAT_LABELS = { msproject: 'MS Project XML', xer: 'Primavera XER', csv: 'CSV' };
+
+app.get('/api/schedule/import/csv-template', authenticateToken, (_req, res) => {
+  const lines = [
+    SCHEDULE_CSV_COLUMNS.join(','),
+    '1,Site mobilisation,,2026-07-01,2026-07-10,,,,',
+    '2,Excavation,Bulk excavation to formation level,2026-07-11,2026-08-05,4500,m3,,1FS',
+    '3,Blinding concrete,,2026-07-25,2026-08-10,120,m3,,2SS+10',
+  ];
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="schedule-import-template.csv"');
+  res.send(lines.join('\r\n') + '\r\n');
 });
 
-app.post('/api/report-progress', authenticateToken, upload.single('attachment'), async (req, res) => {
+// Multipart: file, projectId, format (msproject|xer|csv, else from extension),
+// mode (replace|append, default replace), dryRun (true = preview only).
+app.post('/api/schedule/import', authenticateToken, upload.single('file'), async (req, res) => {
   const projectId = normalizeProjectId(req.body.projectId);
-  const { milestoneId, reportDate, remarks } = req.body;
-  const qty = parseFloat(req.body.qtyExecuted);
-  if (!projectId||!milestoneId||!reportDate||!qty||qty<=0) return res.status(400).json({ error: 'Valid projectId, milestoneId, reportDate and positive qtyExecuted are required' });
-  const client = await pool.connect();
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!req.file) return res.status(400).json({ error: 'file is required' });
+  const format = detectScheduleFormat(req.body.format, req.file);
+  if (!format) return res.status(400).json({ error: 'format must be msproject, xer or csv' });
+  const mode = req.body.mode === 'append' ? 'append' : 'replace';
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+  if (!isDecisionMaker(req.user.role)) return res.status(403).json({ error: 'Only Client, Consultant or Contractor can import schedules' });
+
+  let prepared, existingInfo;
   try {
-    await client.query('BEGIN');
-    const msRes = await client.query('SELECT * FROM milestones WHERE id=$1 AND project_id=$2 FOR UPDATE', [milestoneId, projectId]);
-    if (!msRes.rows.length) return res.status(404).json({ error: 'Milestone not found' });
-    const ms = msRes.rows[0];
-    if (ms.activity_status==='completed') return res.status(409).json({ error: 'Milestone is already completed' });
-    const planned=parseFloat(ms.quantity)||0, prevExec=parseFloat(ms.executed)||0, newExecuted=prevExec+qty;
-    if (planned>0&&newExecuted>planned) return res.status(422).json({ error: `Cannot exceed planned quantity of ${planned} ${ms.unit||''}. Remaining: ${(planned-prevExec).toFixed(3)}` });
-    const newPct = planned>0?Math.min(100,(newExecuted/planned)*100):0;
-    const entryRes = await client.query(`INSERT INTO milestone_progress_entries (milestone_id,project_id,report_date,qty_executed,cumulative_after_entry,progress_pct_after_entry,remarks,reported_by_user_id,reported_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (milestone_id,report_date) DO UPDATE SET qty_executed=milestone_progress_entries.qty_executed+EXCLUDED.qty_executed,cumulative_after_entry=EXCLUDED.cumulative_after_entry,progress_pct_after_entry=EXCLUDED.progress_pct_after_entry,remarks=COALESCE(EXCLUDED.remarks,milestone_progress_entries.remarks),reported_by_user_id=EXCLUDED.reported_by_user_id,reported_by_role=EXCLUDED.reported_by_role RETURNING *`, [milestoneId,projectId,reportDate,qty,newExecuted,newPct.toFixed(2),remarks||null,req.user.user_id,req.user.role]);
-    await client.query(`UPDATE milestones SET executed=$1,progress_pct=$2,activity_status='in_progress',updated_at=now() WHERE id=$3`, [newExecuted,newPct.toFixed(2),milestoneId]);
-    if (req.file) {
-      try { const cdResult=await scheduleCloudinaryUpload(req.file.buffer,req.file.originalname,`oneprojectapp/schedules/${projectId}/progress`); await client.query(`INSERT INTO progress_entry_attachments (progress_entry_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`, [entryRes.rows[0].id,req.file.originalname,req.file.size,req.file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]); } catch(cdErr){console.error('[report-progress] Attachment upload failed:',cdErr);}
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const calendar = await loadProjectCalendar(pool, projectId);
+    try {
+      const text = req.file.buffer.toString('utf8');
+      const parsed = format === 'msproject' ? parseMspdiXml(text) : format === 'xer' ? parseXer(text) : parseScheduleCsv(text);
+      prepared = prepareScheduleImport(parsed, calendar);
+    } catch (err) {
+      if (err.code === 'IMPORT_PARSE') return res.status(400).json({ error: err.message });
+      console.error('[POST /api/schedule/import] parse', err);
+      return res.status(400).json({ error: 'Could not read the schedule file' });
     }
-    await client.query('COMMIT');
-    const allEntries=await pool.query(`SELECT report_date AS date,qty_executed AS qty,remarks,cumulative_after_entry AS cumulative FROM milestone_progress_entries WHERE milestone_id=$1 ORDER BY report_date`, [milestoneId]);
-    res.json({ success:true,milestone:{id:milestoneId,executed:newExecuted,progress_pct:parseFloat(newPct.toFixed(2)),activity_status:'in_progress',entries:allEntries.rows} });
-  } catch (err) { await client.query('ROLLBACK'); console.error('[POST /api/report-progress]', err); res.status(500).json({ error: 'Failed to save progress entry' }); } finally { client.release(); }
-});
+    if (prepared.errors.length) return res.status(400).json({ error: 'Schedule file has errors', errors: prepared.errors, warnings: prepared.warnings });
+
+    const existing = await pool.query(
+      `SELECT COUNT(m.id)::int AS milestones, COUNT(m.id) FILTER (WHERE COALESCE(m.executed,0) > 0)::int AS with_progress
+       FROM project_schedules ps LEFT JOIN milestones m ON m.schedule_id=ps.id WHERE ps.project_id=$1`,
+      [projectId]
+    );
+    existingInfo = existing.rows[0] || { milestones: 0, with_progress: 0 };
+  } catch (err) {
+    console.error('[POST /api/schedule/import]', err);
+    return res.status(500).json({ error: 'Failed to import schedule' });
+  }
+  const kept = mode === 'replace' ? existingInfo.with_progress : existingInfo.milestones;
+  if (mode === 'replace' && kept > 0) {
+    prepared.warnings.push(`${kept} existing milestone(s) with recorded progress will be kept`);
+  }
+  if (kept > 0) prepared.warnings.push('Weights of kept and imported milestones will be rescaled to total 100%');
+  const preview = { format, mode, timeline: prepared.timeline, activities: prepared.activities, links: prepared.links, warnings: prepared.warnings, existing: existingInfo };
+  if (dryRun) return res.json({ dryRun: true, ...preview });
 
-app.post('/api/report-additional-progress', authenticateToken, upload.single('attachment'), async (req, res) => {
-  const projectId = normalizeProjectId(req.body.projectId);
-  const { milestoneId, reportDate, remarks } = req.body;
-  const qty = parseFloat(req.body.qtyExecuted);
-  if (!projectId||!milestoneId||!reportDate||!qty||qty<=0) return res.status(400).json({ error: 'Valid projectId, milestoneId, reportDate and positive qtyExecuted are required' });
   const client = await pool.connect();
+  let schedId;
   try {
     await client.query('BEGIN');
-    const msRes=await client.query('SELECT * FROM additional_milestones WHERE id=$1 AND project_id=$2 FOR UPDATE',[milestoneId,projectId]);
-    if (!msRes.rows.length) return res.status(404).json({ error: 'Additional milestone not found' });
-    const ms=msRes.rows[0];
-    if (ms.activity_status==='completed') return res.status(409).json({ error: 'Milestone is already completed' });
-    const planned=parseFloat(ms.quantity)||0,prevExec=parseFloat(ms.executed)||0,newExecuted=prevExec+qty;
-    if (planned>0&&newExecuted>planned) return res.status(422).json({ error:`Cannot exceed planned quantity. Remaining: ${(planned-prevExec).toFixed(3)} ${ms.unit||''}` });
-    const newPct=planned>0?Math.min(100,(newExecuted/planned)*100):0;
-    const entryRes=await client.query(`INSERT INTO additional_milestone_progress_entries (additional_milestone_id,project_id,report_date,qty_executed,cumulative_after_entry,progress_pct_after_entry,remarks,reported_by_user_id,reported_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT (additional_milestone_id,report_date) DO UPDATE SET qty_executed=additional_milestone_progress_entries.qty_executed+EXCLUDED.qty_executed,cumulative_after_entry=EXCLUDED.cumulative_after_entry,progress_pct_after_entry=EXCLUDED.progress_pct_after_entry,remarks=COALESCE(EXCLUDED.remarks,additional_milestone_progress_entries.remarks),reported_by_user_id=EXCLUDED.reported_by_user_id,reported_by_role=EXCLUDED.reported_by_role RETURNING id`,[milestoneId,projectId,reportDate,qty,newExecuted,newPct.toFixed(2),remarks||null,req.user.user_id,req.user.role]);
-    await client.query(`UPDATE additional_milestones SET executed=$1,progress_pct=$2,activity_status='in_progress',updated_at=now() WHERE id=$3`,[newExecuted,newPct.toFixed(2),milestoneId]);
-    if (req.file) { try{const cdResult=await scheduleCloudinaryUpload(req.file.buffer,req.file.originalname,`oneprojectapp/schedules/${projectId}/additional-progress`);await client.query(`INSERT INTO additional_milestone_attachments (additional_milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,[milestoneId,req.file.originalname,req.file.size,req.file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);}catch(cdErr){console.error('[report-additional-progress] Attachment upload failed:',cdErr);} }
-    await client.query('COMMIT');
-    const allEntries=await pool.query(`SELECT report_date AS date,qty_executed AS qty,remarks,cumulative_after_entry AS cumulative FROM additional_milestone_progress_entries WHERE additional_milestone_id=$1 ORDER BY report_date`,[milestoneId]);
-    res.json({ success:true,milestone:{id:milestoneId,executed:newExecuted,progress_pct:parseFloat(newPct.toFixed(2)),activity_status:'in_progress',entries:allEntries.rows} });
-  } catch(err){await client.query('ROLLBACK');console.error('[POST /api/report-additional-progress]',err);res.status(500).json({error:'Failed to save additional progress entry'});}finally{client.release();}
-});
+    const tl = prepared.timeline;
+    const schedRes = await client.query(
+      `INSERT INTO project_schedules (project_id,planned_start,planned_finish,total_duration,created_by_user_id,created_by_role)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT (project_id) DO UPDATE SET
+         planned_start = CASE WHEN $7 THEN LEAST(project_schedules.planned_start, EXCLUDED.planned_start) ELSE EXCLUDED.planned_start END,
+         planned_finish = CASE WHEN $7 THEN GREATEST(project_schedules.planned_finish, EXCLUDED.planned_finish) ELSE EXCLUDED.planned_finish END,
+         updated_at = now()
+       RETURNING id,planned_start,planned_finish`,
+      [projectId, tl.start, tl.finish, tl.duration, req.user.user_id, req.user.role, mode === 'append']
+    );
+    schedId = schedRes.rows[0].id;
+    await client.query('UPDATE project_schedules SET total_duration=$1 WHERE id=$2', [daysBetween(schedRes.rows[0].planned_start, schedRes.rows[0].planned_finish), schedId]);
+    if (mode === 'replace') {
+      await client.query('DELETE FROM milestones WHERE schedule_id=$1 AND COALESCE(executed,0)=0', [schedId]);
+    }
+    const orderRes = await client.query('SELECT COALESCE(MAX(sort_order),-1)+1 AS next FROM milestones WHERE schedule_id=$1', [schedId]);
+    let sortOrder = orderRes.rows[0].next;
+    const refToId = {};
+    for (const a of prepared.activities) {
+      const ins = await client.query(
+        `INSERT INTO milestones (schedule_id,project_id,title,description,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,created_by_user_id,created_by_role)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13) RETURNING id`,
+        [schedId, projectId, a.title, a.description || null, sortOrder++, a.start, a.end, a.duration_days, a.weight_pct, a.quantity || 0, a.unit || null, req.user.user_id, req.user.role]
+      );
+      refToId[a.ref] = ins.rows[0].id;
+    }
+    // Kept milestones plus the imported set (already 100%) would overshoot
+    await client.query(
+      `UPDATE milestones m SET weight_pct = ROUND((m.weight_pct * 100 / t.total)::numeric, 2)
+       FROM (SELECT SUM(weight_pct) AS total FROM milestones WHERE schedule_id=$1) t
+       WHERE m.schedule_id=$1 AND t.total > 0 AND t.total <> 100`,
+      [schedId]
+    );
+    await pruneScheduleDependencies(client, schedId);
+    for (const l of prepared.links) {
+      await insertScheduleDependency(client, schedId, { predecessor_kind: 'milestone', predecessor_id: refToId[l.pred], successor_kind: 'milestone', successor_id: refToId[l.succ], type: l.type, lag_days: l.lag });
+    }
+    await syncLegacyDependsOn(client, schedId);
+    await recomputeEffectiveFinish(client, schedId);
+    await recalculateCriticalPath(client, schedId);
+    const hasBaseline = await client.query('SELECT 1 FROM schedule_baselines WHERE schedule_id=$1 LIMIT 1', [schedId]);
+    if (!hasBaseline.rows.length) await captureScheduleBaseline(client, schedId, { name: 'Original baseline', reason: 'initial', user: req.user });
+    const revision = await captureScheduleRevision(client, schedId, { source: 'import', user: req.user });
 
-app.post('/api/complete-milestone', authenticateToken, async (req, res) => {
-  const projectId = normalizeProjectId(req.body.projectId);
-  const { milestoneId, isExtensionMilestone } = req.body;
-  if (!projectId||!milestoneId) return res.status(400).json({ error: 'Valid projectId and milestoneId are required' });
-  const isExt=isExtensionMilestone===true||isExtensionMilestone==='true';
-  const table=isExt?'additional_milestones':'milestones';
-  const client=await pool.connect();
-  try {
-    await client.query('BEGIN');
-    const msRes=await client.query(`SELECT * FROM ${table} WHERE id=$1 AND project_id=$2 FOR UPDATE`,[milestoneId,projectId]);
-    if (!msRes.rows.length) return res.status(404).json({ error: 'Milestone not found' });
-    const ms=msRes.rows[0];
-    if (ms.activity_status==='completed') return res.status(409).json({ error: 'Milestone is already completed' });
-    const planned=parseFloat(ms.quantity)||0,exec=parseFloat(ms.executed)||0;
-    if (planned>0&&exec<planned) return res.status(422).json({ error:`Cannot complete: only ${exec} of ${planned} ${ms.unit||''} executed` });
-    await client.query(`UPDATE ${table} SET activity_status='completed',progress_pct=100,completed_at=now(),updated_at=now() WHERE id=$1`,[milestoneId]);
-    const notifMsg = `${isExt ? 'Additional milestone' : 'Milestone'} completed by ${req.user.role}: "${ms.title || `#${milestoneId}`}"`;
-    console.log('[notifications] creating notification', { projectId, entity_id: milestoneId, entity_type: table, message: notifMsg, added_by_id: req.user.user_id, added_by_role: req.user.role });
     const notifRes = await client.query(
-      `INSERT INTO notifications (project_id,entity_id,entity_type,message,added_by_id,added_by_role) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
-      [projectId, milestoneId, table, notifMsg, req.user.user_id, req.user.role]
+      `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+      [projectId, schedId, 'project_schedules', `Schedule imported by ${req.user.role} from ${SCHEDULE_FORMAT_LABELS[format]} (${prepared.activities.length} milestones, rev ${revision.revision_no}): ${revision.summary}`, req.user.user_id, req.user.role]
     );
-    const notificationId = notifRes.rows[0].id;
-    console.log('[notifications] created', { notificationId, projectId, entity_id: milestoneId });
     const recipients = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role);
-    await insertNotificationRecipients(client, notificationId, recipients);
+    await insertNotificationRecipients(client, notifRes.rows[0].id, recipients);
     await client.query('COMMIT');
-    res.json({ success:true,completedAt:new Date().toISOString() });
-  } catch(err){await client.query('ROLLBACK');console.error('[POST /api/complete-milestone]',err);res.status(500).json({error:'Failed to complete milestone'});}finally{client.release();}
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === 'CPM_CYCLE') return res.status(400).json({ error: 'Circular dependency detected', cycle: err.cycleKeys });
+    console.error('[POST /api/schedule/import]', err);
+    return res.status(500).json({ error: 'Failed to import schedule' });
+  } finally {
+    client.release();
+  }
+  res.json({ success: true, dryRun: false, scheduleId: schedId, imported: prepared.activities.length, links: prepared.links.length, warnings: prepared.warnings });
 });
 
-app.post('/api/save-extension', authenticateToken, upload.any(), async (req, res) => {
+async function loadScheduleForExport(db, projectId) {
+  const schedRes = await db.query('SELECT * FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+  if (!schedRes.rows.length) return null;
+  const sched = schedRes.rows[0];
+  const msRes = await db.query(`SELECT 'milestone' AS kind,* FROM milestones WHERE schedule_id=$1 ORDER BY sort_order`, [sched.id]);
+  const amRes = await db.query(`SELECT 'additional' AS kind,* FROM additional_milestones WHERE schedule_id=$1 ORDER BY sort_order`, [sched.id]);
+  const items = [...msRes.rows, ...amRes.rows].map((it, i) => ({ ...it, row: i + 1, key: cpmKey(it.kind, it.id) }));
+  const rowByKey = new Map(items.map(it => [it.key, it.row]));
+  const deps = (await loadScheduleDependencies(db, sched.id))
+    .map(d => ({ pred: rowByKey.get(cpmKey(d.predecessor_kind, d.predecessor_id)), succ: rowByKey.get(cpmKey(d.successor_kind, d.successor_id)), type: d.type, lag: d.lag_days }))
+    .filter(d => d.pred && d.succ);
+  return { sched, items, deps };
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function formatLag(lag) {
+  return lag ? `${lag > 0 ? '+' : '-'}${Math.abs(lag)}` : '';
+}
+
+function exportScheduleCsv({ items, deps }) {
+  const lines = [SCHEDULE_CSV_COLUMNS.join(',')];
+  for (const it of items) {
+    const preds = deps.filter(d => d.succ === it.row).map(d => `${d.pred}${d.type}${formatLag(d.lag)}`).join(';');
+    lines.push([it.row, it.title, it.description, toIsoDate(it.planned_start), toIsoDate(it.planned_end), it.quantity, it.unit, it.weight_pct, preds].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const n = toDayNumber(value);
+  return n == null ? null : dayNumberToDate(n);
+}
+
+function exportScheduleMspdi({ sched, items, deps }, projectName) {
+  const linkType = Object.fromEntries(Object.entries(MSPDI_LINK_TYPES).map(([k, v]) => [v, k]));
+  const ext = (field, value) => value === null || value === undefined || value === ''
+    ? ''
+    : `<ExtendedAttribute><FieldID>${field}</FieldID><Value>${xmlEscape(value)}</Value></ExtendedAttribute>`;
+  const tasks = items.map(it => {
+    const links = deps.filter(d => d.succ === it.row).map(d =>
+      `<PredecessorLink><PredecessorUID>${d.pred}</PredecessorUID><Type>${linkType[d.type] ?? 1}</Type><CrossProject>0</CrossProject><LinkLag>${(d.lag || 0) * 4800}</LinkLag><LagFormat>7</LagFormat></PredecessorLink>`
+    ).join('');
+    return [
+      '<Task>',
+      `<UID>${it.row}</UID><ID>${it.row}</ID><Name>${xmlEscape(it.title)}</Name><Type>0</Type><IsNull>0</IsNull>`,
+      `<OutlineNumber>${it.row}</OutlineNumber><OutlineLevel>1</OutlineLevel>`,
+      `<Start>${toIsoDate(it.planned_start)}T08:00:00</Start><Finish>${toIsoDate(it.planned_end)}T17:00:00</Finish>`,
+      `<Duration>PT${Math.max(1, it.duration_days) * 8}H0M0S</Duration><DurationFormat>7</DurationFormat>`,
+      `<Milestone>0</Milestone><Summary>0</Summary><Critical>${it.is_critical ? 1 : 0}</Critical>`,
+      `<PercentComplete>${Math.round(Number(it.progress_pct || 0))}</PercentComplete>`,
+      `<TotalSlack>${(it.float_days || 0) * 4800}</TotalSlack><FreeSlack>${(it.free_float_days || 0) * 4800}</FreeSlack>`,
+      it.description ? `<Notes>${xmlEscape(it.description)}</Notes>` : '',
+      links,
+      ext(MSPDI_FIELDS.quantity, it.quantity), ext(MSPDI_FIELDS.unit, it.unit), ext(MSPDI_FIELDS.weight_pct, it.weight_pct),
+      '</Task>',
+    ].join('');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Project xmlns="http://schemas.microsoft.com/project">',
+    '<SaveVersion>14</SaveVersion>',
+    `<Name>${xmlEscape(projectName)}.xml</Name><Title>${xmlEscape(projectName)}</Title>`,
+    '<ScheduleFromStart>1</ScheduleFromStart>',
+    `<StartDate>${toIsoDate(sched.planned_start)}T08:00:00</StartDate>`,
+    `<FinishDate>${toIsoDate(sched.effective_finish || sched.planned_finish)}T17:00:00</FinishDate>`,
+    '<MinutesPerDay>480</MinutesPerDay><DurationFormat>7</DurationFormat>',
+    '<ExtendedAttributes>',
+    `<ExtendedAttribute><FieldID>${MSPDI_FIELDS.quantity}</FieldID><FieldName>Number1</FieldName><Alias>Quantity</Alias></ExtendedAttribute>`,
+    `<ExtendedAttribute><FieldID>${MSPDI_FIELDS.weight_pct}</FieldID><FieldName>Number2</FieldName><Alias>Weight %</Alias></ExtendedAttribute>`,
+    `<ExtendedAttribute><FieldID>${MSPDI_FIELDS.unit}</FieldID><FieldName>Text1</FieldName><Alias>Unit</Alias></ExtendedAttribute>`,
+    '</ExtendedAttributes>',
+    '<Tasks>', ...tasks, '</Tasks>',
+    '</Project>',
+  ].join('\n');
+}
+
+function exportScheduleXer({ sched, items, deps }, projectName) {
+  const xerDate = (d, time) => (d ? `${toIsoDate(d)} ${time}` : '');
+  const clean = v => String(v ?? '').replace(/[\t\r\n]+/g, ' ');
+  const table = (name, fields, rows) => [
+    `%T\t${name}`,
+    `%F\t${fields.join('\t')}`,
+    ...rows.map(r => `%R\t${fields.map(f => clean(r[f])).join('\t')}`),
+  ];
+  const unitNames = [...new Set(items.map(it => it.unit).filter(Boolean))];
+  const unitId = new Map(unitNames.map((u, i) => [u, i + 1]));
+  const xerType = Object.fromEntries(Object.entries(XER_LINK_TYPES).map(([k, v]) => [v, k]));
+  const statusCode = s => (s === 'completed' ? 'TK_Complete' : s === 'in_progress' ? 'TK_Active' : 'TK_NotStart');
+  const lines = [
+    `ERMHDR\t19.12\t${new Date().toISOString().slice(0, 10)}\tProject\tadmin\tOneProjectApp\tdbxDatabaseNoName\tProject Management\t`,
+    ...table('CALENDAR', ['clndr_id', 'clndr_name', 'day_hr_cnt'], [{ clndr_id: 1, clndr_name: 'Project calendar', day_hr_cnt: 8 }]),
+    ...table('PROJECT', ['proj_id', 'proj_short_name', 'clndr_id', 'plan_start_date', 'plan_end_date', 'scd_end_date'], [{
+      proj_id: 1, proj_short_name: projectName, clndr_id: 1,
+      plan_start_date: xerDate(sched.planned_start, '08:00'), plan_end_date: xerDate(sched.planned_finish, '17:00'),
+      scd_end_date: xerDate(sched.effective_finish || sched.planned_finish, '17:00'),
+    }]),
+    ...table('UMEASURE', ['unit_id', 'unit_abbrev', 'unit_name'], unitNames.map(u => ({ unit_id: unitId.get(u), unit_abbrev: u, unit_name: u }))),
+    ...table('RSRC', ['rsrc_id', 'rsrc_short_name', 'rsrc_name', 'rsrc_type', 'unit_id'], unitNames.map(u => ({ rsrc_id: unitId.get(u), rsrc_short_name: u, rsrc_name: `Quantity (${u})`, rsrc_type: 'RT_Mat', unit_id: unitId.get(u) }))),
+    ...table('TASK', ['task_id', 'proj_id', 'clndr_id', 'task_code', 'task_name', 'task_type', 'status_code', 'phys_complete_pct', 'target_drtn_hr_cnt', 'target_start_date', 'target_end_date', 'total_float_hr_cnt', 'free_float_hr_cnt', 'driving_path_flag'],
+      items.map(it => ({
+        task_id: it.row, proj_id: 1, clndr_id: 1, task_code: `A${1000 + it.row * 10}`, task_name: it.title, task_type: 'TT_Task',
+        status_code: statusCode(it.activity_status), phys_complete_pct: Number(it.progress_pct || 0),
+        target_drtn_hr_cnt: Math.max(1, it.duration_days) * 8,
+        target_start_date: xerDate(it.planned_start, '08:00'), target_end_date: xerDate(it.planned_end, '17:00'),
+        total_float_hr_cnt: (it.float_days || 0) * 8, free_float_hr_cnt: (it.free_float_days || 0) * 8, driving_path_flag: it.is_critical ? 'Y' : 'N',
+      }))),
+    ...table('TASKPRED', ['task_pred_id', 'task_id', 'pred_task_id', 'proj_id', 'pred_proj_id', 'pred_type', 'lag_hr_cnt'],
+      deps.map((d, i) => ({ task_pred_id: i + 1, task_id: d.succ, pred_task_id: d.pred, proj_id: 1, pred_proj_id: 1, pred_type: xerType[d.type] || 'PR_FS', lag_hr_cnt: (d.lag || 0) * 8 }))),
+    ...table('TASKRSRC', ['taskrsrc_id', 'task_id', 'proj_id', 'rsrc_id', 'target_qty'],
+      items.filter(it => it.unit && Number(it.quantity) > 0).map((it, i) => ({ taskrsrc_id: i + 1, task_id: it.row, proj_id: 1, rsrc_id: unitId.get(it.unit), target_qty: it.quantity }))),
+    '%E',
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+app.get('/api/schedule/export', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const format = detectScheduleFormat(req.query.format);
+  if (!format) return res.status(400).json({ error: 'format must be msproject, xer or csv' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const data = await loadScheduleForExport(pool, projectId);
+    if (!data) return res.status(404).json({ error: 'No schedule found for this project' });
+    const projRes = await pool.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+    const projectName = projRes.rows[0]?.name || `Project ${projectId}`;
+    const safeId = String(projectId).replace(/[^\w-]+/g, '_');
+    const out = {
+      msproject: { body: () => exportScheduleMspdi(data, projectName), type: 'application/xml; charset=utf-8', ext: 'xml' },
+      xer: { body: () => exportScheduleXer(data, projectName), type: 'text/plain; charset=utf-8', ext: 'xer' },
+      csv: { body: () => exportScheduleCsv(data), type: 'text/csv; charset=utf-8', ext: 'csv' },
+    }[format];
+    res.setHeader('Content-Type', out.type);
+    res.setHeader('Content-Disposition', `attachment; filename="schedule-${safeId}.${out.ext}"`);
+    res.send(out.body());
+  } catch (err) {
+    console.error('[GET /api/schedule/export]', err);
+    res.status(500).json({ error: 'Failed to export schedule' });
+  }
+});
+
+// ─── Gantt Export ────────────────────────────────────────────────────────────
+// The chart is laid out once as a list of primitives (rect/line/path/text in
+// top-left coordinates) and then written out either as SVG or onto pdf-lib
+// pages, so both formats always show the same thing.
+
+const GANTT_SCALES = { day: 16, week: 4, month: 1.2 };   // default px per day
+const GANTT_PAGE_SIZES = { A4: [595.28, 841.89], A3: [841.89, 1190.55], A2: [1190.55, 1683.78], A1: [1683.78, 2383.94], letter: [612, 792], tabloid: [792, 1224] };
+const GANTT_LAYOUT = { labelWidth: 220, rowHeight: 18, headerHeight: 34, titleHeight: 40, margin: 24 };
+const GANTT_COLORS = {
+  bar: '#4a78c2', critical: '#c94040', additional: '#8a5cc2', progress: '#1f3f73',
+  baseline: '#b8b8b8', grid: '#e4e4e4', text: '#222222', muted: '#777777',
+  today: '#e03131', contract: '#555555', extension: '#e8890c', dependency: '#666666',
+};
+const MONTH_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function parseGanttPageSize(size, orientation) {
+  let dims = GANTT_PAGE_SIZES[size];
+  if (!dims) {
+    const m = String(size || '').match(/^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/);
+    if (!m) return null;
+    dims = [parseFloat(m[1]), parseFloat(m[2])];
+  }
+  const [a, b] = [Math.min(...dims), Math.max(...dims)];
+  return orientation === 'portrait' ? [a, b] : [b, a];
+}
+
+async function loadGanttData(db, projectId, { baselineId } = {}) {
+  const data = await loadScheduleForExport(db, projectId);
+  if (!data) return null;
+  const { sched } = data;
+  const extRes = await db.query('SELECT id,status FROM schedule_extensions WHERE schedule_id=$1', [sched.id]);
+  const extStatus = Object.fromEntries(extRes.rows.map(e => [e.id, e.status]));
+  // Additional milestones only count once their extension is approved
+  const items = data.items.filter(it => it.kind === 'milestone' || !it.schedule_extension_id || extStatus[it.schedule_extension_id] === 'approved');
+  const keys = new Set(items.map(it => it.key));
+  const deps = (await loadScheduleDependencies(db, sched.id))
+    .map(d => ({ pred: cpmKey(d.predecessor_kind, d.predecessor_id), succ: cpmKey(d.successor_kind, d.successor_id), type: d.type, lag: d.lag_days }))
+    .filter(d => keys.has(d.pred) && keys.has(d.succ));
+
+  let baseline = null;
+  if (baselineId !== 'none') {
+    const blRes = baselineId
+      ? await db.query('SELECT id,baseline_no,name FROM schedule_baselines WHERE id=$1 AND schedule_id=$2', [baselineId, sched.id])
+      : await db.query('SELECT id,baseline_no,name FROM schedule_baselines WHERE schedule_id=$1 ORDER BY baseline_no DESC LIMIT 1', [sched.id]);
+    if (blRes.rows.length) {
+      const itemRes = await db.query('SELECT item_kind,item_id,planned_start,planned_end FROM schedule_baseline_items WHERE baseline_id=$1', [blRes.rows[0].id]);
+      baseline = { ...blRes.rows[0], byKey: new Map(itemRes.rows.map(i => [cpmKey(i.item_kind, i.item_id), i])) };
+    }
+  }
+  return { sched, items, deps, baseline };
+}
+
+function buildGanttModel({ sched, items, deps, baseline }, { today = toDayNumber(new Date()) } = {}) {
+  const rows = items.map((it, i) => {
+    const base = baseline?.byKey.get(it.key) || null;
+    return {
+      key: it.key, index: i, kind: it.kind, title: it.title,
+      start: toDayNumber(it.planned_start), end: toDayNumber(it.planned_end),
+      baseStart: base ? toDayNumber(base.planned_start) : null, baseEnd: base ? toDayNumber(base.planned_end) : null,
+      pct: Math.max(0, Math.min(100, parseFloat(it.progress_pct) || 0)), critical: Boolean(it.is_critical),
+    };
+  });
+  const contractFinish = toDayNumber(sched.planned_finish);
+  const effectiveFinish = toDayNumber(sched.effective_finish || sched.planned_finish);
+  const days = [toDayNumber(sched.planned_start), contractFinish, effectiveFinish,
+    ...rows.flatMap(r => [r.start, r.end, r.baseStart, r.baseEnd])].filter(d => d != null);
+  // Nothing dated yet: draw an empty chart around today
+  if (!days.length) days.push(today);
+  let from = Math.min(...days), to = Math.max(...days);
+  // Keep the today line visible when it's close to the programme
+  if (today >= from - 31 && today <= to + 31) { from = Math.min(from, today); to = Math.max(to, today); }
+  return { rows, deps, from: from - 2, to: to + 3, today, contractFinish, effectiveFinish, baselineName: baseline?.name || null };
+}
+
+function ganttTicks(from, to, scale) {
+  const ticks = [], bands = [];
+  for (let d = from; d <= to; d++) {
+    const date = new Date(d * 86400000);
+    const dom = date.getUTCDate(), mon = date.getUTCMonth(), yr = date.getUTCFullYear();
+    if (scale === 'day') ticks.push({ day: d, label: String(dom) });
+    else if (scale === 'week' && date.getUTCDay() === 1) ticks.push({ day: d, label: `${String(dom).padStart(2, '0')}/${String(mon + 1).padStart(2, '0')}` });
+    else if (scale === 'month' && dom === 1) ticks.push({ day: d, label: MONTH_SHORT[mon] });
+    // Upper band: months for day/week scales, years for the month scale
+    const bandKey = scale === 'month' ? yr : `${yr}-${mon}`;
+    if (!bands.length || bands[bands.length - 1].key !== bandKey) bands.push({ key: bandKey, day: d, label: scale === 'month' ? String(yr) : `${MONTH_SHORT[mon]} ${yr}` });
+  }
+  return { ticks, bands };
+}
+
+// Primitives for rows [rowFrom, rowTo) with the chart origin at (x0, y0)
+function drawGantt(model, { scale, pxPerDay, rowFrom = 0, rowTo = model.rows.length, x0 = 0, y0 = 0 }) {
+  const L = GANTT_LAYOUT, C = GANTT_COLORS, out = [];
+  const chartX = x0 + L.labelWidth;
+  const xOf = day => chartX + (day - model.from) * pxPerDay;
+  const width = (model.to - model.from + 1) * pxPerDay;
+  const bodyY = y0 + L.headerHeight;
+  const visible = model.rows.slice(rowFrom, rowTo);
+  const bodyH = visible.length * L.rowHeight;
+  const rowY = r => bodyY + (r.index - rowFrom) * L.rowHeight;
+
+  // Timescale header
+  const { ticks, bands } = ganttTicks(model.from, model.to, scale);
+  out.push({ type: 'rect', x: x0, y: y0, w: L.labelWidth + width, h: L.headerHeight, fill: '#f3f5f9' });
+  bands.forEach((b, i) => {
+    const end = i + 1 < bands.length ? bands[i + 1].day : model.to + 1;
+    out.push({ type: 'line', x1: xOf(b.day), y1: y0, x2: xOf(b.day), y2: y0 + L.headerHeight / 2, stroke: C.muted, width: 0.5 });
+    if ((end - b.day) * pxPerDay > 30) out.push({ type: 'text', x: xOf(b.day) + 3, y: y0 + 12, text: b.label, size: 8, bold: true, fill: C.text });
+  });
+  const minGap = scale === 'day' ? 12 : 26;
+  let lastLabel = -Infinity;
+  for (const t of ticks) {
+    out.push({ type: 'line', x1: xOf(t.day), y1: y0 + L.headerHeight / 2, x2: xOf(t.day), y2: bodyY + bodyH, stroke: C.grid, width: 0.4 });
+    if (xOf(t.day) - lastLabel >= minGap) { out.push({ type: 'text', x: xOf(t.day) + 2, y: y0 + 28, text: t.label, size: 6.5, fill: C.muted }); lastLabel = xOf(t.day); }
+  }
+  out.push({ type: 'text', x: x0 + 4, y: y0 + 28, text: 'Milestone', size: 8, bold: true, fill: C.text });
+
+  // Rows
+  for (const r of visible) {
+    const y = rowY(r);
+    if ((r.index - rowFrom) % 2) out.push({ type: 'rect', x: x0, y, w: L.labelWidth + width, h: L.rowHeight, fill: '#fafafa' });
+    const label = `${r.index + 1}. ${r.title}${r.kind === 'additional' ? ' (ext.)' : ''}`;
+    const maxChars = Math.floor((L.labelWidth - 8) / 4.2);
+    out.push({ type: 'text', x: x0 + 4, y: y + 12, text: label.length > maxChars ? `${label.slice(0, maxChars - 3)}...` : label, size: 7.5, fill: C.text });
+    if (r.baseStart != null && r.baseEnd != null) {
+      out.push({ type: 'rect', x: xOf(r.baseStart), y: y + L.rowHeight - 5, w: Math.max(1, (r.baseEnd - r.baseStart + 1) * pxPerDay), h: 3, fill: C.baseline });
+    }
+    if (r.start != null && r.end != null) {
+      const bx = xOf(r.start), bw = Math.max(1.5, (r.end - r.start + 1) * pxPerDay);
+      out.push({ type: 'rect', x: bx, y: y + 3, w: bw, h: 9, fill: r.critical ? C.critical : r.kind === 'additional' ? C.additional : C.bar });
+      if (r.pct > 0) out.push({ type: 'rect', x: bx, y: y + 6, w: bw * r.pct / 100, h: 3, fill: C.progress });
+      out.push({ type: 'text', x: bx + bw + 3, y: y + 11, text: `${Math.round(r.pct)}%`, size: 6, fill: C.muted });
+    }
+  }
+  out.push({ type: 'line', x1: chartX, y1: y0, x2: chartX, y2: bodyY + bodyH, stroke: C.muted, width: 0.6 });
+
+  // Dependencies (only when both ends are on this page)
+  const byKey = new Map(visible.map(r => [r.key, r]));
+  for (const d of model.deps) {
+    const p = byKey.get(d.pred), s = byKey.get(d.succ);
+    if (!p || !s || p.start == null || s.start == null) continue;
+    const fromX = ['SS', 'SF'].includes(d.type) ? xOf(p.start) : xOf(p.end + 1);
+    const toEnd = ['FF', 'SF'].includes(d.type);
+    const toX = toEnd ? xOf(s.end + 1) : xOf(s.start);
+    const y1 = rowY(p) + 7.5, y2 = rowY(s) + 7.5;
+    const bend = toEnd ? Math.max(fromX, toX) + 5 : fromX + 5;
+    const midY = y2 > y1 ? rowY(s) - 1 : rowY(s) + L.rowHeight - 1;
+    const path = toX >= bend || toEnd
+      ? `M ${fromX} ${y1} H ${bend} V ${y2} H ${toX}`
+      : `M ${fromX} ${y1} H ${bend} V ${midY} H ${toX - 5} V ${y2} H ${toX}`;
+    out.push({ type: 'path', d: path, stroke: C.dependency, width: 0.6 });
+    const dir = toEnd ? -1 : 1;
+    out.push({ type: 'path', d: `M ${toX} ${y2} L ${toX - 3.5 * dir} ${y2 - 2} L ${toX - 3.5 * dir} ${y2 + 2} Z`, fill: C.dependency });
+  }
+
+  // Date markers
+  const marker = (day, color, label, dash, offset) => {
+    if (day == null || day < model.from || day > model.to) return;
+    const x = xOf(day + 1);
+    out.push({ type: 'line', x1: x, y1: y0 + L.headerHeight / 2, x2: x, y2: bodyY + bodyH, stroke: color, width: 1, dash });
+    out.push({ type: 'text', x: x + 2, y: bodyY + bodyH + 9 + offset, text: label, size: 6.5, fill: color });
+  };
+  marker(model.contractFinish, C.contract, `Contract finish ${dayNumberToDate(model.contractFinish)}`, [3, 2], 0);
+  if (model.effectiveFinish !== model.contractFinish) marker(model.effectiveFinish, C.extension, `Extension finish ${dayNumberToDate(model.effectiveFinish)}`, [3, 2], 9);
+  if (model.today >= model.from && model.today <= model.to) {
+    const x = xOf(model.today) + pxPerDay / 2;
+    out.push({ type: 'line', x1: x, y1: y0, x2: x, y2: bodyY + bodyH, stroke: C.today, width: 1 });
+    out.push({ type: 'text', x: x + 2, y: y0 + L.headerHeight - 2, text: 'Today', size: 6.5, bold: true, fill: C.today });
+  }
+  return { primitives: out, width: L.labelWidth + width, height: L.headerHeight + bodyH + 22 };
+}
+
+function ganttLegend(model, x, y) {
+  const C = GANTT_COLORS, out = [];
+  const entries = [[C.bar, 'Planned'], [C.critical, 'Critical'], [C.additional, 'Extension milestone'], [C.progress, 'Progress']];
+  if (model.baselineName) entries.push([C.baseline, `Baseline: ${model.baselineName}`]);
+  let cx = x;
+  for (const [color, label] of entries) {
+    out.push({ type: 'rect', x: cx, y: y - 7, w: 10, h: 7, fill: color });
+    out.push({ type: 'text', x: cx + 13, y: y - 1, text: label, size: 7, fill: C.text });
+    cx += 22 + label.length * 4;
+  }
+  return out;
+}
+
+function ganttToSvg(primitives, width, height) {
+  const attrs = p => [
+    p.fill ? `fill="${p.fill}"` : 'fill="none"',
+    p.stroke ? `stroke="${p.stroke}" stroke-width="${p.width || 1}"` : '',
+    p.dash ? `stroke-dasharray="${p.dash.join(' ')}"` : '',
+  ].filter(Boolean).join(' ');
+  const r = n => Math.round(n * 100) / 100;
+  const body = primitives.map(p => {
+    if (p.type === 'rect') return `<rect x="${r(p.x)}" y="${r(p.y)}" width="${r(p.w)}" height="${r(p.h)}" ${attrs(p)}/>`;
+    if (p.type === 'line') return `<line x1="${r(p.x1)}" y1="${r(p.y1)}" x2="${r(p.x2)}" y2="${r(p.y2)}" ${attrs(p)}/>`;
+    if (p.type === 'path') return `<path d="${p.d}" ${attrs(p)}/>`;
+    return `<text x="${r(p.x)}" y="${r(p.y)}" font-size="${p.size}"${p.bold ? ' font-weight="bold"' : ''} fill="${p.fill}">${xmlEscape(p.text)}</text>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(width)}" height="${Math.ceil(height)}" viewBox="0 0 ${Math.ceil(width)} ${Math.ceil(height)}" font-family="Helvetica, Arial, sans-serif">\n<rect width="100%" height="100%" fill="#ffffff"/>\n${body.join('\n')}\n</svg>\n`;
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
+}
+
+function drawPrimitivesOnPdf(page, primitives, { font, bold }) {
+  const H = page.getHeight();
+  for (const p of primitives) {
+    if (p.type === 'rect') page.drawRectangle({ x: p.x, y: H - p.y - p.h, width: p.w, height: p.h, color: hexToRgb(p.fill) });
+    else if (p.type === 'line') page.drawLine({ start: { x: p.x1, y: H - p.y1 }, end: { x: p.x2, y: H - p.y2 }, thickness: p.width || 1, color: hexToRgb(p.stroke), dashArray: p.dash });
+    // drawSvgPath keeps SVG's y-down convention relative to the given origin
+    else if (p.type === 'path') page.drawSvgPath(p.d, { x: 0, y: H, ...(p.fill ? { color: hexToRgb(p.fill) } : {}), ...(p.stroke ? { borderColor: hexToRgb(p.stroke), borderWidth: p.width || 1 } : {}) });
+    else page.drawText(pdfSafeText(p.text), { x: p.x, y: H - p.y, size: p.size, font: p.bold ? bold : font, color: hexToRgb(p.fill) });
+  }
+}
+
+async function renderGanttPdf(model, { scale, pageSize, title }) {
+  const L = GANTT_LAYOUT;
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  doc.setTitle(pdfSafeText(title));
+  const [pw, ph] = pageSize;
+  // The timeline is squeezed to the page width; rows continue on further pages
+  const days = model.to - model.from + 1;
+  const pxPerDay = Math.min(GANTT_SCALES[scale], (pw - 2 * L.margin - L.labelWidth) / days);
+  const rowsPerPage = Math.max(1, Math.floor((ph - 2 * L.margin - L.titleHeight - L.headerHeight - 22) / L.rowHeight));
+  const pageCount = Math.max(1, Math.ceil(model.rows.length / rowsPerPage));
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.addPage(pageSize);
+    const head = [
+      { type: 'text', x: L.margin, y: L.margin + 12, text: title, size: 13, bold: true, fill: GANTT_COLORS.text },
+      { type: 'text', x: pw - L.margin - 90, y: L.margin + 12, text: `Page ${i + 1} of ${pageCount}`, size: 8, fill: GANTT_COLORS.muted },
+      ...ganttLegend(model, L.margin, L.margin + 30),
+    ];
+    const { primitives } = drawGantt(model, { scale, pxPerDay, rowFrom: i * rowsPerPage, rowTo: (i + 1) * rowsPerPage, x0: L.margin, y0: L.margin + L.titleHeight });
+    drawPrimitivesOnPdf(page, [...head, ...primitives], { font, bold });
+  }
+  return Buffer.from(await doc.save());
+}
+
+// GET /api/schedule/gantt?projectId=&format=svg|pdf&scale=day|week|month
+//     &pageSize=A4|A3|A2|A1|letter|tabloid|<w>x<h>&orientation=landscape|portrait&baselineId=<id>|none
+app.get('/api/schedule/gantt', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const format = req.query.format === 'svg' ? 'svg' : 'pdf';
+  const scale = req.query.scale || 'week';
+  if (!GANTT_SCALES[scale]) return res.status(400).json({ error: 'scale must be day, week or month' });
+  const pageSize = parseGanttPageSize(req.query.pageSize || 'A3', req.query.orientation);
+  if (!pageSize) return res.status(400).json({ error: `pageSize must be one of ${Object.keys(GANTT_PAGE_SIZES).join(', ')} or <width>x<height> in points` });
+  const { baselineId } = req.query;
+  if (baselineId && baselineId !== 'none' && !/^\d+$/.test(baselineId)) return res.status(400).json({ error: 'baselineId must be a baseline id or none' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const data = await loadGanttData(pool, projectId, { baselineId });
+    if (!data) return res.status(404).json({ error: 'No schedule found for this project' });
+    const projRes = await pool.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+    const title = `${projRes.rows[0]?.name || `Project ${projectId}`} - programme as of ${dayNumberToDate(toDayNumber(new Date()))}`;
+    const model = buildGanttModel(data);
+    const safeId = String(projectId).replace(/[^\w-]+/g, '_');
+
+    if (format === 'svg') {
+      const L = GANTT_LAYOUT;
+      const chart = drawGantt(model, { scale, pxPerDay: GANTT_SCALES[scale], x0: L.margin, y0: L.margin + L.titleHeight });
+      const head = [{ type: 'text', x: L.margin, y: L.margin + 12, text: title, size: 13, bold: true, fill: GANTT_COLORS.text }, ...ganttLegend(model, L.margin, L.margin + 30)];
+      res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="gantt-${safeId}.svg"`);
+      return res.send(ganttToSvg([...head, ...chart.primitives], chart.width + 2 * L.margin, chart.height + L.titleHeight + 2 * L.margin));
+    }
+    const pdf = await renderGanttPdf(model, { scale, pageSize, title });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="gantt-${safeId}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error('[GET /api/schedule/gantt]', err);
+    res.status(500).json({ error: 'Failed to render Gantt chart' });
+  }
+});
+
+// ─── Project Calendar ────────────────────────────────────────────────────────
+
+async function ensureProjectCalendar(dbClient, projectId, user) {
+  const { rows } = await dbClient.query(
+    `INSERT INTO project_calendars (project_id, created_by_user_id, created_by_role)
+     VALUES ($1,$2,$3)
+     ON CONFLICT (project_id) DO UPDATE SET updated_at=now()
+     RETURNING id`,
+    [projectId, user.user_id, user.role]
+  );
+  return rows[0].id;
+}
+
+// Durations and floats depend on the calendar, so re-run the CPM after edits.
+async function refreshScheduleForCalendar(dbClient, projectId) {
+  const schedRes = await dbClient.query('SELECT id FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+  if (schedRes.rows.length) await recalculateCriticalPath(dbClient, schedRes.rows[0].id);
+}
+
+function serializeCalendar(cal) {
+  return { id: cal.id, name: cal.name, work_week: cal.work_week, holidays: cal.holidays, exceptions: cal.exceptions, is_default: !cal.id };
+}
+
+// Shared guard + transaction wrapper for the calendar editing routes
+async function withCalendarEdit(req, res, label, fn) {
+  const projectId = normalizeProjectId(req.body.projectId || req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!isDecisionMaker(req.user.role)) return res.status(403).json({ error: 'Only Client, Consultant or Contractor can edit the project calendar' });
+  const client = await pool.connect();
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    await client.query('BEGIN');
+    const calendarId = await ensureProjectCalendar(client, projectId, req.user);
+    const error = await fn(client, calendarId, projectId);
+    if (error) { await client.query('ROLLBACK'); return res.status(error.status).json({ error: error.message }); }
+    await refreshScheduleForCalendar(client, projectId);
+    await client.query('COMMIT');
+    res.json({ success: true, calendar: serializeCalendar(await loadProjectCalendar(pool, projectId)) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`[${label}]`, err);
+    res.status(500).json({ error: 'Failed to update project calendar' });
+  } finally {
+    client.release();
+  }
+}
+
+app.get('/api/project-calendar', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    res.json({ calendar: serializeCalendar(await loadProjectCalendar(pool, projectId)) });
+  } catch (err) {
+    console.error('[GET /api/project-calendar]', err);
+    res.status(500).json({ error: 'Failed to load project calendar' });
+  }
+});
+
+app.put('/api/project-calendar', authenticateToken, (req, res) =>
+  withCalendarEdit(req, res, 'PUT /api/project-calendar', async (client, calendarId) => {
+    const workWeek = Array.isArray(req.body.workWeek) ? [...new Set(req.body.workWeek.map(Number))] : null;
+    if (workWeek && (!workWeek.length || workWeek.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return { status: 400, message: 'workWeek must list at least one weekday between 0 (Sun) and 6 (Sat)' };
+    }
+    await client.query(
+      'UPDATE project_calendars SET name=COALESCE($1,name), work_week=COALESCE($2,work_week), updated_at=now() WHERE id=$3',
+      [req.body.name?.trim() || null, workWeek ? workWeek.sort() : null, calendarId]
+    );
+  })
+);
+
+app.post('/api/project-calendar/holidays', authenticateToken, (req, res) =>
+  withCalendarEdit(req, res, 'POST /api/project-calendar/holidays', async (client, calendarId) => {
+    const { date, name } = req.body;
+    if (toDayNumber(date) == null) return { status: 400, message: 'date (YYYY-MM-DD) is required' };
+    await client.query(
+      `INSERT INTO calendar_holidays (calendar_id, holiday_date, name) VALUES ($1,$2,$3)
+       ON CONFLICT (calendar_id, holiday_date) DO UPDATE SET name=EXCLUDED.name`,
+      [calendarId, date, (name || '').trim() || null]
+    );
+  })
+);
+
+app.delete('/api/project-calendar/holidays/:id', authenticateToken, (req, res) =>
+  withCalendarEdit(req, res, 'DELETE /api/project-calendar/holidays/:id', async (client, calendarId) => {
+    const del = await client.query('DELETE FROM calendar_holidays WHERE id=$1 AND calendar_id=$2', [req.params.id, calendarId]);
+    if (!del.rowCount) return { status: 404, message: 'Holiday not found' };
+  })
+);
+
+app.post('/api/project-calendar/exceptions', authenticateToken, (req, res) =>
+  withCalendarEdit(req, res, 'POST /api/project-calendar/exceptions', async (client, calendarId) => {
+    const { startDate, endDate, reason } = req.body;
+    const isWorking = req.body.isWorking === true || req.body.isWorking === 'true';
+    const from = toDayNumber(startDate), to = toDayNumber(endDate || startDate);
+    if (from == null || to == null) return { status: 400, message: 'startDate (YYYY-MM-DD) is required' };
+    if (to < from) return { status: 400, message: 'endDate cannot be before startDate' };
+    await client.query(
+      'INSERT INTO calendar_exceptions (calendar_id, start_date, end_date, is_working, reason) VALUES ($1,$2,$3,$4,$5)',
+      [calendarId, dayNumberToDate(from), dayNumberToDate(to), isWorking, (reason || '').trim() || null]
+    );
+  })
+);
+
+app.delete('/api/project-calendar/exceptions/:id', authenticateToken, (req, res) =>
+  withCalendarEdit(req, res, 'DELETE /api/project-calendar/exceptions/:id', async (client, calendarId) => {
+    const del = await client.query('DELETE FROM calendar_exceptions WHERE id=$1 AND calendar_id=$2', [req.params.id, calendarId]);
+    if (!del.rowCount) return { status: 404, message: 'Exception not found' };
+  })
+);
+
+app.post('/api/save-schedule', authenticateToken, upload.any(), async (req, res) => {
   const projectId = normalizeProjectId(req.body.projectId);
   if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
-  const extensionDays=parseInt(req.body.extensionDays,10),newPlannedFinish=req.body.newPlannedFinish,reason=(req.body.reason||'').trim(),extensionType=req.body.extensionType,scopeType=req.body.scopeType;
-  let newMilestones=[];
-  try{newMilestones=JSON.parse(req.body.newMilestones||'[]');}catch{return res.status(400).json({error:'Invalid JSON in newMilestones'});}
-  if (!extensionDays||extensionDays<1) return res.status(400).json({error:'extensionDays must be a positive integer'});
-  if (!newPlannedFinish) return res.status(400).json({error:'newPlannedFinish is required'});
-  if (!reason) return res.status(400).json({error:'reason is required'});
-  if (!['delay','scope_addition','force_majeure'].includes(extensionType)) return res.status(400).json({error:'Invalid extensionType'});
-  const fileMap={};(req.files||[]).forEach(f=>{const m=f.fieldname.match(/^extFile_(\d+)$/);if(m)fileMap[parseInt(m[1],10)]=f;});
-  const client=await pool.connect();
+  let tl, rawMilestones, newIds, editedIds, unchangedIds, deletedIds;
+  let addlRawMs, newAddlIds, editedAddlIds, unchangedAddlIds, deletedAddlIds;
+  let dependencies = null;
+  const location = parseJsonSafe(req.body.location);
+  try {
+    tl = JSON.parse(req.body.timeline);
+    rawMilestones = JSON.parse(req.body.milestones);
+    newIds = new Set(JSON.parse(req.body.newIds||'[]'));
+    editedIds = new Set(JSON.parse(req.body.editedIds||'[]'));
+    unchangedIds = new Set(JSON.parse(req.body.unchangedIds||'[]'));
+    deletedIds = JSON.parse(req.body.deletedIds||'[]');
+    addlRawMs = JSON.parse(req.body.additionalMilestones||'[]');
+    newAddlIds = new Set(JSON.parse(req.body.newAddlIds||'[]'));
+    editedAddlIds = new Set(JSON.parse(req.body.editedAddlIds||'[]'));
+    unchangedAddlIds = new Set(JSON.parse(req.body.unchangedAddlIds||'[]'));
+    deletedAddlIds = JSON.parse(req.body.deletedAddlIds||'[]');
+    if (req.body.dependencies !== undefined) dependencies = JSON.parse(req.body.dependencies);
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON in timeline, milestones, dependencies, or additional milestone lists' });
+  }
+  if (dependencies !== null && !Array.isArray(dependencies)) return res.status(400).json({ error: 'dependencies must be an array' });
+  const fileMap = {};
+  (req.files||[]).forEach(f => { fileMap[f.fieldname.replace(/^file_/,'')] = f; });
+  const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    const schedRes=await client.query('SELECT id,planned_finish FROM project_schedules WHERE project_id=$1 LIMIT 1',[projectId]);
-    if (!schedRes.rows.length) return res.status(404).json({error:'No schedule found for this project'});
-    const scheduleId=schedRes.rows[0].id;
-    const lastExtRes=await client.query(`SELECT new_planned_finish FROM schedule_extensions WHERE schedule_id=$1 ORDER BY created_at DESC LIMIT 1`,[scheduleId]);
-    const effectiveFinish=lastExtRes.rows[0]?.new_planned_finish||schedRes.rows[0].planned_finish;
-    const newPlannedStart=new Date(effectiveFinish);newPlannedStart.setDate(newPlannedStart.getDate()+1);
-    
-    const extRes = await client.query(`INSERT INTO schedule_extensions (schedule_id,project_id,extension_days,new_planned_start,new_planned_finish,reason,extension_type,requested_by_user_id,requested_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING id`,[scheduleId,projectId,extensionDays,newPlannedStart.toISOString().slice(0,10),newPlannedFinish,reason,extensionType,req.user.user_id,req.user.role]);
-    
-    const extensionId=extRes.rows[0].id;
-    await client.query('UPDATE project_schedules SET planned_finish=$1,updated_at=now() WHERE id=$2',[newPlannedFinish,scheduleId]);
-    const insertedAdditional=[];
-    if (scopeType==='new'&&newMilestones.length>0) {
-      for (let i=0;i<newMilestones.length;i++) {
-        const ms=newMilestones[i],dur=Math.max(1,daysBetween(ms.planned_start,ms.planned_end)),floatD=Math.max(0,Math.round((new Date(newPlannedFinish)-new Date(ms.planned_end))/86400000)),depBaselineId=ms.depends_on_baseline&&ms.depends_on_baseline!=='None'?ms.depends_on_baseline:null;
-        const amRes=await client.query(`INSERT INTO additional_milestones (schedule_id,project_id,schedule_extension_id,title,description,sort_order,planned_start,planned_end,duration_days,float_days,is_critical,weight_pct,quantity,unit,depends_on_baseline,added_by_user_id,added_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17) RETURNING id`,[scheduleId,projectId,extensionId,ms.title,ms.description||null,i,ms.planned_start,ms.planned_end,dur,floatD,floatD===0,0,parseFloat(ms.quantity)||0,ms.unit||null,depBaselineId,req.user.user_id,req.user.role]);
-        const additionalId=amRes.rows[0].id;insertedAdditional.push({id:additionalId,index:i});
-        const file=fileMap[i];
-        if (file){try{const cdResult=await scheduleCloudinaryUpload(file.buffer,file.originalname,`oneprojectapp/schedules/${projectId}/additional`);await client.query(`INSERT INTO additional_milestone_attachments (additional_milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,[additionalId,file.originalname,file.size,file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);}catch(cdErr){console.error('[save-extension] Cloudinary upload failed for additional milestone',additionalId,cdErr);}}
+    const schedRes = await client.query(`INSERT INTO project_schedules (project_id,planned_start,planned_finish,total_duration,location,created_by_user_id,created_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (project_id) DO UPDATE SET planned_start=EXCLUDED.planned_start,planned_finish=EXCLUDED.planned_finish,total_duration=EXCLUDED.total_duration,location=COALESCE(EXCLUDED.location, project_schedules.location),updated_at=now() RETURNING *`, [projectId,tl.start,tl.finish,tl.duration,location,req.user.user_id,req.user.role]);
+    const schedId = schedRes.rows[0].id;
+    const effectiveFinish = await recomputeEffectiveFinish(client, schedId);
+    for (const dbId of deletedIds) {
+      const check = await client.query('SELECT executed FROM milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
+      if (!check.rows.length) continue;
+      if (parseFloat(check.rows[0].executed) > 0) { console.warn(`[save-schedule] Skipping delete of milestone ${dbId}: has recorded progress`); continue; }
+      await client.query('DELETE FROM milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
+    }
+    for (const dbId of deletedAddlIds) {
+      const check = await client.query('SELECT executed FROM additional_milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
+      if (!check.rows.length) continue;
+      if (parseFloat(check.rows[0].executed) > 0) { console.warn(`[save-schedule] Skipping delete of additional milestone ${dbId}: has recorded progress`); continue; }
+      await client.query('DELETE FROM additional_milestones WHERE id=$1 AND schedule_id=$2', [dbId, schedId]);
+    }
+    const calendar = await loadProjectCalendar(client, projectId);
+    const totalDur = rawMilestones.reduce((sum, ms) => sum + Math.max(1, workingDaysBetween(calendar, ms.start, ms.end)), 0);
+    const tempToReal = {};
+    for (const ms of rawMilestones) { if (!newIds.has(ms.id)) tempToReal[ms.id] = ms.id; }
+    const needsAttachment = [];
+    for (let i = 0; i < rawMilestones.length; i++) {
+      const ms = rawMilestones[i];
+      const dur = Math.max(1, workingDaysBetween(calendar, ms.start, ms.end));
+      const w = totalDur > 0 ? (dur / totalDur) * 100 : 0;
+      const depId = ms.dep && ms.dep !== 'None' && tempToReal[ms.dep] ? tempToReal[ms.dep] : null;
+      const budget = parseNumberOrNull(ms.budgeted_cost), rate = parseNumberOrNull(ms.unit_rate);
+      if (newIds.has(ms.id)) {
+        const ins = await client.query(`INSERT INTO milestones (schedule_id,project_id,title,description,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,depends_on,created_by_user_id,created_by_role,budgeted_cost,unit_rate) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16) RETURNING id`, [schedId,projectId,ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,w.toFixed(2),parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,req.user.user_id,req.user.role,budget,rate]);
+        const realId = ins.rows[0].id; tempToReal[ms.id] = realId;
+        if (fileMap[ms.id]) needsAttachment.push({ realId, tempId: ms.id });
+      } else if (editedIds.has(ms.id)) {
+        await client.query(`UPDATE milestones SET title=$1,description=$2,sort_order=$3,planned_start=$4,planned_end=$5,duration_days=$6,weight_pct=$7,quantity=$8,unit=$9,depends_on=$10,budgeted_cost=$13,unit_rate=$14,updated_at=now() WHERE id=$11 AND schedule_id=$12`, [ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,w.toFixed(2),parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,ms.id,schedId,budget,rate]);
+        if (fileMap[ms.id]) needsAttachment.push({ realId: ms.id, tempId: ms.id });
+      } else if (unchangedIds.has(ms.id)) {
+        await client.query('UPDATE milestones SET sort_order=$1 WHERE id=$2 AND schedule_id=$3', [i, ms.id, schedId]);
+      }
+    }
+
+    // Additional milestones created in the extension period
+    const addlTempToReal = {};
+    for (const ms of addlRawMs) { if (!newAddlIds.has(ms.id)) addlTempToReal[ms.id] = ms.id; }
+    const addlNeedsAttachment = [];
+    for (let i = 0; i < addlRawMs.length; i++) {
+      const ms = addlRawMs[i];
+      const dur = Math.max(1, workingDaysBetween(calendar, ms.start, ms.end));
+      const depId = ms.dep && ms.dep !== 'None' ? ms.dep : null;
+      const weight = parseFloat(ms.weight_pct || 0) || 0;
+      const budget = parseNumberOrNull(ms.budgeted_cost), rate = parseNumberOrNull(ms.unit_rate);
+      if (newAddlIds.has(ms.id)) {
+        const ins = await client.query(`INSERT INTO additional_milestones (schedule_id,project_id,title,description,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,depends_on_baseline,added_by_user_id,added_by_role,budgeted_cost,unit_rate) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16) RETURNING id`, [schedId,projectId,ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,weight,parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,req.user.user_id,req.user.role,budget,rate]);
+        const realId = ins.rows[0].id; addlTempToReal[ms.id] = realId;
+        if (fileMap[ms.id]) addlNeedsAttachment.push({ realId, tempId: ms.id });
+      } else if (editedAddlIds.has(ms.id)) {
+        await client.query(`UPDATE additional_milestones SET title=$1,description=$2,sort_order=$3,planned_start=$4,planned_end=$5,duration_days=$6,weight_pct=$7,quantity=$8,unit=$9,depends_on_baseline=$10,budgeted_cost=$13,unit_rate=$14,updated_at=now() WHERE id=$11 AND schedule_id=$12`, [ms.title,ms.desc||ms.description||null,i,ms.start,ms.end,dur,weight,parseFloat(ms.qty||ms.quantity)||0,ms.unit||null,depId,ms.id,schedId,budget,rate]);
+        if (fileMap[ms.id]) addlNeedsAttachment.push({ realId: ms.id, tempId: ms.id });
+      } else if (unchangedAddlIds.has(ms.id)) {
+        await client.query('UPDATE additional_milestones SET sort_order=$1 WHERE id=$2 AND schedule_id=$3', [i, ms.id, schedId]);
+      }
+    }
+
+    // Dependencies: an explicit list replaces the whole network; otherwise the
+    // legacy single `dep` field of each new/edited row becomes its only FS link.
+    await pruneScheduleDependencies(client, schedId);
+    // Ids sent by the client only resolve if they are nodes of this project's schedule
+    const nodeRes = await client.query(
+      `SELECT 'milestone' AS kind,id FROM milestones WHERE schedule_id=$1 AND project_id=$2
+       UNION ALL SELECT 'additional',id FROM additional_milestones WHERE schedule_id=$1 AND project_id=$2`,
+      [schedId, String(projectId)]
+    );
+    const scheduleNodes = new Set(nodeRes.rows.map(r => cpmKey(r.kind, r.id)));
+    const resolveNode = (kind, id) => {
+      const realId = (kind === 'additional' ? addlTempToReal[id] : tempToReal[id]) || null;
+      return realId && scheduleNodes.has(cpmKey(kind, realId)) ? realId : null;
+    };
+    if (dependencies !== null) {
+      const resolved = dependencies.map(d => {
+        const predecessor_kind = d.predecessor_kind === 'additional' ? 'additional' : 'milestone';
+        const successor_kind = d.successor_kind === 'additional' ? 'additional' : 'milestone';
+        const type = String(d.type || 'FS').toUpperCase();
+        const lag = parseInt(d.lag_days ?? d.lag ?? 0, 10);
+        const dep = { predecessor_kind, predecessor_id: resolveNode(predecessor_kind, d.predecessor_id), successor_kind, successor_id: resolveNode(successor_kind, d.successor_id), type, lag_days: lag };
+        if (!dep.predecessor_id || !dep.successor_id || !DEPENDENCY_TYPES.includes(type) || Number.isNaN(lag)
+            || (predecessor_kind === successor_kind && String(dep.predecessor_id) === String(dep.successor_id))) {
+          const err = new Error(`Invalid dependency ${d.predecessor_id} -> ${d.successor_id}`);
+          err.code = 'INVALID_DEPENDENCY';
+          throw err;
+        }
+        return dep;
+      });
+      await client.query('DELETE FROM schedule_dependencies WHERE schedule_id=$1', [schedId]);
+      for (const dep of resolved) await insertScheduleDependency(client, schedId, dep);
+      await syncLegacyDependsOn(client, schedId);
+    } else {
+      const legacyLinks = [
+        ...rawMilestones.filter(ms => newIds.has(ms.id) || editedIds.has(ms.id)).map(ms => ({ kind: 'milestone', ms })),
+        ...addlRawMs.filter(ms => newAddlIds.has(ms.id) || editedAddlIds.has(ms.id)).map(ms => ({ kind: 'additional', ms })),
+      ];
+      for (const { kind, ms } of legacyLinks) {
+        const successorId = resolveNode(kind, ms.id);
+        if (!successorId) continue;
+        await client.query('DELETE FROM schedule_dependencies WHERE schedule_id=$1 AND successor_kind=$2 AND successor_id=$3', [schedId, kind, successorId]);
+        const predId = ms.dep && ms.dep !== 'None' ? resolveNode('milestone', ms.dep) : null;
+        if (predId && !(kind === 'milestone' && String(predId) === String(successorId))) {
+          await insertScheduleDependency(client, schedId, { predecessor_kind: 'milestone', predecessor_id: predId, successor_kind: kind, successor_id: successorId, type: 'FS', lag_days: 0 });
+        }
       }
     }
+
+    // Float and critical flags come from the dependency network, not the client
+    await recalculateCriticalPath(client, schedId);
+
+    // The first save of a programme is its contractual baseline
+    const hasBaseline = await client.query('SELECT 1 FROM schedule_baselines WHERE schedule_id=$1 LIMIT 1', [schedId]);
+    if (!hasBaseline.rows.length) await captureScheduleBaseline(client, schedId, { name: 'Original baseline', reason: 'initial', user: req.user });
+    const revision = await captureScheduleRevision(client, schedId, { source: 'save', user: req.user });
+
+    for (const { realId, tempId } of needsAttachment) {
+      const file = fileMap[tempId]; if (!file) continue;
+      try {
+        const cdResult = await scheduleCloudinaryUpload(file.buffer, file.originalname, `oneprojectapp/schedules/${projectId}/milestones`);
+        await client.query(`INSERT INTO milestone_attachments (milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (cloudinary_public_id) DO NOTHING`, [realId,file.originalname,file.size,file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);
+      } catch (cdErr) { console.error('[save-schedule] Cloudinary upload failed for milestone', realId, cdErr); }
+    }
+    for (const { realId, tempId } of addlNeedsAttachment) {
+      const file = fileMap[tempId]; if (!file) continue;
+      try {
+        const cdResult = await scheduleCloudinaryUpload(file.buffer, file.originalname, `oneprojectapp/schedules/${projectId}/additional`);
+        await client.query(`INSERT INTO additional_milestone_attachments (additional_milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT (cloudinary_public_id) DO NOTHING`, [realId,file.originalname,file.size,file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);
+      } catch (cdErr) { console.error('[save-schedule] Cloudinary upload failed for additional milestone', realId, cdErr); }
+    }
     await client.query('COMMIT');
 
-    // Create a notification for the extension so recipients are informed
+    // Notify project members that the schedule was edited
     try {
       const notifClient = await pool.connect();
       try {
         await notifClient.query('BEGIN');
-        const notifMsg = `Schedule extension requested by ${req.user.role}: "${reason}"`;
+        const notifMsg = `Schedule updated by ${req.user.role} (rev ${revision.revision_no}): ${revision.summary}`;
         const notifRes = await notifClient.query(
           `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
            VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
-          [projectId, extensionId, 'schedule_extensions', notifMsg, req.user.user_id, req.user.role]
+          [projectId, schedId, 'project_schedules', notifMsg, req.user.user_id, req.user.role]
         );
         const notificationId = notifRes.rows[0].id;
         const recipients = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role);
         await insertNotificationRecipients(notifClient, notificationId, recipients);
         await notifClient.query('COMMIT');
-        console.log('[notifications] created extension notification', { notificationId, projectId, extensionId, recipients: recipients.length });
+        console.log('[notifications] created schedule update notification', { notificationId, projectId, schedId, recipients: recipients.length });
       } catch (notifErr) {
         await notifClient.query('ROLLBACK');
-        console.error('[notifications] failed to create extension notification (non-fatal):', notifErr.message);
+        console.error('[notifications] failed to create schedule notification (non-fatal):', notifErr.message);
       } finally { notifClient.release(); }
     } catch (outerNotifErr) {
-      console.error('[notifications] outer error creating extension notification (non-fatal):', outerNotifErr.message);
+      console.error('[notifications] outer error creating schedule notification (non-fatal):', outerNotifErr.message);
     }
 
-    res.json({success:true,extension:{id:extensionId,extensionDays,newPlannedFinish,reason,extensionType,status:'pending',newMilestonesAdded:insertedAdditional.length}});
-  } catch(err){await client.query('ROLLBACK');console.error('[POST /api/save-extension]',err);res.status(500).json({error:'Failed to save extension'});}finally{client.release();}
+    const freshMs = await pool.query(`SELECT m.*,COALESCE(json_agg(json_build_object('id',e.id,'date',e.report_date,'qty',e.qty_executed,'source',e.source,'remarks',e.remarks,'cumulative',e.cumulative_after_entry,'actual_cost',e.actual_cost) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url,'publicId',a.cloudinary_public_id)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM milestones m LEFT JOIN milestone_progress_entries e ON e.milestone_id=m.id LEFT JOIN milestone_attachments a ON a.milestone_id=m.id WHERE m.schedule_id=$1 GROUP BY m.id ORDER BY m.sort_order`, [schedId]);
+    const savedLocation = schedRes.rows[0]?.location || location || null;
+    const extRows2 = await pool.query(`SELECT id,extension_days,new_planned_start,new_planned_finish,reason,extension_type,status,requested_by_user_id,requested_by_role,proposed_by_user_id,proposed_by_role,approved_by_user_id,approved_by_role,approved_at,review_comment,created_at FROM schedule_extensions WHERE schedule_id=$1 ORDER BY created_at ASC`, [schedId]);
+    const amRows2 = await pool.query(`SELECT am.*,COALESCE(json_agg(json_build_object('id',e.id,'date',e.report_date,'qty',e.qty_executed,'source',e.source,'remarks',e.remarks,'cumulative',e.cumulative_after_entry,'actual_cost',e.actual_cost) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries,COALESCE(json_agg(DISTINCT jsonb_build_object('fileName',a.file_name,'url',a.cloudinary_url)) FILTER (WHERE a.id IS NOT NULL),'[]') AS attachments FROM additional_milestones am LEFT JOIN additional_milestone_progress_entries e ON e.additional_milestone_id=am.id LEFT JOIN additional_milestone_attachments a ON a.additional_milestone_id=am.id WHERE am.schedule_id=$1 GROUP BY am.id ORDER BY am.sort_order`, [schedId]);
+    const savedDependencies = await loadScheduleDependencies(pool, schedId);
+    const mapExtMs = ms => ({ id:ms.id,title:ms.title,description:ms.description,start:ms.planned_start,end:ms.planned_end,quantity:ms.quantity,unit:ms.unit,budgeted_cost:ms.budgeted_cost,unit_rate:ms.unit_rate,optimistic_days:ms.optimistic_days,most_likely_days:ms.most_likely_days,pessimistic_days:ms.pessimistic_days,dep:ms.depends_on_baseline||null,weight_pct:ms.weight_pct,float_days:ms.float_days,free_float_days:ms.free_float_days,early_start:ms.early_start,early_finish:ms.early_finish,late_start:ms.late_start,late_finish:ms.late_finish,is_critical:ms.is_critical,executed:ms.executed,progress_pct:ms.progress_pct,activity_status:ms.activity_status,entries:ms.entries,fileName:ms.attachments?.[0]?.fileName||null,attachmentUrl:ms.attachments?.[0]?.url||null,added_via_extension:true });
+    res.json({ success:true,revision,schedule:{ id:schedId,timeline:{start:tl.start,finish:tl.finish,duration:tl.duration,effective_finish:effectiveFinish||tl.finish},location:savedLocation,milestones:freshMs.rows.map(ms=>({id:ms.id,title:ms.title,description:ms.description,start:ms.planned_start,end:ms.planned_end,quantity:ms.quantity,unit:ms.unit,budgeted_cost:ms.budgeted_cost,unit_rate:ms.unit_rate,optimistic_days:ms.optimistic_days,most_likely_days:ms.most_likely_days,pessimistic_days:ms.pessimistic_days,dep:ms.depends_on||'None',weight_pct:ms.weight_pct,float_days:ms.float_days,free_float_days:ms.free_float_days,early_start:ms.early_start,early_finish:ms.early_finish,late_start:ms.late_start,late_finish:ms.late_finish,is_critical:ms.is_critical,executed:ms.executed,progress_pct:ms.progress_pct,activity_status:ms.activity_status,entries:ms.entries,fileName:ms.attachments?.[0]?.fileName||null,attachmentUrl:ms.attachments?.[0]?.url||null})),extension_milestones:amRows2.rows.map(mapExtMs),dependencies:savedDependencies,extensions:extRows2.rows } });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === 'CPM_CYCLE') return res.status(400).json({ error: 'Circular dependency detected', cycle: err.cycleKeys });
+    if (err.code === 'INVALID_DEPENDENCY') return res.status(400).json({ error: err.message });
+    console.error('[POST /api/save-schedule]', err); res.status(500).json({ error: 'Failed to save schedule' });
+  } finally { client.release(); }
 });
 
-// ─── Milestone Photos ────────────────────────────────────────────────────────
-app.get('/api/milestone-photos', authenticateToken, async (req, res) => {
-  const { milestoneId, additionalMilestoneId } = req.query;
-  if (!milestoneId&&!additionalMilestoneId) return res.status(400).json({ error: 'milestoneId or additionalMilestoneId is required' });
-  try {
-    const col=milestoneId?'milestone_id':'additional_milestone_id', val=milestoneId??additionalMilestoneId;
-    const { rows }=await pool.query(`SELECT id,file_name,cloudinary_url,uploaded_at FROM milestone_photos WHERE ${col}=$1 ORDER BY uploaded_at ASC`,[val]);
+app.post('/api/report-progress', authenticateToken, upload.single('attachment'), async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const { milestoneId, reportDate, remarks } = req.body;
+  const qty = parseFloat(req.body.qtyExecuted);
+  const actualCost = parseNumberOrNull(req.body.actualCost);
+  if (actualCost !== null && actualCost < 0) return res.status(400).json({ error: 'actualCost cannot be negative' });
+  if (!projectId||!milestoneId||!reportDate||!qty||qty<=0) return res.status(400).json({ error: 'Valid projectId, milestoneId, reportDate and positive qtyExecuted are required' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const msRes = await client.query('SELECT * FROM milestones WHERE id=$1 AND project_id=$2 FOR UPDATE', [milestoneId, projectId]);
+    if (!msRes.rows.length) return res.status(404).json({ error: 'Milestone not found' });
+    const ms = msRes.rows[0];
+    if (ms.activity_status==='completed') return res.status(409).json({ error: 'Milestone is already completed' });
+    const planned=parseFloat(ms.quantity)||0, prevExec=parseFloat(ms.executed)||0, newExecuted=prevExec+qty;
+    if (planned>0&&newExecuted>planned) return res.status(422).json({ error: `Cannot exceed planned quantity of ${planned} ${ms.unit||''}. Remaining: ${(planned-prevExec).toFixed(3)}` });
+    const newPct = planned>0?Math.min(100,(newExecuted/planned)*100):0;
+    const entryRes = await client.query(`INSERT INTO milestone_progress_entries (milestone_id,project_id,report_date,qty_executed,cumulative_after_entry,progress_pct_after_entry,remarks,reported_by_user_id,reported_by_role,actual_cost) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) ON CONFLICT (milestone_id,report_date,source) DO UPDATE SET qty_executed=milestone_progress_entries.qty_executed+EXCLUDED.qty_executed,actual_cost=CASE WHEN EXCLUDED.actual_cost IS NULL THEN milestone_progress_entries.actual_cost ELSE COALESCE(milestone_progress_entries.actual_cost,0)+EXCLUDED.actual_cost END,cumulative_after_entry=EXCLUDED.cumulative_after_entry,progress_pct_after_entry=EXCLUDED.progress_pct_after_entry,remarks=COALESCE(EXCLUDED.remarks,milestone_progress_entries.remarks),reported_by_user_id=EXCLUDED.reported_by_user_id,reported_by_role=EXCLUDED.reported_by_role RETURNING *`, [milestoneId,projectId,reportDate,qty,newExecuted,newPct.toFixed(2),remarks||null,req.user.user_id,req.user.role,actualCost]);
+    await client.query(`UPDATE milestones SET executed=$1,progress_pct=$2,activity_status='in_progress',updated_at=now() WHERE id=$3`, [newExecuted,newPct.toFixed(2),milestoneId]);
+    if (req.file) {
+      try { const cdResult=await scheduleCloudinaryUpload(req.file.buffer,req.file.originalname,`oneprojectapp/schedules/${projectId}/progress`); await client.query(`INSERT INTO progress_entry_attachments (progress_entry_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`, [entryRes.rows[0].id,req.file.originalname,req.file.size,req.file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]); } catch(cdErr){console.error('[report-progress] Attachment upload failed:',cdErr);}
+    }
+    await client.query('COMMIT');
+    const allEntries=await pool.query(`SELECT report_date AS date,qty_executed AS qty,remarks,cumulative_after_entry AS cumulative FROM milestone_progress_entries WHERE milestone_id=$1 ORDER BY report_date`, [milestoneId]);
+    res.json({ success:true,milestone:{id:milestoneId,executed:newExecuted,progress_pct:parseFloat(newPct.toFixed(2)),activity_status:'in_progress',entries:allEntries.rows} });
+  } catch (err) { await client.query('ROLLBACK'); console.error('[POST /api/report-progress]', err); res.status(500).json({ error: 'Failed to save progress entry' }); } finally { client.release(); }
+});
+
+app.post('/api/report-additional-progress', authenticateToken, upload.single('attachment'), async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const { milestoneId, reportDate, remarks } = req.body;
+  const qty = parseFloat(req.body.qtyExecuted);
+  const actualCost = parseNumberOrNull(req.body.actualCost);
+  if (actualCost !== null && actualCost < 0) return res.status(400).json({ error: 'actualCost cannot be negative' });
+  if (!projectId||!milestoneId||!reportDate||!qty||qty<=0) return res.status(400).json({ error: 'Valid projectId, milestoneId, reportDate and positive qtyExecuted are required' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const msRes=await client.query('SELECT * FROM additional_milestones WHERE id=$1 AND project_id=$2 FOR UPDATE',[milestoneId,projectId]);
+    if (!msRes.rows.length) return res.status(404).json({ error: 'Additional milestone not found' });
+    const ms=msRes.rows[0];
+    if (ms.activity_status==='completed') return res.status(409).json({ error: 'Milestone is already completed' });
+    const planned=parseFloat(ms.quantity)||0,prevExec=parseFloat(ms.executed)||0,newExecuted=prevExec+qty;
+    if (planned>0&&newExecuted>planned) return res.status(422).json({ error:`Cannot exceed planned quantity. Remaining: ${(planned-prevExec).toFixed(3)} ${ms.unit||''}` });
+    const newPct=planned>0?Math.min(100,(newExecuted/planned)*100):0;
+    const entryRes=await client.query(`INSERT INTO additional_milestone_progress_entries (additional_milestone_id,project_id,report_date,qty_executed,cumulative_after_entry,progress_pct_after_entry,remarks,reported_by_user_id,reported_by_role,actual_cost) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) ON CONFLICT (additional_milestone_id,report_date,source) DO UPDATE SET qty_executed=additional_milestone_progress_entries.qty_executed+EXCLUDED.qty_executed,actual_cost=CASE WHEN EXCLUDED.actual_cost IS NULL THEN additional_milestone_progress_entries.actual_cost ELSE COALESCE(additional_milestone_progress_entries.actual_cost,0)+EXCLUDED.actual_cost END,cumulative_after_entry=EXCLUDED.cumulative_after_entry,progress_pct_after_entry=EXCLUDED.progress_pct_after_entry,remarks=COALESCE(EXCLUDED.remarks,additional_milestone_progress_entries.remarks),reported_by_user_id=EXCLUDED.reported_by_user_id,reported_by_role=EXCLUDED.reported_by_role RETURNING id`,[milestoneId,projectId,reportDate,qty,newExecuted,newPct.toFixed(2),remarks||null,req.user.user_id,req.user.role,actualCost]);
+    await client.query(`UPDATE additional_milestones SET executed=$1,progress_pct=$2,activity_status='in_progress',updated_at=now() WHERE id=$3`,[newExecuted,newPct.toFixed(2),milestoneId]);
+    if (req.file) { try{const cdResult=await scheduleCloudinaryUpload(req.file.buffer,req.file.originalname,`oneprojectapp/schedules/${projectId}/additional-progress`);await client.query(`INSERT INTO additional_milestone_attachments (additional_milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,[milestoneId,req.file.originalname,req.file.size,req.file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);}catch(cdErr){console.error('[report-additional-progress] Attachment upload failed:',cdErr);} }
+    await client.query('COMMIT');
+    const allEntries=await pool.query(`SELECT report_date AS date,qty_executed AS qty,remarks,cumulative_after_entry AS cumulative FROM additional_milestone_progress_entries WHERE additional_milestone_id=$1 ORDER BY report_date`,[milestoneId]);
+    res.json({ success:true,milestone:{id:milestoneId,executed:newExecuted,progress_pct:parseFloat(newPct.toFixed(2)),activity_status:'in_progress',entries:allEntries.rows} });
+  } catch(err){await client.query('ROLLBACK');console.error('[POST /api/report-additional-progress]',err);res.status(500).json({error:'Failed to save additional progress entry'});}finally{client.release();}
+});
+
+// ─── Progress Entry Corrections ──────────────────────────────────────────────
+// Entries are amended in place or reversed (deleted) with a mandatory reason;
+// progress_entry_audit keeps the before/after snapshot. The milestone's running
+// cumulative, executed, progress_pct and status are rebuilt from what is left.
+
+function progressTables(isExt) {
+  return isExt
+    ? { milestones: 'additional_milestones', entries: 'additional_milestone_progress_entries', fk: 'additional_milestone_id', kind: 'additional' }
+    : { milestones: 'milestones', entries: 'milestone_progress_entries', fk: 'milestone_id', kind: 'milestone' };
+}
+
+async function recalculateMilestoneProgress(dbClient, isExt, milestoneId) {
+  const t = progressTables(isExt);
+  const msRes = await dbClient.query(`SELECT id,schedule_id,quantity,activity_status,completed_at FROM ${t.milestones} WHERE id=$1 FOR UPDATE`, [milestoneId]);
+  const ms = msRes.rows[0];
+  const planned = parseFloat(ms.quantity) || 0;
+  // A milestone fed by linked planning activities counts only the rolled-up
+  // entries; manual entries would report the same work twice
+  const linkCol = isExt ? 'linked_additional_milestone_id' : 'linked_milestone_id';
+  const linkRes = await dbClient.query(
+    `SELECT 1 FROM planning_execution pe JOIN project_schedules ps ON ps.id=$2
+     WHERE pe.${linkCol}=$1 AND ps.rollup_side_rule<>'off' LIMIT 1`,
+    [milestoneId, ms.schedule_id]
+  );
+  const rolledUpOnly = linkRes.rows.length > 0;
+  const entries = await dbClient.query(`SELECT id,qty_executed,source FROM ${t.entries} WHERE ${t.fk}=$1 ORDER BY report_date ASC, id ASC`, [milestoneId]);
+  let cumulative = 0;
+  for (const e of entries.rows) {
+    if (!rolledUpOnly || e.source === 'planning_execution') cumulative += parseFloat(e.qty_executed) || 0;
+    if (planned > 0) cumulative = Math.min(cumulative, planned);
+    const pct = planned > 0 ? Math.min(100, (cumulative / planned) * 100) : 0;
+    await dbClient.query(`UPDATE ${t.entries} SET cumulative_after_entry=$1,progress_pct_after_entry=$2 WHERE id=$3`, [cumulative, pct.toFixed(2), e.id]);
+  }
+  const pct = planned > 0 ? Math.min(100, (cumulative / planned) * 100) : 0;
+  // A completed milestone stays completed only while its quantity is still met
+  const reopen = ms.activity_status === 'completed' && planned > 0 && cumulative < planned;
+  let status = ms.activity_status;
+  if (status !== 'completed' || reopen) status = cumulative > 0 ? 'in_progress' : 'planned';
+  await dbClient.query(
+    `UPDATE ${t.milestones} SET executed=$1,progress_pct=$2,activity_status=$3,completed_at=$4,updated_at=now() WHERE id=$5`,
+    [cumulative, status === 'completed' ? 100 : pct.toFixed(2), status, status === 'completed' ? ms.completed_at : null, milestoneId]
+  );
+  return { executed: cumulative, progress_pct: status === 'completed' ? 100 : parseFloat(pct.toFixed(2)), activity_status: status, reopened: reopen };
+}
+
+async function loadProgressEntryForCorrection(client, req, res) {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const entryId = parseInt(req.params.entryId, 10);
+  const reason = (req.body.reason || '').trim();
+  const isExt = req.body.isExtensionMilestone === true || req.body.isExtensionMilestone === 'true';
+  if (!projectId || !entryId) { res.status(400).json({ error: 'Valid projectId and entryId are required' }); return null; }
+  if (!reason) { res.status(400).json({ error: 'reason is required' }); return null; }
+  const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+  if (!hasAccess) { res.status(403).json({ error: 'Access denied' }); return null; }
+  const t = progressTables(isExt);
+  const entryRes = await client.query(
+    `SELECT e.*,m.title AS milestone_title,m.quantity AS planned_qty,m.unit FROM ${t.entries} e JOIN ${t.milestones} m ON m.id=e.${t.fk}
+     WHERE e.id=$1 AND e.project_id=$2 FOR UPDATE OF e`,
+    [entryId, projectId]
+  );
+  if (!entryRes.rows.length) { res.status(404).json({ error: 'Progress entry not found' }); return null; }
+  const entry = entryRes.rows[0];
+  if (entry.source === 'planning_execution') {
+    res.status(409).json({ error: 'This entry is rolled up from Planning & Execution tracking; correct the tracking entry instead' });
+    return null;
+  }
+  if (!isDecisionMaker(req.user.role) && !(entry.reported_by_user_id === req.user.user_id && entry.reported_by_role === req.user.role)) {
+    res.status(403).json({ error: 'Only the reporter or a Client, Consultant or Contractor can correct this entry' });
+    return null;
+  }
+  return { projectId, entryId, reason, isExt, t, entry };
+}
+
+async function writeProgressAudit(client, ctx, action, before, after, user) {
+  await client.query(
+    `INSERT INTO progress_entry_audit (project_id,entry_kind,entry_id,milestone_id,action,reason,before_data,after_data,changed_by_user_id,changed_by_role)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+    [ctx.projectId, ctx.t.kind, ctx.entryId, ctx.entry[ctx.t.fk], action, ctx.reason, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, user.user_id, user.role]
+  );
+  const notifMsg = `Progress entry of ${ctx.entry.report_date instanceof Date ? ctx.entry.report_date.toISOString().slice(0, 10) : ctx.entry.report_date} on "${ctx.entry.milestone_title}" ${action} by ${user.role}: "${ctx.reason}"`;
+  const notifRes = await client.query(
+    `INSERT INTO notifications (project_id,entity_id,entity_type,message,added_by_id,added_by_role) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+    [ctx.projectId, ctx.entry[ctx.t.fk], ctx.t.milestones, notifMsg, user.user_id, user.role]
+  );
+  const recipients = await getProjectRecipientKeys(ctx.projectId, user.user_id, user.role);
+  await insertNotificationRecipients(client, notifRes.rows[0].id, recipients);
+}
+
+function entrySnapshot(e) {
+  return { report_date: e.report_date, qty_executed: e.qty_executed, actual_cost: e.actual_cost ?? null, remarks: e.remarks, cumulative_after_entry: e.cumulative_after_entry, reported_by_user_id: e.reported_by_user_id, reported_by_role: e.reported_by_role };
+}
+
+// Body: projectId, isExtensionMilestone, reason, and any of qtyExecuted, reportDate, remarks, actualCost
+app.put('/api/progress-entries/:entryId', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const ctx = await loadProgressEntryForCorrection(client, req, res);
+    if (!ctx) { await client.query('ROLLBACK'); return; }
+    const { entry, t } = ctx;
+    const qty = req.body.qtyExecuted !== undefined ? parseFloat(req.body.qtyExecuted) : parseFloat(entry.qty_executed);
+    const reportDate = req.body.reportDate || entry.report_date;
+    const remarks = req.body.remarks !== undefined ? (req.body.remarks || null) : entry.remarks;
+    const actualCost = req.body.actualCost !== undefined ? parseNumberOrNull(req.body.actualCost) : entry.actual_cost;
+    if (!qty || qty <= 0) { await client.query('ROLLBACK'); return res.status(400).json({ error: 'qtyExecuted must be positive; reverse the entry to remove it' }); }
+    if (actualCost !== null && actualCost < 0) { await client.query('ROLLBACK'); return res.status(400).json({ error: 'actualCost cannot be negative' }); }
+    if (toDayNumber(reportDate) == null) { await client.query('ROLLBACK'); return res.status(400).json({ error: 'reportDate must be YYYY-MM-DD' }); }
+
+    const totals = await client.query(`SELECT COALESCE(SUM(qty_executed),0) AS other FROM ${t.entries} WHERE ${t.fk}=$1 AND id<>$2`, [entry[t.fk], entry.id]);
+    const planned = parseFloat(entry.planned_qty) || 0, others = parseFloat(totals.rows[0].other) || 0;
+    if (planned > 0 && others + qty > planned) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({ error: `Cannot exceed planned quantity of ${planned} ${entry.unit || ''}. Maximum for this entry: ${(planned - others).toFixed(3)}` });
+    }
+    const clash = await client.query(`SELECT 1 FROM ${t.entries} WHERE ${t.fk}=$1 AND report_date=$2 AND id<>$3 AND source='manual'`, [entry[t.fk], reportDate, entry.id]);
+    if (clash.rows.length) { await client.query('ROLLBACK'); return res.status(409).json({ error: 'Another entry already exists for that date' }); }
+
+    const upd = await client.query(
+      `UPDATE ${t.entries} SET qty_executed=$1,report_date=$2,remarks=$3,actual_cost=$4 WHERE id=$5 RETURNING *`,
+      [qty, reportDate, remarks, actualCost, entry.id]
+    );
+    const milestone = await recalculateMilestoneProgress(client, ctx.isExt, entry[t.fk]);
+    await writeProgressAudit(client, ctx, 'amended', entrySnapshot(entry), entrySnapshot(upd.rows[0]), req.user);
+    await client.query('COMMIT');
+    res.json({ success: true, entry: upd.rows[0], milestone: { id: entry[t.fk], ...milestone } });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[PUT /api/progress-entries/:entryId]', err);
+    res.status(500).json({ error: 'Failed to amend progress entry' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/progress-entries/:entryId/reverse', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const ctx = await loadProgressEntryForCorrection(client, req, res);
+    if (!ctx) { await client.query('ROLLBACK'); return; }
+    const { entry, t } = ctx;
+    const before = entrySnapshot(entry);
+    if (!ctx.isExt) {
+      const att = await client.query('SELECT file_name,cloudinary_url FROM progress_entry_attachments WHERE progress_entry_id=$1', [entry.id]);
+      before.attachments = att.rows;
+    }
+    await client.query(`DELETE FROM ${t.entries} WHERE id=$1`, [entry.id]);
+    const milestone = await recalculateMilestoneProgress(client, ctx.isExt, entry[t.fk]);
+    await writeProgressAudit(client, ctx, 'reversed', before, null, req.user);
+    await client.query('COMMIT');
+    res.json({ success: true, reversedEntryId: entry.id, milestone: { id: entry[t.fk], ...milestone } });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[POST /api/progress-entries/:entryId/reverse]', err);
+    res.status(500).json({ error: 'Failed to reverse progress entry' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/progress-entries/audit', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const params = [projectId];
+    let filter = '';
+    if (req.query.milestoneId) {
+      params.push(req.query.isExtensionMilestone === 'true' ? 'additional' : 'milestone', req.query.milestoneId);
+      filter = ' AND entry_kind=$2 AND milestone_id=$3';
+    }
+    const { rows } = await pool.query(`SELECT * FROM progress_entry_audit WHERE project_id=$1${filter} ORDER BY created_at DESC`, params);
+    res.json({ audit: rows });
+  } catch (err) {
+    console.error('[GET /api/progress-entries/audit]', err);
+    res.status(500).json({ error: 'Failed to load progress audit' });
+  }
+});
+
+app.post('/api/complete-milestone', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const { milestoneId, isExtensionMilestone } = req.body;
+  if (!projectId||!milestoneId) return res.status(400).json({ error: 'Valid projectId and milestoneId are required' });
+  const isExt=isExtensionMilestone===true||isExtensionMilestone==='true';
+  const table=isExt?'additional_milestones':'milestones';
+  const client=await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const msRes=await client.query(`SELECT * FROM ${table} WHERE id=$1 AND project_id=$2 FOR UPDATE`,[milestoneId,projectId]);
+    if (!msRes.rows.length) return res.status(404).json({ error: 'Milestone not found' });
+    const ms=msRes.rows[0];
+    if (ms.activity_status==='completed') return res.status(409).json({ error: 'Milestone is already completed' });
+    const planned=parseFloat(ms.quantity)||0,exec=parseFloat(ms.executed)||0;
+    if (planned>0&&exec<planned) return res.status(422).json({ error:`Cannot complete: only ${exec} of ${planned} ${ms.unit||''} executed` });
+    await client.query(`UPDATE ${table} SET activity_status='completed',progress_pct=100,completed_at=now(),updated_at=now() WHERE id=$1`,[milestoneId]);
+    const notifMsg = `${isExt ? 'Additional milestone' : 'Milestone'} completed by ${req.user.role}: "${ms.title || `#${milestoneId}`}"`;
+    console.log('[notifications] creating notification', { projectId, entity_id: milestoneId, entity_type: table, message: notifMsg, added_by_id: req.user.user_id, added_by_role: req.user.role });
+    const notifRes = await client.query(
+      `INSERT INTO notifications (project_id,entity_id,entity_type,message,added_by_id,added_by_role) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+      [projectId, milestoneId, table, notifMsg, req.user.user_id, req.user.role]
+    );
+    const notificationId = notifRes.rows[0].id;
+    console.log('[notifications] created', { notificationId, projectId, entity_id: milestoneId });
+    const recipients = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role);
+    await insertNotificationRecipients(client, notificationId, recipients);
+    await client.query('COMMIT');
+    res.json({ success:true,completedAt:new Date().toISOString() });
+  } catch(err){await client.query('ROLLBACK');console.error('[POST /api/complete-milestone]',err);res.status(500).json({error:'Failed to complete milestone'});}finally{client.release();}
+});
+
+app.post('/api/save-extension', authenticateToken, upload.any(), async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const extensionDays=parseInt(req.body.extensionDays,10),reason=(req.body.reason||'').trim(),extensionType=req.body.extensionType,scopeType=req.body.scopeType;
+  let newMilestones=[];
+  try{newMilestones=JSON.parse(req.body.newMilestones||'[]');}catch{return res.status(400).json({error:'Invalid JSON in newMilestones'});}
+  if (!extensionDays||extensionDays<1) return res.status(400).json({error:'extensionDays must be a positive integer'});
+  if (!reason) return res.status(400).json({error:'reason is required'});
+  if (!['delay','scope_addition','force_majeure'].includes(extensionType)) return res.status(400).json({error:'Invalid extensionType'});
+  const fileMap={};(req.files||[]).forEach(f=>{const m=f.fieldname.match(/^extFile_(\d+)$/);if(m)fileMap[parseInt(m[1],10)]=f;});
+  const client=await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const schedRes=await client.query('SELECT id,planned_finish FROM project_schedules WHERE project_id=$1 LIMIT 1',[projectId]);
+    if (!schedRes.rows.length) return res.status(404).json({error:'No schedule found for this project'});
+    const scheduleId=schedRes.rows[0].id;
+    const lastExtRes=await client.query(`SELECT new_planned_finish FROM schedule_extensions WHERE schedule_id=$1 AND status<>'rejected' ORDER BY created_at DESC LIMIT 1`,[scheduleId]);
+    const effectiveFinish=lastExtRes.rows[0]?.new_planned_finish||schedRes.rows[0].planned_finish;
+    const newPlannedStart=new Date(effectiveFinish);newPlannedStart.setDate(newPlannedStart.getDate()+1);
+    // Without an explicit finish, count extensionDays as working days on the project calendar
+    const calendar=await loadProjectCalendar(client,projectId);
+    const newPlannedFinish=req.body.newPlannedFinish||addWorkingDays(calendar,newPlannedStart.toISOString().slice(0,10),extensionDays);
+    
+    // The contractual finish is left alone: the extension only takes effect
+    // once approved through /api/schedule-extensions/:extensionId/review.
+    const extRes = await client.query(`INSERT INTO schedule_extensions (schedule_id,project_id,extension_days,new_planned_start,new_planned_finish,reason,extension_type,requested_by_user_id,requested_by_role,proposed_by_user_id,proposed_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$8,$9) RETURNING id`,[scheduleId,projectId,extensionDays,newPlannedStart.toISOString().slice(0,10),newPlannedFinish,reason,extensionType,req.user.user_id,req.user.role]);
+    const extensionId=extRes.rows[0].id;
+    const insertedAdditional=[];
+    if (scopeType==='new'&&newMilestones.length>0) {
+      for (let i=0;i<newMilestones.length;i++) {
+        const ms=newMilestones[i],dur=Math.max(1,workingDaysBetween(calendar,ms.planned_start,ms.planned_end)),depBaselineId=ms.depends_on_baseline&&ms.depends_on_baseline!=='None'?ms.depends_on_baseline:null;
+        const amRes=await client.query(`INSERT INTO additional_milestones (schedule_id,project_id,schedule_extension_id,title,description,sort_order,planned_start,planned_end,duration_days,weight_pct,quantity,unit,depends_on_baseline,added_by_user_id,added_by_role,budgeted_cost,unit_rate) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17) RETURNING id`,[scheduleId,projectId,extensionId,ms.title,ms.description||null,i,ms.planned_start,ms.planned_end,dur,0,parseFloat(ms.quantity)||0,ms.unit||null,depBaselineId,req.user.user_id,req.user.role,parseNumberOrNull(ms.budgeted_cost),parseNumberOrNull(ms.unit_rate)]);
+        const additionalId=amRes.rows[0].id;insertedAdditional.push({id:additionalId,index:i});
+        if (depBaselineId) await insertScheduleDependency(client,scheduleId,{predecessor_kind:'milestone',predecessor_id:depBaselineId,successor_kind:'additional',successor_id:additionalId,type:'FS',lag_days:0});
+        const file=fileMap[i];
+        if (file){try{const cdResult=await scheduleCloudinaryUpload(file.buffer,file.originalname,`oneprojectapp/schedules/${projectId}/additional`);await client.query(`INSERT INTO additional_milestone_attachments (additional_milestone_id,file_name,file_size,mime_type,cloudinary_public_id,cloudinary_url,uploaded_by_user_id,uploaded_by_role) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,[additionalId,file.originalname,file.size,file.mimetype,cdResult.public_id,cdResult.secure_url,req.user.user_id,req.user.role]);}catch(cdErr){console.error('[save-extension] Cloudinary upload failed for additional milestone',additionalId,cdErr);}}
+      }
+      await pruneScheduleDependencies(client, scheduleId);
+      await recalculateCriticalPath(client, scheduleId);
+    }
+    await client.query('COMMIT');
+
+    // Create a notification for the extension so recipients are informed
+    try {
+      const notifClient = await pool.connect();
+      try {
+        await notifClient.query('BEGIN');
+        const notifMsg = `Schedule extension requested by ${req.user.role}: "${reason}"`;
+        const notifRes = await notifClient.query(
+          `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
+           VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+          [projectId, extensionId, 'schedule_extensions', notifMsg, req.user.user_id, req.user.role]
+        );
+        const notificationId = notifRes.rows[0].id;
+        const recipients = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role);
+        await insertNotificationRecipients(notifClient, notificationId, recipients);
+        await notifClient.query('COMMIT');
+        console.log('[notifications] created extension notification', { notificationId, projectId, extensionId, recipients: recipients.length });
+      } catch (notifErr) {
+        await notifClient.query('ROLLBACK');
+        console.error('[notifications] failed to create extension notification (non-fatal):', notifErr.message);
+      } finally { notifClient.release(); }
+    } catch (outerNotifErr) {
+      console.error('[notifications] outer error creating extension notification (non-fatal):', outerNotifErr.message);
+    }
+
+    res.json({success:true,extension:{id:extensionId,extensionDays,newPlannedFinish,reason,extensionType,status:'pending',newMilestonesAdded:insertedAdditional.length}});
+  } catch(err){await client.query('ROLLBACK');if(err.code==='CPM_CYCLE')return res.status(400).json({error:'Circular dependency detected',cycle:err.cycleKeys});console.error('[POST /api/save-extension]',err);res.status(500).json({error:'Failed to save extension'});}finally{client.release();}
+});
+
+// ─── Schedule Extension Review ───────────────────────────────────────────────
+// Extensions are proposed by one party and decided by another: approve makes
+// the new finish effective, reject closes the request, counter replaces the
+// proposed finish and hands the decision back to the other side.
+
+app.get('/api/schedule-extensions', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const extRes = await pool.query(
+      `SELECT id,schedule_id,extension_days,new_planned_start,new_planned_finish,reason,extension_type,status,
+              requested_by_user_id,requested_by_role,proposed_by_user_id,proposed_by_role,
+              approved_by_user_id,approved_by_role,approved_at,review_comment,created_at,updated_at
+       FROM schedule_extensions WHERE project_id=$1 ORDER BY created_at ASC`,
+      [projectId]
+    );
+    const ids = extRes.rows.map(r => r.id);
+    const reviewsRes = ids.length
+      ? await pool.query(
+          `SELECT id,extension_id,reviewer_user_id,reviewer_role,action,comment,proposed_extension_days,proposed_planned_finish,created_at
+           FROM schedule_extension_reviews WHERE extension_id = ANY($1::int[]) ORDER BY created_at ASC`,
+          [ids]
+        )
+      : { rows: [] };
+    const mySide = getSide(req.user.role);
+    const extensions = extRes.rows.map(ext => ({
+      ...ext,
+      reviews: reviewsRes.rows.filter(r => r.extension_id === ext.id),
+      can_review: !!mySide
+        && ['pending', 'countered'].includes(ext.status)
+        && mySide !== getSide(ext.proposed_by_role || ext.requested_by_role),
+    }));
+    res.json({ success: true, extensions });
+  } catch (err) {
+    console.error('[GET /api/schedule-extensions]', err);
+    res.status(500).json({ error: 'Failed to fetch extensions' });
+  }
+});
+
+app.post('/api/schedule-extensions/:extensionId/review', authenticateToken, async (req, res) => {
+  const extensionId = parseInt(req.params.extensionId, 10);
+  const projectId = normalizeProjectId(req.body.projectId);
+  const action = (req.body.action || '').toLowerCase();
+  const comment = (req.body.comment || '').trim();
+  if (!extensionId) return res.status(400).json({ error: 'Valid extensionId is required' });
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!['approved', 'rejected', 'countered'].includes(action)) return res.status(400).json({ error: 'action must be approved, rejected or countered' });
+  if (action !== 'approved' && !comment) return res.status(400).json({ error: 'comment is required when rejecting or countering' });
+  if (!isDecisionMaker(req.user.role)) return res.status(403).json({ error: 'Only Client, Consultant or Contractor can review extensions' });
+
+  const client = await pool.connect();
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    await client.query('BEGIN');
+    const extRes = await client.query(
+      `SELECT id,schedule_id,project_id,extension_days,new_planned_start,new_planned_finish,status,
+              requested_by_role,proposed_by_role
+       FROM schedule_extensions WHERE id=$1 AND project_id=$2 FOR UPDATE`,
+      [extensionId, projectId]
+    );
+    if (!extRes.rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Extension not found' }); }
+    const ext = extRes.rows[0];
+    if (!['pending', 'countered'].includes(ext.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Extension already ${ext.status}` });
+    }
+    if (getSide(req.user.role) === getSide(ext.proposed_by_role || ext.requested_by_role)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'The proposing party cannot review its own extension' });
+    }
+
+    let extensionDays = ext.extension_days;
+    let newPlannedFinish = ext.new_planned_finish;
+    if (action === 'countered') {
+      const counterFinish = req.body.counterPlannedFinish || null;
+      const counterDays = parseInt(req.body.counterExtensionDays, 10);
+      if (!counterFinish && !(counterDays > 0)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'counterPlannedFinish or counterExtensionDays is required to counter' });
+      }
+      const calendar = await loadProjectCalendar(client, projectId);
+      if (counterFinish) {
+        if (toDayNumber(counterFinish) < toDayNumber(ext.new_planned_start)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'counterPlannedFinish cannot be before the extension start' });
+        }
+        newPlannedFinish = counterFinish;
+        extensionDays = Math.max(1, workingDaysBetween(calendar, ext.new_planned_start, counterFinish));
+      } else {
+        extensionDays = counterDays;
+        newPlannedFinish = addWorkingDays(calendar, ext.new_planned_start, counterDays);
+      }
+    }
+
+    await client.query(
+      `INSERT INTO schedule_extension_reviews
+         (extension_id,project_id,reviewer_user_id,reviewer_role,action,comment,proposed_extension_days,proposed_planned_finish)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [extensionId, projectId, req.user.user_id, req.user.role, action, comment || null,
+       action === 'countered' ? extensionDays : null, action === 'countered' ? newPlannedFinish : null]
+    );
+
+    if (action === 'countered') {
+      await client.query(
+        `UPDATE schedule_extensions
+         SET status='countered', extension_days=$1, new_planned_finish=$2, review_comment=$3,
+             proposed_by_user_id=$4, proposed_by_role=$5, updated_at=now()
+         WHERE id=$6`,
+        [extensionDays, newPlannedFinish, comment, req.user.user_id, req.user.role, extensionId]
+      );
+    } else {
+      await client.query(
+        `UPDATE schedule_extensions
+         SET status=$1, approved_by_user_id=$2, approved_by_role=$3, approved_at=now(), review_comment=$4, updated_at=now()
+         WHERE id=$5`,
+        [action, req.user.user_id, req.user.role, comment || null, extensionId]
+      );
+    }
+
+    const effectiveFinish = await recomputeEffectiveFinish(client, ext.schedule_id);
+    await recalculateCriticalPath(client, ext.schedule_id);
+    if (action === 'approved') {
+      await captureScheduleBaseline(client, ext.schedule_id, {
+        name: `Extension approved: +${extensionDays} days to ${newPlannedFinish instanceof Date ? newPlannedFinish.toISOString().slice(0, 10) : newPlannedFinish}`,
+        reason: 'extension_approved',
+        extensionId,
+        user: req.user,
+      });
+    }
+
+    const notifMsg = action === 'countered'
+      ? `Schedule extension countered by ${req.user.role}: new finish ${newPlannedFinish} (${extensionDays} days) — "${comment}"`
+      : `Schedule extension ${action} by ${req.user.role}${comment ? `: "${comment}"` : ''}`;
+    const notifRes = await client.query(
+      `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+      [projectId, extensionId, 'schedule_extensions', notifMsg, req.user.user_id, req.user.role]
+    );
+    const recipients = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role);
+    await insertNotificationRecipients(client, notifRes.rows[0].id, recipients);
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      extension: { id: extensionId, status: action, extensionDays, newPlannedFinish, reviewComment: comment || null },
+      effectiveFinish,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[POST /api/schedule-extensions/:extensionId/review]', err);
+    res.status(500).json({ error: 'Failed to review extension' });
+  } finally {
+    client.release();
+  }
+});
+
+// ─── Milestone Photos ────────────────────────────────────────────────────────
+app.get('/api/milestone-photos', authenticateToken, async (req, res) => {
+  const { milestoneId, additionalMilestoneId } = req.query;
+  if (!milestoneId&&!additionalMilestoneId) return res.status(400).json({ error: 'milestoneId or additionalMilestoneId is required' });
+  try {
+    const col=milestoneId?'milestone_id':'additional_milestone_id', val=milestoneId??additionalMilestoneId;
+    const { rows }=await pool.query(`SELECT id,file_name,cloudinary_url,uploaded_at FROM milestone_photos WHERE ${col}=$1 ORDER BY uploaded_at ASC`,[val]);
     res.json({ photos: rows });
   } catch(err){console.error('[GET /api/milestone-photos]',err);res.status(500).json({error:'Failed to fetch photos'});}
 });
@@ -3595,7 +6570,7 @@ app.get('/api/project-summary', authenticateToken, async (req, res) => {
   const projectId = normalizeProjectId(req.query.projectId);
   if (!projectId) return res.status(400).json({error:'Valid projectId is required'});
   try {
-    const schedRow=await pool.query('SELECT id,planned_start,planned_finish,total_duration,location FROM project_schedules WHERE project_id=$1 LIMIT 1',[projectId]);
+    const schedRow=await pool.query('SELECT id,planned_start,planned_finish,effective_finish,total_duration,location FROM project_schedules WHERE project_id=$1 LIMIT 1',[projectId]);
     if (!schedRow.rows.length) return res.json({hasSchedule:false,milestones:[],photos:[],timeline:null});
     const sched=schedRow.rows[0];
     const location=sched.location || null;
@@ -3605,9 +6580,8 @@ app.get('/api/project-summary', authenticateToken, async (req, res) => {
     const totalWeight=allMilestones.reduce((s,m)=>s+Number(m.weight_pct||0),0);
     const overallPct=allMilestones.length===0?0:totalWeight>0?allMilestones.reduce((s,m)=>s+Number(m.weight_pct||0)*Number(m.progress_pct||0),0)/totalWeight:allMilestones.reduce((s,m)=>s+Number(m.progress_pct||0),0)/allMilestones.length;
     const today=new Date();today.setHours(0,0,0,0);
-    const projStart=new Date(sched.planned_start),projFinish=new Date(sched.planned_finish);
-    const elapsed=Math.max(0,(today-projStart)/86400000),totalDays=Math.max(1,(projFinish-projStart)/86400000);
-    const plannedPct=Math.min(100,(elapsed/totalDays)*100),variance=parseFloat((overallPct-plannedPct).toFixed(2));
+    const calendar=await loadProjectCalendar(pool,projectId);
+    const plannedPct=plannedPercent(calendar,sched.planned_start,sched.effective_finish||sched.planned_finish,today),variance=parseFloat((overallPct-plannedPct).toFixed(2));
     const completed=allMilestones.filter(m=>m.activity_status==='completed'),lastCompleted=completed.length?completed[completed.length-1].title:null;
     const currentMsIndex = allMilestones.findIndex(m => m.activity_status !== 'completed');
     const currentMsForChart = currentMsIndex >= 0 ? allMilestones[currentMsIndex] : (allMilestones.length ? allMilestones[allMilestones.length - 1] : null);
@@ -3616,21 +6590,14 @@ app.get('/api/project-summary', authenticateToken, async (req, res) => {
       title: currentMsForChart.title,
       start: currentMsForChart.start,
       end: currentMsForChart.end,
-      planned_pct: (() => {
-        const msStart = new Date(currentMsForChart.start), msEnd = new Date(currentMsForChart.end);
-        if(today >= msEnd) return 100;
-        if(today > msStart) return Math.min(100, ((today - msStart) / Math.max(1, msEnd - msStart)) * 100);
-        return 0;
-      })(),
+      planned_pct: plannedPercent(calendar, currentMsForChart.start, currentMsForChart.end, today),
       actual_pct: parseFloat(Number(currentMsForChart.progress_pct || 0).toFixed(2)),
       activity_status: currentMsForChart.activity_status,
       weight_pct: currentMsForChart.weight_pct,
       is_extension: currentMsForChart.is_extension,
     }] : [];
     const allChartMilestones = allMilestones.map((ms, idx) => {
-      const msStart = new Date(ms.start), msEnd = new Date(ms.end);
-      let msPlanPct = 0;
-      if(today >= msEnd) msPlanPct = 100; else if(today > msStart) msPlanPct = Math.min(100, ((today - msStart) / Math.max(1, msEnd - msStart)) * 100);
+      const msPlanPct = plannedPercent(calendar, ms.start, ms.end, today);
       return {id: ms.id, title: ms.title, start: ms.start, end: ms.end, planned_pct: parseFloat(msPlanPct.toFixed(2)), actual_pct: parseFloat(Number(ms.progress_pct || 0).toFixed(2)), activity_status: ms.activity_status, weight_pct: ms.weight_pct, is_extension: ms.is_extension, milestone_index: idx};
     });
     const msIds=msRows.rows.map(m=>m.id),amIds=amRows.rows.map(m=>m.id);
@@ -3639,7 +6606,8 @@ app.get('/api/project-summary', authenticateToken, async (req, res) => {
     if (amIds.length>0){const ph=amIds.map((_,i)=>`$${i+1}`).join(',');const amPhotoRes=await pool.query(`SELECT mp.id,mp.file_name,mp.cloudinary_url,mp.uploaded_at,am.title AS ms_title FROM milestone_photos mp JOIN additional_milestones am ON am.id=mp.additional_milestone_id WHERE mp.additional_milestone_id IN (${ph}) ORDER BY mp.uploaded_at ASC`,amIds);photos=photos.concat(amPhotoRes.rows.map(p=>({...p,is_extension:true})));}
     const extRow=await pool.query(`SELECT extension_days,new_planned_finish,status FROM schedule_extensions WHERE schedule_id=$1 AND status='approved' ORDER BY created_at DESC LIMIT 1`,[sched.id]);
     const latestExtension=extRow.rows[0]||null;
-    const currentFinish = latestExtension ? new Date(latestExtension.new_planned_finish) : new Date(sched.planned_finish);
+    const currentFinishDate = sched.effective_finish || sched.planned_finish;
+    const currentFinish = new Date(currentFinishDate);
     const projectRemainingDays = Math.max(0, Math.ceil((currentFinish - today) / 86400000));
     const currentMs = allMilestones.find(m => m.activity_status !== 'completed') || (allMilestones.length ? allMilestones[allMilestones.length - 1] : null);
     const currentMilestone = currentMs ? {
@@ -3653,7 +6621,7 @@ app.get('/api/project-summary', authenticateToken, async (req, res) => {
     res.json({
       hasSchedule:true,
       location,
-      timeline:{start:sched.planned_start,finish:sched.planned_finish,duration:sched.total_duration,current_finish:latestExtension?latestExtension.new_planned_finish:sched.planned_finish},
+      timeline:{start:sched.planned_start,finish:sched.planned_finish,duration:sched.total_duration,current_finish:currentFinishDate,latest_approved_extension:latestExtension},
       progress:{overall_pct:parseFloat(overallPct.toFixed(2)),planned_pct:parseFloat(plannedPct.toFixed(2)),variance_pct:variance,last_completed:lastCompleted,total_milestones:allMilestones.length,completed_count:completed.length,in_progress_count:allMilestones.filter(m=>m.activity_status==='in_progress').length},
       project_remaining_days: projectRemainingDays,
       current_milestone: currentMilestone,
@@ -3664,11 +6632,658 @@ app.get('/api/project-summary', authenticateToken, async (req, res) => {
   } catch(err){console.error('[GET /api/project-summary]',err);res.status(500).json({error:'Failed to load project summary'});}
 });
 
-// =============================================================================
-//  HELPERS  (ensure these exist in your server.js before these routes)
-// =============================================================================
-//
-//  function wcSide(role) {
+// ─── S-Curve ─────────────────────────────────────────────────────────────────
+// Baseline milestones plus additional milestones that are either part of the
+// programme itself or belong to an approved extension; pending/rejected
+// extension scope stays off the curve.
+
+async function loadScheduleProgressItems(db, scheduleId) {
+  const msRes = await db.query(
+    `SELECT 'milestone' AS kind,m.id,m.title,m.planned_start,m.planned_end,m.quantity,m.unit,m.weight_pct,m.budgeted_cost,m.unit_rate,m.progress_pct,m.activity_status,m.completed_at,
+            COALESCE(json_agg(json_build_object('date',e.report_date,'qty',e.qty_executed,'cumulative',e.cumulative_after_entry,'pct',e.progress_pct_after_entry,'actual_cost',e.actual_cost) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries
+     FROM milestones m LEFT JOIN milestone_progress_entries e ON e.milestone_id=m.id
+     WHERE m.schedule_id=$1 GROUP BY m.id ORDER BY m.sort_order`,
+    [scheduleId]
+  );
+  const amRes = await db.query(
+    `SELECT 'additional' AS kind,am.id,am.title,am.planned_start,am.planned_end,am.quantity,am.unit,am.weight_pct,am.budgeted_cost,am.unit_rate,am.progress_pct,am.activity_status,am.completed_at,
+            COALESCE(json_agg(json_build_object('date',e.report_date,'qty',e.qty_executed,'cumulative',e.cumulative_after_entry,'pct',e.progress_pct_after_entry,'actual_cost',e.actual_cost) ORDER BY e.report_date) FILTER (WHERE e.id IS NOT NULL),'[]') AS entries
+     FROM additional_milestones am
+     LEFT JOIN schedule_extensions se ON se.id=am.schedule_extension_id
+     LEFT JOIN additional_milestone_progress_entries e ON e.additional_milestone_id=am.id
+     WHERE am.schedule_id=$1 AND (am.schedule_extension_id IS NULL OR se.status='approved')
+     GROUP BY am.id ORDER BY am.sort_order`,
+    [scheduleId]
+  );
+  const items = [...msRes.rows, ...amRes.rows];
+  // Same weighting rule as /api/project-summary: weight_pct when set, else equal shares
+  const totalWeight = items.reduce((s, it) => s + Number(it.weight_pct || 0), 0);
+  return items.map(it => ({
+    ...it,
+    key: cpmKey(it.kind, it.id),
+    share: totalWeight > 0 ? Number(it.weight_pct || 0) / totalWeight : 1 / items.length,
+    entries: it.entries.map(e => ({ ...e, day: toDayNumber(e.date) })),
+  }));
+}
+
+// Progress % of one item at the end of dayNum, from its entry history
+function actualPctAt(item, dayNum) {
+  if (item.completed_at && toDayNumber(item.completed_at) <= dayNum) return 100;
+  let pct = 0;
+  for (const e of item.entries) {
+    if (e.day > dayNum) break;
+    pct = Number(e.pct || 0);
+  }
+  return pct;
+}
+
+function buildReportingPeriods(start, end, interval) {
+  const periods = [];
+  let from = toDayNumber(start);
+  const last = toDayNumber(end);
+  if (from == null || last == null) return periods;
+  while (from <= last) {
+    let to;
+    if (interval === 'monthly') {
+      const d = new Date(from * 86400000);
+      to = Math.floor(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0) / 86400000);
+    } else if (interval === 'daily') {
+      to = from;
+    } else {
+      to = from + 6;
+    }
+    periods.push({ from, to });
+    from = to + 1;
+  }
+  return periods;
+}
+
+app.get('/api/schedule/s-curve', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const interval = req.query.interval === 'monthly' ? 'monthly' : 'weekly';
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const schedRes = await pool.query('SELECT id,planned_start,planned_finish,effective_finish FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+    if (!schedRes.rows.length) return res.json({ hasSchedule: false, points: [] });
+    const sched = schedRes.rows[0];
+    const [items, calendar, extRes] = await Promise.all([
+      loadScheduleProgressItems(pool, sched.id),
+      loadProjectCalendar(pool, projectId),
+      pool.query(`SELECT id,extension_days,new_planned_start,new_planned_finish,extension_type,approved_at FROM schedule_extensions WHERE schedule_id=$1 AND status='approved' ORDER BY new_planned_finish ASC`, [sched.id]),
+    ]);
+
+    const today = toDayNumber(new Date());
+    const finish = sched.effective_finish || sched.planned_finish;
+    const lastEntry = Math.max(-Infinity, ...items.flatMap(it => it.entries.map(e => e.day)));
+    const startDay = Math.min(toDayNumber(sched.planned_start), ...items.map(it => toDayNumber(it.planned_start)));
+    // Run on to today while work is still open, so overruns show on the chart
+    const allDone = items.length > 0 && items.every(it => it.activity_status === 'completed');
+    const endDay = Math.max(toDayNumber(finish), ...items.map(it => toDayNumber(it.planned_end)), lastEntry, allDone ? -Infinity : today);
+    const periods = buildReportingPeriods(dayNumberToDate(startDay), dayNumberToDate(endDay), interval);
+
+    let prevPlanned = 0, prevActual = 0;
+    const points = periods.map(({ from, to }) => {
+      const asOf = dayNumberToDate(to + 1);
+      const planned = items.reduce((s, it) => s + it.share * plannedPercent(calendar, it.planned_start, it.planned_end, asOf), 0);
+      // Actuals stop at today; later buckets only carry the planned curve
+      const actual = from <= today ? items.reduce((s, it) => s + it.share * actualPctAt(it, Math.min(to, today)), 0) : null;
+      const point = {
+        period_start: dayNumberToDate(from),
+        period_end: dayNumberToDate(to),
+        planned_pct: parseFloat(planned.toFixed(2)),
+        actual_pct: actual === null ? null : parseFloat(actual.toFixed(2)),
+        planned_period_pct: parseFloat((planned - prevPlanned).toFixed(2)),
+        actual_period_pct: actual === null ? null : parseFloat((actual - prevActual).toFixed(2)),
+      };
+      prevPlanned = planned;
+      if (actual !== null) prevActual = actual;
+      return point;
+    });
+
+    res.json({
+      hasSchedule: true,
+      interval,
+      timeline: { start: sched.planned_start, finish: sched.planned_finish, effective_finish: finish },
+      approved_extensions: extRes.rows,
+      milestone_count: items.length,
+      points,
+    });
+  } catch (err) {
+    console.error('[GET /api/schedule/s-curve]', err);
+    res.status(500).json({ error: 'Failed to build S-curve' });
+  }
+});
+
+// ─── Earned Value ────────────────────────────────────────────────────────────
+// BAC per milestone = budgeted_cost, or quantity × unit_rate when no lump sum
+// is set. PV follows the working-day planned curve, EV the progress entry
+// history (same as the S-curve) and AC the actual_cost booked on entries.
+
+function milestoneBudget(item) {
+  if (item.budgeted_cost !== null && item.budgeted_cost !== undefined) return Number(item.budgeted_cost);
+  if (item.unit_rate !== null && item.unit_rate !== undefined) return Number(item.unit_rate) * Number(item.quantity || 0);
+  return 0;
+}
+
+function computeEarnedValue(items, calendar, statusDay) {
+  const asOf = dayNumberToDate(statusDay + 1);
+  const ratio = (a, b) => (b > 0 ? parseFloat((a / b).toFixed(3)) : null);
+  const money = v => parseFloat(v.toFixed(2));
+  let bac = 0, pv = 0, ev = 0, ac = 0, uncosted = 0;
+  const lines = items.map(it => {
+    const budget = milestoneBudget(it);
+    const plannedPct = plannedPercent(calendar, it.planned_start, it.planned_end, asOf);
+    const earnedPct = actualPctAt(it, statusDay);
+    const entries = it.entries.filter(e => e.day <= statusDay);
+    const actual = entries.reduce((s, e) => s + Number(e.actual_cost || 0), 0);
+    uncosted += entries.filter(e => e.actual_cost === null || e.actual_cost === undefined).length;
+    const line = { bac: budget, pv: budget * plannedPct / 100, ev: budget * earnedPct / 100, ac: actual };
+    bac += line.bac; pv += line.pv; ev += line.ev; ac += line.ac;
+    return {
+      key: it.key, kind: it.kind, id: it.id, title: it.title,
+      planned_pct: parseFloat(plannedPct.toFixed(2)), earned_pct: parseFloat(earnedPct.toFixed(2)),
+      bac: money(line.bac), pv: money(line.pv), ev: money(line.ev), ac: money(line.ac),
+      sv: money(line.ev - line.pv), cv: money(line.ev - line.ac),
+      spi: ratio(line.ev, line.pv), cpi: ratio(line.ev, line.ac),
+    };
+  });
+  const cpi = ac > 0 ? ev / ac : null;
+  // EAC = BAC / CPI; until any cost is booked the budget is the best estimate
+  const eac = cpi ? bac / cpi : bac;
+  return {
+    totals: {
+      bac: money(bac), pv: money(pv), ev: money(ev), ac: money(ac),
+      sv: money(ev - pv), cv: money(ev - ac),
+      spi: ratio(ev, pv), cpi: cpi === null ? null : parseFloat(cpi.toFixed(3)),
+      eac: money(eac), etc: money(Math.max(0, eac - ac)), vac: money(bac - eac),
+    },
+    entries_without_cost: uncosted,
+    unbudgeted_milestones: lines.filter(l => l.bac === 0).length,
+    lines,
+  };
+}
+
+app.get('/api/schedule/evm', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const statusDay = req.query.statusDate ? toDayNumber(req.query.statusDate) : toDayNumber(new Date());
+  if (statusDay == null) return res.status(400).json({ error: 'statusDate must be YYYY-MM-DD' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const schedRes = await pool.query('SELECT id FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+    if (!schedRes.rows.length) return res.json({ hasSchedule: false });
+    const [items, calendar] = await Promise.all([
+      loadScheduleProgressItems(pool, schedRes.rows[0].id),
+      loadProjectCalendar(pool, projectId),
+    ]);
+    res.json({ hasSchedule: true, status_date: dayNumberToDate(statusDay), ...computeEarnedValue(items, calendar, statusDay) });
+  } catch (err) {
+    console.error('[GET /api/schedule/evm]', err);
+    res.status(500).json({ error: 'Failed to compute earned value' });
+  }
+});
+
+// ─── Forecast & Risk ─────────────────────────────────────────────────────────
+// Deterministic forecast: open milestones finish at their measured production
+// rate (executed qty per working day since the first entry); milestones with
+// no progress keep their planned duration from max(planned start, today).
+// The forecast network then goes through the CPM. Monte Carlo samples each
+// open duration from a triangular distribution over the three-point
+// estimates, falling back to the ratios below when none are set.
+
+const FORECAST_DEFAULT_OPTIMISTIC = 0.9;
+const FORECAST_DEFAULT_PESSIMISTIC = 1.4;
+const FORECAST_MAX_ITERATIONS = 2000;
+// Runs between yields to the event loop so other requests aren't starved
+const FORECAST_YIELD_EVERY = 25;
+
+// Small seeded PRNG so the same seed reproduces the same P50/P80
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleTriangular(rand, min, mode, max) {
+  if (max <= min) return mode;
+  const u = rand(), c = (mode - min) / (max - min);
+  return u < c ? min + Math.sqrt(u * (max - min) * (mode - min)) : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+function forecastMilestone(item, calendar, todayDay) {
+  const today = dayNumberToDate(todayDay);
+  const plannedDur = Math.max(1, workingDaysBetween(calendar, item.planned_start, item.planned_end));
+  const base = { key: item.key, kind: item.kind, id: item.id, title: item.title, planned_start: item.planned_start, planned_end: item.planned_end, activity_status: item.activity_status, planned_duration: plannedDur };
+  if (item.activity_status === 'completed') {
+    const done = item.completed_at ? dayNumberToDate(toDayNumber(item.completed_at)) : dayNumberToDate(toDayNumber(item.planned_end));
+    return { ...base, basis: 'completed', forecast_start: item.planned_start, forecast_finish: done, remaining_days: 0, production_rate: null };
+  }
+  const quantity = Number(item.quantity || 0);
+  const executed = item.entries.length ? Number(item.entries[item.entries.length - 1].cumulative || 0) : 0;
+  if (item.entries.length && quantity > 0 && executed > 0) {
+    const elapsed = Math.max(1, workingDaysBetween(calendar, item.entries[0].date, today));
+    const rate = executed / elapsed;
+    const remaining = Math.max(0, quantity - executed);
+    const remainingDays = Math.max(1, Math.ceil(remaining / rate));
+    return {
+      ...base, basis: 'production_rate', executed, quantity, production_rate: parseFloat(rate.toFixed(4)),
+      forecast_start: item.entries[0].date, remaining_days: remainingDays,
+      forecast_finish: addWorkingDays(calendar, dayNumberToDate(todayDay + 1), remainingDays),
+    };
+  }
+  const startDay = Math.max(toDayNumber(item.planned_start), todayDay + (item.entries.length ? 1 : 0));
+  const start = dayNumberToDate(startDay);
+  return {
+    ...base, basis: 'planned', executed, quantity, production_rate: null,
+    forecast_start: start, remaining_days: plannedDur,
+    forecast_finish: addWorkingDays(calendar, start, plannedDur),
+  };
+}
+
+async function buildScheduleForecast(db, projectId, { iterations = 1000, seed = 1 } = {}) {
+  const schedRes = await db.query('SELECT id FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+  if (!schedRes.rows.length) return null;
+  const scheduleId = schedRes.rows[0].id;
+  const [network, items] = await Promise.all([loadCpmNetwork(db, scheduleId), loadScheduleProgressItems(db, scheduleId)]);
+  const estRes = await db.query(
+    `SELECT 'milestone' AS kind,id,optimistic_days,most_likely_days,pessimistic_days FROM milestones WHERE schedule_id=$1
+     UNION ALL SELECT 'additional',id,optimistic_days,most_likely_days,pessimistic_days FROM additional_milestones WHERE schedule_id=$1`,
+    [scheduleId]
+  );
+  const estimates = new Map(estRes.rows.map(r => [cpmKey(r.kind, r.id), r]));
+  const todayDay = toDayNumber(new Date());
+  const forecasts = new Map(items.map(it => [it.key, forecastMilestone(it, network.calendar, todayDay)]));
+  const tomorrow = dayNumberToDate(todayDay + 1);
+  if (!network.activities.some(a => forecasts.has(a.key))) {
+    return {
+      status_date: dayNumberToDate(todayDay),
+      contract_finish: network.projectFinish,
+      forecast_finish: null,
+      forecast_variance_days: null,
+      milestones: [],
+      simulation: null,
+    };
+  }
+
+  // Completed work is pinned to its actual dates; open work runs from its forecast start
+  const forecastActivities = (durationFor) => network.activities
+    .filter(a => forecasts.has(a.key))
+    .map(a => {
+      const f = forecasts.get(a.key);
+      if (f.basis === 'completed') return { ...a, start: f.forecast_finish, end: f.forecast_finish, preds: [] };
+      // Work already under way is no longer held by its predecessors
+      if (f.basis === 'production_rate') return { ...a, start: tomorrow, preds: [], duration: durationFor(a.key, f) };
+      return { ...a, start: f.forecast_start, duration: durationFor(a.key, f) };
+    });
+
+  const deterministic = computeCriticalPath({ ...network, activities: forecastActivities((_k, f) => f.remaining_days) });
+  const deterministicByKey = new Map(deterministic.activities.map(a => [a.key, a]));
+
+  const runs = Math.min(FORECAST_MAX_ITERATIONS, Math.max(100, parseInt(iterations, 10) || 1000));
+  const rand = mulberry32(parseInt(seed, 10) || 1);
+  const finishes = [];
+  for (let i = 0; i < runs; i++) {
+    if (i > 0 && i % FORECAST_YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+    const result = computeCriticalPath({
+      ...network,
+      activities: forecastActivities((key, f) => {
+        const est = estimates.get(key) || {};
+        const likely = Number(est.most_likely_days) || f.planned_duration;
+        const lo = Number(est.optimistic_days) || likely * FORECAST_DEFAULT_OPTIMISTIC;
+        const hi = Number(est.pessimistic_days) || likely * FORECAST_DEFAULT_PESSIMISTIC;
+        // Scale the three-point range onto what is left of the activity
+        const scale = f.remaining_days / likely;
+        return Math.max(1, Math.round(sampleTriangular(rand, lo * scale, likely * scale, hi * scale)));
+      }),
+    });
+    finishes.push(toDayNumber(result.networkFinish));
+  }
+  finishes.sort((a, b) => a - b);
+  const pct = p => dayNumberToDate(finishes[Math.min(finishes.length - 1, Math.ceil(p * finishes.length) - 1)]);
+  const contractFinish = network.projectFinish;
+  const contractDay = toDayNumber(contractFinish);
+
+  return {
+    status_date: dayNumberToDate(todayDay),
+    contract_finish: contractFinish,
+    forecast_finish: deterministic.networkFinish,
+    forecast_variance_days: workingDayDiff(network.calendar, contractFinish, deterministic.networkFinish),
+    milestones: [...forecasts.values()].map(f => {
+      const finish = f.basis === 'completed' ? f.forecast_finish : (deterministicByKey.get(f.key)?.early_finish || f.forecast_finish);
+      return { ...f, cpm_forecast_finish: finish, slip_days: workingDayDiff(network.calendar, f.planned_end, finish) };
+    }),
+    simulation: {
+      iterations: runs,
+      seed: parseInt(seed, 10) || 1,
+      p10: pct(0.1), p50: pct(0.5), p80: pct(0.8), p90: pct(0.9),
+      earliest: dayNumberToDate(finishes[0]),
+      latest: dayNumberToDate(finishes[finishes.length - 1]),
+      probability_on_time: parseFloat((finishes.filter(d => d <= contractDay).length / finishes.length).toFixed(3)),
+    },
+  };
+}
+
+app.get('/api/schedule/forecast', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const forecast = await buildScheduleForecast(pool, projectId, { iterations: req.query.iterations, seed: req.query.seed });
+    if (!forecast) return res.json({ hasSchedule: false });
+    res.json({ hasSchedule: true, ...forecast });
+  } catch (err) {
+    if (err.code === 'CPM_CYCLE') return res.status(409).json({ error: err.message, cycle: err.cycleKeys });
+    console.error('[GET /api/schedule/forecast]', err);
+    res.status(500).json({ error: 'Failed to build forecast' });
+  }
+});
+
+// Body: { projectId, estimates: [{ kind: 'milestone'|'additional', id, optimistic_days, most_likely_days, pessimistic_days }] }
+app.put('/api/schedule/duration-estimates', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const estimates = Array.isArray(req.body.estimates) ? req.body.estimates : null;
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!estimates) return res.status(400).json({ error: 'estimates must be an array' });
+  for (const e of estimates) {
+    const [o, m, p] = [e.optimistic_days, e.most_likely_days, e.pessimistic_days].map(parseNumberOrNull);
+    if ([o, m, p].some(v => v !== null && v <= 0) || (o !== null && m !== null && o > m) || (m !== null && p !== null && m > p) || (o !== null && p !== null && o > p)) {
+      return res.status(400).json({ error: `Estimates for ${e.kind || 'milestone'} ${e.id} must be positive and ordered optimistic <= most likely <= pessimistic` });
+    }
+  }
+  const client = await pool.connect();
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    await client.query('BEGIN');
+    let updated = 0;
+    for (const e of estimates) {
+      const table = e.kind === 'additional' ? 'additional_milestones' : 'milestones';
+      const r = await client.query(
+        `UPDATE ${table} SET optimistic_days=$1,most_likely_days=$2,pessimistic_days=$3,updated_at=now() WHERE id=$4 AND project_id=$5`,
+        [parseNumberOrNull(e.optimistic_days), parseNumberOrNull(e.most_likely_days), parseNumberOrNull(e.pessimistic_days), e.id, projectId]
+      );
+      updated += r.rowCount;
+    }
+    await client.query('COMMIT');
+    res.json({ success: true, updated });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[PUT /api/schedule/duration-estimates]', err);
+    res.status(500).json({ error: 'Failed to save duration estimates' });
+  } finally {
+    client.release();
+  }
+});
+
+// ─── PDF helpers ─────────────────────────────────────────────────────────────
+// Standard fonts only encode WinAnsi, so anything outside Latin-1 is replaced.
+
+function pdfSafeText(value) {
+  return String(value ?? '').replace(/[\r\n\t]+/g, ' ').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function wrapPdfText(font, text, size, maxWidth) {
+  const words = pdfSafeText(text).split(' ');
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(next, size) > maxWidth) { lines.push(line); line = word; }
+    else line = next;
+  }
+  if (line || !lines.length) lines.push(line);
+  return lines;
+}
+
+// Flowing text writer: adds pages as needed and keeps a running y position
+async function createPdfWriter({ title, pageSize = [841.89, 595.28], margin = 36 } = {}) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  if (title) doc.setTitle(pdfSafeText(title));
+  const [width, height] = pageSize;
+  let page = null, y = 0;
+  const newPage = () => { page = doc.addPage(pageSize); y = height - margin; };
+  const ensure = (h) => { if (!page || y - h < margin) newPage(); };
+  newPage();
+  return {
+    doc, font, bold, width, height, margin,
+    get page() { return page; },
+    get y() { return y; },
+    set y(v) { y = v; },
+    newPage,
+    ensure,
+    text(str, { size = 10, useBold = false, indent = 0, color = rgb(0, 0, 0), gap = 3 } = {}) {
+      const f = useBold ? bold : font;
+      for (const line of wrapPdfText(f, str, size, width - margin * 2 - indent)) {
+        ensure(size + gap);
+        y -= size;
+        page.drawText(line, { x: margin + indent, y, size, font: f, color });
+        y -= gap;
+      }
+    },
+    // Fixed-width columns; each row wraps inside its cells
+    row(cells, widths, { size = 8, useBold = false, fill = null } = {}) {
+      const f = useBold ? bold : font;
+      const wrapped = cells.map((c, i) => wrapPdfText(f, c, size, widths[i] - 4));
+      const h = Math.max(...wrapped.map(w => w.length)) * (size + 2) + 4;
+      ensure(h);
+      if (fill) page.drawRectangle({ x: margin, y: y - h, width: widths.reduce((s, w) => s + w, 0), height: h, color: fill });
+      let x = margin;
+      wrapped.forEach((lines, i) => {
+        lines.forEach((line, j) => page.drawText(line, { x: x + 2, y: y - 2 - size - j * (size + 2), size, font: f }));
+        x += widths[i];
+      });
+      y -= h;
+      page.drawLine({ start: { x: margin, y }, end: { x, y }, thickness: 0.3, color: rgb(0.75, 0.75, 0.75) });
+    },
+    space(h = 8) { y -= h; },
+    async save() { return Buffer.from(await doc.save()); },
+  };
+}
+
+// ─── Look-Ahead Plan ─────────────────────────────────────────────────────────
+
+const LOOK_AHEAD_DEFAULT_DAYS = 21;
+
+// starting / running / due relative to the window; unfinished work that is
+// already past its end date is carried as overdue
+function lookAheadPhase(startDay, endDay, fromDay, toDay) {
+  if (endDay < fromDay) return 'overdue';
+  if (endDay <= toDay) return 'due';
+  if (startDay >= fromDay) return 'starting';
+  return 'running';
+}
+
+function splitResourceText(value) {
+  return String(value || '').split(/[\n;,]+/).map(s => s.trim()).filter(Boolean);
+}
+
+async function buildLookAhead(db, { projectId, side, from, to }) {
+  const fromDay = toDayNumber(from), toDay = toDayNumber(to);
+  const schedRes = await db.query('SELECT id FROM project_schedules WHERE project_id=$1 LIMIT 1', [projectId]);
+  const schedId = schedRes.rows[0]?.id || null;
+
+  const [msRes, peRes, arretRes, docRes] = await Promise.all([
+    schedId ? db.query(
+      `SELECT 'milestone' AS kind,m.id,m.title,m.planned_start,m.planned_end,m.quantity,m.unit,m.executed,m.progress_pct,m.activity_status,m.is_critical
+       FROM milestones m WHERE m.schedule_id=$1 AND m.planned_start<=$3 AND (m.planned_end>=$2 OR m.activity_status<>'completed')
+       UNION ALL
+       SELECT 'additional',am.id,am.title,am.planned_start,am.planned_end,am.quantity,am.unit,am.executed,am.progress_pct,am.activity_status,am.is_critical
+       FROM additional_milestones am LEFT JOIN schedule_extensions se ON se.id=am.schedule_extension_id
+       WHERE am.schedule_id=$1 AND (am.schedule_extension_id IS NULL OR se.status='approved')
+         AND am.planned_start<=$3 AND (am.planned_end>=$2 OR am.activity_status<>'completed')
+       ORDER BY planned_start ASC`,
+      [schedId, from, to]
+    ) : { rows: [] },
+    side ? db.query(
+      `SELECT pe.id,pe.title,pe.milestone_name,pe.start_date,pe.end_date,pe.planned_quantity,pe.unit,pe.status,
+              pe.planned_work,pe.planned_manpower,pe.planned_equipment,pe.planned_materials,
+              COALESCE((SELECT t.progress_pct FROM planning_execution_tracking t WHERE t.activity_id=pe.id
+                        ORDER BY t.report_date DESC,t.created_at DESC LIMIT 1),0) AS progress_pct
+       FROM planning_execution pe
+       WHERE pe.project_id=$1 AND pe.side=$2 AND pe.start_date<=$4
+         AND (pe.end_date>=$3 OR pe.status NOT IN ('completed','closed'))
+       ORDER BY pe.start_date ASC,pe.id ASC`,
+      [projectId, side, from, to]
+    ) : { rows: [] },
+    db.query(
+      `SELECT id,title,description,issued_date,creator_role,status FROM arrets
+       WHERE project_id=$1 AND is_resolved=false ORDER BY issued_date ASC`,
+      [projectId]
+    ),
+    side ? db.query(
+      `SELECT id,title,category,deadline,creator_role,created_at FROM documents
+       WHERE project_id=$1 AND lower(side)=lower($2) AND approval_status='pending_approval'
+       ORDER BY deadline ASC NULLS LAST,created_at ASC`,
+      [projectId, side]
+    ) : { rows: [] },
+  ]);
+
+  const activityIds = peRes.rows.map(a => a.id);
+  const wcRes = activityIds.length ? await db.query(
+    `SELECT id,activity_id,title,priority,status,start_date,end_date,assigned_members FROM workspace_work_center
+     WHERE activity_id=ANY($1::int[]) AND status<>'closed' AND start_date<=$3 AND (end_date>=$2 OR status<>'completed')
+     ORDER BY start_date ASC,id ASC`,
+    [activityIds, from, to]
+  ) : { rows: [] };
+  const tasksByActivity = {};
+  for (const t of wcRes.rows) (tasksByActivity[t.activity_id] ||= []).push({
+    id: t.id, title: t.title, priority: t.priority, status: t.status,
+    start_date: toIsoDate(t.start_date), end_date: toIsoDate(t.end_date),
+    phase: lookAheadPhase(toDayNumber(t.start_date), toDayNumber(t.end_date), fromDay, toDay),
+    assigned_members: (t.assigned_members || []).map(m => m.name || m.email || m.id),
+  });
+
+  const milestones = msRes.rows.map(m => ({
+    kind: m.kind, id: m.id, title: m.title,
+    planned_start: toIsoDate(m.planned_start), planned_end: toIsoDate(m.planned_end),
+    quantity: m.quantity, unit: m.unit, executed: m.executed, progress_pct: m.progress_pct,
+    activity_status: m.activity_status, is_critical: m.is_critical,
+    phase: lookAheadPhase(toDayNumber(m.planned_start), toDayNumber(m.planned_end), fromDay, toDay),
+  }));
+
+  const resources = { manpower: {}, equipment: {}, materials: {} };
+  const activities = peRes.rows.map(a => {
+    const planned = {
+      manpower: splitResourceText(a.planned_manpower),
+      equipment: splitResourceText(a.planned_equipment),
+      materials: splitResourceText(a.planned_materials),
+    };
+    for (const type of Object.keys(resources)) {
+      for (const item of planned[type]) (resources[type][item] ||= []).push(a.id);
+    }
+    return {
+      id: a.id, title: a.title, milestone_name: a.milestone_name,
+      start_date: toIsoDate(a.start_date), end_date: toIsoDate(a.end_date),
+      planned_quantity: a.planned_quantity, unit: a.unit, status: a.status,
+      progress_pct: parseFloat(a.progress_pct) || 0, planned_work: a.planned_work || null,
+      phase: lookAheadPhase(toDayNumber(a.start_date), toDayNumber(a.end_date), fromDay, toDay),
+      planned_resources: planned,
+      work_center_tasks: tasksByActivity[a.id] || [],
+    };
+  });
+
+  return {
+    window: { from, to, days: toDay - fromDay + 1 },
+    side,
+    milestones,
+    activities,
+    constraints: {
+      open_arrets: arretRes.rows.map(a => ({ id: a.id, title: a.title, description: a.description, issued_date: a.issued_date, raised_by: a.creator_role, status: a.status })),
+      pending_document_approvals: docRes.rows.map(d => ({ id: d.id, title: d.title, category: d.category, deadline: toIsoDate(d.deadline), submitted_by: d.creator_role, submitted_at: d.created_at })),
+    },
+    planned_resources: Object.fromEntries(Object.entries(resources).map(([type, items]) => [
+      type, Object.entries(items).map(([item, ids]) => ({ item, activity_ids: ids })),
+    ])),
+  };
+}
+
+async function renderLookAheadPdf(lookAhead, projectName) {
+  const w = await createPdfWriter({ title: `Look-ahead ${lookAhead.window.from} to ${lookAhead.window.to}` });
+  const header = rgb(0.9, 0.92, 0.96);
+  w.text(`Look-ahead plan - ${projectName || 'Project'}`, { size: 16, useBold: true });
+  w.text(`Window: ${lookAhead.window.from} to ${lookAhead.window.to} (${lookAhead.window.days} days)${lookAhead.side ? ` · ${lookAhead.side}` : ''}`, { size: 10 });
+  w.text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`, { size: 8, color: rgb(0.4, 0.4, 0.4) });
+  w.space(10);
+
+  w.text('Milestones', { size: 12, useBold: true });
+  const msCols = [260, 70, 80, 80, 90, 80, 110];
+  w.row(['Title', 'Phase', 'Start', 'Finish', 'Qty', 'Progress', 'Status'], msCols, { useBold: true, fill: header });
+  if (!lookAhead.milestones.length) w.text('No milestones in this window.', { size: 9 });
+  for (const m of lookAhead.milestones) {
+    w.row([`${m.is_critical ? '[CP] ' : ''}${m.title}${m.kind === 'additional' ? ' (ext.)' : ''}`, m.phase, m.planned_start, m.planned_end,
+      `${m.executed ?? 0}/${m.quantity ?? 0} ${m.unit || ''}`, `${parseFloat(m.progress_pct || 0).toFixed(1)}%`, m.activity_status || ''], msCols);
+  }
+  w.space(12);
+
+  w.text('Planning activities and work center tasks', { size: 12, useBold: true });
+  const actCols = [220, 60, 70, 70, 60, 290];
+  w.row(['Activity / task', 'Phase', 'Start', 'Finish', 'Progress', 'Planned resources / assignees'], actCols, { useBold: true, fill: header });
+  if (!lookAhead.activities.length) w.text('No planning activities in this window.', { size: 9 });
+  for (const a of lookAhead.activities) {
+    const res = [['Manpower', a.planned_resources.manpower], ['Equipment', a.planned_resources.equipment], ['Materials', a.planned_resources.materials]]
+      .filter(([, list]) => list.length).map(([label, list]) => `${label}: ${list.join(', ')}`).join(' | ');
+    w.row([`${a.title}${a.milestone_name ? ` (${a.milestone_name})` : ''}`, a.phase, a.start_date, a.end_date, `${a.progress_pct.toFixed(1)}%`, res || '-'], actCols, { useBold: true });
+    for (const t of a.work_center_tasks) {
+      w.row([`   - ${t.title}`, t.phase, t.start_date, t.end_date, t.status, t.assigned_members.join(', ') || '-'], actCols);
+    }
+  }
+  w.space(12);
+
+  w.text('Open constraints', { size: 12, useBold: true });
+  const cCols = [90, 330, 130, 220];
+  w.row(['Type', 'Title', 'Raised / due', 'By'], cCols, { useBold: true, fill: header });
+  const { open_arrets, pending_document_approvals } = lookAhead.constraints;
+  if (!open_arrets.length && !pending_document_approvals.length) w.text('No open constraints.', { size: 9 });
+  for (const a of open_arrets) w.row(['Arret', a.title, toIsoDate(a.issued_date), a.raised_by || ''], cCols);
+  for (const d of pending_document_approvals) w.row(['Doc approval', d.title, d.deadline ? `due ${d.deadline}` : '-', d.submitted_by || ''], cCols);
+
+  return w.save();
+}
+
+// GET /api/look-ahead?projectId=&from=YYYY-MM-DD&to=YYYY-MM-DD|weeks=3&format=json|pdf
+app.get('/api/look-ahead', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const from = req.query.from || toIsoDate(new Date());
+  const weeks = parseInt(req.query.weeks, 10);
+  const to = req.query.to || dayNumberToDate(toDayNumber(from) + (weeks > 0 ? weeks * 7 : LOOK_AHEAD_DEFAULT_DAYS) - 1);
+  if (toDayNumber(from) == null || toDayNumber(to) == null) return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+  if (toDayNumber(to) < toDayNumber(from)) return res.status(400).json({ error: 'to must not be before from' });
+  if (toDayNumber(to) - toDayNumber(from) > 366) return res.status(400).json({ error: 'Look-ahead window cannot exceed one year' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    const lookAhead = await buildLookAhead(pool, { projectId, side, from: toIsoDate(from), to: toIsoDate(to) });
+    if (req.query.format !== 'pdf') return res.json(lookAhead);
+
+    const projRes = await pool.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+    const pdf = await renderLookAheadPdf(lookAhead, projRes.rows[0]?.name);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="look-ahead-${projectId}-${lookAhead.window.from}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error('[GET /api/look-ahead]', err);
+    res.status(500).json({ error: 'Failed to build look-ahead' });
+  }
+});
+
+// =============================================================================
+//  HELPERS  (ensure these exist in your server.js before these routes)
+// =============================================================================
+//
+//  function wcSide(role) {
 //    if (['Contractor','ContractorPM'].includes(role))  return 'Contractor';
 //    if (['Consultant','ConsultantPM'].includes(role))  return 'Consultant';
 //    if (['Client','ClientPM'].includes(role))          return 'Client';
@@ -3709,100 +7324,600 @@ async function resolveSide(role, user_id, projectId) {
 
 
 // =============================================================================
-//  PLANNING & EXECUTION ROUTES
+//  PLANNING & EXECUTION → SCHEDULE ROLL-UP
+//  Activities linked to a milestone (or additional milestone) feed it with the
+//  tracking quantities logged in the milestone's own unit. The schedule's
+//  rollup_side_rule picks whose reports count: one side, 'max' (the side that
+//  has reported the most) or 'off'. Rolled-up quantities are stored as progress
+//  entries with source='planning_execution', one per report date.
 // =============================================================================
 
-// ── List all activities for the caller's side (leaders + PMs + TeamMembers) ──
-app.post('/api/planning-execution', authenticateToken, async (req, res) => {
-  try {
-    const { user_id, role } = req.user;
-    const { projectId }     = req.body;
-    if (!projectId) return res.status(400).json({ error: 'projectId is required.' });
+const ROLLUP_SIDE_RULES = ['Contractor', 'Consultant', 'Client', 'max', 'off'];
 
-    const side = await resolveSide(role, user_id, projectId);
-    if (!side) return res.status(403).json({ error: 'Access denied.' });
+function sameUnit(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
 
-    const result = await pool.query(`
-      SELECT
-        pe.*,
-        (pe.creator_id = $2)                           AS is_creator,
-        COALESCE((
-          SELECT ROUND(AVG(t.progress_pct)::numeric, 1)
-          FROM   planning_execution_tracking t
-          WHERE  t.activity_id = pe.id
-        ), 0)                                          AS avg_progress,
-        (SELECT COUNT(*)
-         FROM   planning_execution_tracking t
-         WHERE  t.activity_id = pe.id)                AS tracking_count
-      FROM planning_execution pe
-      WHERE pe.project_id = $1
-        AND pe.side       = $3
-      ORDER BY pe.milestone_name ASC NULLS LAST, pe.created_at DESC
-    `, [projectId, user_id, side]);
+// Resolves { kind, id } from milestone_id / milestone_kind in a PE request body.
+// Returns undefined when the body doesn't touch the link, null to unlink.
+async function resolveActivityMilestoneLink(db, projectId, body) {
+  if (body.milestone_id === undefined) return undefined;
+  if (body.milestone_id === null || body.milestone_id === '' || body.milestone_id === 'null') return null;
+  const kind = body.milestone_kind === 'additional' ? 'additional' : 'milestone';
+  const t = progressTables(kind === 'additional');
+  const { rows } = await db.query(`SELECT id,title,unit FROM ${t.milestones} WHERE id=$1 AND project_id=$2`, [body.milestone_id, String(projectId)]);
+  if (!rows.length) {
+    const err = new Error('Linked milestone not found in this project');
+    err.code = 'INVALID_MILESTONE_LINK';
+    throw err;
+  }
+  return { kind, id: rows[0].id, title: rows[0].title, unit: rows[0].unit };
+}
 
-    return res.json({ records: result.rows });
-  } catch (err) {
-    console.error('POST /api/planning-execution:', err);
-    return res.status(500).json({ error: 'Server error.' });
+function activityMilestoneRef(act) {
+  if (!act) return null;
+  if (act.linked_milestone_id) return { kind: 'milestone', id: act.linked_milestone_id };
+  if (act.linked_additional_milestone_id) return { kind: 'additional', id: act.linked_additional_milestone_id };
+  return null;
+}
+
+async function rollupMilestoneProgress(dbClient, kind, milestoneId) {
+  const isExt = kind === 'additional';
+  const t = progressTables(isExt);
+  const msRes = await dbClient.query(
+    `SELECT m.id,m.unit,m.project_id,COALESCE(ps.rollup_side_rule,'Contractor') AS rule
+     FROM ${t.milestones} m JOIN project_schedules ps ON ps.id=m.schedule_id WHERE m.id=$1 FOR UPDATE OF m`,
+    [milestoneId]
+  );
+  if (!msRes.rows.length) return null;
+  const ms = msRes.rows[0];
+  const linkCol = isExt ? 'linked_additional_milestone_id' : 'linked_milestone_id';
+  const trk = ms.rule === 'off' ? { rows: [] } : await dbClient.query(
+    `SELECT pe.side,t.id,t.report_date,t.actual_quantity,COALESCE(NULLIF(t.unit,''),pe.unit) AS unit,t.logged_by,t.logged_by_role
+     FROM planning_execution_tracking t JOIN planning_execution pe ON pe.id=t.activity_id
+     WHERE pe.${linkCol}=$1 ORDER BY t.report_date ASC,t.created_at ASC`,
+    [milestoneId]
+  );
+  const bySide = {};
+  for (const r of trk.rows) {
+    if (!sameUnit(r.unit, ms.unit)) continue;
+    (bySide[r.side] ||= []).push(r);
+  }
+  let counted = [];
+  if (ROLLUP_SIDE_RULES.slice(0, 3).includes(ms.rule)) counted = bySide[ms.rule] || [];
+  else if (ms.rule === 'max') {
+    const total = rows => rows.reduce((s, r) => s + (parseFloat(r.actual_quantity) || 0), 0);
+    counted = Object.values(bySide).sort((a, b) => total(b) - total(a))[0] || [];
   }
-});
 
-// ── Simple list used by Work Center create-task form (leaders/PMs only) ──────
-app.get('/api/planning-execution', authenticateToken, async (req, res) => {
-  try {
-    const { user_id, role } = req.user;
-    const { projectId }     = req.query;
-    if (!projectId) return res.status(400).json({ error: 'projectId is required.' });
+  const byDate = new Map();
+  for (const r of counted) {
+    const date = toIsoDate(r.report_date);
+    const day = byDate.get(date) || { qty: 0, ids: [], last: r };
+    day.qty += parseFloat(r.actual_quantity) || 0;
+    day.ids.push(r.id);
+    day.last = r;
+    byDate.set(date, day);
+  }
+  await dbClient.query(`DELETE FROM ${t.entries} WHERE ${t.fk}=$1 AND source='planning_execution'`, [milestoneId]);
+  for (const [date, day] of byDate) {
+    if (day.qty <= 0) continue;
+    await dbClient.query(
+      `INSERT INTO ${t.entries} (${t.fk},project_id,report_date,qty_executed,cumulative_after_entry,progress_pct_after_entry,remarks,reported_by_user_id,reported_by_role,source,source_tracking_ids)
+       VALUES ($1,$2,$3,$4,0,0,$5,$6,$7,'planning_execution',$8)`,
+      [milestoneId, ms.project_id, date, day.qty, `Rolled up from ${day.ids.length} planning & execution entr${day.ids.length === 1 ? 'y' : 'ies'}`,
+       day.last.logged_by, day.last.logged_by_role, day.ids]
+    );
+  }
+  return recalculateMilestoneProgress(dbClient, isExt, milestoneId);
+}
 
-    const side = await resolveSide(role, user_id, projectId);
-    if (!side) return res.status(403).json({ error: 'Access denied.' });
+// Re-rolls every milestone in `refs`. A roll-up problem must not undo the
+// tracking write that triggered it, so failures come back as a warning string
+// (null on success) for the route to pass on instead of being thrown.
+async function syncMilestoneRollups(refs) {
+  const seen = new Set();
+  const unique = refs.filter(r => r && !seen.has(cpmKey(r.kind, r.id)) && seen.add(cpmKey(r.kind, r.id)));
+  if (!unique.length) return null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const ref of unique) await rollupMilestoneProgress(client, ref.kind, ref.id);
+    await client.query('COMMIT');
+    return null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[rollup] failed to roll up planning progress:', err.message);
+    return 'Saved, but milestone progress could not be recalculated; it may be out of date until the next update.';
+  } finally {
+    client.release();
+  }
+}
 
-    const result = await pool.query(`
-      SELECT id, title, milestone_name, status, start_date, end_date,
-             planned_quantity, unit,
-             -- recommended (latest entry only):
-             COALESCE((
-               SELECT t.progress_pct
-               FROM   planning_execution_tracking t
-               WHERE  t.activity_id = pe.id
-               ORDER  BY t.report_date DESC, t.created_at DESC
-               LIMIT  1
-             ), 0) AS avg_progress
-      FROM   planning_execution pe
-      WHERE  project_id = $1
-        AND  side       = $2
-      ORDER  BY milestone_name ASC NULLS LAST, created_at DESC
-    `, [projectId, side]);
+// Response fragment for a roll-up warning; empty when the roll-up succeeded.
+const rollupWarnings = (warning) => (warning ? { warnings: [warning] } : {});
 
-    return res.json({ records: result.rows, activities: result.rows });
+app.get('/api/schedule/rollup-rule', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const { rows } = await pool.query('SELECT rollup_side_rule FROM project_schedules WHERE project_id=$1', [projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'No schedule found for this project' });
+    res.json({ rule: rows[0].rollup_side_rule, options: ROLLUP_SIDE_RULES });
   } catch (err) {
-    console.error('GET /api/planning-execution:', err);
-    return res.status(500).json({ error: 'Server error.' });
+    console.error('[GET /api/schedule/rollup-rule]', err);
+    res.status(500).json({ error: 'Failed to load roll-up rule' });
   }
 });
 
-// ── Create activity (leaders/PMs only) ───────────────────────────────────────
-app.post('/api/planning-execution/create', authenticateToken,
-  upload.single('linked_file'), async (req, res) => {
+app.put('/api/schedule/rollup-rule', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const { rule } = req.body;
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!ROLLUP_SIDE_RULES.includes(rule)) return res.status(400).json({ error: `rule must be one of ${ROLLUP_SIDE_RULES.join(', ')}` });
+  if (!isDecisionMaker(req.user.role)) return res.status(403).json({ error: 'Only Client, Consultant or Contractor can change the roll-up rule' });
+  const client = await pool.connect();
   try {
-    const { user_id, role } = req.user;
-    if (!isWCLeader(role))
-      return res.status(403).json({ error: 'Only leaders and PMs can create activities.' });
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    await client.query('BEGIN');
+    const upd = await client.query('UPDATE project_schedules SET rollup_side_rule=$1,updated_at=now() WHERE project_id=$2 RETURNING id', [rule, projectId]);
+    if (!upd.rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'No schedule found for this project' }); }
+    const linked = await client.query(
+      `SELECT DISTINCT linked_milestone_id,linked_additional_milestone_id FROM planning_execution
+       WHERE project_id=$1 AND (linked_milestone_id IS NOT NULL OR linked_additional_milestone_id IS NOT NULL)`,
+      [projectId]
+    );
+    for (const row of linked.rows) {
+      const ref = activityMilestoneRef(row);
+      await rollupMilestoneProgress(client, ref.kind, ref.id);
+    }
+    await client.query('COMMIT');
+    res.json({ success: true, rule, milestonesUpdated: linked.rows.length });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[PUT /api/schedule/rollup-rule]', err);
+    res.status(500).json({ error: 'Failed to update roll-up rule' });
+  } finally {
+    client.release();
+  }
+});
 
-    const {
-      projectId,
-      milestone_name    = '',
-      title,
-      description       = '',
-      start_date,
-      end_date,
-      planned_quantity,
-      unit,
-      planned_work      = '',
-      planned_manpower  = '',
-      planned_equipment = '',
-      planned_materials = '',
-    } = req.body;
+// =============================================================================
+//  WORK CENTER → PLANNING TRACKING
+//  Approved work center progress on tasks linked to an activity is summed into
+//  one tracking entry per activity and report date (source = 'work_center'),
+//  which keeps the contributing progress ids in source_progress_ids. Manual
+//  tracking entries are never touched. Resource lines stay on the work center
+//  rows so the histograms don't count them twice.
+// =============================================================================
+
+async function syncWorkCenterTracking(dbClient, activityId, reportDate, user) {
+  const actRes = await dbClient.query(
+    'SELECT id,planned_quantity,unit,status FROM planning_execution WHERE id=$1 FOR UPDATE',
+    [activityId]
+  );
+  if (!actRes.rows.length) return null;
+  const act = actRes.rows[0];
+  const progRes = await dbClient.query(
+    `SELECT p.id,p.task_id,p.quantity,p.progress_pct,p.work_done,p.manpower,p.equipment,p.materials,p.issues,w.title AS task_title
+     FROM workspace_work_center_progress p JOIN workspace_work_center w ON w.id=p.task_id
+     WHERE w.activity_id=$1 AND p.report_date=$2 AND p.validation_status='approved'
+     ORDER BY p.submitted_at ASC,p.id ASC`,
+    [activityId, reportDate]
+  );
+  const existing = await dbClient.query(
+    `SELECT id FROM planning_execution_tracking WHERE activity_id=$1 AND report_date=$2 AND source='work_center'`,
+    [activityId, reportDate]
+  );
+  if (!progRes.rows.length) {
+    if (existing.rows.length) await dbClient.query('DELETE FROM planning_execution_tracking WHERE id=$1', [existing.rows[0].id]);
+    return { action: 'removed', entry: null };
+  }
+
+  const rows = progRes.rows;
+  const qty = rows.reduce((s, r) => s + (parseFloat(r.quantity) || 0), 0);
+  const join = field => rows.map(r => r[field]).filter(v => v && String(v).trim()).map(v => String(v).trim()).join('; ');
+  // Activity % is quantity-based when the plan has a quantity, otherwise the
+  // average of each task's latest approved percentage up to this date
+  const planned = parseFloat(act.planned_quantity) || 0;
+  let pct;
+  if (planned > 0) {
+    const prior = await dbClient.query(
+      `SELECT COALESCE(SUM(actual_quantity),0) AS qty FROM planning_execution_tracking
+       WHERE activity_id=$1 AND report_date<=$2 AND NOT (report_date=$2 AND source='work_center')`,
+      [activityId, reportDate]
+    );
+    pct = Math.min(100, ((parseFloat(prior.rows[0].qty) || 0) + qty) / planned * 100);
+  } else {
+    const latest = await dbClient.query(
+      `SELECT DISTINCT ON (p.task_id) p.progress_pct FROM workspace_work_center_progress p
+       JOIN workspace_work_center w ON w.id=p.task_id
+       WHERE w.activity_id=$1 AND p.report_date<=$2 AND p.validation_status='approved'
+       ORDER BY p.task_id,p.report_date DESC,p.submitted_at DESC`,
+      [activityId, reportDate]
+    );
+    pct = latest.rows.reduce((s, r) => s + (r.progress_pct || 0), 0) / latest.rows.length;
+  }
+
+  const values = [
+    qty, act.unit, join('manpower'), join('equipment'), join('materials'), pct.toFixed(2),
+    `From ${rows.length} approved work center report${rows.length === 1 ? '' : 's'}: ${rows.map(r => `${r.task_title} - ${r.work_done || ''}`.trim()).join('; ')}`,
+    join('issues'), rows.map(r => r.id), user.user_id, user.role,
+  ];
+  let entry;
+  if (existing.rows.length) {
+    const upd = await dbClient.query(
+      `UPDATE planning_execution_tracking SET actual_quantity=$1,unit=$2,manpower_used=$3,equipment_used=$4,materials_used=$5,
+              progress_pct=$6,day_remark=$7,issues=$8,source_progress_ids=$9,logged_by=$10,logged_by_role=$11
+       WHERE id=$12 RETURNING *`,
+      [...values, existing.rows[0].id]
+    );
+    entry = upd.rows[0];
+  } else {
+    const ins = await dbClient.query(
+      `INSERT INTO planning_execution_tracking
+         (actual_quantity,unit,manpower_used,equipment_used,materials_used,progress_pct,day_remark,issues,source_progress_ids,logged_by,logged_by_role,
+          activity_id,report_date,source)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,'work_center') RETURNING *`,
+      [...values, activityId, reportDate]
+    );
+    entry = ins.rows[0];
+  }
+  // Same status transitions as a manually logged entry
+  if (pct >= 100) await dbClient.query(`UPDATE planning_execution SET status='completed' WHERE id=$1 AND status<>'closed'`, [activityId]);
+  else await dbClient.query(`UPDATE planning_execution SET status='ongoing' WHERE id=$1 AND status='not_yet_started'`, [activityId]);
+  return { action: existing.rows.length ? 'updated' : 'created', entry };
+}
+
+// =============================================================================
+//  RESOURCE CATALOG
+//  Per-project list of trades (manpower), plant (equipment) and materials with
+//  units. Plans, tracking entries and work center progress carry structured
+//  quantity lines against it in resource_lines (source_type = owning table).
+//  Plan lines are per working day unless basis = 'total', which is spread
+//  evenly over the activity's working days.
+// =============================================================================
+
+const RESOURCE_CATEGORIES = ['manpower', 'equipment', 'material'];
+const RESOURCE_LINE_SOURCES = ['planning_execution', 'planning_execution_tracking', 'workspace_work_center_progress'];
+
+// Parses resource_lines from a JSON/multipart body. Returns undefined when the
+// field is absent so callers can leave existing lines alone.
+async function parseResourceLines(db, projectId, raw, { allowBasis = false } = {}) {
+  if (raw === undefined) return undefined;
+  const lines = typeof raw === 'string' ? parseJsonSafe(raw) : raw;
+  const fail = msg => { const err = new Error(msg); err.code = 'INVALID_RESOURCE_LINES'; throw err; };
+  if (!Array.isArray(lines)) fail('resource_lines must be an array');
+  const parsed = lines.map((l, i) => {
+    const resourceId = parseInt(l?.resource_id, 10);
+    const quantity = parseFloat(l?.quantity);
+    if (!resourceId) fail(`resource_lines[${i}].resource_id is required`);
+    if (!Number.isFinite(quantity) || quantity < 0) fail(`resource_lines[${i}].quantity must be 0 or more`);
+    const basis = allowBasis && l.basis === 'total' ? 'total' : 'per_day';
+    return { resource_id: resourceId, quantity, basis, note: l.note ? String(l.note) : null };
+  });
+  if (parsed.length) {
+    const ids = [...new Set(parsed.map(l => l.resource_id))];
+    const { rows } = await db.query('SELECT id FROM project_resources WHERE project_id=$1 AND id=ANY($2::int[]) AND is_active', [projectId, ids]);
+    const known = new Set(rows.map(r => r.id));
+    const missing = ids.filter(id => !known.has(id));
+    if (missing.length) fail(`Unknown or inactive resource(s): ${missing.join(', ')}`);
+  }
+  return parsed;
+}
+
+// Replaces all lines of one source row in a single statement
+async function replaceResourceLines(db, projectId, sourceType, sourceId, lines) {
+  if (lines === undefined) return;
+  await db.query(
+    `WITH cleared AS (DELETE FROM resource_lines WHERE source_type=$1 AND source_id=$2)
+     INSERT INTO resource_lines (project_id,source_type,source_id,resource_id,quantity,basis,note)
+     SELECT $3,$1,$2,l.resource_id,l.quantity,l.basis,l.note
+     FROM jsonb_to_recordset($4::jsonb) AS l(resource_id INTEGER, quantity NUMERIC, basis TEXT, note TEXT)`,
+    [sourceType, sourceId, projectId, JSON.stringify(lines)]
+  );
+}
+
+async function loadResourceLines(db, sourceType, sourceIds) {
+  if (!sourceIds.length) return {};
+  const { rows } = await db.query(
+    `SELECT l.source_id,l.resource_id,l.quantity,l.basis,l.note,r.category,r.name,r.unit
+     FROM resource_lines l JOIN project_resources r ON r.id=l.resource_id
+     WHERE l.source_type=$1 AND l.source_id=ANY($2::int[]) ORDER BY r.category,r.name`,
+    [sourceType, sourceIds]
+  );
+  const bySource = {};
+  for (const r of rows) (bySource[r.source_id] ||= []).push(r);
+  return bySource;
+}
+
+async function withResourceLines(db, sourceType, rows) {
+  const lines = await loadResourceLines(db, sourceType, rows.map(r => r.id));
+  return rows.map(r => ({ ...r, resource_lines: lines[r.id] || [] }));
+}
+
+app.get('/api/resources', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const params = [projectId];
+    let filter = req.query.includeInactive === 'true' ? '' : ' AND is_active';
+    if (RESOURCE_CATEGORIES.includes(req.query.category)) { params.push(req.query.category); filter += ` AND category=$${params.length}`; }
+    const { rows } = await pool.query(`SELECT * FROM project_resources WHERE project_id=$1${filter} ORDER BY category,name`, params);
+    res.json({ resources: rows, categories: RESOURCE_CATEGORIES });
+  } catch (err) {
+    console.error('[GET /api/resources]', err);
+    res.status(500).json({ error: 'Failed to load resources' });
+  }
+});
+
+app.post('/api/resources', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const { category, name, unit, code = null, description = null } = req.body;
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  if (!isWCLeader(req.user.role)) return res.status(403).json({ error: 'Only leaders and PMs can manage the resource catalog' });
+  if (!RESOURCE_CATEGORIES.includes(category)) return res.status(400).json({ error: `category must be one of ${RESOURCE_CATEGORIES.join(', ')}` });
+  if (!name?.trim() || !unit?.trim()) return res.status(400).json({ error: 'name and unit are required' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const { rows } = await pool.query(
+      `INSERT INTO project_resources (project_id,category,name,unit,code,description,created_by_user_id,created_by_role)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+      [projectId, category, name.trim(), unit.trim(), code, description, req.user.user_id, req.user.role]
+    );
+    res.status(201).json({ success: true, resource: rows[0] });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A resource with this name already exists in that category' });
+    console.error('[POST /api/resources]', err);
+    res.status(500).json({ error: 'Failed to create resource' });
+  }
+});
+
+app.put('/api/resources/:resourceId', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId);
+  const resourceId = parseInt(req.params.resourceId, 10);
+  if (!projectId || !resourceId) return res.status(400).json({ error: 'Valid projectId and resourceId are required' });
+  if (!isWCLeader(req.user.role)) return res.status(403).json({ error: 'Only leaders and PMs can manage the resource catalog' });
+  const { name, unit, code, description, isActive } = req.body;
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const { rows } = await pool.query(
+      `UPDATE project_resources SET name=COALESCE($1,name),unit=COALESCE($2,unit),code=COALESCE($3,code),
+              description=COALESCE($4,description),is_active=COALESCE($5,is_active),updated_at=now()
+       WHERE id=$6 AND project_id=$7 RETURNING *`,
+      [name?.trim() || null, unit?.trim() || null, code ?? null, description ?? null,
+       isActive === undefined ? null : isActive === true || isActive === 'true', resourceId, projectId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Resource not found' });
+    res.json({ success: true, resource: rows[0] });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: 'A resource with this name already exists in that category' });
+    console.error('[PUT /api/resources/:resourceId]', err);
+    res.status(500).json({ error: 'Failed to update resource' });
+  }
+});
+
+// Resources already used on plans or reports are deactivated rather than deleted
+app.delete('/api/resources/:resourceId', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.body.projectId || req.query.projectId);
+  const resourceId = parseInt(req.params.resourceId, 10);
+  if (!projectId || !resourceId) return res.status(400).json({ error: 'Valid projectId and resourceId are required' });
+  if (!isWCLeader(req.user.role)) return res.status(403).json({ error: 'Only leaders and PMs can manage the resource catalog' });
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const used = await pool.query('SELECT 1 FROM resource_lines WHERE resource_id=$1 LIMIT 1', [resourceId]);
+    const { rowCount } = used.rows.length
+      ? await pool.query('UPDATE project_resources SET is_active=false,updated_at=now() WHERE id=$1 AND project_id=$2', [resourceId, projectId])
+      : await pool.query('DELETE FROM project_resources WHERE id=$1 AND project_id=$2', [resourceId, projectId]);
+    if (!rowCount) return res.status(404).json({ error: 'Resource not found' });
+    res.json({ success: true, deactivated: used.rows.length > 0 });
+  } catch (err) {
+    console.error('[DELETE /api/resources/:resourceId]', err);
+    res.status(500).json({ error: 'Failed to delete resource' });
+  }
+});
+
+// GET /api/resources/histogram?projectId=&from=&to=&interval=daily|weekly&category=&resourceId=
+// Planned comes from activity plan lines of the caller's side, used from that
+// side's tracking entries and non-rejected work center progress.
+app.get('/api/resources/histogram', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Valid projectId is required' });
+  const interval = req.query.interval === 'weekly' ? 'weekly' : 'daily';
+  const today = toDayNumber(new Date());
+  let fromDay = req.query.from ? toDayNumber(req.query.from) : today - 28;
+  const toDay = req.query.to ? toDayNumber(req.query.to) : today + 28;
+  if (fromDay == null || toDay == null || toDay < fromDay) return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from <= to' });
+  if (toDay - fromDay > 366) return res.status(400).json({ error: 'Histogram range cannot exceed one year' });
+  // Weeks run Monday to Sunday
+  if (interval === 'weekly') fromDay -= (new Date(fromDay * 86400000).getUTCDay() + 6) % 7;
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, projectId);
+    if (!hasAccess) return res.status(403).json({ error: 'Access denied' });
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Cannot determine your side.' });
+    const from = dayNumberToDate(fromDay), to = dayNumberToDate(toDay);
+    const params = [projectId, side, from, to];
+    let filter = '';
+    if (RESOURCE_CATEGORIES.includes(req.query.category)) { params.push(req.query.category); filter += ` AND r.category=$${params.length}`; }
+    if (req.query.resourceId) { params.push(parseInt(req.query.resourceId, 10)); filter += ` AND r.id=$${params.length}`; }
+
+    const [planned, used, calendar] = await Promise.all([
+      pool.query(
+        `SELECT r.id AS resource_id,l.quantity,l.basis,pe.start_date,pe.end_date
+         FROM resource_lines l JOIN project_resources r ON r.id=l.resource_id
+         JOIN planning_execution pe ON l.source_type='planning_execution' AND pe.id=l.source_id
+         WHERE l.project_id=$1 AND pe.side=$2 AND pe.start_date<=$4 AND pe.end_date>=$3${filter}`,
+        params
+      ),
+      pool.query(
+        `SELECT r.id AS resource_id,l.quantity,t.report_date,'tracking' AS origin
+         FROM resource_lines l JOIN project_resources r ON r.id=l.resource_id
+         JOIN planning_execution_tracking t ON l.source_type='planning_execution_tracking' AND t.id=l.source_id
+         JOIN planning_execution pe ON pe.id=t.activity_id
+         WHERE l.project_id=$1 AND pe.side=$2 AND t.report_date BETWEEN $3 AND $4${filter}
+         UNION ALL
+         SELECT r.id,l.quantity,p.report_date,'work_center'
+         FROM resource_lines l JOIN project_resources r ON r.id=l.resource_id
+         JOIN workspace_work_center_progress p ON l.source_type='workspace_work_center_progress' AND p.id=l.source_id
+         JOIN workspace_work_center w ON w.id=p.task_id
+         WHERE l.project_id=$1 AND w.side=$2 AND p.validation_status<>'rejected' AND p.report_date BETWEEN $3 AND $4${filter}`,
+        params
+      ),
+      loadProjectCalendar(pool, projectId),
+    ]);
+
+    const resourceIds = [...new Set([...planned.rows, ...used.rows].map(r => r.resource_id))];
+    const catalog = resourceIds.length
+      ? (await pool.query('SELECT id,category,name,unit FROM project_resources WHERE id=ANY($1::int[]) ORDER BY category,name', [resourceIds])).rows
+      : [];
+    const periods = buildReportingPeriods(from, to, interval);
+    const periodIndex = day => {
+      if (day < fromDay || day > toDay) return -1;
+      return interval === 'daily' ? day - fromDay : Math.floor((day - fromDay) / 7);
+    };
+    const series = new Map(catalog.map(r => [r.id, { ...r, planned: periods.map(() => 0), used: periods.map(() => 0), used_by_origin: { tracking: 0, work_center: 0 } }]));
+
+    for (const p of planned.rows) {
+      const s = series.get(p.resource_id);
+      const start = toDayNumber(p.start_date), end = toDayNumber(p.end_date);
+      const workDays = [];
+      for (let d = start; d <= end; d++) if (isWorkingDay(calendar, d)) workDays.push(d);
+      if (!workDays.length) continue;
+      const perDay = p.basis === 'total' ? parseFloat(p.quantity) / workDays.length : parseFloat(p.quantity);
+      for (const d of workDays) {
+        const i = periodIndex(d);
+        if (i >= 0) s.planned[i] += perDay;
+      }
+    }
+    for (const u of used.rows) {
+      const s = series.get(u.resource_id);
+      const i = periodIndex(toDayNumber(u.report_date));
+      if (i < 0) continue;
+      s.used[i] += parseFloat(u.quantity) || 0;
+      s.used_by_origin[u.origin] += parseFloat(u.quantity) || 0;
+    }
+
+    const round = n => parseFloat(n.toFixed(3));
+    res.json({
+      interval, from, to, side,
+      resources: [...series.values()].map(s => ({
+        resource_id: s.id, category: s.category, name: s.name, unit: s.unit,
+        planned_total: round(s.planned.reduce((a, b) => a + b, 0)),
+        used_total: round(s.used.reduce((a, b) => a + b, 0)),
+        used_by_origin: { tracking: round(s.used_by_origin.tracking), work_center: round(s.used_by_origin.work_center) },
+        periods: periods.map((p, i) => ({ period_start: dayNumberToDate(p.from), period_end: dayNumberToDate(p.to), planned: round(s.planned[i]), used: round(s.used[i]) })),
+      })),
+    });
+  } catch (err) {
+    console.error('[GET /api/resources/histogram]', err);
+    res.status(500).json({ error: 'Failed to build resource histogram' });
+  }
+});
+
+// =============================================================================
+//  PLANNING & EXECUTION ROUTES
+// =============================================================================
+
+// ── List all activities for the caller's side (leaders + PMs + TeamMembers) ──
+app.post('/api/planning-execution', authenticateToken, async (req, res) => {
+  try {
+    const { user_id, role } = req.user;
+    const { projectId }     = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required.' });
+
+    const side = await resolveSide(role, user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied.' });
+
+    const result = await pool.query(`
+      SELECT
+        pe.*,
+        (pe.creator_id = $2)                           AS is_creator,
+        COALESCE((
+          SELECT ROUND(AVG(t.progress_pct)::numeric, 1)
+          FROM   planning_execution_tracking t
+          WHERE  t.activity_id = pe.id
+        ), 0)                                          AS avg_progress,
+        (SELECT COUNT(*)
+         FROM   planning_execution_tracking t
+         WHERE  t.activity_id = pe.id)                AS tracking_count
+      FROM planning_execution pe
+      WHERE pe.project_id = $1
+        AND pe.side       = $3
+      ORDER BY pe.milestone_name ASC NULLS LAST, pe.created_at DESC
+    `, [projectId, user_id, side]);
+
+    return res.json({ records: await withResourceLines(pool, 'planning_execution', result.rows) });
+  } catch (err) {
+    console.error('POST /api/planning-execution:', err);
+    return res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// ── Simple list used by Work Center create-task form (leaders/PMs only) ──────
+app.get('/api/planning-execution', authenticateToken, async (req, res) => {
+  try {
+    const { user_id, role } = req.user;
+    const { projectId }     = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required.' });
+
+    const side = await resolveSide(role, user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied.' });
+
+    const result = await pool.query(`
+      SELECT id, title, milestone_name, status, start_date, end_date,
+             planned_quantity, unit,
+             -- recommended (latest entry only):
+             COALESCE((
+               SELECT t.progress_pct
+               FROM   planning_execution_tracking t
+               WHERE  t.activity_id = pe.id
+               ORDER  BY t.report_date DESC, t.created_at DESC
+               LIMIT  1
+             ), 0) AS avg_progress
+      FROM   planning_execution pe
+      WHERE  project_id = $1
+        AND  side       = $2
+      ORDER  BY milestone_name ASC NULLS LAST, created_at DESC
+    `, [projectId, side]);
+
+    return res.json({ records: result.rows, activities: result.rows });
+  } catch (err) {
+    console.error('GET /api/planning-execution:', err);
+    return res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// ── Create activity (leaders/PMs only) ───────────────────────────────────────
+app.post('/api/planning-execution/create', authenticateToken,
+  upload.single('linked_file'), async (req, res) => {
+  try {
+    const { user_id, role } = req.user;
+    if (!isWCLeader(role))
+      return res.status(403).json({ error: 'Only leaders and PMs can create activities.' });
+
+    const {
+      projectId,
+      milestone_name    = '',
+      title,
+      description       = '',
+      start_date,
+      end_date,
+      planned_quantity,
+      unit,
+      planned_work      = '',
+      planned_manpower  = '',
+      planned_equipment = '',
+      planned_materials = '',
+    } = req.body;
 
     if (!projectId)        return res.status(400).json({ error: 'projectId is required.' });
     if (!title?.trim())    return res.status(400).json({ error: 'title is required.' });
@@ -3811,6 +7926,14 @@ app.post('/api/planning-execution/create', authenticateToken,
     if (!planned_quantity) return res.status(400).json({ error: 'planned_quantity is required.' });
     if (!unit?.trim())     return res.status(400).json({ error: 'unit is required.' });
 
+    let link;
+    try { link = await resolveActivityMilestoneLink(pool, projectId, req.body); }
+    catch (linkErr) {
+      if (linkErr.code === 'INVALID_MILESTONE_LINK') return res.status(400).json({ error: linkErr.message });
+      throw linkErr;
+    }
+    const resourceLines = await parseResourceLines(pool, projectId, req.body.resource_lines, { allowBasis: true });
+
     // side from JWT role — leaders always have a direct side
     const side = wcSide(role);
     if (!side) return res.status(403).json({ error: 'Cannot determine your side.' });
@@ -3840,20 +7963,26 @@ app.post('/api/planning-execution/create', authenticateToken,
          start_date, end_date, planned_quantity, unit,
          planned_work, planned_manpower, planned_equipment, planned_materials,
          linked_file_name, linked_file_id, linked_file_url,
-         status, creator_id, creator_role)
+         status, creator_id, creator_role,
+         linked_milestone_id, linked_additional_milestone_id)
       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,
-              'not_yet_started',$17,$18)
+              'not_yet_started',$17,$18,$19,$20)
       RETURNING *
     `, [
-      projectId, side, milestone_name.trim(), title.trim(), description,
+      projectId, side, milestone_name.trim() || link?.title || '', title.trim(), description,
       start_date, end_date, planned_quantity, unit.trim(),
       planned_work, planned_manpower, planned_equipment, planned_materials,
       linkedFileName, linkedFileId, linkedFileUrl,
       user_id, role,
+      link?.kind === 'milestone' ? link.id : null,
+      link?.kind === 'additional' ? link.id : null,
     ]);
+    await replaceResourceLines(pool, projectId, 'planning_execution', result.rows[0].id, resourceLines);
 
-    return res.status(201).json({ success: true, record: result.rows[0] });
+    const [record] = await withResourceLines(pool, 'planning_execution', result.rows);
+    return res.status(201).json({ success: true, record });
   } catch (err) {
+    if (err.code === 'INVALID_RESOURCE_LINES') return res.status(400).json({ error: err.message });
     console.error('POST /api/planning-execution/create:', err);
     return res.status(500).json({ error: 'Server error.' });
   }
@@ -3872,7 +8001,7 @@ app.put('/api/planning-execution', authenticateToken,
     if (!projectId) return res.status(400).json({ error: 'projectId is required.' });
 
     const actCheck = await pool.query(
-      `SELECT id, creator_id, linked_file_id
+      `SELECT id, creator_id, linked_file_id, linked_milestone_id, linked_additional_milestone_id
        FROM planning_execution WHERE id = $1 AND project_id = $2`,
       [id, projectId]
     );
@@ -3903,6 +8032,18 @@ app.put('/api/planning-execution', authenticateToken,
     if (planned_equipment!== undefined) push('planned_equipment', planned_equipment);
     if (planned_materials!== undefined) push('planned_materials', planned_materials);
 
+    let link;
+    try { link = await resolveActivityMilestoneLink(pool, projectId, req.body); }
+    catch (linkErr) {
+      if (linkErr.code === 'INVALID_MILESTONE_LINK') return res.status(400).json({ error: linkErr.message });
+      throw linkErr;
+    }
+    const resourceLines = await parseResourceLines(pool, projectId, req.body.resource_lines, { allowBasis: true });
+    if (link !== undefined) {
+      push('linked_milestone_id',            link?.kind === 'milestone'  ? link.id : null);
+      push('linked_additional_milestone_id', link?.kind === 'additional' ? link.id : null);
+    }
+
     if (req.file) {
       if (actCheck.rows[0].linked_file_id)
         await cloudinary.uploader.destroy(
@@ -3916,7 +8057,8 @@ app.put('/api/planning-execution', authenticateToken,
       push('linked_file_url',  uploaded.secure_url);
     }
 
-    if (!setClauses.length) return res.status(400).json({ error: 'No fields to update.' });
+    if (!setClauses.length && resourceLines === undefined) return res.status(400).json({ error: 'No fields to update.' });
+    push('updated_at', new Date());
     values.push(id, projectId);
 
     const updated = await pool.query(
@@ -3924,8 +8066,15 @@ app.put('/api/planning-execution', authenticateToken,
        WHERE id = $${idx} AND project_id = $${idx + 1} RETURNING *`,
       values
     );
-    return res.json({ success: true, record: updated.rows[0] });
+    // A new link or unit moves quantities between milestones; re-roll both ends
+    const rollupWarning = (link !== undefined || unit !== undefined)
+      ? await syncMilestoneRollups([activityMilestoneRef(actCheck.rows[0]), activityMilestoneRef(updated.rows[0])])
+      : null;
+    await replaceResourceLines(pool, projectId, 'planning_execution', updated.rows[0].id, resourceLines);
+    const [record] = await withResourceLines(pool, 'planning_execution', updated.rows);
+    return res.json({ success: true, record, ...rollupWarnings(rollupWarning) });
   } catch (err) {
+    if (err.code === 'INVALID_RESOURCE_LINES') return res.status(400).json({ error: err.message });
     console.error('PUT /api/planning-execution:', err);
     return res.status(500).json({ error: 'Server error.' });
   }
@@ -3944,7 +8093,7 @@ app.delete('/api/planning-execution/:activityId', authenticateToken, async (req,
       return res.status(400).json({ error: 'projectId is required.' });
 
     const actCheck = await pool.query(
-      `SELECT id, creator_id, linked_file_id
+      `SELECT id, creator_id, linked_file_id, linked_milestone_id, linked_additional_milestone_id
        FROM planning_execution WHERE id = $1 AND project_id = $2`,
       [activityId, projectId]
     );
@@ -3969,6 +8118,13 @@ app.delete('/api/planning-execution/:activityId', authenticateToken, async (req,
       )
     );
 
+    await pool.query(
+      `DELETE FROM resource_lines
+       WHERE (source_type = 'planning_execution' AND source_id = $1)
+          OR (source_type = 'planning_execution_tracking'
+              AND source_id IN (SELECT id FROM planning_execution_tracking WHERE activity_id = $1))`,
+      [activityId]
+    );
     await pool.query(
       `DELETE FROM planning_execution_tracking WHERE activity_id = $1`, [activityId]
     );
@@ -3976,8 +8132,9 @@ app.delete('/api/planning-execution/:activityId', authenticateToken, async (req,
       `DELETE FROM planning_execution WHERE id = $1 AND project_id = $2`,
       [activityId, projectId]
     );
+    const rollupWarning = await syncMilestoneRollups([activityMilestoneRef(actCheck.rows[0])]);
 
-    return res.json({ success: true, message: 'Activity deleted.' });
+    return res.json({ success: true, message: 'Activity deleted.', ...rollupWarnings(rollupWarning) });
   } catch (err) {
     console.error('DELETE /api/planning-execution/:activityId:', err);
     return res.status(500).json({ error: 'Server error.' });
@@ -4046,7 +8203,7 @@ app.get('/api/planning-execution-tracking', authenticateToken, async (req, res)
       ORDER BY t.report_date ASC, t.created_at ASC
     `, [activityId]);
 
-    return res.json({ entries: result.rows });
+    return res.json({ entries: await withResourceLines(pool, 'planning_execution_tracking', result.rows) });
   } catch (err) {
     console.error('GET /api/planning-execution-tracking:', err);
     return res.status(500).json({ error: 'Server error.' });
@@ -4092,7 +8249,7 @@ app.post('/api/planning-execution-tracking', authenticateToken,
       return res.status(400).json({ error: 'delay_days must be 0 or more.' });
 
     const actCheck = await pool.query(
-      `SELECT id, creator_id, unit AS planned_unit
+      `SELECT id, creator_id, unit AS planned_unit, linked_milestone_id, linked_additional_milestone_id
        FROM planning_execution WHERE id = $1 AND project_id = $2`,
       [activity_id, projectId]
     );
@@ -4103,6 +8260,8 @@ app.post('/api/planning-execution-tracking', authenticateToken,
         error: 'Only the creating leader can log execution entries.'
       });
 
+    const resourceLines = await parseResourceLines(pool, projectId, req.body.resource_lines);
+
     let attachmentName = null, attachmentId = null, attachmentUrl = null;
     if (req.file) {
       const uploaded = await scheduleCloudinaryUpload(
@@ -4155,8 +8314,12 @@ app.post('/api/planning-execution-tracking', authenticateToken,
       );
     }
 
-    return res.status(201).json({ success: true, entry: result.rows[0] });
+    await replaceResourceLines(pool, projectId, 'planning_execution_tracking', result.rows[0].id, resourceLines);
+    const rollupWarning = await syncMilestoneRollups([activityMilestoneRef(actCheck.rows[0])]);
+    const [entry] = await withResourceLines(pool, 'planning_execution_tracking', result.rows);
+    return res.status(201).json({ success: true, entry, ...rollupWarnings(rollupWarning) });
   } catch (err) {
+    if (err.code === 'INVALID_RESOURCE_LINES') return res.status(400).json({ error: err.message });
     console.error('POST /api/planning-execution-tracking:', err);
     return res.status(500).json({ error: 'Server error.' });
   }
@@ -4175,7 +8338,8 @@ app.delete('/api/planning-execution-tracking/:entryId', authenticateToken, async
       return res.status(400).json({ error: 'projectId is required.' });
 
     const entryCheck = await pool.query(`
-      SELECT t.id, t.attachment_id, pe.creator_id
+      SELECT t.id, t.attachment_id, pe.creator_id,
+             pe.linked_milestone_id, pe.linked_additional_milestone_id
       FROM   planning_execution_tracking t
       JOIN   planning_execution pe ON pe.id = t.activity_id
       WHERE  t.id = $1 AND pe.project_id = $2
@@ -4191,10 +8355,14 @@ app.delete('/api/planning-execution-tracking/:entryId', authenticateToken, async
         entryCheck.rows[0].attachment_id, { resource_type: 'raw' }
       ).catch(() => {});
 
+    await pool.query(
+      `DELETE FROM resource_lines WHERE source_type = 'planning_execution_tracking' AND source_id = $1`, [entryId]
+    );
     await pool.query(
       `DELETE FROM planning_execution_tracking WHERE id = $1`, [entryId]
     );
-    return res.json({ success: true, message: 'Entry deleted.' });
+    const rollupWarning = await syncMilestoneRollups([activityMilestoneRef(entryCheck.rows[0])]);
+    return res.json({ success: true, message: 'Entry deleted.', ...rollupWarnings(rollupWarning) });
   } catch (err) {
     console.error('DELETE /api/planning-execution-tracking/:entryId:', err);
     return res.status(500).json({ error: 'Server error.' });
@@ -4569,6 +8737,12 @@ app.delete('/api/work-center/:taskId', authenticateToken, async (req, res) => {
       )
     );
 
+    await pool.query(
+      `DELETE FROM resource_lines
+       WHERE source_type = 'workspace_work_center_progress'
+         AND source_id IN (SELECT id FROM workspace_work_center_progress WHERE task_id = $1)`,
+      [taskId]
+    );
     await pool.query(
       `DELETE FROM workspace_work_center WHERE id = $1 AND project_id = $2`,
       [taskId, projectId]
@@ -4658,7 +8832,7 @@ app.get('/api/work-center-progress/:taskId', authenticateToken, async (req, res)
         WHERE  p.task_id = $1
         ORDER  BY p.submitted_at DESC
       `, [taskId, projectId]);
-      return res.json({ entries: result.rows });
+      return res.json({ entries: await withResourceLines(pool, 'workspace_work_center_progress', result.rows) });
 
     } else if (role === 'TeamMember') {
       const assigned = Array.isArray(task.assigned_members) ? task.assigned_members : [];
@@ -4669,7 +8843,7 @@ app.get('/api/work-center-progress/:taskId', authenticateToken, async (req, res)
          WHERE task_id = $1 AND member_id = $2 ORDER BY submitted_at DESC`,
         [taskId, user_id]
       );
-      return res.json({ entries: result.rows });
+      return res.json({ entries: await withResourceLines(pool, 'workspace_work_center_progress', result.rows) });
 
     } else {
       return res.status(403).json({ error: 'Access denied.' });
@@ -4693,7 +8867,7 @@ app.post('/api/work-center-progress', authenticateToken,
     const {
       projectId, taskId, reportDate, workDone,
       manpower = '', equipment = '', materials = '',
-      progressPct = '0', issues = '', notes = '',
+      progressPct = '0', issues = '', notes = '', quantity = null,
     } = req.body;
 
     if (!projectId)  return res.status(400).json({ error: 'projectId is required.' });
@@ -4704,6 +8878,9 @@ app.post('/api/work-center-progress', authenticateToken,
     const pct = parseInt(progressPct, 10);
     if (isNaN(pct) || pct < 0 || pct > 100)
       return res.status(400).json({ error: 'progressPct must be 0–100.' });
+    const qty = quantity === null || quantity === '' ? null : parseFloat(quantity);
+    if (qty !== null && (isNaN(qty) || qty < 0))
+      return res.status(400).json({ error: 'quantity must be 0 or more.' });
 
     const taskCheck = await pool.query(
       `SELECT id, assigned_members FROM workspace_work_center
@@ -4718,6 +8895,8 @@ app.post('/api/work-center-progress', authenticateToken,
     if (!assigned.some(m => String(m.id) === String(user_id)))
       return res.status(403).json({ error: 'You are not assigned to this task.' });
 
+    const resourceLines = await parseResourceLines(pool, projectId, req.body.resource_lines);
+
     let attachmentName = null, attachmentId = null, attachmentUrl = null;
     if (req.file) {
       const uploaded = await scheduleCloudinaryUpload(
@@ -4733,18 +8912,21 @@ app.post('/api/work-center-progress', authenticateToken,
         (task_id, report_date, member_id, member_role,
          work_done, manpower, equipment, materials,
          progress_pct, issues, notes,
-         attachment_name, attachment_id, attachment_url)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+         attachment_name, attachment_id, attachment_url, quantity)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
       RETURNING *
     `, [
       taskId, reportDate, user_id, role,
       workDone, manpower, equipment, materials,
       pct, issues, notes,
-      attachmentName, attachmentId, attachmentUrl,
+      attachmentName, attachmentId, attachmentUrl, qty,
     ]);
+    await replaceResourceLines(pool, projectId, 'workspace_work_center_progress', result.rows[0].id, resourceLines);
 
-    return res.status(201).json({ success: true, entry: result.rows[0] });
+    const [entry] = await withResourceLines(pool, 'workspace_work_center_progress', result.rows);
+    return res.status(201).json({ success: true, entry });
   } catch (err) {
+    if (err.code === 'INVALID_RESOURCE_LINES') return res.status(400).json({ error: err.message });
     console.error('POST /api/work-center-progress:', err);
     return res.status(500).json({ error: 'Server error.' });
   }
@@ -4771,37 +8953,62 @@ app.put('/api/work-center-progress/:progressId/validate',
         error: 'validation_status must be approved, rejected, or comment_only.'
       });
 
-    const entryCheck = await pool.query(`
-      SELECT p.id, w.side
-      FROM   workspace_work_center_progress p
-      JOIN   workspace_work_center w ON w.id = p.task_id
-      WHERE  p.id = $1 AND w.project_id = $2
-    `, [progressId, projectId]);
+    // Validation, the derived tracking entry and the milestone roll-up commit
+    // together so an approval can never leave planning progress stale.
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const entryCheck = await client.query(`
+        SELECT p.id, p.report_date, p.validation_status, w.side, w.activity_id,
+               pe.linked_milestone_id, pe.linked_additional_milestone_id
+        FROM   workspace_work_center_progress p
+        JOIN   workspace_work_center w ON w.id = p.task_id
+        LEFT JOIN planning_execution pe ON pe.id = w.activity_id
+        WHERE  p.id = $1 AND w.project_id = $2
+        FOR UPDATE OF p
+      `, [progressId, projectId]);
+
+      if (!entryCheck.rows.length)
+        throw Object.assign(new Error('Progress entry not found.'), { status: 404 });
+      if (entryCheck.rows[0].side !== wcSide(role))
+        throw Object.assign(new Error('You cannot validate progress from another side.'), { status: 403 });
+
+      let updated;
+      if (isCommentOnly) {
+        updated = await client.query(
+          `UPDATE workspace_work_center_progress
+           SET validation_notes = $1 WHERE id = $2 RETURNING *`,
+          [validation_notes, progressId]
+        );
+      } else {
+        updated = await client.query(
+          `UPDATE workspace_work_center_progress
+           SET validation_status = $1, validation_notes = $2,
+               validated_by = $3, validated_at = NOW()
+           WHERE id = $4 RETURNING *`,
+          [validation_status, validation_notes, user_id, progressId]
+        );
+      }
 
-    if (!entryCheck.rows.length)
-      return res.status(404).json({ error: 'Progress entry not found.' });
-    if (entryCheck.rows[0].side !== wcSide(role))
-      return res.status(403).json({ error: 'You cannot validate progress from another side.' });
-
-    let updated;
-    if (isCommentOnly) {
-      updated = await pool.query(
-        `UPDATE workspace_work_center_progress
-         SET validation_notes = $1 WHERE id = $2 RETURNING *`,
-        [validation_notes, progressId]
-      );
-    } else {
-      updated = await pool.query(
-        `UPDATE workspace_work_center_progress
-         SET validation_status = $1, validation_notes = $2,
-             validated_by = $3, validated_at = NOW()
-         WHERE id = $4 RETURNING *`,
-        [validation_status, validation_notes, user_id, progressId]
-      );
-    }
+      // Approving (or withdrawing an approval) re-derives that day's tracking entry
+      const prev = entryCheck.rows[0];
+      let tracking = null;
+      if (prev.activity_id && !isCommentOnly && (validation_status === 'approved' || prev.validation_status === 'approved')) {
+        tracking = await syncWorkCenterTracking(client, prev.activity_id, toIsoDate(prev.report_date), req.user);
+        const ref = activityMilestoneRef(prev);
+        if (tracking && ref) await rollupMilestoneProgress(client, ref.kind, ref.id);
+      }
 
-    return res.json({ success: true, entry: updated.rows[0] });
+      await client.query('COMMIT');
+      return res.json({ success: true, entry: updated.rows[0], tracking });
+    } catch (txErr) {
+      await client.query('ROLLBACK');
+      throw txErr;
+    } finally {
+      client.release();
+    }
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error('PUT /api/work-center-progress/:progressId/validate:', err);
     return res.status(500).json({ error: 'Server error.' });
   }
@@ -5114,787 +9321,1975 @@ app.post('/api/project-edit-party', authenticateToken, async (req, res) => {
         );
       }
     } else {
-      // consultant_assignments row
-      await pool.query(
-        `UPDATE consultant_assignments SET
-           company_name   = $1,
-           representative = $2,
-           title_position = $3,
-           telephone      = $4,
-           task           = $5
-         WHERE project_id = $6`,
-        [company_name, representative, title_position, telephone, task, pid]
-      );
-      if (email) {
-        await pool.query(
-          `UPDATE consultants SET email = $1
-           WHERE id = (
-             SELECT consultant_id FROM consultant_assignments WHERE project_id = $2
-           )`,
-          [email, pid]
-        );
-      }
+      // consultant_assignments row
+      await pool.query(
+        `UPDATE consultant_assignments SET
+           company_name   = $1,
+           representative = $2,
+           title_position = $3,
+           telephone      = $4,
+           task           = $5
+         WHERE project_id = $6`,
+        [company_name, representative, title_position, telephone, task, pid]
+      );
+      if (email) {
+        await pool.query(
+          `UPDATE consultants SET email = $1
+           WHERE id = (
+             SELECT consultant_id FROM consultant_assignments WHERE project_id = $2
+           )`,
+          [email, pid]
+        );
+      }
+    }
+
+    return res.json({ success: true, message: `${side} info updated.` });
+  } catch (err) {
+    console.error('[POST /api/project-edit-party]', err);
+    return res.status(500).json({ success: false, error: 'Server error updating party.' });
+  }
+});
+
+
+// ── POST /api/project-delete-party ───────────────────────────────────────────
+// Remove contractor or consultant (and their PM) from a project.
+// Only client-side roles can do this. Client itself cannot be deleted.
+app.post('/api/project-delete-party', authenticateToken, async (req, res) => {
+  const { projectId, side } = req.body;
+  const pid = normalizeProjectId(projectId);
+  if (!pid)  return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
+  if (!side) return res.status(400).json({ success: false, error: 'side is required.' });
+  if (!['contractor', 'consultant'].includes(side))
+    return res.status(400).json({ success: false, error: 'Only contractor or consultant can be deleted.' });
+
+  // Only client side may delete parties
+  if (getSide(req.user.role) !== 'client')
+    return res.status(403).json({ success: false, error: 'Only the client side can remove parties.' });
+
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
+    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+
+    const dbClient = await pool.connect();
+    try {
+      await dbClient.query('BEGIN');
+
+      if (side === 'contractor') {
+        // Delete PM assignment first (FK cascade may handle it, but be explicit)
+        await dbClient.query(
+          `DELETE FROM contractor_pm_assignments WHERE project_id = $1`, [pid]
+        );
+        await dbClient.query(
+          `DELETE FROM contractor_assignments WHERE project_id = $1`, [pid]
+        );
+      } else {
+        await dbClient.query(
+          `DELETE FROM consultant_pm_assignments WHERE project_id = $1`, [pid]
+        );
+        await dbClient.query(
+          `DELETE FROM consultant_assignments WHERE project_id = $1`, [pid]
+        );
+      }
+
+      await dbClient.query('COMMIT');
+    } catch (e) {
+      await dbClient.query('ROLLBACK');
+      throw e;
+    } finally {
+      dbClient.release();
+    }
+
+    return res.json({ success: true, message: `${side} removed from project.` });
+  } catch (err) {
+    console.error('[POST /api/project-delete-party]', err);
+    return res.status(500).json({ success: false, error: 'Server error deleting party.' });
+  }
+});
+
+
+// ── POST /api/project-replace-pm ─────────────────────────────────────────────
+// Replace (or create) the PM for a given side.
+// Inserts into the *_project_managers table if email is new,
+// then deletes the old *_pm_assignments row and inserts a fresh one.
+// Auth: same-side leaders/PMs, or client-side for any party.
+app.post('/api/project-replace-pm', authenticateToken, async (req, res) => {
+  const { projectId, side, name, email, telephone, task } = req.body;
+  const pid = normalizeProjectId(projectId);
+  if (!pid)   return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
+  if (!side)  return res.status(400).json({ success: false, error: 'side is required.' });
+  if (!name || !email || !task)
+    return res.status(400).json({ success: false, error: 'name, email and task are required.' });
+  if (!['client', 'contractor', 'consultant'].includes(side))
+    return res.status(400).json({ success: false, error: 'side must be client, contractor or consultant.' });
+
+  const userSide = getSide(req.user.role);
+  // Must be the same side OR client-side (client can manage all PMs)
+  if (userSide !== side && userSide !== 'client')
+    return res.status(403).json({ success: false, error: 'You cannot manage PMs for another side.' });
+
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
+    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+
+    // Map side → tables
+    const map = {
+      client:     { pmTable: 'client_project_managers',     assignTable: 'client_pm_assignments',     fk: 'client_pm_id' },
+      contractor: { pmTable: 'contractor_project_managers', assignTable: 'contractor_pm_assignments', fk: 'contractor_pm_id' },
+      consultant: { pmTable: 'consultant_project_managers', assignTable: 'consultant_pm_assignments', fk: 'consultant_pm_id' },
+    }[side];
+
+    const dbClient = await pool.connect();
+    try {
+      await dbClient.query('BEGIN');
+
+      // Upsert PM user row
+      await dbClient.query(
+        `INSERT INTO ${map.pmTable} (email, verified)
+         VALUES ($1, true)
+         ON CONFLICT (email) DO NOTHING`,
+        [email]
+      );
+      const pmRes = await dbClient.query(
+        `SELECT id FROM ${map.pmTable} WHERE email = $1`, [email]
+      );
+      const pmId = pmRes.rows[0].id;
+
+      // Remove old assignment for this project (there can only be one PM per side)
+      await dbClient.query(
+        `DELETE FROM ${map.assignTable} WHERE project_id = $1`, [pid]
+      );
+
+      // Insert new assignment
+      await dbClient.query(
+        `INSERT INTO ${map.assignTable} (project_id, ${map.fk}, name, telephone, task)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [pid, pmId, name, telephone || null, task]
+      );
+
+      await dbClient.query('COMMIT');
+    } catch (e) {
+      await dbClient.query('ROLLBACK');
+      throw e;
+    } finally {
+      dbClient.release();
+    }
+
+    return res.json({ success: true, message: `${side} PM replaced.` });
+  } catch (err) {
+    console.error('[POST /api/project-replace-pm]', err);
+    return res.status(500).json({ success: false, error: 'Server error replacing PM.' });
+  }
+});
+
+
+// ── POST /api/project-remove-pm ──────────────────────────────────────────────
+// Remove the PM assignment for a given side from this project.
+// The *_project_managers user row is kept (they may be on other projects).
+app.post('/api/project-remove-pm', authenticateToken, async (req, res) => {
+  const { projectId, side } = req.body;
+  const pid = normalizeProjectId(projectId);
+  if (!pid)  return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
+  if (!side) return res.status(400).json({ success: false, error: 'side is required.' });
+  if (!['client', 'contractor', 'consultant'].includes(side))
+    return res.status(400).json({ success: false, error: 'side must be client, contractor or consultant.' });
+
+  const userSide = getSide(req.user.role);
+  if (userSide !== side && userSide !== 'client')
+    return res.status(403).json({ success: false, error: 'You cannot manage PMs for another side.' });
+
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
+    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+
+    const assignTable = {
+      client:     'client_pm_assignments',
+      contractor: 'contractor_pm_assignments',
+      consultant: 'consultant_pm_assignments',
+    }[side];
+
+    const result = await pool.query(
+      `DELETE FROM ${assignTable} WHERE project_id = $1 RETURNING id`, [pid]
+    );
+
+    if (!result.rows.length)
+      return res.status(404).json({ success: false, error: `No ${side} PM found on this project.` });
+
+    return res.json({ success: true, message: `${side} PM removed.` });
+  } catch (err) {
+    console.error('[POST /api/project-remove-pm]', err);
+    return res.status(500).json({ success: false, error: 'Server error removing PM.' });
+  }
+});
+
+
+// ── POST /api/project-remove-member ──────────────────────────────────────────
+// Remove a team member assignment from a project.
+// Allowed if: the member themselves, same-side leader/PM, or client-side.
+app.post('/api/project-remove-member', authenticateToken, async (req, res) => {
+  const { projectId, memberId } = req.body;
+  const pid = normalizeProjectId(projectId);
+  if (!pid)      return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
+  if (!memberId) return res.status(400).json({ success: false, error: 'memberId is required.' });
+
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
+    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+
+    // Fetch the assignment to check side and ownership
+    const assignRes = await pool.query(
+      `SELECT tma.id, tma.assigned_part, tm.email
+       FROM team_member_assignments tma
+       JOIN team_members tm ON tma.team_member_id = tm.id
+       WHERE tma.id = $1 AND tma.project_id = $2`,
+      [memberId, pid]
+    );
+    if (!assignRes.rows.length)
+      return res.status(404).json({ success: false, error: 'Team member not found on this project.' });
+
+    const assignment   = assignRes.rows[0];
+    const memberSide   = (assignment.assigned_part || '').toLowerCase();
+    const userSide     = getSide(req.user.role);
+    const isSelf       = req.user.role === 'TeamMember' &&
+                         req.user.email?.toLowerCase() === assignment.email?.toLowerCase();
+    const isSameSide   = userSide === memberSide;
+    const isClientSide = userSide === 'client';
+
+    if (!isSelf && !isSameSide && !isClientSide)
+      return res.status(403).json({ success: false, error: 'You do not have permission to remove this member.' });
+
+    await pool.query(
+      `DELETE FROM team_member_assignments WHERE id = $1 AND project_id = $2`,
+      [memberId, pid]
+    );
+
+    return res.json({ success: true, message: 'Team member removed from project.' });
+  } catch (err) {
+    console.error('[POST /api/project-remove-member]', err);
+    return res.status(500).json({ success: false, error: 'Server error removing team member.' });
+  }
+});
+
+
+// ── POST /api/project-replace-member ─────────────────────────────────────────
+// Replace a team member with a new one.
+// Upserts the new person into team_members, removes old assignment,
+// inserts new assignment inheriting the same assigned_part and assigned_by.
+// Only same-side or client-side leaders/PMs can do this (not self).
+app.post('/api/project-replace-member', authenticateToken, async (req, res) => {
+  const { projectId, oldMemberId, name, email, position, telephone } = req.body;
+  const pid = normalizeProjectId(projectId);
+  if (!pid)         return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
+  if (!oldMemberId) return res.status(400).json({ success: false, error: 'oldMemberId is required.' });
+  if (!name || !email || !position)
+    return res.status(400).json({ success: false, error: 'name, email and position are required.' });
+
+  // Only leaders/PMs can replace members (not team members themselves)
+  const userSide = getSide(req.user.role);
+  if (!userSide)
+    return res.status(403).json({ success: false, error: 'Only leaders and PMs can replace team members.' });
+
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
+    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+
+    // Fetch old assignment to inherit side + assigner info
+    const oldRes = await pool.query(
+      `SELECT id, assigned_part, assigned_by, assigned_by_role
+       FROM team_member_assignments
+       WHERE id = $1 AND project_id = $2`,
+      [oldMemberId, pid]
+    );
+    if (!oldRes.rows.length)
+      return res.status(404).json({ success: false, error: 'Original team member not found.' });
+
+    const old            = oldRes.rows[0];
+    const memberSide     = (old.assigned_part || '').toLowerCase();
+    const isClientSide   = userSide === 'client';
+
+    if (userSide !== memberSide && !isClientSide)
+      return res.status(403).json({ success: false, error: 'You can only replace members on your own side.' });
+
+    const dbClient = await pool.connect();
+    try {
+      await dbClient.query('BEGIN');
+
+      // Upsert the new team member user row
+      await dbClient.query(
+        `INSERT INTO team_members (email, verified)
+         VALUES ($1, true)
+         ON CONFLICT (email) DO NOTHING`,
+        [email]
+      );
+      const newTMRes = await dbClient.query(
+        `SELECT id FROM team_members WHERE email = $1`, [email]
+      );
+      const newTMId = newTMRes.rows[0].id;
+
+      // Check the new member isn't already assigned to this project
+      const dupeCheck = await dbClient.query(
+        `SELECT id FROM team_member_assignments
+         WHERE project_id = $1 AND team_member_id = $2`,
+        [pid, newTMId]
+      );
+      if (dupeCheck.rows.length) {
+        await dbClient.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: 'The replacement member is already assigned to this project.',
+        });
+      }
+
+      // Remove old assignment
+      await dbClient.query(
+        `DELETE FROM team_member_assignments WHERE id = $1 AND project_id = $2`,
+        [oldMemberId, pid]
+      );
+
+      // Insert new assignment, inheriting side/assigner from the old one
+      await dbClient.query(
+        `INSERT INTO team_member_assignments
+           (project_id, team_member_id, name, position, telephone,
+            assigned_part, assigned_by, assigned_by_role)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          pid, newTMId, name, position, telephone || null,
+          old.assigned_part,
+          old.assigned_by     || req.user.user_id,
+          old.assigned_by_role || req.user.role,
+        ]
+      );
+
+      await dbClient.query('COMMIT');
+    } catch (e) {
+      await dbClient.query('ROLLBACK');
+      throw e;
+    } finally {
+      dbClient.release();
+    }
+
+    return res.json({ success: true, message: 'Team member replaced.' });
+  } catch (err) {
+    console.error('[POST /api/project-replace-member]', err);
+    return res.status(500).json({ success: false, error: 'Server error replacing team member.' });
+  }
+});
+
+// ── POST /api/project-update-member ──────────────────────────────────────────
+// Update name / position / telephone on a team_member_assignments row.
+// The team_member_id (user) is NOT changed — only the assignment metadata.
+app.post('/api/project-update-member', authenticateToken, async (req, res) => {
+  const { projectId, memberId, name, position, telephone } = req.body;
+  const pid = normalizeProjectId(projectId);
+  if (!pid)      return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
+  if (!memberId) return res.status(400).json({ success: false, error: 'memberId is required.' });
+  if (!position) return res.status(400).json({ success: false, error: 'position is required.' });
+
+  try {
+    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
+    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+
+    // Fetch assignment to check side-based permission
+    const assignRes = await pool.query(
+      `SELECT assigned_part FROM team_member_assignments WHERE id = $1 AND project_id = $2`,
+      [memberId, pid]
+    );
+    if (!assignRes.rows.length)
+      return res.status(404).json({ success: false, error: 'Team member not found.' });
+
+    const memberSide = (assignRes.rows[0].assigned_part || '').toLowerCase();
+    const userSide   = getSide(req.user.role);
+
+    // Must be a leader/PM and same-side OR client-side
+    if (!userSide)
+      return res.status(403).json({ success: false, error: 'Team members cannot edit member info.' });
+    if (userSide !== memberSide && userSide !== 'client')
+      return res.status(403).json({ success: false, error: 'You can only edit members on your own side.' });
+
+    await pool.query(
+      `UPDATE team_member_assignments
+       SET name = $1, position = $2, telephone = $3
+       WHERE id = $4 AND project_id = $5`,
+      [name || null, position, telephone || null, memberId, pid]
+    );
+
+    return res.json({ success: true, message: 'Member updated.' });
+  } catch (err) {
+    console.error('[POST /api/project-update-member]', err);
+    return res.status(500).json({ success: false, error: 'Server error updating member.' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  GLOBAL ERROR HANDLER
+// ─────────────────────────────────────────────────────────────────────────────
+// -----------------------------------------------------------------------------
+//  DOCUMENT & APPROVAL  + CONTROL & REPORT API
+// -----------------------------------------------------------------------------
+
+function sideLabel(side) {
+  if (!side) return null;
+  if (side === 'contractor') return 'Contractor';
+  if (side === 'consultant') return 'Consultant';
+  if (side === 'client') return 'Client';
+  return side;
+}
+
+// List document-approval items for a project
+app.post('/api/document-approval', authenticateToken, async (req, res) => {
+  const { projectId } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const userId = req.user.user_id;
+    const userRole = req.user.role;
+    const userSide = await resolveSide(userRole, userId, projectId); // 'Contractor'|'Consultant'|'Client' or null
+    const isLeader = getSide(userRole) !== null;
+
+    // Visibility rules:
+    // - Creator always sees their documents
+    // - Side leader sees documents for their own side
+    // - Shared documents appear in DA only for the same side
+    // Build query requiring both creator id+role match, OR documents belonging
+    // to the caller's resolved side. This prevents collisions where numeric
+    // ids overlap across role tables.
+    const params = [projectId, userId, userRole];
+     let q = `SELECT id, project_id, title, description, category AS doc_type, document_date, file_name, file_url, creator_id, creator_role, side, approval_status AS status, approved_by_id, approved_by_role, approval_date AS reviewed_at, rejection_reason, is_shared, shared_at, created_at
+       FROM documents WHERE project_id = $1 AND ((creator_id = $2 AND lower(creator_role) = lower($3))`;
+
+    if (userSide) {
+      params.push(userSide.toLowerCase());
+      q += ` OR lower(side) = $4`;
+    }
+
+    q += `) ORDER BY created_at DESC`;
+
+    const { rows } = await pool.query(q, params);
+    const normalizedRows = rows.map(row => {
+      if (row.is_shared) {
+        row.status = 'shared';
+      } else if (row.status === 'pending') {
+        row.status = 'pending_approval';
+      }
+      return row;
+    });
+    return res.json({ documents: normalizedRows });
+  } catch (err) {
+    console.error('POST /api/document-approval:', err);
+    return res.status(500).json({ error: 'Failed to load documents' });
+  }
+});
+
+// Create a new document (draft for team members, auto-approved for side leaders)
+app.post('/api/document-approval/create', authenticateToken, upload.single('file'), async (req, res) => {
+  const projectId = req.body.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  const { doc_type, title, description } = req.body;
+  if (!doc_type || !title) return res.status(400).json({ error: 'Missing fields' });
+  try {
+    let fileUrl = null; let fileName = null; let fileId = null;
+    if (req.file) {
+      const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'documents');
+      fileUrl = uploaded.secure_url || uploaded.url || null;
+      fileName = req.file.originalname;
+      fileId = uploaded.public_id || null;
+    }
+    // Resolve side: for leaders/PMs use role mapping, for TeamMember use assignment for this project
+    const resolvedSide = await resolveSide(req.user.role, req.user.user_id, projectId);
+    const side = sideLabel(resolvedSide);
+    
+    // Side leaders auto-approve their own documents; team members save drafts first
+    const isLeader = getSide(req.user.role) !== null;
+    // DB check constraint only allows 'draft','pending_approval','approved','rejected'
+    const approvalStatus = isLeader ? 'approved' : 'draft';
+    const approvedById = isLeader ? req.user.user_id : null;
+    const approvedByRole = isLeader ? req.user.role : null;
+    
+    let q = `INSERT INTO documents(project_id, title, description, category, file_name, file_id, file_url, creator_id, creator_role, side, approval_status`;
+    let params = [projectId, title, description || null, doc_type || null, fileName, fileId, fileUrl, req.user.user_id, req.user.role, side, approvalStatus];
+    let paramIdx = 12;
+    
+    if (isLeader) {
+      q += `, approved_by_id, approved_by_role, approval_date) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$${paramIdx},$${paramIdx+1},NOW())`;
+      params.push(approvedById, approvedByRole);
+    } else {
+      q += `) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`;
+    }
+    
+    console.log('CREATE DOCUMENT SQL:', q, params);
+    console.log('CREATE DOCUMENT CONTEXT: user=', { id: req.user.user_id, role: req.user.role, isLeader }, 'file=', req.file ? req.file.originalname : null);
+    const insert = await pool.query(q + ` RETURNING id`, params);
+    return res.json({ success: true, id: insert.rows[0].id });
+  } catch (err) {
+    console.error('POST /api/document-approval/create:', err);
+    return res.status(500).json({ error: 'Failed to create document' });
+  }
+});
+
+// DEBUG: allow testing the create flow without auth in non-production environments
+app.post('/api/_debug/document-approval/create', async (req, res) => {
+  if (process.env.NODE_ENV === 'production') return res.status(403).json({ error: 'Disabled in production' });
+  const { projectId, doc_type, title, description, creator_id, creator_role, side } = req.body || {};
+  if (!projectId || !doc_type || !title) return res.status(400).json({ error: 'Missing fields' });
+  try {
+    const fileName = null; const fileId = null; const fileUrl = req.body.file_url || null;
+    const isLeader = false;
+    const approvalStatus = 'draft';
+    const params = [projectId, title, description || null, doc_type || null, fileName, fileId, fileUrl, creator_id || 99999, creator_role || 'TeamMember', side || null, approvalStatus];
+    const q = `INSERT INTO documents(project_id, title, description, category, file_name, file_id, file_url, creator_id, creator_role, side, approval_status) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING id`;
+    console.log('DEBUG CREATE:', q, params);
+    const insert = await pool.query(q, params);
+    return res.json({ success: true, id: insert.rows[0].id });
+  } catch (err) {
+    console.error('DEBUG POST create error:', err);
+    return res.status(500).json({ error: 'Debug create failed' });
+  }
+});
+
+// Resubmit (update) existing document
+app.put('/api/document-approval/:id/resubmit', authenticateToken, upload.single('file'), async (req, res) => {
+  const docId = req.params.id;
+  const { projectId } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const { rows } = await pool.query('SELECT creator_id, creator_role FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    const docCreatorId = String(rows[0].creator_id);
+    const docCreatorRole = rows[0].creator_role;
+    const isCreator = docCreatorId === String(req.user.user_id) && normalizeRole(docCreatorRole) === normalizeRole(req.user.role);
+    let isAssignedBy = false;
+    if (!isCreator && normalizeRole(docCreatorRole) === 'teammember') {
+      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, docCreatorId, 'TeamMember', req.user.user_id]);
+      if (assignCheck.rows.length) isAssignedBy = true;
+    }
+    if (!isCreator && !isAssignedBy) return res.status(403).json({ error: 'Not allowed' });
+    let fileUrl = null; let fileName = null; let fileId = null;
+    if (req.file) {
+      const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'documents');
+      fileUrl = uploaded.secure_url || uploaded.url || null;
+      fileName = req.file.originalname;
+      fileId = uploaded.public_id || null;
+    }
+    const doc_type = req.body.doc_type || null;
+    const title = req.body.title || null;
+    const description = req.body.description || null;
+    const updates = [];
+    const params = [];
+    let idx = 1;
+    if (title) { updates.push(`title=$${idx++}`); params.push(title); }
+    if (description) { updates.push(`description=$${idx++}`); params.push(description); }
+    if (doc_type) { updates.push(`category=$${idx++}`); params.push(doc_type); }
+    if (fileName) { updates.push(`file_name=$${idx++}`, `file_id=$${idx++}`, `file_url=$${idx++}`); params.push(fileName, fileId, fileUrl); }
+    updates.push(`approval_status='pending_approval'`, `is_shared=false`, `rejection_reason=NULL`, `updated_at=NOW()`);
+    const q = `UPDATE documents SET ${updates.join(', ')} WHERE id=$${idx} AND project_id=$${idx+1}`;
+    params.push(docId, projectId);
+    await pool.query(q, params);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('PUT /api/document-approval/:id/resubmit:', err);
+    return res.status(500).json({ error: 'Failed to resubmit' });
+  }
+});
+
+// Review (approve/reject)
+app.post('/api/document-approval/:id/review', authenticateToken, async (req, res) => {
+  const docId = req.params.id;
+  const { projectId, action, comment } = req.body || {};
+  if (!projectId || !action) return res.status(400).json({ error: 'Missing fields' });
+  if (!['approved','rejected'].includes(action)) return res.status(400).json({ error: 'Invalid action' });
+  try {
+    const { rows } = await pool.query('SELECT id, approval_status, side FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+
+    const docSide = (rows[0].side || '').toLowerCase();
+    const userSide = getSide(req.user.role);
+    if (!userSide) return res.status(403).json({ error: 'Only side leaders can review documents' });
+    if (userSide !== docSide) return res.status(403).json({ error: 'You can only review documents for your side' });
+
+    if (action === 'approved') {
+      await pool.query(`UPDATE documents SET approval_status='approved', approved_by_id=$1, approved_by_role=$2, approval_date=NOW(), updated_at=NOW() WHERE id=$3`, [req.user.user_id, req.user.role, docId]);
+    } else {
+      await pool.query(`UPDATE documents SET approval_status='rejected', rejection_reason=$1, updated_at=NOW() WHERE id=$2`, [comment || null, docId]);
     }
+    // Insert approval note
+    await pool.query(`INSERT INTO document_approval_notes(document_id, note_text, created_by_id, created_by_role, is_visible_to_creator) VALUES($1,$2,$3,$4,$5)`, [docId, comment || (action === 'approved' ? 'Approved' : 'Rejected'), req.user.user_id, req.user.role, true]);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('POST /api/document-approval/:id/review:', err);
+    return res.status(500).json({ error: 'Failed to submit review' });
+  }
+});
 
-    return res.json({ success: true, message: `${side} info updated.` });
+// Share to Control & Report
+app.post('/api/document-approval/:id/share', authenticateToken, async (req, res) => {
+  const docId = req.params.id;
+  const { projectId } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const { rows } = await pool.query('SELECT approval_status, side FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    if (rows[0].approval_status !== 'approved') return res.status(400).json({ error: 'Only approved documents can be shared' });
+
+    const docSide = (rows[0].side || '').toLowerCase();
+    const userSide = getSide(req.user.role);
+    if (!userSide) return res.status(403).json({ error: 'Only side leaders can share documents' });
+    if (userSide !== docSide) return res.status(403).json({ error: 'You can only share documents for your side' });
+
+    await pool.query('UPDATE documents SET is_shared=true, shared_at=NOW(), updated_at=NOW() WHERE id=$1', [docId]);
+    return res.json({ success: true });
   } catch (err) {
-    console.error('[POST /api/project-edit-party]', err);
-    return res.status(500).json({ success: false, error: 'Server error updating party.' });
+    console.error('POST /api/document-approval/:id/share:', err);
+    return res.status(500).json({ error: 'Failed to share document' });
   }
 });
 
+// Submit draft for approval
+app.post('/api/document-approval/:id/submit', authenticateToken, async (req, res) => {
+  const docId = req.params.id;
+  const { projectId } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const { rows } = await pool.query('SELECT creator_id, creator_role FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    const docCreatorId = String(rows[0].creator_id);
+    const docCreatorRole = rows[0].creator_role;
+    const isCreator = docCreatorId === String(req.user.user_id) && normalizeRole(docCreatorRole) === normalizeRole(req.user.role);
+    let isAssignedBy = false;
+    if (!isCreator && normalizeRole(docCreatorRole) === 'teammember') {
+      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, docCreatorId, 'TeamMember', req.user.user_id]);
+      if (assignCheck.rows.length) isAssignedBy = true;
+    }
+    if (!isCreator && !isAssignedBy) return res.status(403).json({ error: 'Not allowed' });
+    await pool.query("UPDATE documents SET approval_status='pending_approval', updated_at=NOW() WHERE id=$1", [docId]);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('POST /api/document-approval/:id/submit:', err);
+    return res.status(500).json({ error: 'Failed to submit' });
+  }
+});
 
-// ── POST /api/project-delete-party ───────────────────────────────────────────
-// Remove contractor or consultant (and their PM) from a project.
-// Only client-side roles can do this. Client itself cannot be deleted.
-app.post('/api/project-delete-party', authenticateToken, async (req, res) => {
-  const { projectId, side } = req.body;
-  const pid = normalizeProjectId(projectId);
-  if (!pid)  return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
-  if (!side) return res.status(400).json({ success: false, error: 'side is required.' });
-  if (!['contractor', 'consultant'].includes(side))
-    return res.status(400).json({ success: false, error: 'Only contractor or consultant can be deleted.' });
+// Delete document
+app.delete('/api/document-approval/:id', authenticateToken, async (req, res) => {
+  const docId = req.params.id;
+  const projectId = req.body.projectId || req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const { rows } = await pool.query('SELECT creator_id, creator_role, side FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    const creatorId = String(rows[0].creator_id);
+    const creatorRole = rows[0].creator_role;
+    const docSide = (rows[0].side || '').toLowerCase();
+    const userSide = getSide(req.user.role);
 
-  // Only client side may delete parties
-  if (getSide(req.user.role) !== 'client')
-    return res.status(403).json({ success: false, error: 'Only the client side can remove parties.' });
+    // Allow deletion if creator, or if user is the team member's assigner,
+    // or if user is a side leader for the same side
+    const isCreator = String(req.user.user_id) === creatorId && normalizeRole(creatorRole) === normalizeRole(req.user.role);
+    let isAssignedBy = false;
+    if (!isCreator && normalizeRole(creatorRole) === 'teammember') {
+      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, creatorId, 'TeamMember', req.user.user_id]);
+      if (assignCheck.rows.length) isAssignedBy = true;
+    }
+    if (!isCreator && !isAssignedBy) {
+      if (!userSide || userSide !== docSide) return res.status(403).json({ error: 'Not allowed' });
+    }
+    await pool.query('DELETE FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('DELETE /api/document-approval/:id:', err);
+    return res.status(500).json({ error: 'Failed to delete' });
+  }
+});
 
+// Download document file (returns URL)
+app.get('/api/document-approval/:id/download', authenticateToken, async (req, res) => {
+  const docId = req.params.id;
+  const projectId = req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
-    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+    const { rows } = await pool.query('SELECT file_url, creator_id, creator_role, side, is_shared FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    const row = rows[0];
+    const docSide = (row.side || '').toLowerCase();
+    const userSide = getSide(req.user.role);
 
-    const dbClient = await pool.connect();
-    try {
-      await dbClient.query('BEGIN');
+    // Allow if creator or the team-member's assigner
+    const isCreator = String(row.creator_id) === String(req.user.user_id) && normalizeRole(row.creator_role) === normalizeRole(req.user.role);
+    let isAssignedBy = false;
+    if (!isCreator && normalizeRole(row.creator_role) === 'teammember') {
+      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, String(row.creator_id), 'TeamMember', req.user.user_id]);
+      if (assignCheck.rows.length) isAssignedBy = true;
+    }
+    if (isCreator || isAssignedBy) return res.json({ url: row.file_url || null });
 
-      if (side === 'contractor') {
-        // Delete PM assignment first (FK cascade may handle it, but be explicit)
-        await dbClient.query(
-          `DELETE FROM contractor_pm_assignments WHERE project_id = $1`, [pid]
-        );
-        await dbClient.query(
-          `DELETE FROM contractor_assignments WHERE project_id = $1`, [pid]
-        );
-      } else {
-        await dbClient.query(
-          `DELETE FROM consultant_pm_assignments WHERE project_id = $1`, [pid]
-        );
-        await dbClient.query(
-          `DELETE FROM consultant_assignments WHERE project_id = $1`, [pid]
-        );
-      }
+    // Allow side leaders for same side
+    if (userSide && userSide === docSide) return res.json({ url: row.file_url || null });
 
-      await dbClient.query('COMMIT');
-    } catch (e) {
-      await dbClient.query('ROLLBACK');
-      throw e;
-    } finally {
-      dbClient.release();
+    // Allow if shared and user belongs to same side (resolve for TeamMember)
+    if (row.is_shared) {
+      const sideResolved = await resolveSide(req.user.role, req.user.user_id, projectId);
+      if (sideResolved && sideResolved.toLowerCase() === docSide) return res.json({ url: row.file_url || null });
     }
 
-    return res.json({ success: true, message: `${side} removed from project.` });
+    return res.status(403).json({ error: 'Access denied' });
   } catch (err) {
-    console.error('[POST /api/project-delete-party]', err);
-    return res.status(500).json({ success: false, error: 'Server error deleting party.' });
+    console.error('GET /api/document-approval/:id/download:', err);
+    return res.status(500).json({ error: 'Failed to download' });
   }
 });
 
+// CONTROL & REPORT — list shared documents, indexed workspace reports (see
+// CONTROL & REPORT INDEX) and read-only items received through TRANSMITTALS.
+// category/part/promoted narrow all three lists.
+app.post('/api/control-reports', authenticateToken, async (req, res) => {
+  const { projectId, category, part, promoted } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied' });
+    // Legacy shared documents are never promoted and only ever belong to the caller's part
+    const legacyExcluded = String(promoted) === 'true' || (part && String(part).toLowerCase() !== side.toLowerCase());
+    const { rows } = legacyExcluded ? { rows: [] } : await pool.query(
+      `SELECT id, project_id, title, description, category AS doc_type, file_name, file_url, creator_id, creator_role, side, is_shared, shared_at, approval_date AS reviewed_at, created_at
+       FROM documents WHERE project_id=$1 AND is_shared = true AND lower(side) = $2 AND ($3::text IS NULL OR category = $3)
+       ORDER BY shared_at DESC NULLS LAST`,
+      [projectId, side.toLowerCase(), category || null]
+    );
+    const reports = await listIndexedReports(projectId, side, { category, part, promoted });
+    // Transmitted items are never "promoted"; they are another party's hand-over
+    const received = String(promoted) === 'true' ? [] : await listReceivedTransmittalItems(projectId, side, { category, part });
+    return res.json({ documents: rows, reports, received });
+  } catch (err) {
+    console.error('POST /api/control-reports:', err);
+    return res.status(500).json({ error: 'Failed to load control reports' });
+  }
+});
 
-// ── POST /api/project-replace-pm ─────────────────────────────────────────────
-// Replace (or create) the PM for a given side.
-// Inserts into the *_project_managers table if email is new,
-// then deletes the old *_pm_assignments row and inserts a fresh one.
-// Auth: same-side leaders/PMs, or client-side for any party.
-app.post('/api/project-replace-pm', authenticateToken, async (req, res) => {
-  const { projectId, side, name, email, telephone, task } = req.body;
-  const pid = normalizeProjectId(projectId);
-  if (!pid)   return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
-  if (!side)  return res.status(400).json({ success: false, error: 'side is required.' });
-  if (!name || !email || !task)
-    return res.status(400).json({ success: false, error: 'name, email and task are required.' });
-  if (!['client', 'contractor', 'consultant'].includes(side))
-    return res.status(400).json({ success: false, error: 'side must be client, contractor or consultant.' });
-
-  const userSide = getSide(req.user.role);
-  // Must be the same side OR client-side (client can manage all PMs)
-  if (userSide !== side && userSide !== 'client')
-    return res.status(403).json({ success: false, error: 'You cannot manage PMs for another side.' });
+// CONTROL & REPORT — create (leader direct add)
+app.post('/api/control-reports/create', authenticateToken, upload.single('file'), async (req, res) => {
+  const projectId = req.body.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  const { doc_type, title, description } = req.body;
+  if (!doc_type || !title || !description) return res.status(400).json({ error: 'Missing fields' });
+  try {
+    // Only side leaders (Client/ClientPM, Contractor/ContractorPM, Consultant/ConsultantPM) can add direct C&R records
+    const userSide = getSide(req.user.role);
+    if (!userSide) return res.status(403).json({ error: 'Only side leaders can add control & report records' });
+    let fileUrl = null; let fileName = null; let fileId = null;
+    if (req.file) {
+      const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'control_reports');
+      fileUrl = uploaded.secure_url || uploaded.url || null;
+      fileName = req.file.originalname;
+      fileId = uploaded.public_id || null;
+    }
+    const side = sideLabel(getSide(req.user.role));
+    const insert = await pool.query(
+      `INSERT INTO documents(project_id, title, description, category, file_name, file_id, file_url, creator_id, creator_role, side, approval_status, approved_by_id, approved_by_role, approval_date, is_shared, shared_at)
+       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'approved',$11,$12,NOW(),true,NOW()) RETURNING id`,
+      [projectId, title, description, doc_type || null, fileName, fileId, fileUrl, req.user.user_id, req.user.role, side, req.user.user_id, req.user.role]
+    );
+    return res.json({ success: true, id: insert.rows[0].id });
+  } catch (err) {
+    console.error('POST /api/control-reports/create:', err);
+    return res.status(500).json({ error: 'Failed to create control report' });
+  }
+});
 
+// CONTROL & REPORT — download
+app.get('/api/control-reports/:id/download', authenticateToken, async (req, res) => {
+  const id = req.params.id;
+  const projectId = req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
-    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+    const { rows } = await pool.query('SELECT file_url, side FROM documents WHERE id=$1 AND project_id=$2', [id, projectId]);
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    const docSide = (rows[0].side || '').toLowerCase();
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!side || side.toLowerCase() !== docSide) return res.status(403).json({ error: 'Access denied' });
+    return res.json({ url: rows[0].file_url || null });
+  } catch (err) {
+    console.error('GET /api/control-reports/:id/download:', err);
+    return res.status(500).json({ error: 'Failed to download' });
+  }
+});
 
-    // Map side → tables
-    const map = {
-      client:     { pmTable: 'client_project_managers',     assignTable: 'client_pm_assignments',     fk: 'client_pm_id' },
-      contractor: { pmTable: 'contractor_project_managers', assignTable: 'contractor_pm_assignments', fk: 'contractor_pm_id' },
-      consultant: { pmTable: 'consultant_project_managers', assignTable: 'consultant_pm_assignments', fk: 'consultant_pm_id' },
-    }[side];
+// -----------------------------------------------------------------------------
+//  REPORT REQUESTS
+//  A leader asks a same-side team member for a report against a planning
+//  activity. The team member fulfils it by submitting a workspace_documents
+//  row carrying request_id. Status: pending → submitted → completed, or
+//  cancelled by the requester. Reminders go out the day before the due date
+//  and once more when the request becomes overdue.
+// -----------------------------------------------------------------------------
 
-    const dbClient = await pool.connect();
-    try {
-      await dbClient.query('BEGIN');
+const REPORT_REQUEST_REMINDER_INTERVAL_MS = 60 * 60 * 1000;
 
-      // Upsert PM user row
-      await dbClient.query(
-        `INSERT INTO ${map.pmTable} (email, verified)
-         VALUES ($1, true)
-         ON CONFLICT (email) DO NOTHING`,
-        [email]
-      );
-      const pmRes = await dbClient.query(
-        `SELECT id FROM ${map.pmTable} WHERE email = $1`, [email]
-      );
-      const pmId = pmRes.rows[0].id;
+async function notifyUser(dbClient, { projectId, entityId, entityType, message, from, to }) {
+  const notifRes = await dbClient.query(
+    `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
+     VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+    [projectId, entityId, entityType, message, from.user_id, from.role]
+  );
+  await insertNotificationRecipients(dbClient, notifRes.rows[0].id, to.map(r => ({
+    recipient_role: normalizeRole(r.role), recipient_role_id: Number(r.user_id),
+  })));
+  return notifRes.rows[0].id;
+}
 
-      // Remove old assignment for this project (there can only be one PM per side)
-      await dbClient.query(
-        `DELETE FROM ${map.assignTable} WHERE project_id = $1`, [pid]
-      );
+function reportRequestView(row) {
+  const today = dayNumberToDate(toDayNumber(new Date()));
+  const due = toIsoDate(row.due_date);
+  return { ...row, due_date: due, is_overdue: Boolean(due && due < today && row.status === 'pending') };
+}
 
-      // Insert new assignment
-      await dbClient.query(
-        `INSERT INTO ${map.assignTable} (project_id, ${map.fk}, name, telephone, task)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [pid, pmId, name, telephone || null, task]
-      );
+async function loadReportRequest(requestId, projectId) {
+  const { rows } = await pool.query('SELECT * FROM report_requests WHERE id=$1 AND project_id=$2', [requestId, projectId]);
+  return rows[0] || null;
+}
 
-      await dbClient.query('COMMIT');
-    } catch (e) {
-      await dbClient.query('ROLLBACK');
-      throw e;
-    } finally {
-      dbClient.release();
+// List: leaders see their side's requests, team members the ones assigned to them
+app.get('/api/report-requests', authenticateToken, async (req, res) => {
+  const projectId = normalizeProjectId(req.query.projectId);
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const { user_id, role } = req.user;
+    if (!await userHasProjectAccess(user_id, role, projectId)) return res.status(403).json({ error: 'Access denied' });
+    const params = [projectId];
+    let q = `SELECT rr.*, pe.title AS activity_title, t.email AS assigned_email, tma.name AS assigned_name,
+                    (SELECT json_agg(json_build_object('id', wd.id, 'title', wd.title, 'status', wd.status, 'submitted_at', wd.submitted_at) ORDER BY wd.submitted_at)
+                     FROM workspace_documents wd WHERE wd.request_id = rr.id) AS documents
+             FROM report_requests rr
+             LEFT JOIN planning_execution pe ON pe.id = rr.activity_id
+             LEFT JOIN team_members t ON t.id = rr.assigned_to
+             LEFT JOIN team_member_assignments tma ON tma.team_member_id = rr.assigned_to AND tma.project_id = rr.project_id
+             WHERE rr.project_id = $1`;
+    if (role === 'TeamMember') {
+      params.push(user_id);
+      q += ` AND rr.assigned_to = $2 AND rr.assigned_role = 'TeamMember'`;
+    } else {
+      const side = wcSide(role);
+      if (!side) return res.status(403).json({ error: 'Access denied' });
+      params.push(side);
+      q += ` AND rr.side = $2`;
     }
-
-    return res.json({ success: true, message: `${side} PM replaced.` });
+    if (req.query.status) { params.push(req.query.status); q += ` AND rr.status = $${params.length}`; }
+    q += ' ORDER BY rr.due_date ASC NULLS LAST, rr.created_at DESC';
+    const { rows } = await pool.query(q, params);
+    return res.json({ requests: rows.map(r => reportRequestView({ ...r, documents: r.documents || [] })) });
   } catch (err) {
-    console.error('[POST /api/project-replace-pm]', err);
-    return res.status(500).json({ success: false, error: 'Server error replacing PM.' });
+    console.error('GET /api/report-requests:', err);
+    return res.status(500).json({ error: 'Failed to load report requests' });
   }
 });
 
-
-// ── POST /api/project-remove-pm ──────────────────────────────────────────────
-// Remove the PM assignment for a given side from this project.
-// The *_project_managers user row is kept (they may be on other projects).
-app.post('/api/project-remove-pm', authenticateToken, async (req, res) => {
-  const { projectId, side } = req.body;
-  const pid = normalizeProjectId(projectId);
-  if (!pid)  return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
-  if (!side) return res.status(400).json({ success: false, error: 'side is required.' });
-  if (!['client', 'contractor', 'consultant'].includes(side))
-    return res.status(400).json({ success: false, error: 'side must be client, contractor or consultant.' });
-
-  const userSide = getSide(req.user.role);
-  if (userSide !== side && userSide !== 'client')
-    return res.status(403).json({ success: false, error: 'You cannot manage PMs for another side.' });
-
+app.post('/api/report-requests', authenticateToken, async (req, res) => {
+  const { projectId, activityId = null, assignedTo, title, description = null, dueDate = null } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  if (!assignedTo || !title?.trim()) return res.status(400).json({ error: 'assignedTo and title are required' });
+  if (dueDate && toDayNumber(dueDate) == null) return res.status(400).json({ error: 'dueDate must be YYYY-MM-DD' });
+  const side = wcSide(req.user.role);
+  if (!side) return res.status(403).json({ error: 'Only leaders and PMs can request reports' });
+  const client = await pool.connect();
   try {
-    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
-    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
-
-    const assignTable = {
-      client:     'client_pm_assignments',
-      contractor: 'contractor_pm_assignments',
-      consultant: 'consultant_pm_assignments',
-    }[side];
-
-    const result = await pool.query(
-      `DELETE FROM ${assignTable} WHERE project_id = $1 RETURNING id`, [pid]
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId)) return res.status(403).json({ error: 'Access denied' });
+    const member = await client.query(
+      'SELECT 1 FROM team_member_assignments WHERE team_member_id=$1 AND project_id=$2 AND assigned_part=$3 LIMIT 1',
+      [assignedTo, projectId, side]
     );
-
-    if (!result.rows.length)
-      return res.status(404).json({ success: false, error: `No ${side} PM found on this project.` });
-
-    return res.json({ success: true, message: `${side} PM removed.` });
+    if (!member.rows.length) return res.status(400).json({ error: 'Team member is not assigned to your side of this project' });
+    if (activityId) {
+      const act = await client.query('SELECT 1 FROM planning_execution WHERE id=$1 AND project_id=$2 AND side=$3', [activityId, projectId, side]);
+      if (!act.rows.length) return res.status(400).json({ error: 'Activity not found on your side of this project' });
+    }
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO report_requests (project_id, activity_id, requested_by, requested_role, assigned_to, assigned_role, title, description, due_date, status, side)
+       VALUES ($1,$2,$3,$4,$5,'TeamMember',$6,$7,$8,'pending',$9) RETURNING *`,
+      [projectId, activityId || null, req.user.user_id, req.user.role, assignedTo, title.trim(), description, dueDate || null, side]
+    );
+    const request = rows[0];
+    await notifyUser(client, {
+      projectId, entityId: request.id, entityType: 'report_requests', from: req.user,
+      message: `${req.user.role} requested a report: "${request.title}"${dueDate ? ` (due ${dueDate})` : ''}`,
+      to: [{ user_id: assignedTo, role: 'TeamMember' }],
+    });
+    await client.query('COMMIT');
+    return res.status(201).json({ success: true, request: reportRequestView(request) });
   } catch (err) {
-    console.error('[POST /api/project-remove-pm]', err);
-    return res.status(500).json({ success: false, error: 'Server error removing PM.' });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('POST /api/report-requests:', err);
+    return res.status(500).json({ error: 'Failed to create report request' });
+  } finally {
+    client.release();
   }
 });
 
-
-// ── POST /api/project-remove-member ──────────────────────────────────────────
-// Remove a team member assignment from a project.
-// Allowed if: the member themselves, same-side leader/PM, or client-side.
-app.post('/api/project-remove-member', authenticateToken, async (req, res) => {
-  const { projectId, memberId } = req.body;
-  const pid = normalizeProjectId(projectId);
-  if (!pid)      return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
-  if (!memberId) return res.status(400).json({ success: false, error: 'memberId is required.' });
-
+// Requester edits title/description/due date, or cancels with status='cancelled'
+app.put('/api/report-requests/:id', authenticateToken, async (req, res) => {
+  const { projectId, title, description, dueDate, status } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  if (status !== undefined && status !== 'cancelled') return res.status(400).json({ error: "status can only be set to 'cancelled' here" });
+  if (dueDate && toDayNumber(dueDate) == null) return res.status(400).json({ error: 'dueDate must be YYYY-MM-DD' });
   try {
-    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
-    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
-
-    // Fetch the assignment to check side and ownership
-    const assignRes = await pool.query(
-      `SELECT tma.id, tma.assigned_part, tm.email
-       FROM team_member_assignments tma
-       JOIN team_members tm ON tma.team_member_id = tm.id
-       WHERE tma.id = $1 AND tma.project_id = $2`,
-      [memberId, pid]
+    const request = await loadReportRequest(req.params.id, projectId);
+    if (!request) return res.status(404).json({ error: 'Report request not found' });
+    if (String(request.requested_by) !== String(req.user.user_id) || normalizeRole(request.requested_role) !== normalizeRole(req.user.role))
+      return res.status(403).json({ error: 'Only the requesting leader can change this request' });
+    if (['completed', 'cancelled'].includes(request.status)) return res.status(409).json({ error: `Request is already ${request.status}` });
+    const { rows } = await pool.query(
+      `UPDATE report_requests SET title=COALESCE($1,title), description=COALESCE($2,description),
+              due_date=COALESCE($3,due_date), status=COALESCE($4,status),
+              reminder_sent_at=CASE WHEN $3::date IS NOT NULL THEN NULL ELSE reminder_sent_at END,
+              overdue_notified_at=CASE WHEN $3::date IS NOT NULL THEN NULL ELSE overdue_notified_at END
+       WHERE id=$5 RETURNING *`,
+      [title?.trim() || null, description ?? null, dueDate || null, status || null, request.id]
     );
-    if (!assignRes.rows.length)
-      return res.status(404).json({ success: false, error: 'Team member not found on this project.' });
-
-    const assignment   = assignRes.rows[0];
-    const memberSide   = (assignment.assigned_part || '').toLowerCase();
-    const userSide     = getSide(req.user.role);
-    const isSelf       = req.user.role === 'TeamMember' &&
-                         req.user.email?.toLowerCase() === assignment.email?.toLowerCase();
-    const isSameSide   = userSide === memberSide;
-    const isClientSide = userSide === 'client';
-
-    if (!isSelf && !isSameSide && !isClientSide)
-      return res.status(403).json({ success: false, error: 'You do not have permission to remove this member.' });
+    return res.json({ success: true, request: reportRequestView(rows[0]) });
+  } catch (err) {
+    console.error('PUT /api/report-requests/:id:', err);
+    return res.status(500).json({ error: 'Failed to update report request' });
+  }
+});
 
-    await pool.query(
-      `DELETE FROM team_member_assignments WHERE id = $1 AND project_id = $2`,
-      [memberId, pid]
+// Assignee fulfils the request by uploading the report; it enters the
+// workspace document pipeline (see WORKSPACE DOCUMENTS below) as a submitted
+// document linked by request_id
+app.post('/api/report-requests/:id/fulfill', authenticateToken, upload.single('file'), async (req, res) => {
+  const projectId = req.body.projectId;
+  const category = req.body.category || 'report';
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  if (!req.file) return res.status(400).json({ error: 'A report file is required' });
+  if (!WORKSPACE_CATEGORY_SCHEMAS[category]) return res.status(400).json({ error: `Unknown category "${category}"` });
+  const fields = parseJsonSafe(req.body.fields) || {};
+  const client = await pool.connect();
+  try {
+    const request = await loadReportRequest(req.params.id, projectId);
+    if (!request) return res.status(404).json({ error: 'Report request not found' });
+    if (req.user.role !== 'TeamMember' || String(request.assigned_to) !== String(req.user.user_id))
+      return res.status(403).json({ error: 'Only the assigned team member can fulfil this request' });
+    if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+    const missing = validateWorkspaceFields(WORKSPACE_CATEGORY_SCHEMAS[category], fields);
+    if (missing.length) return res.status(422).json({ error: 'Document is missing required fields', details: missing });
+
+    const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'workspace_documents');
+    await client.query('BEGIN');
+    const draft = await client.query(
+      `INSERT INTO workspace_documents (project_id, activity_id, request_id, title, description, category, fields, file_name, file_id, file_url,
+                                        submitted_by, submitted_role, status, side)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'TeamMember','draft',$12) RETURNING *`,
+      [projectId, request.activity_id, request.id, req.body.title?.trim() || request.title, req.body.description || null,
+       category, JSON.stringify(fields), req.file.originalname, uploaded.public_id, uploaded.secure_url, req.user.user_id, request.side]
     );
-
-    return res.json({ success: true, message: 'Team member removed from project.' });
+    const doc = await submitWorkspaceDocument(client, draft.rows[0], req.user, { teamReaderId: req.body.teamReaderId });
+    const updated = await client.query(
+      `UPDATE report_requests SET status='submitted', fulfilled_at=NOW() WHERE id=$1 RETURNING *`,
+      [request.id]
+    );
+    await notifyUser(client, {
+      projectId, entityId: request.id, entityType: 'report_requests', from: req.user,
+      message: `Report submitted for request "${request.title}"`,
+      to: [{ user_id: request.requested_by, role: request.requested_role }],
+    });
+    await client.query('COMMIT');
+    return res.status(201).json({ success: true, request: reportRequestView(updated.rows[0]), document: doc });
   } catch (err) {
-    console.error('[POST /api/project-remove-member]', err);
-    return res.status(500).json({ success: false, error: 'Server error removing team member.' });
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message, details: err.details });
+    console.error('POST /api/report-requests/:id/fulfill:', err);
+    return res.status(500).json({ error: 'Failed to fulfil report request' });
+  } finally {
+    client.release();
   }
 });
 
-
-// ── POST /api/project-replace-member ─────────────────────────────────────────
-// Replace a team member with a new one.
-// Upserts the new person into team_members, removes old assignment,
-// inserts new assignment inheriting the same assigned_part and assigned_by.
-// Only same-side or client-side leaders/PMs can do this (not self).
-app.post('/api/project-replace-member', authenticateToken, async (req, res) => {
-  const { projectId, oldMemberId, name, email, position, telephone } = req.body;
-  const pid = normalizeProjectId(projectId);
-  if (!pid)         return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
-  if (!oldMemberId) return res.status(400).json({ success: false, error: 'oldMemberId is required.' });
-  if (!name || !email || !position)
-    return res.status(400).json({ success: false, error: 'name, email and position are required.' });
-
-  // Only leaders/PMs can replace members (not team members themselves)
-  const userSide = getSide(req.user.role);
-  if (!userSide)
-    return res.status(403).json({ success: false, error: 'Only leaders and PMs can replace team members.' });
-
+// Manual nudge from the requester, independent of the automatic reminders
+app.post('/api/report-requests/:id/remind', authenticateToken, async (req, res) => {
+  const { projectId } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
-    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+    const request = await loadReportRequest(req.params.id, projectId);
+    if (!request) return res.status(404).json({ error: 'Report request not found' });
+    if (wcSide(req.user.role) !== request.side) return res.status(403).json({ error: 'Only leaders of the requesting side can send reminders' });
+    if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+    await notifyUser(pool, {
+      projectId, entityId: request.id, entityType: 'report_requests', from: req.user,
+      message: `Reminder: report "${request.title}" is still pending${request.due_date ? ` (due ${toIsoDate(request.due_date)})` : ''}`,
+      to: [{ user_id: request.assigned_to, role: request.assigned_role }],
+    });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('POST /api/report-requests/:id/remind:', err);
+    return res.status(500).json({ error: 'Failed to send reminder' });
+  }
+});
 
-    // Fetch old assignment to inherit side + assigner info
-    const oldRes = await pool.query(
-      `SELECT id, assigned_part, assigned_by, assigned_by_role
-       FROM team_member_assignments
-       WHERE id = $1 AND project_id = $2`,
-      [oldMemberId, pid]
-    );
-    if (!oldRes.rows.length)
-      return res.status(404).json({ success: false, error: 'Original team member not found.' });
+async function sendReportRequestReminders() {
+  const today = dayNumberToDate(toDayNumber(new Date()));
+  const tomorrow = dayNumberToDate(toDayNumber(new Date()) + 1);
+  const { rows } = await pool.query(
+    `SELECT * FROM report_requests
+     WHERE status='pending' AND due_date IS NOT NULL
+       AND ((due_date <= $2 AND due_date >= $1 AND reminder_sent_at IS NULL)
+         OR (due_date < $1 AND overdue_notified_at IS NULL))`,
+    [today, tomorrow]
+  );
+  for (const r of rows) {
+    const due = toIsoDate(r.due_date);
+    const overdue = due < today;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const from = { user_id: r.requested_by, role: r.requested_role };
+      await notifyUser(client, {
+        projectId: r.project_id, entityId: r.id, entityType: 'report_requests', from,
+        message: overdue ? `Overdue: report "${r.title}" was due ${due}` : `Reminder: report "${r.title}" is due ${due}`,
+        to: [{ user_id: r.assigned_to, role: r.assigned_role }],
+      });
+      // The requester hears about overdue requests too
+      if (overdue) {
+        await notifyUser(client, {
+          projectId: r.project_id, entityId: r.id, entityType: 'report_requests', from,
+          message: `Report "${r.title}" requested from a team member is overdue (due ${due})`,
+          to: [from],
+        });
+      }
+      await client.query(`UPDATE report_requests SET ${overdue ? 'overdue_notified_at' : 'reminder_sent_at'}=NOW() WHERE id=$1`, [r.id]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error(`[report-requests] reminder failed for request ${r.id}:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+  if (rows.length) console.log(`[report-requests] sent ${rows.length} due-date reminder(s)`);
+}
 
-    const old            = oldRes.rows[0];
-    const memberSide     = (old.assigned_part || '').toLowerCase();
-    const isClientSide   = userSide === 'client';
+setInterval(() => {
+  sendReportRequestReminders().catch(err => console.error('[report-requests] reminder run failed:', err));
+}, REPORT_REQUEST_REMINDER_INTERVAL_MS);
 
-    if (userSide !== memberSide && !isClientSide)
-      return res.status(403).json({ success: false, error: 'You can only replace members on your own side.' });
+// -----------------------------------------------------------------------------
+//  WORKSPACE DOCUMENTS
+//  Internal review pipeline for a side's own documents (QA reports, NCRs…):
+//    draft → submitted → reader_checked → validated → promoted
+//  Stages are 'team_reader' (the assigned team_reader_id), 'leader_validation'
+//  and 'promotion' (both decided by a leader of the document's side). Every
+//  decision is written to workspace_document_reviews with its remark and the
+//  days it ran past the stage allowance. Rejection at the reader or leader
+//  stage returns the document to its author; declining promotion keeps it
+//  validated and internal.
+// -----------------------------------------------------------------------------
 
-    const dbClient = await pool.connect();
-    try {
-      await dbClient.query('BEGIN');
+const WORKSPACE_DOCUMENT_STAGES = {
+  team_reader:       { from: 'submitted',      to: 'reader_checked', allowanceDays: 2 },
+  leader_validation: { from: 'reader_checked', to: 'validated',      allowanceDays: 3 },
+  promotion:         { from: 'validated',      to: 'promoted',       allowanceDays: 5 },
+};
+
+// Fields each category must carry in workspace_documents.fields. The schema is
+// copied onto the document (required_schema) so later edits here don't
+// invalidate documents already in review.
+const WORKSPACE_CATEGORY_SCHEMAS = {
+  report: { required: [], properties: {} },
+  qa_report: {
+    required: ['inspection_date', 'location', 'inspector', 'result'],
+    properties: {
+      inspection_date: { type: 'date' },
+      result: { type: 'string', enum: ['pass', 'fail', 'conditional'] },
+    },
+  },
+  ncr: {
+    required: ['location', 'nonconformity', 'severity', 'corrective_action'],
+    properties: { severity: { type: 'string', enum: ['minor', 'major', 'critical'] } },
+  },
+  inspection_request: {
+    required: ['inspection_date', 'location', 'work_item'],
+    properties: { inspection_date: { type: 'date' } },
+  },
+  test_report: {
+    required: ['test_type', 'test_date', 'result'],
+    properties: {
+      test_date: { type: 'date' },
+      result: { type: 'string', enum: ['pass', 'fail'] },
+    },
+  },
+  daily_report: {
+    required: ['report_date', 'weather', 'manpower'],
+    properties: { report_date: { type: 'date' }, manpower: { type: 'number' } },
+  },
+  hse_report: {
+    required: ['report_date', 'incidents'],
+    properties: { report_date: { type: 'date' }, incidents: { type: 'number' } },
+  },
+};
+
+function validateWorkspaceFields(schema, fields) {
+  const errors = [];
+  if (!schema) return errors;
+  const values = fields && typeof fields === 'object' ? fields : {};
+  for (const key of schema.required || []) {
+    const v = values[key];
+    if (v === undefined || v === null || String(v).trim() === '') errors.push(`${key} is required`);
+  }
+  for (const [key, rule] of Object.entries(schema.properties || {})) {
+    const v = values[key];
+    if (v === undefined || v === null || v === '') continue;
+    if (rule.type === 'number' && !Number.isFinite(Number(v))) errors.push(`${key} must be a number`);
+    if (rule.type === 'date' && toDayNumber(v) == null) errors.push(`${key} must be a date (YYYY-MM-DD)`);
+    if (rule.enum && !rule.enum.includes(v)) errors.push(`${key} must be one of: ${rule.enum.join(', ')}`);
+  }
+  return errors;
+}
 
-      // Upsert the new team member user row
-      await dbClient.query(
-        `INSERT INTO team_members (email, verified)
-         VALUES ($1, true)
-         ON CONFLICT (email) DO NOTHING`,
-        [email]
-      );
-      const newTMRes = await dbClient.query(
-        `SELECT id FROM team_members WHERE email = $1`, [email]
-      );
-      const newTMId = newTMRes.rows[0].id;
+function workspaceStageFor(status) {
+  return Object.keys(WORKSPACE_DOCUMENT_STAGES).find(k => WORKSPACE_DOCUMENT_STAGES[k].from === status) || null;
+}
 
-      // Check the new member isn't already assigned to this project
-      const dupeCheck = await dbClient.query(
-        `SELECT id FROM team_member_assignments
-         WHERE project_id = $1 AND team_member_id = $2`,
-        [pid, newTMId]
-      );
-      if (dupeCheck.rows.length) {
-        await dbClient.query('ROLLBACK');
-        return res.status(409).json({
-          success: false,
-          error: 'The replacement member is already assigned to this project.',
-        });
-      }
+function workspaceStageDelay(stage, enteredAt, now = new Date()) {
+  if (!enteredAt) return 0;
+  const elapsed = toDayNumber(now) - toDayNumber(new Date(enteredAt));
+  return Math.max(0, elapsed - WORKSPACE_DOCUMENT_STAGES[stage].allowanceDays);
+}
 
-      // Remove old assignment
-      await dbClient.query(
-        `DELETE FROM team_member_assignments WHERE id = $1 AND project_id = $2`,
-        [oldMemberId, pid]
-      );
+async function sideLeaderRecipients(projectId, side, excludeUserId, excludeRole) {
+  const recipients = await getProjectRecipientKeys(projectId, excludeUserId, excludeRole, 'side', side);
+  const roles = sideRoles(side);
+  return recipients
+    .filter(r => roles.includes(r.recipient_role))
+    .map(r => ({ user_id: r.recipient_role_id, role: r.recipient_role }));
+}
 
-      // Insert new assignment, inheriting side/assigner from the old one
-      await dbClient.query(
-        `INSERT INTO team_member_assignments
-           (project_id, team_member_id, name, position, telephone,
-            assigned_part, assigned_by, assigned_by_role)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [
-          pid, newTMId, name, position, telephone || null,
-          old.assigned_part,
-          old.assigned_by     || req.user.user_id,
-          old.assigned_by_role || req.user.role,
-        ]
-      );
+// forUpdate locks the row; only meaningful inside a transaction
+async function loadWorkspaceDocument(db, documentId, projectId, { forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM workspace_documents WHERE id=$1 AND project_id=$2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [documentId, projectId]
+  );
+  return rows[0] || null;
+}
 
-      await dbClient.query('COMMIT');
-    } catch (e) {
-      await dbClient.query('ROLLBACK');
-      throw e;
-    } finally {
-      dbClient.release();
+async function assertTeamReader(db, projectId, side, readerId, submittedBy) {
+  if (String(readerId) === String(submittedBy)) throw Object.assign(new Error('The author cannot be their own team reader'), { status: 400 });
+  const { rows } = await db.query(
+    'SELECT 1 FROM team_member_assignments WHERE team_member_id=$1 AND project_id=$2 AND assigned_part=$3 LIMIT 1',
+    [readerId, projectId, side]
+  );
+  if (!rows.length) throw Object.assign(new Error('Team reader must be a team member of the same side'), { status: 400 });
+}
+
+// Moves a draft or returned document into the team-reader stage. Shared by
+// the submit route and report-request fulfilment.
+async function submitWorkspaceDocument(dbClient, doc, user, { teamReaderId } = {}) {
+  if (!['draft', 'returned'].includes(doc.status)) throw Object.assign(new Error(`Document is already ${doc.status}`), { status: 409 });
+  const schema = WORKSPACE_CATEGORY_SCHEMAS[doc.category];
+  const errors = validateWorkspaceFields(schema, doc.fields);
+  if (errors.length) throw Object.assign(new Error('Document is missing required fields'), { status: 422, details: errors });
+  const readerId = teamReaderId || doc.team_reader_id || null;
+  if (readerId) await assertTeamReader(dbClient, doc.project_id, doc.side, readerId, doc.submitted_by);
+
+  const { rows } = await dbClient.query(
+    `UPDATE workspace_documents
+     SET status='submitted', submitted_at=NOW(), stage_entered_at=NOW(), team_reader_id=$2, required_schema=$3
+     WHERE id=$1 AND status=$4 RETURNING *`,
+    [doc.id, readerId, JSON.stringify(schema), doc.status]
+  );
+  if (!rows.length) throw Object.assign(new Error('Document was changed by someone else; reload and try again'), { status: 409 });
+  const submitted = rows[0];
+  if (readerId) {
+    await notifyUser(dbClient, {
+      projectId: doc.project_id, entityId: doc.id, entityType: 'workspace_documents', from: user,
+      message: `Document "${doc.title}" is waiting for your review as team reader`,
+      to: [{ user_id: readerId, role: 'TeamMember' }],
+    });
+  } else {
+    const leaders = await sideLeaderRecipients(doc.project_id, doc.side, user.user_id, user.role);
+    if (leaders.length) {
+      await notifyUser(dbClient, {
+        projectId: doc.project_id, entityId: doc.id, entityType: 'workspace_documents', from: user,
+        message: `Document "${doc.title}" was submitted and needs a team reader`,
+        to: leaders,
+      });
     }
+  }
+  return submitted;
+}
 
-    return res.json({ success: true, message: 'Team member replaced.' });
+function canSeeWorkspaceDocument(doc, user, side) {
+  if (side && doc.status === 'promoted') return true;   // project-wide once promoted
+  if (!side || side !== doc.side) return false;
+  if (user.role !== 'TeamMember') return doc.status !== 'draft' || String(doc.submitted_by) === String(user.user_id);
+  return String(doc.submitted_by) === String(user.user_id)
+    || String(doc.team_reader_id) === String(user.user_id)
+    || doc.status === 'promoted';
+}
+
+app.get('/api/workspace-documents/categories', authenticateToken, (_req, res) => {
+  return res.json({ categories: WORKSPACE_CATEGORY_SCHEMAS, stages: WORKSPACE_DOCUMENT_STAGES });
+});
+
+// Leaders see every non-draft document of their side; team members see what
+// they authored, what they have to read, and promoted documents
+app.get('/api/workspace-documents', authenticateToken, async (req, res) => {
+  const projectId = req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const { user_id, role } = req.user;
+    const side = await resolveSide(role, user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied' });
+    const params = [projectId, side, user_id];
+    let q = `SELECT wd.*, pe.title AS activity_title
+             FROM workspace_documents wd
+             LEFT JOIN planning_execution pe ON pe.id = wd.activity_id
+             WHERE wd.project_id=$1 AND wd.side=$2`;
+    q += role === 'TeamMember'
+      ? ` AND (wd.submitted_by=$3 AND wd.submitted_role='TeamMember' OR wd.team_reader_id=$3 OR wd.status='promoted')`
+      : ` AND (wd.status <> 'draft' OR (wd.submitted_by=$3 AND wd.submitted_role <> 'TeamMember'))`;
+    if (req.query.status)   { params.push(req.query.status);   q += ` AND wd.status=$${params.length}`; }
+    if (req.query.category) { params.push(req.query.category); q += ` AND wd.category=$${params.length}`; }
+    q += ' ORDER BY COALESCE(wd.submitted_at, wd.created_at) DESC';
+    const { rows } = await pool.query(q, params);
+    const now = new Date();
+    return res.json({
+      documents: rows.map(d => {
+        const stage = workspaceStageFor(d.status);
+        return { ...d, stage, stage_delay_days: stage ? workspaceStageDelay(stage, d.stage_entered_at, now) : 0 };
+      }),
+    });
   } catch (err) {
-    console.error('[POST /api/project-replace-member]', err);
-    return res.status(500).json({ success: false, error: 'Server error replacing team member.' });
+    console.error('GET /api/workspace-documents:', err);
+    return res.status(500).json({ error: 'Failed to load workspace documents' });
   }
 });
 
-// ── POST /api/project-update-member ──────────────────────────────────────────
-// Update name / position / telephone on a team_member_assignments row.
-// The team_member_id (user) is NOT changed — only the assignment metadata.
-app.post('/api/project-update-member', authenticateToken, async (req, res) => {
-  const { projectId, memberId, name, position, telephone } = req.body;
-  const pid = normalizeProjectId(projectId);
-  if (!pid)      return res.status(400).json({ success: false, error: 'Valid projectId is required.' });
-  if (!memberId) return res.status(400).json({ success: false, error: 'memberId is required.' });
-  if (!position) return res.status(400).json({ success: false, error: 'position is required.' });
-
+app.get('/api/workspace-documents/:id', authenticateToken, async (req, res) => {
+  const projectId = req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const hasAccess = await userHasProjectAccess(req.user.user_id, req.user.role, pid);
-    if (!hasAccess) return res.status(403).json({ success: false, error: 'Access denied.' });
+    const doc = await loadWorkspaceDocument(pool, req.params.id, projectId);
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!canSeeWorkspaceDocument(doc, req.user, side)) return res.status(403).json({ error: 'Access denied' });
+    const reviews = await pool.query(
+      'SELECT * FROM workspace_document_reviews WHERE document_id=$1 ORDER BY reviewed_at ASC, id ASC',
+      [doc.id]
+    );
+    const stage = workspaceStageFor(doc.status);
+    return res.json({
+      document: { ...doc, stage, stage_delay_days: stage ? workspaceStageDelay(stage, doc.stage_entered_at) : 0 },
+      reviews: reviews.rows,
+    });
+  } catch (err) {
+    console.error('GET /api/workspace-documents/:id:', err);
+    return res.status(500).json({ error: 'Failed to load workspace document' });
+  }
+});
 
-    // Fetch assignment to check side-based permission
-    const assignRes = await pool.query(
-      `SELECT assigned_part FROM team_member_assignments WHERE id = $1 AND project_id = $2`,
-      [memberId, pid]
+// Create a draft. fields is a JSON object checked against the category schema on submit.
+app.post('/api/workspace-documents', authenticateToken, upload.single('file'), async (req, res) => {
+  const { projectId, activityId, title, description, category } = req.body;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  if (!req.file) return res.status(400).json({ error: 'A file is required' });
+  if (!title?.trim()) return res.status(400).json({ error: 'title is required' });
+  if (!WORKSPACE_CATEGORY_SCHEMAS[category]) return res.status(400).json({ error: `Unknown category "${category}"` });
+  const fields = parseJsonSafe(req.body.fields) || {};
+  if (typeof fields !== 'object' || Array.isArray(fields)) return res.status(400).json({ error: 'fields must be a JSON object' });
+  try {
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied' });
+    if (activityId) {
+      const act = await pool.query('SELECT 1 FROM planning_execution WHERE id=$1 AND project_id=$2 AND side=$3', [activityId, projectId, side]);
+      if (!act.rows.length) return res.status(400).json({ error: 'Activity not found on your side of this project' });
+    }
+    const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'workspace_documents');
+    const { rows } = await pool.query(
+      `INSERT INTO workspace_documents (project_id, activity_id, title, description, category, fields, file_name, file_id, file_url,
+                                        submitted_by, submitted_role, status, side)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'draft',$12) RETURNING *`,
+      [projectId, activityId || null, title.trim(), description || null, category, JSON.stringify(fields),
+       req.file.originalname, uploaded.public_id, uploaded.secure_url, req.user.user_id, normalizeRole(req.user.role), side]
     );
-    if (!assignRes.rows.length)
-      return res.status(404).json({ success: false, error: 'Team member not found.' });
+    return res.status(201).json({ success: true, document: rows[0], missing: validateWorkspaceFields(WORKSPACE_CATEGORY_SCHEMAS[category], fields) });
+  } catch (err) {
+    console.error('POST /api/workspace-documents:', err);
+    return res.status(500).json({ error: 'Failed to create workspace document' });
+  }
+});
 
-    const memberSide = (assignRes.rows[0].assigned_part || '').toLowerCase();
-    const userSide   = getSide(req.user.role);
+// Author edits a draft or a returned document, optionally replacing the file
+app.put('/api/workspace-documents/:id', authenticateToken, upload.single('file'), async (req, res) => {
+  const { projectId, title, description, category } = req.body;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  if (category !== undefined && !WORKSPACE_CATEGORY_SCHEMAS[category]) return res.status(400).json({ error: `Unknown category "${category}"` });
+  const fields = req.body.fields !== undefined ? parseJsonSafe(req.body.fields) : undefined;
+  if (fields !== undefined && (!fields || typeof fields !== 'object' || Array.isArray(fields))) return res.status(400).json({ error: 'fields must be a JSON object' });
+  try {
+    const doc = await loadWorkspaceDocument(pool, req.params.id, projectId);
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    if (String(doc.submitted_by) !== String(req.user.user_id) || doc.submitted_role !== normalizeRole(req.user.role))
+      return res.status(403).json({ error: 'Only the author can edit this document' });
+    if (!['draft', 'returned'].includes(doc.status)) return res.status(409).json({ error: `Document is ${doc.status} and can no longer be edited` });
+    const uploaded = req.file ? await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'workspace_documents') : null;
+    const { rows } = await pool.query(
+      `UPDATE workspace_documents
+       SET title=COALESCE($2,title), description=COALESCE($3,description), category=COALESCE($4,category),
+           fields=COALESCE($5,fields), file_name=COALESCE($6,file_name), file_id=COALESCE($7,file_id), file_url=COALESCE($8,file_url)
+       WHERE id=$1 RETURNING *`,
+      [doc.id, title?.trim() || null, description ?? null, category || null, fields ? JSON.stringify(fields) : null,
+       uploaded ? req.file.originalname : null, uploaded?.public_id || null, uploaded?.secure_url || null]
+    );
+    const updated = rows[0];
+    return res.json({ success: true, document: updated, missing: validateWorkspaceFields(WORKSPACE_CATEGORY_SCHEMAS[updated.category], updated.fields) });
+  } catch (err) {
+    console.error('PUT /api/workspace-documents/:id:', err);
+    return res.status(500).json({ error: 'Failed to update workspace document' });
+  }
+});
 
-    // Must be a leader/PM and same-side OR client-side
-    if (!userSide)
-      return res.status(403).json({ success: false, error: 'Team members cannot edit member info.' });
-    if (userSide !== memberSide && userSide !== 'client')
-      return res.status(403).json({ success: false, error: 'You can only edit members on your own side.' });
+app.post('/api/workspace-documents/:id/submit', authenticateToken, async (req, res) => {
+  const { projectId, teamReaderId } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const doc = await loadWorkspaceDocument(client, req.params.id, projectId, { forUpdate: true });
+    if (!doc) throw Object.assign(new Error('Not found'), { status: 404 });
+    if (String(doc.submitted_by) !== String(req.user.user_id) || doc.submitted_role !== normalizeRole(req.user.role))
+      throw Object.assign(new Error('Only the author can submit this document'), { status: 403 });
+    const submitted = await submitWorkspaceDocument(client, doc, req.user, { teamReaderId });
+    await client.query('COMMIT');
+    return res.json({ success: true, document: submitted });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message, details: err.details });
+    console.error('POST /api/workspace-documents/:id/submit:', err);
+    return res.status(500).json({ error: 'Failed to submit workspace document' });
+  } finally {
+    client.release();
+  }
+});
 
-    await pool.query(
-      `UPDATE team_member_assignments
-       SET name = $1, position = $2, telephone = $3
-       WHERE id = $4 AND project_id = $5`,
-      [name || null, position, telephone || null, memberId, pid]
+// Leader (re)assigns the team reader while the document waits at that stage
+app.put('/api/workspace-documents/:id/team-reader', authenticateToken, async (req, res) => {
+  const { projectId, teamReaderId } = req.body || {};
+  if (!projectId || !teamReaderId) return res.status(400).json({ error: 'projectId and teamReaderId are required' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const doc = await loadWorkspaceDocument(client, req.params.id, projectId, { forUpdate: true });
+    if (!doc) throw Object.assign(new Error('Not found'), { status: 404 });
+    if (wcSide(req.user.role) !== doc.side) throw Object.assign(new Error('Only leaders of this side can assign team readers'), { status: 403 });
+    if (doc.status !== 'submitted') throw Object.assign(new Error('Team reader can only be changed before the reader check'), { status: 409 });
+    await assertTeamReader(client, projectId, doc.side, teamReaderId, doc.submitted_by);
+    const { rows } = await client.query(
+      'UPDATE workspace_documents SET team_reader_id=$2 WHERE id=$1 RETURNING *',
+      [doc.id, teamReaderId]
     );
+    await notifyUser(client, {
+      projectId, entityId: doc.id, entityType: 'workspace_documents', from: req.user,
+      message: `Document "${doc.title}" is waiting for your review as team reader`,
+      to: [{ user_id: teamReaderId, role: 'TeamMember' }],
+    });
+    await client.query('COMMIT');
+    return res.json({ success: true, document: rows[0] });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('PUT /api/workspace-documents/:id/team-reader:', err);
+    return res.status(500).json({ error: 'Failed to assign team reader' });
+  } finally {
+    client.release();
+  }
+});
 
-    return res.json({ success: true, message: 'Member updated.' });
+// Records a decision on the document's current stage and advances it.
+// Throws { status } errors for permission and state problems.
+async function decideWorkspaceStage(dbClient, doc, user, { decision, remark = null, delayReason = null }) {
+  const fail = (status, message, extra) => Object.assign(new Error(message), { status, ...extra });
+  if (!['approved', 'rejected'].includes(decision)) throw fail(400, "decision must be 'approved' or 'rejected'");
+  if (decision === 'rejected' && !remark?.trim()) throw fail(400, 'A remark is required when rejecting');
+  const stage = workspaceStageFor(doc.status);
+  if (!stage) throw fail(409, `Document is ${doc.status} and has no pending review`);
+
+  const { user_id, role } = user;
+  if (stage === 'team_reader') {
+    if (!doc.team_reader_id) throw fail(409, 'No team reader is assigned yet');
+    if (role !== 'TeamMember' || String(doc.team_reader_id) !== String(user_id))
+      throw fail(403, 'Only the assigned team reader can check this document');
+  } else if (wcSide(role) !== doc.side) {
+    throw fail(403, 'Only leaders of this side can decide this stage');
+  }
+
+  const delayDays = workspaceStageDelay(stage, doc.stage_entered_at);
+  if (delayDays > 0 && !delayReason?.trim()) {
+    throw fail(400, `This review is ${delayDays} day(s) late; delayReason is required`, { delay_days: delayDays });
+  }
+
+  const review = await dbClient.query(
+    `INSERT INTO workspace_document_reviews (document_id, reviewer_id, reviewer_role, review_stage, decision, remark, delay_days, delay_reason, reviewed_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW()) RETURNING *`,
+    [doc.id, user_id, normalizeRole(role), stage, decision, remark, delayDays, delayDays > 0 ? delayReason.trim() : null]
+  );
+
+  const approved = decision === 'approved';
+  let nextStatus = approved ? WORKSPACE_DOCUMENT_STAGES[stage].to : 'returned';
+  if (!approved && stage === 'promotion') nextStatus = 'validated';
+  const { rows } = await dbClient.query(
+    `UPDATE workspace_documents
+     SET status=$2, remark=$3,
+         stage_entered_at=CASE WHEN $2 = status THEN stage_entered_at ELSE NOW() END,
+         validated_by=CASE WHEN $4 THEN $5 ELSE validated_by END,
+         validated_at=CASE WHEN $4 THEN NOW() ELSE validated_at END,
+         validation_note=CASE WHEN $4 THEN $3 ELSE validation_note END,
+         visibility=CASE WHEN $2 = 'promoted' THEN 'project' ELSE visibility END
+     WHERE id=$1 AND status=$6 RETURNING *`,
+    [doc.id, nextStatus, remark, stage === 'leader_validation' && approved, user_id, doc.status]
+  );
+  // Callers lock the row, so this only trips on a stale `doc`
+  if (!rows.length) throw fail(409, 'Document was decided by someone else; reload and try again');
+  const updated = rows[0];
+
+  let report = null;
+  if (approved && stage === 'leader_validation') {
+    report = await indexValidatedDocument(dbClient, updated);
+    if (doc.request_id) {
+      await dbClient.query(`UPDATE report_requests SET status='completed' WHERE id=$1 AND status='submitted'`, [doc.request_id]);
+    }
+  }
+  if (approved && stage === 'promotion') report = await promoteIndexedReport(dbClient, updated, user_id);
+
+  const verb = approved ? (stage === 'team_reader' ? 'checked' : stage === 'leader_validation' ? 'validated' : 'promoted')
+                        : (stage === 'promotion' ? 'kept internal' : 'returned');
+  await notifyUser(dbClient, {
+    projectId: doc.project_id, entityId: doc.id, entityType: 'workspace_documents', from: user,
+    message: `Document "${doc.title}" was ${verb}${remark ? `: ${remark}` : ''}`,
+    to: [{ user_id: doc.submitted_by, role: doc.submitted_role }],
+  });
+  if (approved && stage === 'team_reader') {
+    const leaders = await sideLeaderRecipients(doc.project_id, doc.side, user_id, role);
+    if (leaders.length) {
+      await notifyUser(dbClient, {
+        projectId: doc.project_id, entityId: doc.id, entityType: 'workspace_documents', from: user,
+        message: `Document "${doc.title}" passed the team reader check and awaits validation`,
+        to: leaders,
+      });
+    }
+  }
+  if (approved && stage === 'promotion') {
+    const everyone = await getProjectRecipientKeys(doc.project_id, user_id, role);
+    if (everyone.length) {
+      const notifRes = await dbClient.query(
+        `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
+         VALUES ($1,$2,'control_and_report_index',$3,$4,$5) RETURNING id`,
+        [doc.project_id, report.id, `${doc.side} published "${doc.title}" to Control & Report`, user_id, role]
+      );
+      await insertNotificationRecipients(dbClient, notifRes.rows[0].id, everyone);
+    }
+  }
+
+  return { document: updated, review: review.rows[0], report };
+}
+
+// Decide the document's current stage: decision = approved | rejected.
+// A late decision (past the stage allowance) needs a delayReason.
+app.post('/api/workspace-documents/:id/review', authenticateToken, async (req, res) => {
+  const { projectId, decision, remark, delayReason } = req.body || {};
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const doc = await loadWorkspaceDocument(client, req.params.id, projectId, { forUpdate: true });
+    if (!doc) throw Object.assign(new Error('Not found'), { status: 404 });
+    const result = await decideWorkspaceStage(client, doc, req.user, { decision, remark, delayReason });
+    await client.query('COMMIT');
+    return res.json({ success: true, ...result });
   } catch (err) {
-    console.error('[POST /api/project-update-member]', err);
-    return res.status(500).json({ success: false, error: 'Server error updating member.' });
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message, delay_days: err.delay_days });
+    console.error('POST /api/workspace-documents/:id/review:', err);
+    return res.status(500).json({ error: 'Failed to record review' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/workspace-documents/:id/download', authenticateToken, async (req, res) => {
+  const projectId = req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const doc = await loadWorkspaceDocument(pool, req.params.id, projectId);
+    if (!doc) return res.status(404).json({ error: 'Not found' });
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!canSeeWorkspaceDocument(doc, req.user, side)) return res.status(403).json({ error: 'Access denied' });
+    return res.json({ url: doc.file_url || null, file_name: doc.file_name });
+  } catch (err) {
+    console.error('GET /api/workspace-documents/:id/download:', err);
+    return res.status(500).json({ error: 'Failed to download' });
   }
 });
 
-// ─────────────────────────────────────────────────────────────────────────────
-//  GLOBAL ERROR HANDLER
-// ─────────────────────────────────────────────────────────────────────────────
 // -----------------------------------------------------------------------------
-//  DOCUMENT & APPROVAL  + CONTROL & REPORT API
+//  CONTROL & REPORT INDEX
+//  Validated workspace documents are indexed per side ("part") as internal
+//  reports. Promotion makes them visible project-wide. Team members and
+//  leaders who can see a report may comment on it; comments carry the
+//  commentator's position on the project.
 // -----------------------------------------------------------------------------
 
-function sideLabel(side) {
-  if (!side) return null;
-  if (side === 'contractor') return 'Contractor';
-  if (side === 'consultant') return 'Consultant';
-  if (side === 'client') return 'Client';
-  return side;
+async function indexValidatedDocument(dbClient, doc) {
+  const { rows } = await dbClient.query(
+    `INSERT INTO control_and_report_index (document_id, project_id, part, title, category, validated_by, validated_at, visibility, promoted)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,'internal',false)
+     ON CONFLICT (document_id) DO UPDATE
+       SET title=EXCLUDED.title, category=EXCLUDED.category, validated_by=EXCLUDED.validated_by, validated_at=EXCLUDED.validated_at
+     RETURNING *`,
+    [doc.id, doc.project_id, doc.side, doc.title, doc.category, doc.validated_by, doc.validated_at]
+  );
+  return rows[0];
 }
 
-// List document-approval items for a project
-app.post('/api/document-approval', authenticateToken, async (req, res) => {
-  const { projectId } = req.body || {};
-  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
-  try {
-    const userId = req.user.user_id;
-    const userRole = req.user.role;
-    const userSide = await resolveSide(userRole, userId, projectId); // 'Contractor'|'Consultant'|'Client' or null
-    const isLeader = getSide(userRole) !== null;
+async function promoteIndexedReport(dbClient, doc, userId) {
+  await indexValidatedDocument(dbClient, doc);   // documents validated before the index existed
+  const { rows } = await dbClient.query(
+    `UPDATE control_and_report_index
+     SET promoted=true, visibility='project', promoted_by=$2, promoted_at=NOW()
+     WHERE document_id=$1 RETURNING *`,
+    [doc.id, userId]
+  );
+  return rows[0];
+}
 
-    // Visibility rules:
-    // - Creator always sees their documents
-    // - Side leader sees documents for their own side
-    // - Shared documents appear in DA only for the same side
-    // Build query requiring both creator id+role match, OR documents belonging
-    // to the caller's resolved side. This prevents collisions where numeric
-    // ids overlap across role tables.
-    const params = [projectId, userId, userRole];
-     let q = `SELECT id, project_id, title, description, category AS doc_type, document_date, file_name, file_url, creator_id, creator_role, side, approval_status AS status, approved_by_id, approved_by_role, approval_date AS reviewed_at, rejection_reason, is_shared, shared_at, created_at
-       FROM documents WHERE project_id = $1 AND ((creator_id = $2 AND lower(creator_role) = lower($3))`;
+async function listIndexedReports(projectId, side, { category, part, promoted } = {}) {
+  const params = [projectId, side];
+  let q = `SELECT cri.*, wd.file_name, wd.description, wd.activity_id,
+                  (SELECT COUNT(*)::int FROM control_and_report_comments c WHERE c.report_id = cri.id) AS comment_count
+           FROM control_and_report_index cri
+           JOIN workspace_documents wd ON wd.id = cri.document_id
+           WHERE cri.project_id=$1 AND (cri.part=$2 OR cri.promoted)`;
+  if (category) { params.push(category); q += ` AND cri.category=$${params.length}`; }
+  if (part)     { params.push(sideLabel(String(part).toLowerCase())); q += ` AND cri.part=$${params.length}`; }
+  if (promoted === true || promoted === false || promoted === 'true' || promoted === 'false') {
+    params.push(String(promoted) === 'true'); q += ` AND cri.promoted=$${params.length}`;
+  }
+  q += ' ORDER BY COALESCE(cri.promoted_at, cri.validated_at) DESC';
+  const { rows } = await pool.query(q, params);
+  return rows;
+}
 
-    if (userSide) {
-      params.push(userSide.toLowerCase());
-      q += ` OR lower(side) = $4`;
-    }
+// Index row plus the caller's access: own part always, other parts once promoted
+async function loadVisibleReport(reportId, projectId, user) {
+  const { rows } = await pool.query(
+    `SELECT cri.*, wd.file_url, wd.file_name, wd.description, wd.status AS document_status
+     FROM control_and_report_index cri
+     JOIN workspace_documents wd ON wd.id = cri.document_id
+     WHERE cri.id=$1 AND cri.project_id=$2`,
+    [reportId, projectId]
+  );
+  if (!rows.length) return { report: null };
+  const side = await resolveSide(user.role, user.user_id, projectId);
+  const visible = Boolean(side) && (rows[0].promoted || rows[0].part === side);
+  return { report: rows[0], side, visible };
+}
 
-    q += `) ORDER BY created_at DESC`;
+async function commentatorPosition(user, projectId) {
+  if (user.role !== 'TeamMember') return normalizeRole(user.role);
+  const { rows } = await pool.query(
+    'SELECT position FROM team_member_assignments WHERE team_member_id=$1 AND project_id=$2 LIMIT 1',
+    [user.user_id, projectId]
+  );
+  return rows[0]?.position || 'Team Member';
+}
 
-    const { rows } = await pool.query(q, params);
-    const normalizedRows = rows.map(row => {
-      if (row.is_shared) {
-        row.status = 'shared';
-      } else if (row.status === 'pending') {
-        row.status = 'pending_approval';
-      }
-      return row;
-    });
-    return res.json({ documents: normalizedRows });
+// CONTROL & REPORT — indexed workspace reports, filterable by category, part and promoted
+app.get('/api/control-reports/index', authenticateToken, async (req, res) => {
+  const { projectId, category, part } = req.query;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  try {
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied' });
+    const rows = await listIndexedReports(projectId, side, { category, part, promoted: req.query.promoted });
+    return res.json({ reports: rows });
   } catch (err) {
-    console.error('POST /api/document-approval:', err);
-    return res.status(500).json({ error: 'Failed to load documents' });
+    console.error('GET /api/control-reports/index:', err);
+    return res.status(500).json({ error: 'Failed to load control reports' });
   }
 });
 
-// Create a new document (draft for team members, auto-approved for side leaders)
-app.post('/api/document-approval/create', authenticateToken, upload.single('file'), async (req, res) => {
-  const projectId = req.body.projectId;
+// CONTROL & REPORT — leader promotes an internal report to project-wide.
+// This is the pipeline's promotion stage, so it records a review like any other.
+app.post('/api/control-reports/index/:id/promote', authenticateToken, async (req, res) => {
+  const { projectId, remark = null, delayReason = null } = req.body || {};
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
-  const { doc_type, title, description } = req.body;
-  if (!doc_type || !title) return res.status(400).json({ error: 'Missing fields' });
+  const client = await pool.connect();
   try {
-    let fileUrl = null; let fileName = null; let fileId = null;
-    if (req.file) {
-      const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'documents');
-      fileUrl = uploaded.secure_url || uploaded.url || null;
-      fileName = req.file.originalname;
-      fileId = uploaded.public_id || null;
-    }
-    // Resolve side: for leaders/PMs use role mapping, for TeamMember use assignment for this project
-    const resolvedSide = await resolveSide(req.user.role, req.user.user_id, projectId);
-    const side = sideLabel(resolvedSide);
-    
-    // Side leaders auto-approve their own documents; team members save drafts first
-    const isLeader = getSide(req.user.role) !== null;
-    // DB check constraint only allows 'draft','pending_approval','approved','rejected'
-    const approvalStatus = isLeader ? 'approved' : 'draft';
-    const approvedById = isLeader ? req.user.user_id : null;
-    const approvedByRole = isLeader ? req.user.role : null;
-    
-    let q = `INSERT INTO documents(project_id, title, description, category, file_name, file_id, file_url, creator_id, creator_role, side, approval_status`;
-    let params = [projectId, title, description || null, doc_type || null, fileName, fileId, fileUrl, req.user.user_id, req.user.role, side, approvalStatus];
-    let paramIdx = 12;
-    
-    if (isLeader) {
-      q += `, approved_by_id, approved_by_role, approval_date) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$${paramIdx},$${paramIdx+1},NOW())`;
-      params.push(approvedById, approvedByRole);
-    } else {
-      q += `) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`;
-    }
-    
-    console.log('CREATE DOCUMENT SQL:', q, params);
-    console.log('CREATE DOCUMENT CONTEXT: user=', { id: req.user.user_id, role: req.user.role, isLeader }, 'file=', req.file ? req.file.originalname : null);
-    const insert = await pool.query(q + ` RETURNING id`, params);
-    return res.json({ success: true, id: insert.rows[0].id });
-  } catch (err) {
-    console.error('POST /api/document-approval/create:', err);
-    return res.status(500).json({ error: 'Failed to create document' });
+    await client.query('BEGIN');
+    // Lock the index row and its document so two leaders can't both promote
+    const { rows } = await client.query('SELECT document_id, promoted FROM control_and_report_index WHERE id=$1 AND project_id=$2 FOR UPDATE', [req.params.id, projectId]);
+    if (!rows.length) throw Object.assign(new Error('Not found'), { status: 404 });
+    if (rows[0].promoted) throw Object.assign(new Error('Report is already promoted'), { status: 409 });
+    const doc = await loadWorkspaceDocument(client, rows[0].document_id, projectId, { forUpdate: true });
+    if (!doc) throw Object.assign(new Error('Not found'), { status: 404 });
+    const result = await decideWorkspaceStage(client, doc, req.user, { decision: 'approved', remark, delayReason });
+    await client.query('COMMIT');
+    return res.json({ success: true, report: result.report, review: result.review });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message, delay_days: err.delay_days });
+    console.error('POST /api/control-reports/index/:id/promote:', err);
+    return res.status(500).json({ error: 'Failed to promote report' });
+  } finally {
+    client.release();
   }
 });
 
-// DEBUG: allow testing the create flow without auth in non-production environments
-app.post('/api/_debug/document-approval/create', async (req, res) => {
-  if (process.env.NODE_ENV === 'production') return res.status(403).json({ error: 'Disabled in production' });
-  const { projectId, doc_type, title, description, creator_id, creator_role, side } = req.body || {};
-  if (!projectId || !doc_type || !title) return res.status(400).json({ error: 'Missing fields' });
+app.get('/api/control-reports/index/:id/comments', authenticateToken, async (req, res) => {
+  const projectId = req.query.projectId;
+  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const fileName = null; const fileId = null; const fileUrl = req.body.file_url || null;
-    const isLeader = false;
-    const approvalStatus = 'draft';
-    const params = [projectId, title, description || null, doc_type || null, fileName, fileId, fileUrl, creator_id || 99999, creator_role || 'TeamMember', side || null, approvalStatus];
-    const q = `INSERT INTO documents(project_id, title, description, category, file_name, file_id, file_url, creator_id, creator_role, side, approval_status) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING id`;
-    console.log('DEBUG CREATE:', q, params);
-    const insert = await pool.query(q, params);
-    return res.json({ success: true, id: insert.rows[0].id });
+    const { report, visible } = await loadVisibleReport(req.params.id, projectId, req.user);
+    if (!report) return res.status(404).json({ error: 'Not found' });
+    if (!visible) return res.status(403).json({ error: 'Access denied' });
+    const { rows } = await pool.query(
+      'SELECT * FROM control_and_report_comments WHERE report_id=$1 ORDER BY commented_at ASC',
+      [report.id]
+    );
+    return res.json({ comments: rows });
   } catch (err) {
-    console.error('DEBUG POST create error:', err);
-    return res.status(500).json({ error: 'Debug create failed' });
+    console.error('GET /api/control-reports/index/:id/comments:', err);
+    return res.status(500).json({ error: 'Failed to load comments' });
   }
 });
 
-// Resubmit (update) existing document
-app.put('/api/document-approval/:id/resubmit', authenticateToken, upload.single('file'), async (req, res) => {
-  const docId = req.params.id;
-  const { projectId } = req.body || {};
+app.post('/api/control-reports/index/:id/comments', authenticateToken, async (req, res) => {
+  const { projectId, comment } = req.body || {};
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  if (!comment?.trim()) return res.status(400).json({ error: 'comment is required' });
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT creator_id, creator_role FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
-    const docCreatorId = String(rows[0].creator_id);
-    const docCreatorRole = rows[0].creator_role;
-    const isCreator = docCreatorId === String(req.user.user_id) && normalizeRole(docCreatorRole) === normalizeRole(req.user.role);
-    let isAssignedBy = false;
-    if (!isCreator && normalizeRole(docCreatorRole) === 'teammember') {
-      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, docCreatorId, 'TeamMember', req.user.user_id]);
-      if (assignCheck.rows.length) isAssignedBy = true;
-    }
-    if (!isCreator && !isAssignedBy) return res.status(403).json({ error: 'Not allowed' });
-    let fileUrl = null; let fileName = null; let fileId = null;
-    if (req.file) {
-      const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'documents');
-      fileUrl = uploaded.secure_url || uploaded.url || null;
-      fileName = req.file.originalname;
-      fileId = uploaded.public_id || null;
+    const { report, visible } = await loadVisibleReport(req.params.id, projectId, req.user);
+    if (!report) return res.status(404).json({ error: 'Not found' });
+    if (!visible) return res.status(403).json({ error: 'Access denied' });
+    const position = await commentatorPosition(req.user, projectId);
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO control_and_report_comments (report_id, commentator_id, commentator_role, position, comment_text)
+       VALUES ($1,$2,$3,$4,$5) RETURNING *`,
+      [report.id, req.user.user_id, normalizeRole(req.user.role), position, comment.trim()]
+    );
+    const doc = await loadWorkspaceDocument(client, report.document_id, projectId);
+    const isAuthor = String(doc.submitted_by) === String(req.user.user_id) && doc.submitted_role === normalizeRole(req.user.role);
+    if (!isAuthor) {
+      await notifyUser(client, {
+        projectId, entityId: report.id, entityType: 'control_and_report_index', from: req.user,
+        message: `${position} commented on "${report.title}"`,
+        to: [{ user_id: doc.submitted_by, role: doc.submitted_role }],
+      });
     }
-    const doc_type = req.body.doc_type || null;
-    const title = req.body.title || null;
-    const description = req.body.description || null;
-    const updates = [];
-    const params = [];
-    let idx = 1;
-    if (title) { updates.push(`title=$${idx++}`); params.push(title); }
-    if (description) { updates.push(`description=$${idx++}`); params.push(description); }
-    if (doc_type) { updates.push(`category=$${idx++}`); params.push(doc_type); }
-    if (fileName) { updates.push(`file_name=$${idx++}`, `file_id=$${idx++}`, `file_url=$${idx++}`); params.push(fileName, fileId, fileUrl); }
-    updates.push(`approval_status='pending_approval'`, `is_shared=false`, `rejection_reason=NULL`, `updated_at=NOW()`);
-    const q = `UPDATE documents SET ${updates.join(', ')} WHERE id=$${idx} AND project_id=$${idx+1}`;
-    params.push(docId, projectId);
-    await pool.query(q, params);
-    return res.json({ success: true });
+    await client.query('COMMIT');
+    return res.status(201).json({ success: true, comment: rows[0] });
   } catch (err) {
-    console.error('PUT /api/document-approval/:id/resubmit:', err);
-    return res.status(500).json({ error: 'Failed to resubmit' });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('POST /api/control-reports/index/:id/comments:', err);
+    return res.status(500).json({ error: 'Failed to add comment' });
+  } finally {
+    client.release();
   }
 });
 
-// Review (approve/reject)
-app.post('/api/document-approval/:id/review', authenticateToken, async (req, res) => {
-  const docId = req.params.id;
-  const { projectId, action, comment } = req.body || {};
-  if (!projectId || !action) return res.status(400).json({ error: 'Missing fields' });
-  if (!['approved','rejected'].includes(action)) return res.status(400).json({ error: 'Invalid action' });
-  try {
-    const { rows } = await pool.query('SELECT id, approval_status, side FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+// -----------------------------------------------------------------------------
+//  TRANSMITTALS
+//  Formal hand-over of Control & Report items from one party to others.
+//  Items are either shared legacy documents ('document') or indexed workspace
+//  reports ('report') of the sender's side. Each transmittal is numbered per
+//  project and sending party (TR-CTR-0001…), has a generated cover sheet, and
+//  each recipient party acknowledges receipt once. Transmitted items show up
+//  read-only in the recipients' Control & Report list.
+// -----------------------------------------------------------------------------
 
-    const docSide = (rows[0].side || '').toLowerCase();
-    const userSide = getSide(req.user.role);
-    if (!userSide) return res.status(403).json({ error: 'Only side leaders can review documents' });
-    if (userSide !== docSide) return res.status(403).json({ error: 'You can only review documents for your side' });
+const PARTY_CODES = { Contractor: 'CTR', Consultant: 'CSL', Client: 'CLT' };
+const TRANSMITTAL_PURPOSES = ['for_information', 'for_review', 'for_approval', 'for_record'];
 
-    if (action === 'approved') {
-      await pool.query(`UPDATE documents SET approval_status='approved', approved_by_id=$1, approved_by_role=$2, approval_date=NOW(), updated_at=NOW() WHERE id=$3`, [req.user.user_id, req.user.role, docId]);
+function formatTransmittalNo(side, sequence) {
+  return `TR-${PARTY_CODES[side]}-${String(sequence).padStart(4, '0')}`;
+}
+
+// Resolves requested items against the sender's own C&R entries and
+// snapshots what was sent
+async function resolveTransmittalItems(db, projectId, side, items) {
+  const resolved = [];
+  for (const item of items) {
+    if (item.type === 'document') {
+      const { rows } = await db.query(
+        `SELECT id, title, category, file_name, file_url FROM documents
+         WHERE id=$1 AND project_id=$2 AND is_shared = true AND side=$3`,
+        [item.id, projectId, side]
+      );
+      if (!rows.length) throw Object.assign(new Error(`Shared document ${item.id} not found on your side`), { status: 400 });
+      resolved.push({ item_type: 'document', document_id: rows[0].id, report_id: null, ...pickTransmittalSnapshot(rows[0]) });
+    } else if (item.type === 'report') {
+      const { rows } = await db.query(
+        `SELECT cri.id, cri.title, cri.category, wd.file_name, wd.file_url
+         FROM control_and_report_index cri JOIN workspace_documents wd ON wd.id = cri.document_id
+         WHERE cri.id=$1 AND cri.project_id=$2 AND cri.part=$3`,
+        [item.id, projectId, side]
+      );
+      if (!rows.length) throw Object.assign(new Error(`Report ${item.id} not found on your side`), { status: 400 });
+      resolved.push({ item_type: 'report', document_id: null, report_id: rows[0].id, ...pickTransmittalSnapshot(rows[0]) });
     } else {
-      await pool.query(`UPDATE documents SET approval_status='rejected', rejection_reason=$1, updated_at=NOW() WHERE id=$2`, [comment || null, docId]);
+      throw Object.assign(new Error("Each item needs type 'document' or 'report'"), { status: 400 });
     }
-    // Insert approval note
-    await pool.query(`INSERT INTO document_approval_notes(document_id, note_text, created_by_id, created_by_role, is_visible_to_creator) VALUES($1,$2,$3,$4,$5)`, [docId, comment || (action === 'approved' ? 'Approved' : 'Rejected'), req.user.user_id, req.user.role, true]);
-    return res.json({ success: true });
-  } catch (err) {
-    console.error('POST /api/document-approval/:id/review:', err);
-    return res.status(500).json({ error: 'Failed to submit review' });
   }
-});
+  return resolved;
+}
 
-// Share to Control & Report
-app.post('/api/document-approval/:id/share', authenticateToken, async (req, res) => {
-  const docId = req.params.id;
-  const { projectId } = req.body || {};
-  if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
-  try {
-    const { rows } = await pool.query('SELECT approval_status, side FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
-    if (rows[0].approval_status !== 'approved') return res.status(400).json({ error: 'Only approved documents can be shared' });
+function pickTransmittalSnapshot(row) {
+  return { title: row.title, category: row.category || null, file_name: row.file_name || null, file_url: row.file_url || null };
+}
 
-    const docSide = (rows[0].side || '').toLowerCase();
-    const userSide = getSide(req.user.role);
-    if (!userSide) return res.status(403).json({ error: 'Only side leaders can share documents' });
-    if (userSide !== docSide) return res.status(403).json({ error: 'You can only share documents for your side' });
+async function loadTransmittal(db, transmittalId, projectId) {
+  const t = await db.query('SELECT * FROM transmittals WHERE id=$1 AND project_id=$2', [transmittalId, projectId]);
+  if (!t.rows.length) return null;
+  const items = await db.query('SELECT * FROM transmittal_items WHERE transmittal_id=$1 ORDER BY id', [transmittalId]);
+  const recipients = await db.query('SELECT * FROM transmittal_recipients WHERE transmittal_id=$1 ORDER BY party', [transmittalId]);
+  return { ...t.rows[0], items: items.rows, recipients: recipients.rows };
+}
 
-    await pool.query('UPDATE documents SET is_shared=true, shared_at=NOW(), updated_at=NOW() WHERE id=$1', [docId]);
-    return res.json({ success: true });
-  } catch (err) {
-    console.error('POST /api/document-approval/:id/share:', err);
-    return res.status(500).json({ error: 'Failed to share document' });
+function transmittalPartyOf(transmittal, side) {
+  if (!side) return null;
+  if (transmittal.sender_side === side) return 'sender';
+  return transmittal.recipients.some(r => r.party === side) ? 'recipient' : null;
+}
+
+async function renderTransmittalCoverPdf(transmittal, projectName) {
+  const w = await createPdfWriter({ title: `Transmittal ${transmittal.transmittal_no}`, pageSize: [595.28, 841.89], margin: 48 });
+  const header = rgb(0.9, 0.92, 0.96);
+  w.text('DOCUMENT TRANSMITTAL', { size: 18, useBold: true });
+  w.text(transmittal.transmittal_no, { size: 14, useBold: true });
+  w.space(8);
+  const info = [200, 299];
+  w.row(['Project', projectName || `Project ${transmittal.project_id}`], info, { size: 10 });
+  w.row(['From', transmittal.sender_side], info, { size: 10 });
+  w.row(['To', transmittal.recipients.map(r => r.party).join(', ')], info, { size: 10 });
+  w.row(['Date', toIsoDate(transmittal.created_at)], info, { size: 10 });
+  w.row(['Purpose', transmittal.purpose.replace(/_/g, ' ')], info, { size: 10 });
+  w.row(['Subject', transmittal.subject], info, { size: 10 });
+  if (transmittal.remarks) w.row(['Remarks', transmittal.remarks], info, { size: 10 });
+  w.space(14);
+
+  w.text('Enclosed items', { size: 12, useBold: true });
+  const cols = [30, 250, 110, 109];
+  w.row(['#', 'Title', 'Category', 'File'], cols, { useBold: true, fill: header, size: 9 });
+  transmittal.items.forEach((it, i) => w.row([String(i + 1), it.title, it.category || '-', it.file_name || '-'], cols, { size: 9 }));
+  w.space(20);
+
+  w.text('Acknowledgement of receipt', { size: 12, useBold: true });
+  const ack = [120, 200, 179];
+  w.row(['Party', 'Acknowledged by', 'Date'], ack, { useBold: true, fill: header, size: 9 });
+  for (const r of transmittal.recipients) {
+    w.row([r.party, r.acknowledged_at ? `${r.acknowledged_role} #${r.acknowledged_by}` : '', r.acknowledged_at ? toIsoDate(r.acknowledged_at) : ''], ack, { size: 9 });
   }
-});
+  w.space(10);
+  w.text(`Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`, { size: 8, color: rgb(0.4, 0.4, 0.4) });
+  return w.save();
+}
 
-// Submit draft for approval
-app.post('/api/document-approval/:id/submit', authenticateToken, async (req, res) => {
-  const docId = req.params.id;
-  const { projectId } = req.body || {};
+app.post('/api/transmittals', authenticateToken, async (req, res) => {
+  const { projectId, recipients, subject, purpose = 'for_information', remarks = null, items } = req.body || {};
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+  const side = wcSide(req.user.role);
+  if (!side) return res.status(403).json({ error: 'Only side leaders can issue transmittals' });
+  const parties = [...new Set(Array.isArray(recipients) ? recipients.map(r => sideLabel(String(r).toLowerCase())) : [])];
+  if (!parties.length || parties.some(p => !PARTY_CODES[p] || p === side))
+    return res.status(400).json({ error: 'recipients must list one or more other parties (Contractor, Consultant, Client)' });
+  if (!subject?.trim()) return res.status(400).json({ error: 'subject is required' });
+  if (!TRANSMITTAL_PURPOSES.includes(purpose)) return res.status(400).json({ error: `purpose must be one of: ${TRANSMITTAL_PURPOSES.join(', ')}` });
+  if (!Array.isArray(items) || !items.length) return res.status(400).json({ error: 'At least one item is required' });
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT creator_id, creator_role FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
-    const docCreatorId = String(rows[0].creator_id);
-    const docCreatorRole = rows[0].creator_role;
-    const isCreator = docCreatorId === String(req.user.user_id) && normalizeRole(docCreatorRole) === normalizeRole(req.user.role);
-    let isAssignedBy = false;
-    if (!isCreator && normalizeRole(docCreatorRole) === 'teammember') {
-      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, docCreatorId, 'TeamMember', req.user.user_id]);
-      if (assignCheck.rows.length) isAssignedBy = true;
+    if (!await userHasProjectAccess(req.user.user_id, req.user.role, projectId)) return res.status(403).json({ error: 'Access denied' });
+    await client.query('BEGIN');
+    const resolved = await resolveTransmittalItems(client, projectId, side, items);
+    // Serialises numbering per project and sending party
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`transmittal:${projectId}:${side}`]);
+    const seqRes = await client.query(
+      'SELECT COALESCE(MAX(sequence), 0) + 1 AS next FROM transmittals WHERE project_id=$1 AND sender_side=$2',
+      [projectId, side]
+    );
+    const sequence = seqRes.rows[0].next;
+    const t = await client.query(
+      `INSERT INTO transmittals (project_id, sequence, transmittal_no, sender_side, sent_by, sent_role, subject, purpose, remarks)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING id`,
+      [projectId, sequence, formatTransmittalNo(side, sequence), side, req.user.user_id, normalizeRole(req.user.role), subject.trim(), purpose, remarks]
+    );
+    const transmittalId = t.rows[0].id;
+    await client.query(
+      `INSERT INTO transmittal_items (transmittal_id, item_type, document_id, report_id, title, category, file_name, file_url)
+       SELECT $1, x.item_type, x.document_id, x.report_id, x.title, x.category, x.file_name, x.file_url
+       FROM jsonb_to_recordset($2::jsonb) AS x(item_type text, document_id bigint, report_id int, title text, category text, file_name text, file_url text)`,
+      [transmittalId, JSON.stringify(resolved)]
+    );
+    await client.query(
+      'INSERT INTO transmittal_recipients (transmittal_id, party) SELECT $1, unnest($2::text[])',
+      [transmittalId, parties]
+    );
+    const transmittal = await loadTransmittal(client, transmittalId, projectId);
+    for (const party of parties) {
+      const recipientKeys = await getProjectRecipientKeys(projectId, req.user.user_id, req.user.role, 'side', party);
+      if (!recipientKeys.length) continue;
+      const notifRes = await client.query(
+        `INSERT INTO notifications (project_id, entity_id, entity_type, message, added_by_id, added_by_role)
+         VALUES ($1,$2,'transmittals',$3,$4,$5) RETURNING id`,
+        [projectId, transmittalId, `${side} sent transmittal ${transmittal.transmittal_no}: ${transmittal.subject} (${resolved.length} item(s))`,
+         req.user.user_id, req.user.role]
+      );
+      await insertNotificationRecipients(client, notifRes.rows[0].id, recipientKeys);
     }
-    if (!isCreator && !isAssignedBy) return res.status(403).json({ error: 'Not allowed' });
-    await pool.query("UPDATE documents SET approval_status='pending_approval', updated_at=NOW() WHERE id=$1", [docId]);
-    return res.json({ success: true });
+    await client.query('COMMIT');
+    return res.status(201).json({ success: true, transmittal });
   } catch (err) {
-    console.error('POST /api/document-approval/:id/submit:', err);
-    return res.status(500).json({ error: 'Failed to submit' });
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/transmittals:', err);
+    return res.status(500).json({ error: 'Failed to create transmittal' });
+  } finally {
+    client.release();
   }
 });
 
-// Delete document
-app.delete('/api/document-approval/:id', authenticateToken, async (req, res) => {
-  const docId = req.params.id;
-  const projectId = req.body.projectId || req.query.projectId;
+// direction=sent|received (default: both)
+app.get('/api/transmittals', authenticateToken, async (req, res) => {
+  const { projectId, direction } = req.query;
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const { rows } = await pool.query('SELECT creator_id, creator_role, side FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
-    const creatorId = String(rows[0].creator_id);
-    const creatorRole = rows[0].creator_role;
-    const docSide = (rows[0].side || '').toLowerCase();
-    const userSide = getSide(req.user.role);
-
-    // Allow deletion if creator, or if user is the team member's assigner,
-    // or if user is a side leader for the same side
-    const isCreator = String(req.user.user_id) === creatorId && normalizeRole(creatorRole) === normalizeRole(req.user.role);
-    let isAssignedBy = false;
-    if (!isCreator && normalizeRole(creatorRole) === 'teammember') {
-      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, creatorId, 'TeamMember', req.user.user_id]);
-      if (assignCheck.rows.length) isAssignedBy = true;
-    }
-    if (!isCreator && !isAssignedBy) {
-      if (!userSide || userSide !== docSide) return res.status(403).json({ error: 'Not allowed' });
-    }
-    await pool.query('DELETE FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    return res.json({ success: true });
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    if (!side) return res.status(403).json({ error: 'Access denied' });
+    const sent = direction !== 'received';
+    const received = direction !== 'sent';
+    const { rows } = await pool.query(
+      `SELECT t.*,
+              (SELECT json_agg(json_build_object('party', r.party, 'acknowledged_at', r.acknowledged_at, 'acknowledged_role', r.acknowledged_role) ORDER BY r.party)
+               FROM transmittal_recipients r WHERE r.transmittal_id = t.id) AS recipients,
+              (SELECT COUNT(*)::int FROM transmittal_items i WHERE i.transmittal_id = t.id) AS item_count
+       FROM transmittals t
+       WHERE t.project_id=$1
+         AND (($2 AND t.sender_side=$4)
+           OR ($3 AND EXISTS (SELECT 1 FROM transmittal_recipients r WHERE r.transmittal_id = t.id AND r.party=$4)))
+       ORDER BY t.created_at DESC`,
+      [projectId, sent, received, side]
+    );
+    return res.json({ transmittals: rows.map(t => ({ ...t, direction: t.sender_side === side ? 'sent' : 'received' })) });
   } catch (err) {
-    console.error('DELETE /api/document-approval/:id:', err);
-    return res.status(500).json({ error: 'Failed to delete' });
+    console.error('GET /api/transmittals:', err);
+    return res.status(500).json({ error: 'Failed to load transmittals' });
   }
 });
 
-// Download document file (returns URL)
-app.get('/api/document-approval/:id/download', authenticateToken, async (req, res) => {
-  const docId = req.params.id;
+app.get('/api/transmittals/:id', authenticateToken, async (req, res) => {
   const projectId = req.query.projectId;
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const { rows } = await pool.query('SELECT file_url, creator_id, creator_role, side, is_shared FROM documents WHERE id=$1 AND project_id=$2', [docId, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
-    const row = rows[0];
-    const docSide = (row.side || '').toLowerCase();
-    const userSide = getSide(req.user.role);
-
-    // Allow if creator or the team-member's assigner
-    const isCreator = String(row.creator_id) === String(req.user.user_id) && normalizeRole(row.creator_role) === normalizeRole(req.user.role);
-    let isAssignedBy = false;
-    if (!isCreator && normalizeRole(row.creator_role) === 'teammember') {
-      const assignCheck = await pool.query('SELECT 1 FROM assignments_view WHERE project_id=$1 AND role_id=$2 AND role=$3 AND assigned_by=$4 LIMIT 1', [projectId, String(row.creator_id), 'TeamMember', req.user.user_id]);
-      if (assignCheck.rows.length) isAssignedBy = true;
-    }
-    if (isCreator || isAssignedBy) return res.json({ url: row.file_url || null });
-
-    // Allow side leaders for same side
-    if (userSide && userSide === docSide) return res.json({ url: row.file_url || null });
-
-    // Allow if shared and user belongs to same side (resolve for TeamMember)
-    if (row.is_shared) {
-      const sideResolved = await resolveSide(req.user.role, req.user.user_id, projectId);
-      if (sideResolved && sideResolved.toLowerCase() === docSide) return res.json({ url: row.file_url || null });
-    }
-
-    return res.status(403).json({ error: 'Access denied' });
+    const transmittal = await loadTransmittal(pool, req.params.id, projectId);
+    if (!transmittal) return res.status(404).json({ error: 'Not found' });
+    const side = await resolveSide(req.user.role, req.user.user_id, projectId);
+    const party = transmittalPartyOf(transmittal, side);
+    if (!party) return res.status(403).json({ error: 'Access denied' });
+    return res.json({ transmittal, direction: party === 'sender' ? 'sent' : 'received' });
   } catch (err) {
-    console.error('GET /api/document-approval/:id/download:', err);
-    return res.status(500).json({ error: 'Failed to download' });
+    console.error('GET /api/transmittals/:id:', err);
+    return res.status(500).json({ error: 'Failed to load transmittal' });
   }
 });
 
-// CONTROL & REPORT — list shared documents
-app.post('/api/control-reports', authenticateToken, async (req, res) => {
-  const { projectId } = req.body || {};
+app.get('/api/transmittals/:id/cover', authenticateToken, async (req, res) => {
+  const projectId = req.query.projectId;
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
+    const transmittal = await loadTransmittal(pool, req.params.id, projectId);
+    if (!transmittal) return res.status(404).json({ error: 'Not found' });
     const side = await resolveSide(req.user.role, req.user.user_id, projectId);
-    if (!side) return res.status(403).json({ error: 'Access denied' });
-    const { rows } = await pool.query(
-      `SELECT id, project_id, title, description, category AS doc_type, file_name, file_url, creator_id, creator_role, side, is_shared, shared_at, approval_date AS reviewed_at, created_at
-       FROM documents WHERE project_id=$1 AND is_shared = true AND lower(side) = $2 ORDER BY shared_at DESC NULLS LAST`,
-      [projectId, side.toLowerCase()]
-    );
-    return res.json({ documents: rows });
+    if (!transmittalPartyOf(transmittal, side)) return res.status(403).json({ error: 'Access denied' });
+    const projRes = await pool.query('SELECT name FROM projects WHERE id=$1', [projectId]);
+    const pdf = await renderTransmittalCoverPdf(transmittal, projRes.rows[0]?.name);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${transmittal.transmittal_no}.pdf"`);
+    return res.send(pdf);
   } catch (err) {
-    console.error('POST /api/control-reports:', err);
-    return res.status(500).json({ error: 'Failed to load control reports' });
+    console.error('GET /api/transmittals/:id/cover:', err);
+    return res.status(500).json({ error: 'Failed to render cover sheet' });
   }
 });
 
-// CONTROL & REPORT — create (leader direct add)
-app.post('/api/control-reports/create', authenticateToken, upload.single('file'), async (req, res) => {
-  const projectId = req.body.projectId;
+// A leader of a recipient party confirms receipt for that party
+app.post('/api/transmittals/:id/acknowledge', authenticateToken, async (req, res) => {
+  const { projectId, remark = null } = req.body || {};
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
-  const { doc_type, title, description } = req.body;
-  if (!doc_type || !title || !description) return res.status(400).json({ error: 'Missing fields' });
+  const side = wcSide(req.user.role);
+  if (!side) return res.status(403).json({ error: 'Only side leaders can acknowledge transmittals' });
+  const client = await pool.connect();
   try {
-    // Only side leaders (Client/ClientPM, Contractor/ContractorPM, Consultant/ConsultantPM) can add direct C&R records
-    const userSide = getSide(req.user.role);
-    if (!userSide) return res.status(403).json({ error: 'Only side leaders can add control & report records' });
-    let fileUrl = null; let fileName = null; let fileId = null;
-    if (req.file) {
-      const uploaded = await scheduleCloudinaryUpload(req.file.buffer, req.file.originalname, 'control_reports');
-      fileUrl = uploaded.secure_url || uploaded.url || null;
-      fileName = req.file.originalname;
-      fileId = uploaded.public_id || null;
-    }
-    const side = sideLabel(getSide(req.user.role));
-    const insert = await pool.query(
-      `INSERT INTO documents(project_id, title, description, category, file_name, file_id, file_url, creator_id, creator_role, side, approval_status, approved_by_id, approved_by_role, approval_date, is_shared, shared_at)
-       VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'approved',$11,$12,NOW(),true,NOW()) RETURNING id`,
-      [projectId, title, description, doc_type || null, fileName, fileId, fileUrl, req.user.user_id, req.user.role, side, req.user.user_id, req.user.role]
+    const transmittal = await loadTransmittal(client, req.params.id, projectId);
+    if (!transmittal) return res.status(404).json({ error: 'Not found' });
+    if (transmittalPartyOf(transmittal, side) !== 'recipient') return res.status(403).json({ error: 'Your party is not a recipient of this transmittal' });
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE transmittal_recipients
+       SET acknowledged_by=$3, acknowledged_role=$4, acknowledged_at=NOW(), remark=$5
+       WHERE transmittal_id=$1 AND party=$2 AND acknowledged_at IS NULL RETURNING *`,
+      [transmittal.id, side, req.user.user_id, normalizeRole(req.user.role), remark]
     );
-    return res.json({ success: true, id: insert.rows[0].id });
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Receipt was already acknowledged' });
+    }
+    const senders = await sideLeaderRecipients(projectId, transmittal.sender_side, req.user.user_id, req.user.role);
+    if (senders.length) {
+      await notifyUser(client, {
+        projectId, entityId: transmittal.id, entityType: 'transmittals', from: req.user,
+        message: `${side} acknowledged receipt of transmittal ${transmittal.transmittal_no}`,
+        to: senders,
+      });
+    }
+    await client.query('COMMIT');
+    return res.json({ success: true, recipient: rows[0] });
   } catch (err) {
-    console.error('POST /api/control-reports/create:', err);
-    return res.status(500).json({ error: 'Failed to create control report' });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('POST /api/transmittals/:id/acknowledge:', err);
+    return res.status(500).json({ error: 'Failed to acknowledge transmittal' });
+  } finally {
+    client.release();
   }
 });
 
-// CONTROL & REPORT — download
-app.get('/api/control-reports/:id/download', authenticateToken, async (req, res) => {
-  const id = req.params.id;
+app.get('/api/transmittals/:id/items/:itemId/download', authenticateToken, async (req, res) => {
   const projectId = req.query.projectId;
   if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
   try {
-    const { rows } = await pool.query('SELECT file_url, side FROM documents WHERE id=$1 AND project_id=$2', [id, projectId]);
-    if (!rows.length) return res.status(404).json({ error: 'Not found' });
-    const docSide = (rows[0].side || '').toLowerCase();
+    const transmittal = await loadTransmittal(pool, req.params.id, projectId);
+    if (!transmittal) return res.status(404).json({ error: 'Not found' });
     const side = await resolveSide(req.user.role, req.user.user_id, projectId);
-    if (!side || side.toLowerCase() !== docSide) return res.status(403).json({ error: 'Access denied' });
-    return res.json({ url: rows[0].file_url || null });
+    if (!transmittalPartyOf(transmittal, side)) return res.status(403).json({ error: 'Access denied' });
+    const item = transmittal.items.find(i => String(i.id) === String(req.params.itemId));
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    return res.json({ url: item.file_url || null, file_name: item.file_name });
   } catch (err) {
-    console.error('GET /api/control-reports/:id/download:', err);
+    console.error('GET /api/transmittals/:id/items/:itemId/download:', err);
     return res.status(500).json({ error: 'Failed to download' });
   }
 });
 
+// Items other parties transmitted to `side`, for the read-only part of the C&R list
+async function listReceivedTransmittalItems(projectId, side, { category, part } = {}) {
+  const params = [projectId, side];
+  let q = `SELECT i.*, t.transmittal_no, t.sender_side AS part, t.subject, t.purpose, t.created_at AS transmitted_at,
+                  r.acknowledged_at, true AS read_only
+           FROM transmittal_items i
+           JOIN transmittals t ON t.id = i.transmittal_id
+           JOIN transmittal_recipients r ON r.transmittal_id = t.id AND r.party = $2
+           WHERE t.project_id=$1`;
+  if (category) { params.push(category); q += ` AND i.category=$${params.length}`; }
+  if (part)     { params.push(sideLabel(String(part).toLowerCase())); q += ` AND t.sender_side=$${params.length}`; }
+  q += ' ORDER BY t.created_at DESC, i.id';
+  const { rows } = await pool.query(q, params);
+  return rows;
+}
+
 app.use((err, _req, res, _next) => {
   console.error('Unexpected error:', err);
   res.status(500).json({ error: 'Internal server error' });